@@ -1,15 +1,31 @@
 import { lazyLoader } from '../utils/LazyLoader.js';
+import { calculateProgress, formatSeriesLabel, normalizeSearchText } from '../utils/helpers.js';
 
 export class BookCard {
-    constructor(audiobook) {
+    constructor(audiobook, highlights = null) {
         this.audiobook = audiobook;
+        this.highlights = highlights; // Search matches per field, e.g. { title: ['martian'] }
         this.element = null;
     }
 
+    // Creates the element once; later renders refill it, so the gallery can
+    // recycle a card for another book without rebuilding it
     render() {
-        this.element = document.createElement('div');
-        this.element.className = 'book-card group cursor-pointer';
+        if (!this.element) {
+            this.element = document.createElement('div');
+            this.element.className = 'book-card group cursor-pointer';
+            this.element.tabIndex = 0;
+            this.element.addEventListener('click', (e) => this.handleClick(e));
+            this.element.addEventListener('keydown', (e) => this.handleKeydown(e));
+        }
+
+        const oldImg = this.element.querySelector('img');
+        if (oldImg) {
+            lazyLoader.unobserve(oldImg);
+        }
+
         this.element.setAttribute('data-book-id', this.audiobook.id);
+        this.element.setAttribute('aria-label', `${this.audiobook.title} by ${this.audiobook.author}`);
 
         this.element.innerHTML = `
             <div class="relative aspect-book overflow-hidden bg-gray-100">
@@ -52,7 +68,7 @@ export class BookCard {
                             </div>
                             
                             <div class="text-sm opacity-90">
-                                Narrated by ${this.escapeHtml(this.audiobook.narrator)}
+                                Narrated by ${this.highlight(this.audiobook.narrator, 'narrator')}
                             </div>
                         </div>
                     </div>
@@ -63,11 +79,14 @@ export class BookCard {
 
             <div class="p-4">
                 <h3 class="font-semibold text-gray-900 text-sm mb-1 line-clamp-2 leading-tight">
-                    ${this.escapeHtml(this.audiobook.title)}
+                    ${this.highlight(this.audiobook.title, 'title')}
                 </h3>
+                ${this.renderSeriesLabel()}
                 <p class="text-gray-600 text-sm mb-3 line-clamp-1">
-                    by ${this.escapeHtml(this.audiobook.author)}
+                    by ${this.highlight(this.audiobook.author, 'author')}
                 </p>
+
+                ${this.renderProgressBar()}
                 
                 <div class="space-y-2">
                     ${this.renderGenreTags()}
@@ -76,8 +95,6 @@ export class BookCard {
             </div>
         `;
 
-        this.element.addEventListener('click', (e) => this.handleClick(e));
-
         const editBtn = this.element.querySelector('.edit-btn');
         if (editBtn) {
             editBtn.addEventListener('click', (e) => this.handleEditClick(e));
@@ -115,17 +132,17 @@ export class BookCard {
     }
 
     renderStatusIndicator() {
-        const statusGenres = ['next', 'done'];
-        const status = this.audiobook.genres.find(genre => statusGenres.includes(genre));
-
-        if (!status) return '';
-
         const statusConfig = {
-            'next': { color: 'bg-orange-500', text: 'Next' },
-            'done': { color: 'bg-green-500', text: 'Done' }
+            'wishlist': { color: 'bg-gray-500', text: 'Wishlist' },
+            'queued': { color: 'bg-orange-500', text: 'Queued' },
+            'listening': { color: 'bg-blue-500', text: 'Listening' },
+            'finished': { color: 'bg-green-500', text: 'Finished' },
+            'abandoned': { color: 'bg-red-500', text: 'Abandoned' }
         };
 
-        const config = statusConfig[status];
+        const config = statusConfig[this.audiobook.status];
+
+        if (!config) return '';
 
         return `
             <div class="absolute top-2 right-2 ${config.color} text-white text-xs px-2 py-1 rounded-full font-medium shadow-lg">
@@ -134,8 +151,31 @@ export class BookCard {
         `;
     }
 
+    renderSeriesLabel() {
+        const label = formatSeriesLabel(this.audiobook);
+
+        if (!label) return '';
+
+        return `<p class="series-label text-xs text-gray-500 mb-1 line-clamp-1">${this.escapeHtml(label)}</p>`;
+    }
+
+    renderProgressBar() {
+        const percent = calculateProgress(this.audiobook.position, this.audiobook.length);
+
+        if (!percent) return '';
+
+        return `
+            <div class="mb-3" title="${percent}% listened">
+                <div class="w-full bg-gray-200 rounded-full h-1.5">
+                    <div class="bg-blue-600 h-1.5 rounded-full" style="width: ${percent}%"></div>
+                </div>
+                <p class="text-xs text-gray-500 mt-1">${percent}% listened</p>
+            </div>
+        `;
+    }
+
     renderGenreTags() {
-        const displayGenres = this.audiobook.genres.filter(genre => !['next', 'done'].includes(genre));
+        const displayGenres = this.audiobook.genres;
 
         if (displayGenres.length === 0) return '';
 
@@ -149,7 +189,7 @@ export class BookCard {
 
         const genreTags = displayGenres.slice(0, 3).map(genre => {
             const colorClass = genreColors[genre] || 'bg-gray-100 text-gray-800';
-            return `<span class="genre-tag ${colorClass}">${this.escapeHtml(genre)}</span>`;
+            return `<span class="genre-tag ${colorClass}">${this.highlight(genre, 'genres')}</span>`;
         }).join('');
 
         return `<div class="flex flex-wrap gap-1">${genreTags}</div>`;
@@ -159,7 +199,7 @@ export class BookCard {
         if (this.audiobook.moods.length === 0) return '';
 
         const moodTags = this.audiobook.moods.slice(0, 2).map(mood =>
-            `<span class="genre-tag bg-indigo-100 text-indigo-800">${this.escapeHtml(mood)}</span>`
+            `<span class="genre-tag bg-indigo-100 text-indigo-800">${this.highlight(mood, 'moods')}</span>`
         ).join('');
 
         return `<div class="flex flex-wrap gap-1 mt-1">${moodTags}</div>`;
@@ -177,6 +217,15 @@ export class BookCard {
         this.element.dispatchEvent(customEvent);
     }
 
+    handleKeydown(event) {
+        if (event.target !== this.element || (event.key !== 'Enter' && event.key !== ' ')) {
+            return;
+        }
+
+        event.preventDefault();
+        this.handleClick(event);
+    }
+
     handleEditClick(event) {
         event.stopPropagation();
 
@@ -193,23 +242,38 @@ export class BookCard {
         return div.innerHTML;
     }
 
-    update(audiobook) {
+    /**
+     * Escape text and mark the words that matched the current search
+     * @param {string} text - Field value
+     * @param {string} field - Field name the matches were recorded under
+     * @returns {string} Safe HTML
+     */
+    highlight(text, field) {
+        const matchedWords = this.highlights?.[field];
+        if (!text || !matchedWords || matchedWords.length === 0) {
+            return this.escapeHtml(text);
+        }
+
+        const matched = new Set(matchedWords);
+
+        // Odd parts of the split are words, even parts the text between them
+        return String(text).split(/([\p{L}\p{M}\p{N}]+)/u).map((part, index) =>
+            index % 2 === 1 && matched.has(normalizeSearchText(part))
+                ? `<mark class="search-highlight">${this.escapeHtml(part)}</mark>`
+                : this.escapeHtml(part)
+        ).join('');
+    }
+
+    update(audiobook, highlights = this.highlights) {
         this.audiobook = audiobook;
-        if (this.element && this.element.parentNode) {
-            const parent = this.element.parentNode;
-            const newElement = this.render();
-            try {
-                parent.replaceChild(newElement, this.element);
-                this.element = newElement;
-            } catch (error) {
-                console.error('Failed to update book card:', error);
-                parent.appendChild(newElement);
-                this.element = newElement;
-            }
+        this.highlights = highlights;
+        if (this.element) {
+            this.render();
         }
     }
 
-    destroy() {
+    // Takes the card out of the page but keeps its element for reuse
+    detach() {
         if (this.element) {
             // Clean up lazy loading observer
             const img = this.element.querySelector('img');
@@ -221,6 +285,10 @@ export class BookCard {
                 this.element.parentNode.removeChild(this.element);
             }
         }
+    }
+
+    destroy() {
+        this.detach();
         this.element = null;
     }
 }
\ No newline at end of file
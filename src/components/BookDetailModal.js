@@ -1,13 +1,21 @@
+import { calculateProgress, formatSeriesLabel, getNextInSeries, sanitizeString } from '../utils/helpers.js';
+
 /**
  * BookDetailModal component for displaying book details with edit/delete options
- * Provides a modal view with book information and management actions
+ * Provides a modal view with book information, management actions, the
+ * manual lists the book is in and the next book of its series
  */
 export class BookDetailModal {
-    constructor(onEdit, onDelete, onClose) {
+    constructor(onEdit, onDelete, onClose, onListToggle = null, onBookSelect = null) {
         this.onEdit = onEdit;
         this.onDelete = onDelete;
         this.onClose = onClose;
+        this.onListToggle = onListToggle;
+        this.onBookSelect = onBookSelect;
         this.audiobook = null;
+        this.lists = [];
+        this.library = []; // All audiobooks, to find the next book in a series
+        this.nextInSeries = null;
         this.isVisible = false;
         this.modalElement = null;
 
@@ -77,6 +85,10 @@ export class BookDetailModal {
                                         <h1 id="detail-title" class="text-3xl font-bold text-gray-900 mb-2"></h1>
                                         <p id="detail-author" class="text-xl text-gray-600 mb-1"></p>
                                         <p id="detail-narrator" class="text-lg text-gray-500"></p>
+                                        <p id="detail-series" class="text-base text-gray-500 mt-1"></p>
+                                        <button id="detail-next-in-series" type="button"
+                                            class="hidden mt-2 text-sm text-blue-600 hover:text-blue-800 hover:underline text-left keyboard-focusable">
+                                        </button>
                                     </div>
                                     
                                     <!-- Book metadata -->
@@ -101,6 +113,14 @@ export class BookDetailModal {
                                         </div>
                                     </div>
                                     
+                                    <!-- Listening progress -->
+                                    <div id="detail-progress-section">
+                                        <h3 class="text-sm font-medium text-gray-700 mb-2">Progress</h3>
+                                        <div id="detail-progress">
+                                            <!-- Progress bar will be populated here -->
+                                        </div>
+                                    </div>
+                                    
                                     <!-- Categories -->
                                     <div class="space-y-4">
                                         <!-- Genres -->
@@ -118,6 +138,14 @@ export class BookDetailModal {
                                                 <!-- Mood tags will be populated here -->
                                             </div>
                                         </div>
+
+                                        <!-- Lists -->
+                                        <div>
+                                            <h3 class="text-sm font-medium text-gray-700 mb-2">Lists</h3>
+                                            <div id="detail-lists" class="flex flex-wrap gap-2">
+                                                <!-- List toggles will be populated here -->
+                                            </div>
+                                        </div>
                                     </div>
                                 </div>
                             </div>
@@ -171,6 +199,20 @@ export class BookDetailModal {
         editBtn.addEventListener('click', () => this.handleEdit());
         deleteBtn.addEventListener('click', () => this.handleDelete());
 
+        // Next book in the series
+        this.modalElement.querySelector('#detail-next-in-series').addEventListener('click', () => {
+            if (this.nextInSeries && this.onBookSelect) {
+                this.onBookSelect(this.nextInSeries);
+            }
+        });
+
+        // List membership toggles
+        this.modalElement.querySelector('#detail-lists').addEventListener('change', (e) => {
+            if (e.target.classList.contains('detail-list-toggle') && this.onListToggle && this.audiobook) {
+                this.onListToggle(this.audiobook, e.target.dataset.listId, e.target.checked);
+            }
+        });
+
         // Escape key to close modal
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.isVisible) {
@@ -191,6 +233,25 @@ export class BookDetailModal {
         document.body.style.overflow = 'hidden';
     }
 
+    /**
+     * Set the manual lists the book can be added to
+     * @param {Array} lists - Lists in display order
+     */
+    setLists(lists) {
+        this.lists = lists || [];
+        if (this.audiobook) {
+            this.populateLists(this.audiobook);
+        }
+    }
+
+    /**
+     * Set the whole library, used to find the next book in a series
+     * @param {Audiobook[]} audiobooks - All audiobooks
+     */
+    setLibrary(audiobooks) {
+        this.library = audiobooks || [];
+    }
+
     /**
      * Hide the modal
      */
@@ -218,12 +279,13 @@ export class BookDetailModal {
         this.modalElement.querySelector('#detail-title').textContent = audiobook.title;
         this.modalElement.querySelector('#detail-author').textContent = `by ${audiobook.author}`;
         this.modalElement.querySelector('#detail-narrator').textContent = audiobook.narrator ? `Narrated by ${audiobook.narrator}` : '';
+        this.populateSeries(audiobook);
 
         // Rating
         this.populateRating(audiobook.rating);
 
         // Status
-        this.populateStatus(audiobook.genres);
+        this.populateStatus(audiobook.status);
 
         // Metadata
         this.modalElement.querySelector('#detail-length').textContent = audiobook.length || 'Not specified';
@@ -235,9 +297,34 @@ export class BookDetailModal {
         // URL
         this.populateUrl(audiobook.url);
 
+        // Progress
+        this.populateProgress(audiobook);
+
         // Categories
         this.populateGenres(audiobook.genres);
         this.populateMoods(audiobook.moods);
+        this.populateLists(audiobook);
+    }
+
+    /**
+     * Populate the series label and the hint for the next book in the series
+     * @param {Audiobook} audiobook - Audiobook data
+     */
+    populateSeries(audiobook) {
+        const label = formatSeriesLabel(audiobook);
+        this.modalElement.querySelector('#detail-series').textContent = label ? `Series: ${label}` : '';
+
+        const nextButton = this.modalElement.querySelector('#detail-next-in-series');
+        this.nextInSeries = getNextInSeries(audiobook, this.library);
+
+        if (this.nextInSeries) {
+            const status = this.nextInSeries.status ? ` (${this.nextInSeries.status})` : '';
+            nextButton.textContent = `Next in series: #${this.nextInSeries.seriesPosition} ${this.nextInSeries.title}${status}`;
+            nextButton.classList.remove('hidden');
+        } else {
+            nextButton.textContent = '';
+            nextButton.classList.add('hidden');
+        }
     }
 
     /**
@@ -289,20 +376,20 @@ export class BookDetailModal {
 
     /**
      * Populate status indicator
-     * @param {Array} genres - Book genres
+     * @param {string} status - Listening status
      */
-    populateStatus(genres) {
+    populateStatus(status) {
         const statusContainer = this.modalElement.querySelector('#detail-status');
-        const statusGenres = ['next', 'done'];
-        const status = genres.find(genre => statusGenres.includes(genre));
-
-        if (status) {
-            const statusConfig = {
-                'next': { color: 'bg-orange-500', text: 'Next to Read' },
-                'done': { color: 'bg-green-500', text: 'Completed' }
-            };
+        const statusConfig = {
+            'wishlist': { color: 'bg-gray-500', text: 'On Wishlist' },
+            'queued': { color: 'bg-orange-500', text: 'Queued to Listen' },
+            'listening': { color: 'bg-blue-500', text: 'Currently Listening' },
+            'finished': { color: 'bg-green-500', text: 'Finished' },
+            'abandoned': { color: 'bg-red-500', text: 'Abandoned' }
+        };
+        const config = statusConfig[status];
 
-            const config = statusConfig[status];
+        if (config) {
             statusContainer.innerHTML = `
                 <span class="${config.color} text-white px-4 py-2 rounded-full text-sm font-medium">
                     ${config.text}
@@ -313,6 +400,38 @@ export class BookDetailModal {
         }
     }
 
+    /**
+     * Populate listening progress
+     * @param {Audiobook} audiobook - Audiobook data
+     */
+    populateProgress(audiobook) {
+        const progressContainer = this.modalElement.querySelector('#detail-progress');
+        const percent = calculateProgress(audiobook.position, audiobook.length);
+        const dates = [];
+
+        if (audiobook.startDate) {
+            dates.push(`Started ${new Date(audiobook.startDate).toLocaleDateString()}`);
+        }
+        if (audiobook.finishDate) {
+            dates.push(`Finished ${new Date(audiobook.finishDate).toLocaleDateString()}`);
+        }
+
+        if (!audiobook.position && dates.length === 0) {
+            progressContainer.innerHTML = '<span class="text-gray-400">Not started</span>';
+            return;
+        }
+
+        progressContainer.innerHTML = `
+            <div class="w-full bg-gray-200 rounded-full h-2.5 mb-2">
+                <div class="bg-blue-600 h-2.5 rounded-full" style="width: ${percent}%"></div>
+            </div>
+            <p class="text-sm text-gray-600">
+                ${audiobook.position ? `${this.escapeHtml(audiobook.position)} of ${this.escapeHtml(audiobook.length || 'unknown length')} (${percent}%)` : ''}
+            </p>
+            ${dates.length > 0 ? `<p class="text-sm text-gray-500">${dates.join(' · ')}</p>` : ''}
+        `;
+    }
+
     /**
      * Populate URL link
      * @param {string} url - Audible URL
@@ -341,7 +460,7 @@ export class BookDetailModal {
      */
     populateGenres(genres) {
         const genresContainer = this.modalElement.querySelector('#detail-genres');
-        const displayGenres = genres.filter(genre => !['next', 'done'].includes(genre));
+        const displayGenres = genres || [];
 
         if (displayGenres.length === 0) {
             genresContainer.innerHTML = '<span class="text-gray-400">No genres specified</span>';
@@ -385,6 +504,29 @@ export class BookDetailModal {
         moodsContainer.innerHTML = moodTags;
     }
 
+    /**
+     * Populate the list toggles
+     * @param {Audiobook} audiobook - Audiobook data
+     */
+    populateLists(audiobook) {
+        const listsContainer = this.modalElement.querySelector('#detail-lists');
+
+        if (this.lists.length === 0) {
+            listsContainer.innerHTML = '<span class="text-gray-400">No lists yet. Create one with the Lists button.</span>';
+            return;
+        }
+
+        listsContainer.innerHTML = this.lists.map(list => {
+            const included = (list.bookIds || []).includes(audiobook.id);
+            return `
+                <label class="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium cursor-pointer border focus-within:ring-2 focus-within:ring-blue-500 ${included ? 'bg-teal-50 border-teal-300 text-teal-800' : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50'}">
+                    <input type="checkbox" class="detail-list-toggle sr-only" data-list-id="${list.id}" ${included ? 'checked' : ''}>
+                    <span>${included ? '✓ ' : '+ '}${sanitizeString(list.name)}</span>
+                </label>
+            `;
+        }).join('');
+    }
+
     /**
      * Handle edit button click
      */
@@ -1,4 +1,5 @@
-import { Audiobook } from '../models/Audiobook.js';
+import { Audiobook, AUDIOBOOK_STATUSES } from '../models/Audiobook.js';
+import { parsePosition } from '../utils/helpers.js';
 
 /**
  * BookForm component for adding and editing audiobooks
@@ -16,7 +17,7 @@ export class BookForm {
         this.validationErrors = {};
 
         // Available options for genres and moods
-        this.defaultGenres = ['next', 'done', 'action', 'thriller', 'fantasy', 'sci-fi'];
+        this.defaultGenres = ['action', 'thriller', 'fantasy', 'sci-fi'];
         this.defaultMoods = ['funny', 'fast-paced', 'heavy'];
         this.customGenres = [];
         this.customMoods = [];
@@ -90,6 +91,30 @@ export class BookForm {
                                             placeholder="Enter narrator name">
                                         <div class="error-message hidden text-sm text-red-600 mt-1"></div>
                                     </div>
+                                    
+                                    <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+                                        <!-- Series -->
+                                        <div class="md:col-span-2">
+                                            <label for="series" class="block text-sm font-medium text-gray-700 mb-1">
+                                                Series
+                                            </label>
+                                            <input type="text" id="series" name="series"
+                                                class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                                placeholder="Enter series name">
+                                            <div class="error-message hidden text-sm text-red-600 mt-1"></div>
+                                        </div>
+                                        
+                                        <!-- Series Position -->
+                                        <div>
+                                            <label for="seriesPosition" class="block text-sm font-medium text-gray-700 mb-1">
+                                                Book #
+                                            </label>
+                                            <input type="number" id="seriesPosition" name="seriesPosition" step="any" min="0"
+                                                class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                                placeholder="1">
+                                            <div class="error-message hidden text-sm text-red-600 mt-1"></div>
+                                        </div>
+                                    </div>
                                 </div>
                                 
                                 <!-- URLs and Media -->
@@ -175,6 +200,52 @@ export class BookForm {
                                                 placeholder="10.99">
                                             <div class="error-message hidden text-sm text-red-600 mt-1"></div>
                                         </div>
+                                        
+                                        <!-- Status -->
+                                        <div>
+                                            <label for="status" class="block text-sm font-medium text-gray-700 mb-1">
+                                                Status
+                                            </label>
+                                            <select id="status" name="status"
+                                                class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                                                <option value="">No status</option>
+                                                ${AUDIOBOOK_STATUSES.map(status => `
+                                                    <option value="${status}">${status.charAt(0).toUpperCase() + status.slice(1)}</option>
+                                                `).join('')}
+                                            </select>
+                                            <div class="error-message hidden text-sm text-red-600 mt-1"></div>
+                                        </div>
+                                        
+                                        <!-- Position (hh:mm) -->
+                                        <div>
+                                            <label for="position" class="block text-sm font-medium text-gray-700 mb-1">
+                                                Position (hh:mm)
+                                            </label>
+                                            <input type="text" id="position" name="position"
+                                                class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                                placeholder="4:15">
+                                            <div class="error-message hidden text-sm text-red-600 mt-1"></div>
+                                        </div>
+                                        
+                                        <!-- Start Date -->
+                                        <div>
+                                            <label for="startDate" class="block text-sm font-medium text-gray-700 mb-1">
+                                                Start Date
+                                            </label>
+                                            <input type="date" id="startDate" name="startDate"
+                                                class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                                            <div class="error-message hidden text-sm text-red-600 mt-1"></div>
+                                        </div>
+                                        
+                                        <!-- Finish Date -->
+                                        <div>
+                                            <label for="finishDate" class="block text-sm font-medium text-gray-700 mb-1">
+                                                Finish Date
+                                            </label>
+                                            <input type="date" id="finishDate" name="finishDate"
+                                                class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                                            <div class="error-message hidden text-sm text-red-600 mt-1"></div>
+                                        </div>
                                     </div>
                                 </div>
                                 
@@ -380,7 +451,7 @@ export class BookForm {
         this.resetForm();
 
         // Populate basic fields
-        const fields = ['title', 'author', 'narrator', 'url', 'image', 'length', 'releaseDate', 'rating', 'price'];
+        const fields = ['title', 'author', 'narrator', 'series', 'url', 'image', 'length', 'releaseDate', 'rating', 'price', 'status', 'position', 'startDate', 'finishDate'];
         fields.forEach(field => {
             const input = this.formElement.querySelector(`#${field}`);
             if (input && audiobook[field] !== undefined) {
@@ -388,6 +459,9 @@ export class BookForm {
             }
         });
 
+        // Position 0 (a prequel) is a real value, so don't fall back on falsy
+        this.formElement.querySelector('#seriesPosition').value = audiobook.seriesPosition ?? '';
+
         // Update image preview if image URL exists
         if (audiobook.image) {
             this.updateImagePreview();
@@ -527,7 +601,8 @@ export class BookForm {
         try {
             const formData = this.getFormData();
             const audiobook = this.audiobook
-                ? new Audiobook({ ...formData, id: this.audiobook.id })
+                // Keep fields the form doesn't edit (timestamps etc.) when updating
+                ? new Audiobook({ ...this.audiobook, ...formData, id: this.audiobook.id })
                 : new Audiobook(formData);
 
             // Validate the audiobook
@@ -576,6 +651,7 @@ export class BookForm {
         if (data.price) {
             data.price = parseFloat(data.price);
         }
+        data.seriesPosition = data.seriesPosition ? parseFloat(data.seriesPosition) : null;
 
         // Get selected genres and moods
         const genreCheckboxes = this.formElement.querySelectorAll('input[name="genres"]:checked');
@@ -605,7 +681,7 @@ export class BookForm {
         });
 
         // Validate optional fields with specific rules
-        const optionalFields = ['url', 'image', 'rating', 'price', 'releaseDate'];
+        const optionalFields = ['url', 'image', 'rating', 'price', 'releaseDate', 'position', 'startDate', 'finishDate', 'seriesPosition'];
         optionalFields.forEach(fieldName => {
             const field = this.formElement.querySelector(`#${fieldName}`);
             if (field.value.trim()) {
@@ -667,9 +743,40 @@ export class BookForm {
                 break;
 
             case 'releaseDate':
+            case 'startDate':
+                if (value && !this.isValidDate(value)) {
+                    errorMessage = 'Please enter a valid date';
+                    isValid = false;
+                }
+                break;
+
+            case 'finishDate':
                 if (value && !this.isValidDate(value)) {
                     errorMessage = 'Please enter a valid date';
                     isValid = false;
+                } else if (value && this.formElement.querySelector('#startDate').value > value) {
+                    errorMessage = 'Finish date cannot be before start date';
+                    isValid = false;
+                }
+                break;
+
+            case 'seriesPosition':
+                if (value) {
+                    const seriesPosition = parseFloat(value);
+                    if (isNaN(seriesPosition) || seriesPosition < 0) {
+                        errorMessage = 'Book number must be 0 or more';
+                        isValid = false;
+                    } else if (!this.formElement.querySelector('#series').value.trim()) {
+                        errorMessage = 'Enter a series name for this book number';
+                        isValid = false;
+                    }
+                }
+                break;
+
+            case 'position':
+                if (value && parsePosition(value) === null) {
+                    errorMessage = 'Position must be in hh:mm format';
+                    isValid = false;
                 }
                 break;
         }
@@ -1,6 +1,9 @@
+const IGNORED_FIELDS = ['id', 'lastModified', 'dateAdded'];
+
 /**
  * ConflictResolutionModal - UI component for handling sync conflicts
- * Provides options for manual conflict resolution when automatic resolution fails
+ * Provides options for manual conflict resolution when automatic resolution fails,
+ * including a book-by-book diff where a side can be chosen per book or per field
  */
 export class ConflictResolutionModal {
     constructor() {
@@ -9,6 +12,8 @@ export class ConflictResolutionModal {
         this.onResolve = null;
         this.onCancel = null;
         this.conflictData = null;
+        this.bookDiffs = [];
+        this.selectedResolution = null;
     }
 
     /**
@@ -16,11 +21,13 @@ export class ConflictResolutionModal {
      * @param {Object} conflictInfo - Conflict information
      * @param {Object} localData - Local data
      * @param {Object} remoteData - Remote data
-     * @param {Function} onResolve - Callback for resolution choice
+     * @param {Function} onResolve - Callback for resolution choice: (resolution, choices) where
+     *   choices are the per-book choices for SyncManager.resolveConflict when resolution is 'custom'
      * @param {Function} onCancel - Callback for cancellation
+     * @param {Object} mergedData - What the 'merge' resolution would produce, used for the preselected choices
      */
-    show(conflictInfo, localData, remoteData, onResolve, onCancel) {
-        this.conflictData = { conflictInfo, localData, remoteData };
+    show(conflictInfo, localData, remoteData, onResolve, onCancel, mergedData = null) {
+        this.conflictData = { conflictInfo, localData, remoteData, mergedData };
         this.onResolve = onResolve;
         this.onCancel = onCancel;
 
@@ -48,6 +55,8 @@ export class ConflictResolutionModal {
         this.conflictData = null;
         this.onResolve = null;
         this.onCancel = null;
+        this.bookDiffs = [];
+        this.selectedResolution = null;
     }
 
     /**
@@ -55,10 +64,14 @@ export class ConflictResolutionModal {
      * @private
      */
     createModal() {
-        // Remove existing modal if present
+        // Remove existing modal if present, keeping the data it is about to show
+        const conflictData = this.conflictData;
+        const { onResolve, onCancel } = this;
         this.hide();
+        Object.assign(this, { conflictData, onResolve, onCancel });
 
-        const { conflictInfo, localData, remoteData } = this.conflictData;
+        const { conflictInfo, localData, remoteData, mergedData } = conflictData;
+        this.bookDiffs = this.buildBookDiffs(conflictInfo, localData, remoteData, mergedData);
 
         // Create modal overlay
         this.modal = document.createElement('div');
@@ -69,7 +82,7 @@ export class ConflictResolutionModal {
 
         // Create modal content
         const modalContent = document.createElement('div');
-        modalContent.className = 'bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto';
+        modalContent.className = 'bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-y-auto';
 
         modalContent.innerHTML = `
             <div class="p-6">
@@ -101,6 +114,7 @@ export class ConflictResolutionModal {
                     </div>
                     
                     ${this.renderConflictDetails(conflictInfo, localData, remoteData)}
+                    ${this.renderBookDiffs(this.bookDiffs)}
                 </div>
                 
                 <div class="space-y-4">
@@ -151,6 +165,21 @@ export class ConflictResolutionModal {
                                 </div>
                             </div>
                         </button>
+                        
+                        <button type="button" class="resolution-btn w-full text-left p-4 border border-gray-200 rounded-lg hover:border-blue-300 hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500" data-resolution="custom">
+                            <div class="flex items-start">
+                                <div class="flex-shrink-0 mt-1">
+                                    <div class="w-4 h-4 border-2 border-blue-500 rounded-full flex items-center justify-center">
+                                        <div class="w-2 h-2 bg-blue-500 rounded-full opacity-0 resolution-radio"></div>
+                                    </div>
+                                </div>
+                                <div class="ml-3">
+                                    <h4 class="font-medium text-gray-900">Choose Book by Book</h4>
+                                    <p class="text-sm text-gray-600">Use the versions picked for each book and field above</p>
+                                    <p class="text-xs text-gray-500 mt-1">Selected automatically when you change a choice</p>
+                                </div>
+                            </div>
+                        </button>
                     </div>
                 </div>
                 
@@ -220,37 +249,37 @@ export class ConflictResolutionModal {
      * @private
      */
     setupEventListeners() {
-        let selectedResolution = null;
-
         // Resolution button selection
         const resolutionButtons = this.modal.querySelectorAll('.resolution-btn');
         const resolveButton = this.modal.querySelector('.resolve-btn');
 
         resolutionButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                // Clear previous selection
-                resolutionButtons.forEach(btn => {
-                    btn.classList.remove('border-blue-500', 'bg-blue-50');
-                    btn.classList.add('border-gray-200');
-                    const radio = btn.querySelector('.resolution-radio');
-                    if (radio) radio.style.opacity = '0';
-                });
+            button.addEventListener('click', () => this.selectResolution(button.dataset.resolution));
+        });
 
-                // Select current button
-                button.classList.remove('border-gray-200');
-                button.classList.add('border-blue-500', 'bg-blue-50');
-                const radio = button.querySelector('.resolution-radio');
-                if (radio) radio.style.opacity = '1';
+        // Book-by-book choices
+        this.modal.querySelectorAll('.conflict-book').forEach(bookElement => {
+            bookElement.addEventListener('change', (event) => {
+                if (event.target.classList.contains('book-side')) {
+                    bookElement.querySelectorAll(`.field-side[value="${event.target.value}"]`).forEach(input => {
+                        input.checked = true;
+                    });
+                } else if (event.target.classList.contains('field-side')) {
+                    this.updateBookSide(bookElement);
+                }
 
-                selectedResolution = button.dataset.resolution;
-                resolveButton.disabled = false;
+                this.selectResolution('custom');
             });
         });
 
         // Resolve button
         resolveButton.addEventListener('click', () => {
-            if (selectedResolution && this.onResolve) {
-                this.onResolve(selectedResolution);
+            if (this.selectedResolution && this.onResolve) {
+                if (this.selectedResolution === 'custom') {
+                    this.onResolve('custom', this.collectChoices());
+                } else {
+                    this.onResolve(this.selectedResolution);
+                }
                 this.hide();
             }
         });
@@ -289,6 +318,318 @@ export class ConflictResolutionModal {
         });
     }
 
+    /**
+     * Mark a resolution option as selected and enable the resolve button
+     * @private
+     * @param {string} resolution - Resolution strategy
+     */
+    selectResolution(resolution) {
+        this.modal.querySelectorAll('.resolution-btn').forEach(button => {
+            const isSelected = button.dataset.resolution === resolution;
+            button.classList.toggle('border-blue-500', isSelected);
+            button.classList.toggle('bg-blue-50', isSelected);
+            button.classList.toggle('border-gray-200', !isSelected);
+            const radio = button.querySelector('.resolution-radio');
+            if (radio) radio.style.opacity = isSelected ? '1' : '0';
+        });
+
+        this.selectedResolution = resolution;
+        this.modal.querySelector('.resolve-btn').disabled = false;
+    }
+
+    /**
+     * List the books that differ between the two devices
+     * Each field starts on the side "merge" would take, so leaving the
+     * choices alone resolves the same way merging does.
+     * @private
+     * @param {Object} conflictInfo - Conflict information
+     * @param {Object} localData - Local data
+     * @param {Object} remoteData - Remote data
+     * @param {Object|null} mergedData - Merge preview
+     * @returns {Array} Book diffs: { id, title, kind, defaultSide, fields }
+     */
+    buildBookDiffs(conflictInfo, localData, remoteData, mergedData) {
+        const toPlain = book => (typeof book.toJSON === 'function' ? book.toJSON() : { ...book });
+        const localBooks = new Map(localData.audiobooks.map(book => [book.id, toPlain(book)]));
+        const remoteBooks = new Map(remoteData.audiobooks.map(book => [book.id, toPlain(book)]));
+        const mergedBooks = mergedData ? new Map(mergedData.audiobooks.map(book => [book.id, toPlain(book)])) : null;
+        const bothChanged = new Set((conflictInfo.fieldConflicts || []).map(conflict => `${conflict.id}\n${conflict.field}`));
+
+        const diffs = [];
+        const ids = new Set([...localBooks.keys(), ...remoteBooks.keys()]);
+
+        ids.forEach(id => {
+            const local = localBooks.get(id);
+            const remote = remoteBooks.get(id);
+            const merged = mergedBooks?.get(id);
+
+            if (!local || !remote) {
+                // Merging keeps a one-sided book unless it was deleted on the other device
+                const kept = mergedBooks ? Boolean(merged) : true;
+                diffs.push({
+                    id,
+                    title: (local || remote).title,
+                    kind: local ? 'local-only' : 'remote-only',
+                    defaultSide: kept === Boolean(local) ? 'local' : 'remote',
+                    fields: []
+                });
+                return;
+            }
+
+            const localIsNewer = new Date(local.lastModified || 0) >= new Date(remote.lastModified || 0);
+            const fields = [...new Set([...Object.keys(local), ...Object.keys(remote)])]
+                .filter(field => !IGNORED_FIELDS.includes(field) && !this.valuesEqual(local[field], remote[field]))
+                .map(field => {
+                    let defaultSide = localIsNewer ? 'local' : 'remote';
+                    if (merged) {
+                        if (this.valuesEqual(merged[field], local[field])) {
+                            defaultSide = 'local';
+                        } else if (this.valuesEqual(merged[field], remote[field])) {
+                            defaultSide = 'remote';
+                        } else {
+                            defaultSide = 'merged';
+                        }
+                    }
+
+                    return {
+                        field,
+                        local: local[field],
+                        remote: remote[field],
+                        merged: merged?.[field],
+                        defaultSide,
+                        changedOnBoth: bothChanged.has(`${id}\n${field}`)
+                    };
+                });
+
+            if (fields.length === 0) {
+                return;
+            }
+
+            const sides = new Set(fields.map(field => field.defaultSide));
+            diffs.push({
+                id,
+                title: local.title || remote.title,
+                kind: 'changed',
+                defaultSide: sides.size === 1 && !sides.has('merged') ? [...sides][0] : null,
+                fields
+            });
+        });
+
+        return diffs;
+    }
+
+    /**
+     * Render the list of differing books with a choice per book and per field
+     * @private
+     * @param {Array} diffs - Book diffs from buildBookDiffs
+     * @returns {string} HTML string
+     */
+    renderBookDiffs(diffs) {
+        if (diffs.length === 0) {
+            return `
+                <p class="text-sm text-gray-600 mt-4">
+                    No books differ between the devices; only lists or smart collections do.
+                </p>
+            `;
+        }
+
+        return `
+            <div class="mt-4">
+                <h4 class="font-medium text-gray-900">Book by Book (${diffs.length})</h4>
+                <p class="text-xs text-gray-500 mb-3">
+                    The preselected versions are what "Merge Both Changes" would keep.
+                </p>
+                <div class="space-y-3">
+                    ${diffs.map((diff, index) => this.renderBookDiff(diff, index)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one differing book
+     * @private
+     * @param {Object} diff - Book diff
+     * @param {number} index - Position in the list, used to name its inputs
+     * @returns {string} HTML string
+     */
+    renderBookDiff(diff, index) {
+        const title = this.escapeHtml(diff.title || 'Untitled');
+        const badges = {
+            'changed': { text: 'Changed on both devices', color: 'bg-yellow-100 text-yellow-800' },
+            'local-only': { text: 'Only on this device', color: 'bg-blue-100 text-blue-800' },
+            'remote-only': { text: 'Only on other device', color: 'bg-purple-100 text-purple-800' }
+        };
+        const badge = badges[diff.kind];
+
+        // A one-sided book is kept by choosing the side that has it
+        const sideLabels = diff.kind === 'changed'
+            ? { local: 'This device', remote: 'Other device' }
+            : diff.kind === 'local-only'
+                ? { local: 'Keep', remote: 'Delete' }
+                : { local: 'Delete', remote: 'Keep' };
+
+        const sideOption = side => `
+            <label class="flex items-center gap-1 cursor-pointer">
+                <input type="radio" class="book-side" name="book-side-${index}" value="${side}"
+                    ${diff.defaultSide === side ? 'checked' : ''}>
+                <span>${sideLabels[side]}</span>
+            </label>
+        `;
+
+        return `
+            <div class="conflict-book border border-gray-200 rounded-lg p-3" data-book-index="${index}">
+                <div class="flex flex-wrap items-center justify-between gap-2">
+                    <div>
+                        <span class="font-medium text-gray-900">${title}</span>
+                        <span class="ml-2 text-xs px-2 py-0.5 rounded-full ${badge.color}">${badge.text}</span>
+                    </div>
+                    <div class="flex gap-4 text-sm text-gray-700" role="radiogroup" aria-label="Version of ${title} to keep">
+                        ${diff.kind === 'remote-only' ? sideOption('remote') + sideOption('local') : sideOption('local') + sideOption('remote')}
+                    </div>
+                </div>
+                ${diff.fields.length > 0 ? this.renderFieldTable(diff, index) : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the side-by-side values of a changed book's differing fields
+     * @private
+     * @param {Object} diff - Book diff
+     * @param {number} index - Position of the book in the list
+     * @returns {string} HTML string
+     */
+    renderFieldTable(diff, index) {
+        const option = (field, fieldIndex, side, value) => `
+            <label class="flex items-start gap-2 cursor-pointer">
+                <input type="radio" class="field-side mt-1" name="field-side-${index}-${fieldIndex}"
+                    data-field="${this.escapeHtml(field.field)}" value="${side}" ${field.defaultSide === side ? 'checked' : ''}>
+                <span class="break-words min-w-0">${value}</span>
+            </label>
+        `;
+
+        const rows = diff.fields.map((field, fieldIndex) => `
+            <tr class="align-top border-t border-gray-100">
+                <th scope="row" class="font-normal text-gray-700 py-2 pr-3 text-left">
+                    ${this.escapeHtml(this.formatFieldName(field.field))}
+                    ${field.changedOnBoth ? '<span class="block text-xs text-yellow-700">Changed on both</span>' : ''}
+                </th>
+                <td class="py-2 pr-3">${option(field, fieldIndex, 'local', this.formatValue(field.local))}</td>
+                <td class="py-2">
+                    ${option(field, fieldIndex, 'remote', this.formatValue(field.remote))}
+                    ${field.defaultSide === 'merged' ? `
+                        <div class="mt-2">${option(field, fieldIndex, 'merged', `Combined: ${this.formatValue(field.merged)}`)}</div>
+                    ` : ''}
+                </td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="w-full text-sm mt-3 table-fixed">
+                <thead>
+                    <tr class="text-left text-xs text-gray-500">
+                        <th class="font-medium pb-1 w-1/5">Field</th>
+                        <th class="font-medium pb-1">This device</th>
+                        <th class="font-medium pb-1">Other device</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Check a book's side when all its fields are on that side, or clear it when mixed
+     * @private
+     * @param {HTMLElement} bookElement - Book diff element
+     */
+    updateBookSide(bookElement) {
+        const sides = new Set(Array.from(bookElement.querySelectorAll('.field-side:checked')).map(input => input.value));
+        const side = sides.size === 1 ? [...sides][0] : null;
+
+        bookElement.querySelectorAll('.book-side').forEach(input => {
+            input.checked = input.value === side;
+        });
+    }
+
+    /**
+     * Read the chosen side of every differing book
+     * @private
+     * @returns {Object} Choices keyed by book ID, for SyncManager.resolveConflict
+     */
+    collectChoices() {
+        const choices = {};
+
+        this.modal.querySelectorAll('.conflict-book').forEach(bookElement => {
+            const diff = this.bookDiffs[Number(bookElement.dataset.bookIndex)];
+            const side = bookElement.querySelector('.book-side:checked')?.value;
+            const fields = {};
+
+            bookElement.querySelectorAll('.field-side:checked').forEach(input => {
+                fields[input.dataset.field] = input.value;
+            });
+
+            choices[diff.id] = {
+                // Mixed books start from this device's version, overridden field by field
+                side: side || 'local',
+                fields
+            };
+        });
+
+        return choices;
+    }
+
+    /**
+     * Compare two field values, treating empty values as equal
+     * @private
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} True if equal
+     */
+    valuesEqual(a, b) {
+        const normalize = value => (value === undefined || value === null || value === '' ||
+            (Array.isArray(value) && value.length === 0) ? null : value);
+        return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+    }
+
+    /**
+     * Turn a field name into a label, e.g. seriesPosition -> "Series position"
+     * @private
+     * @param {string} field - Field name
+     * @returns {string} Label
+     */
+    formatFieldName(field) {
+        const words = field.replace(/([A-Z])/g, ' $1').toLowerCase();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    /**
+     * Format a field value for display
+     * @private
+     * @param {*} value - Field value
+     * @returns {string} Escaped HTML
+     */
+    formatValue(value) {
+        if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return '<span class="text-gray-400 italic">empty</span>';
+        }
+
+        return this.escapeHtml(Array.isArray(value) ? value.join(', ') : String(value));
+    }
+
+    /**
+     * Escape text for use in HTML
+     * @private
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
     /**
      * Format timestamp for display
      * @private
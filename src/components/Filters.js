@@ -1,6 +1,18 @@
+import { AUDIOBOOK_STATUSES } from '../models/Audiobook.js';
+import { FilterManager, MATCH_MODES, RANGE_FIELDS } from '../utils/FilterManager.js';
+import { sanitizeString } from '../utils/helpers.js';
+
+const MATCH_MODE_LABELS = {
+    any: 'Any of',
+    all: 'All of',
+    none: 'None of'
+};
+
 /**
- * Filters component for genre and mood filtering of audiobooks
- * Provides checkboxes for multiple filter criteria
+ * Filters component for status, list, genre, mood and numeric range filtering of audiobooks
+ * Provides checkboxes for multiple filter criteria, with an any/all/none-of
+ * match mode per genre and mood section, and range sliders with a histogram for
+ * rating, price, length and release year
  */
 export class Filters {
     constructor(container, onFiltersChange) {
@@ -8,8 +20,16 @@ export class Filters {
         this.onFiltersChange = onFiltersChange;
         this.selectedGenres = new Set();
         this.selectedMoods = new Set();
+        this.selectedStatuses = new Set();
+        this.selectedLists = new Set(); // Selected manual list IDs
+        this.genreMode = 'any';
+        this.moodMode = 'any';
+        this.ranges = {}; // Active ranges keyed by RANGE_FIELDS name
+        this.histograms = {}; // Value distribution per range field, null when no book has a value
         this.availableGenres = new Set();
         this.availableMoods = new Set();
+        this.availableStatuses = new Set();
+        this.availableLists = []; // Manual lists in display order
         this.customGenres = new Set();
         this.customMoods = new Set();
 
@@ -27,11 +47,15 @@ export class Filters {
         // Clear existing options
         this.availableGenres.clear();
         this.availableMoods.clear();
+        this.availableStatuses.clear();
         this.customGenres = new Set(customGenres);
         this.customMoods = new Set(customMoods);
 
-        // Extract all genres and moods from audiobooks
+        // Extract all statuses, genres and moods from audiobooks
         audiobooks.forEach(audiobook => {
+            if (audiobook.status) {
+                this.availableStatuses.add(audiobook.status);
+            }
             if (audiobook.genres) {
                 audiobook.genres.forEach(genre => this.availableGenres.add(genre));
             }
@@ -40,17 +64,44 @@ export class Filters {
             }
         });
 
+        Object.keys(RANGE_FIELDS).forEach(field => {
+            this.histograms[field] = FilterManager.buildHistogram(audiobooks, field);
+        });
+
         // Re-render with updated options
         this.render();
         this.setupEventListeners();
     }
 
+    /**
+     * Update the manual lists that can be filtered by
+     * Selections of lists that no longer exist are dropped.
+     * @param {Array} lists - Lists in display order
+     */
+    updateAvailableLists(lists) {
+        this.availableLists = lists || [];
+
+        const listIds = new Set(this.availableLists.map(list => list.id));
+        const selectionChanged = [...this.selectedLists].some(id => !listIds.has(id));
+        this.selectedLists = new Set([...this.selectedLists].filter(id => listIds.has(id)));
+
+        this.render();
+        this.setupEventListeners();
+
+        if (selectionChanged && this.onFiltersChange) {
+            this.onFiltersChange(this.getFilters());
+        }
+    }
+
     /**
      * Render the filters component
      */
     render() {
+        const statusOptions = this.renderFilterSection('Status', Array.from(this.availableStatuses), this.selectedStatuses, 'status');
+        const listOptions = this.renderListSection();
         const genreOptions = this.renderFilterSection('Genres', Array.from(this.availableGenres), this.selectedGenres, 'genre');
         const moodOptions = this.renderFilterSection('Moods', Array.from(this.availableMoods), this.selectedMoods, 'mood');
+        const rangeSections = Object.keys(RANGE_FIELDS).map(field => this.renderRangeSection(field)).join('');
 
         this.container.innerHTML = `
             <div class="filters-container">
@@ -65,8 +116,11 @@ export class Filters {
                     </button>
                 </div>
 
+                ${statusOptions}
+                ${listOptions}
                 ${genreOptions}
                 ${moodOptions}
+                ${rangeSections}
 
                 <div class="mt-6 pt-4 border-t border-gray-200">
                     <div class="text-sm text-gray-600" id="filter-summary" role="status" aria-live="polite">
@@ -78,11 +132,11 @@ export class Filters {
     }
 
     /**
-     * Render a filter section (genres or moods)
+     * Render a filter section (statuses, genres or moods)
      * @param {string} title - Section title
      * @param {Array} options - Available options
      * @param {Set} selectedOptions - Currently selected options
-     * @param {string} type - Filter type ('genre' or 'mood')
+     * @param {string} type - Filter type ('status', 'genre' or 'mood')
      * @returns {string} HTML string for the section
      */
     renderFilterSection(title, options, selectedOptions, type) {
@@ -99,6 +153,11 @@ export class Filters {
             if (aIsPredefined && !bIsPredefined) return -1;
             if (!aIsPredefined && bIsPredefined) return 1;
 
+            // Statuses follow the listening lifecycle rather than the alphabet
+            if (type === 'status' && aIsPredefined && bIsPredefined) {
+                return predefinedOptions.indexOf(a) - predefinedOptions.indexOf(b);
+            }
+
             return a.localeCompare(b);
         });
 
@@ -125,7 +184,10 @@ export class Filters {
 
         return `
             <fieldset class="filter-section mb-6">
-                <legend class="text-sm font-medium text-gray-900 mb-3">${title}</legend>
+                <legend class="w-full flex items-center justify-between text-sm font-medium text-gray-900 mb-3">
+                    <span>${title}</span>
+                    ${type === 'status' ? '' : this.renderMatchModeSelect(type)}
+                </legend>
                 <div class="space-y-1 max-h-48 overflow-y-auto" role="group" aria-labelledby="${type}-filters-legend">
                     ${checkboxes}
                 </div>
@@ -134,13 +196,167 @@ export class Filters {
     }
 
     /**
-     * Get predefined options for a filter type
+     * Render the manual list section, with the number of books in each list
+     * @returns {string} HTML string for the section
+     */
+    renderListSection() {
+        if (this.availableLists.length === 0) {
+            return '';
+        }
+
+        const checkboxes = this.availableLists.map(list => {
+            const checkboxId = `list-${list.id}`;
+            const count = (list.bookIds || []).length;
+
+            return `
+                <label class="flex items-center space-x-2 cursor-pointer hover:bg-gray-50 focus-within:bg-gray-50 p-2 rounded touch-spacing keyboard-focusable">
+                    <input
+                        type="checkbox"
+                        id="${checkboxId}"
+                        data-type="list"
+                        data-value="${list.id}"
+                        class="filter-checkbox rounded border-gray-300 text-blue-600 focus:ring-blue-500 focus:ring-2 keyboard-focusable"
+                        ${this.selectedLists.has(list.id) ? 'checked' : ''}
+                        aria-describedby="${checkboxId}-label"
+                    />
+                    <span id="${checkboxId}-label" class="text-sm text-gray-700 flex-1 truncate">${sanitizeString(list.name)}</span>
+                    <span class="text-xs text-gray-400 ml-auto" aria-hidden="true">${count}</span>
+                </label>
+            `;
+        }).join('');
+
+        return `
+            <fieldset class="filter-section mb-6">
+                <legend class="w-full text-sm font-medium text-gray-900 mb-3">Lists</legend>
+                <div class="space-y-1 max-h-48 overflow-y-auto" role="group">
+                    ${checkboxes}
+                </div>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Render a range slider section with a histogram of the collection's values
+     * @param {string} field - RANGE_FIELDS name
+     * @returns {string} HTML string for the section
+     */
+    renderRangeSection(field) {
+        const histogram = this.histograms[field];
+        if (!histogram) {
+            return '';
+        }
+
+        const { label, step } = RANGE_FIELDS[field];
+        const range = this.getRange(field);
+        const peak = Math.max(...histogram.buckets.map(bucket => bucket.count));
+
+        const bars = histogram.buckets.map(bucket => {
+            const height = bucket.count > 0 ? Math.max(8, Math.round((bucket.count / peak) * 100)) : 0;
+            return `
+                <div
+                    class="range-bar flex-1 rounded-t ${this.isBucketInRange(bucket, range) ? 'bg-blue-400' : 'bg-gray-200'}"
+                    style="height: ${height}%"
+                    data-from="${bucket.from}"
+                    data-to="${bucket.to}"
+                    title="${this.formatRange(field, bucket.from, bucket.to)}: ${bucket.count} book${bucket.count !== 1 ? 's' : ''}"
+                ></div>
+            `;
+        }).join('');
+
+        const slider = (bound) => `
+            <input
+                type="range"
+                class="range-input w-full accent-blue-600 keyboard-focusable"
+                data-field="${field}"
+                data-bound="${bound}"
+                min="${histogram.min}"
+                max="${histogram.max}"
+                step="${step}"
+                value="${range[bound]}"
+                aria-label="${bound === 'min' ? 'Minimum' : 'Maximum'} ${label.toLowerCase()}"
+            />
+        `;
+
+        return `
+            <fieldset class="filter-section range-section mb-6" data-field="${field}">
+                <legend class="w-full flex items-center justify-between text-sm font-medium text-gray-900 mb-3">
+                    <span>${label}</span>
+                    <span class="range-value text-xs font-normal text-gray-500">${this.formatRange(field, range.min, range.max)}</span>
+                </legend>
+                <div class="range-histogram flex items-end gap-px h-10" aria-hidden="true">
+                    ${bars}
+                </div>
+                <div class="mt-2 space-y-1">
+                    ${slider('min')}
+                    ${slider('max')}
+                </div>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Get the selected range for a field, defaulting to the full histogram span
+     * @param {string} field - RANGE_FIELDS name
+     * @returns {Object} { min, max }
+     */
+    getRange(field) {
+        const histogram = this.histograms[field];
+        return this.ranges[field] || { min: histogram?.min ?? 0, max: histogram?.max ?? 0 };
+    }
+
+    /**
+     * Check whether a histogram bucket overlaps the selected range
+     * @param {Object} bucket - Histogram bucket
+     * @param {Object} range - Selected range
+     * @returns {boolean} True if any part of the bucket is selected
+     */
+    isBucketInRange(bucket, range) {
+        return bucket.to >= range.min && bucket.from <= range.max;
+    }
+
+    /**
+     * Format a range for display, e.g. "$10–$25"
+     * @param {string} field - RANGE_FIELDS name
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {string} Formatted range
+     */
+    formatRange(field, min, max) {
+        return `${FilterManager.formatRangeValue(field, min)}–${FilterManager.formatRangeValue(field, max)}`;
+    }
+
+    /**
+     * Render the any/all/none-of selector for a genre or mood section
      * @param {string} type - Filter type ('genre' or 'mood')
+     * @returns {string} HTML string for the selector
+     */
+    renderMatchModeSelect(type) {
+        const currentMode = type === 'genre' ? this.genreMode : this.moodMode;
+        const options = MATCH_MODES.map(mode => `
+            <option value="${mode}" ${mode === currentMode ? 'selected' : ''}>${MATCH_MODE_LABELS[mode]}</option>
+        `).join('');
+
+        return `
+            <select
+                class="match-mode-select text-xs border-gray-300 rounded py-0.5 pl-2 pr-7 focus:ring-blue-500 focus:border-blue-500 keyboard-focusable"
+                data-type="${type}"
+                aria-label="Show books with any, all or none of the selected ${type === 'genre' ? 'genres' : 'moods'}"
+            >
+                ${options}
+            </select>
+        `;
+    }
+
+    /**
+     * Get predefined options for a filter type
+     * @param {string} type - Filter type ('status', 'genre' or 'mood')
      * @returns {Array} Array of predefined options
      */
     getPredefinedOptions(type) {
-        if (type === 'genre') {
-            return ['next', 'done', 'action', 'thriller', 'fantasy', 'sci-fi'];
+        if (type === 'status') {
+            return AUDIOBOOK_STATUSES;
+        } else if (type === 'genre') {
+            return ['action', 'thriller', 'fantasy', 'sci-fi'];
         } else if (type === 'mood') {
             return ['funny', 'fast-paced', 'heavy'];
         }
@@ -185,6 +401,25 @@ export class Filters {
             });
         });
 
+        // Match mode changes
+        const modeSelects = this.container.querySelectorAll('.match-mode-select');
+        modeSelects.forEach(select => {
+            select.addEventListener('change', (event) => {
+                this.handleMatchModeChange(event.target.dataset.type, event.target.value);
+            });
+        });
+
+        // Range sliders: preview while dragging, apply on release
+        const rangeInputs = this.container.querySelectorAll('.range-input');
+        rangeInputs.forEach(input => {
+            input.addEventListener('input', (event) => {
+                this.handleRangeInput(event.target, false);
+            });
+            input.addEventListener('change', (event) => {
+                this.handleRangeInput(event.target, true);
+            });
+        });
+
         // Clear all filters button
         const clearAllBtn = this.container.querySelector('#clear-all-filters-btn');
         if (clearAllBtn) {
@@ -215,16 +450,129 @@ export class Filters {
             } else {
                 this.selectedMoods.delete(value);
             }
+        } else if (type === 'status') {
+            if (isChecked) {
+                this.selectedStatuses.add(value);
+            } else {
+                this.selectedStatuses.delete(value);
+            }
+        } else if (type === 'list') {
+            if (isChecked) {
+                this.selectedLists.add(value);
+            } else {
+                this.selectedLists.delete(value);
+            }
+        }
+
+        this.updateFilterSummary();
+        this.updateClearAllButton();
+
+        if (this.onFiltersChange) {
+            this.onFiltersChange(this.getFilters());
+        }
+    }
+
+    /**
+     * Handle a range slider moving
+     * @param {HTMLInputElement} input - Slider that moved
+     * @param {boolean} commit - Apply the range (on release) rather than just preview it
+     */
+    handleRangeInput(input, commit) {
+        const field = input.dataset.field;
+        const histogram = this.histograms[field];
+        const section = input.closest('.range-section');
+        if (!histogram || !section) {
+            return;
+        }
+
+        const minInput = section.querySelector('.range-input[data-bound="min"]');
+        const maxInput = section.querySelector('.range-input[data-bound="max"]');
+
+        // Keep the handles from crossing: the moved one pushes the other
+        if (parseFloat(minInput.value) > parseFloat(maxInput.value)) {
+            if (input === minInput) {
+                maxInput.value = minInput.value;
+            } else {
+                minInput.value = maxInput.value;
+            }
+        }
+
+        const range = { min: parseFloat(minInput.value), max: parseFloat(maxInput.value) };
+        this.updateRangeDisplay(section, field, range);
+
+        if (!commit) {
+            return;
+        }
+
+        if (range.min <= histogram.min && range.max >= histogram.max) {
+            delete this.ranges[field];
+        } else {
+            this.ranges[field] = range;
         }
 
         this.updateFilterSummary();
         this.updateClearAllButton();
 
         if (this.onFiltersChange) {
-            this.onFiltersChange({
-                genres: Array.from(this.selectedGenres),
-                moods: Array.from(this.selectedMoods)
+            this.onFiltersChange(this.getFilters());
+        }
+    }
+
+    /**
+     * Update a range section's label and histogram highlighting
+     * @param {HTMLElement} section - Range section element
+     * @param {string} field - RANGE_FIELDS name
+     * @param {Object} range - Range to show
+     */
+    updateRangeDisplay(section, field, range) {
+        const valueLabel = section.querySelector('.range-value');
+        if (valueLabel) {
+            valueLabel.textContent = this.formatRange(field, range.min, range.max);
+        }
+
+        section.querySelectorAll('.range-bar').forEach(bar => {
+            const bucket = { from: parseFloat(bar.dataset.from), to: parseFloat(bar.dataset.to) };
+            const inRange = this.isBucketInRange(bucket, range);
+            bar.classList.toggle('bg-blue-400', inRange);
+            bar.classList.toggle('bg-gray-200', !inRange);
+        });
+    }
+
+    /**
+     * Sync all range sliders with the current ranges
+     */
+    updateRangeInputs() {
+        this.container.querySelectorAll('.range-section').forEach(section => {
+            const field = section.dataset.field;
+            const range = this.getRange(field);
+
+            section.querySelectorAll('.range-input').forEach(input => {
+                input.value = range[input.dataset.bound];
             });
+            this.updateRangeDisplay(section, field, range);
+        });
+    }
+
+    /**
+     * Handle a genre or mood match mode change
+     * @param {string} type - Filter type ('genre' or 'mood')
+     * @param {string} mode - New match mode
+     */
+    handleMatchModeChange(type, mode) {
+        if (!MATCH_MODES.includes(mode)) {
+            return;
+        }
+
+        if (type === 'genre') {
+            this.genreMode = mode;
+        } else if (type === 'mood') {
+            this.moodMode = mode;
+        }
+
+        this.updateFilterSummary();
+
+        if (this.onFiltersChange) {
+            this.onFiltersChange(this.getFilters());
         }
     }
 
@@ -234,30 +582,45 @@ export class Filters {
     clearAllFilters() {
         this.selectedGenres.clear();
         this.selectedMoods.clear();
+        this.selectedStatuses.clear();
+        this.selectedLists.clear();
+        this.genreMode = 'any';
+        this.moodMode = 'any';
+        this.ranges = {};
 
         // Uncheck all checkboxes
         const checkboxes = this.container.querySelectorAll('.filter-checkbox');
         checkboxes.forEach(checkbox => {
             checkbox.checked = false;
         });
+        this.updateMatchModeSelects();
+        this.updateRangeInputs();
 
         this.updateFilterSummary();
         this.updateClearAllButton();
 
         if (this.onFiltersChange) {
-            this.onFiltersChange({
-                genres: [],
-                moods: []
-            });
+            this.onFiltersChange(this.getFilters());
         }
     }
 
+    /**
+     * Sync the match mode selectors with the current modes
+     */
+    updateMatchModeSelects() {
+        const modeSelects = this.container.querySelectorAll('.match-mode-select');
+        modeSelects.forEach(select => {
+            select.value = select.dataset.type === 'genre' ? this.genreMode : this.moodMode;
+        });
+    }
+
     /**
      * Check if there are any active filters
      * @returns {boolean} True if filters are active
      */
     hasActiveFilters() {
-        return this.selectedGenres.size > 0 || this.selectedMoods.size > 0;
+        return this.selectedGenres.size > 0 || this.selectedMoods.size > 0 || this.selectedStatuses.size > 0 ||
+            this.selectedLists.size > 0 || Object.keys(this.ranges).length > 0;
     }
 
     /**
@@ -265,13 +628,23 @@ export class Filters {
      * @returns {string} Summary of active filters
      */
     getFilterSummary() {
-        const totalFilters = this.selectedGenres.size + this.selectedMoods.size;
+        const totalFilters = this.selectedGenres.size + this.selectedMoods.size + this.selectedStatuses.size +
+            this.selectedLists.size + Object.keys(this.ranges).length;
 
         if (totalFilters === 0) {
             return 'No filters applied';
         }
 
-        return `${totalFilters} filter${totalFilters !== 1 ? 's' : ''} applied`;
+        const modes = [];
+        if (this.selectedGenres.size > 0 && this.genreMode !== 'any') {
+            modes.push(`${MATCH_MODE_LABELS[this.genreMode].toLowerCase()} the genres`);
+        }
+        if (this.selectedMoods.size > 0 && this.moodMode !== 'any') {
+            modes.push(`${MATCH_MODE_LABELS[this.moodMode].toLowerCase()} the moods`);
+        }
+
+        const summary = `${totalFilters} filter${totalFilters !== 1 ? 's' : ''} applied`;
+        return modes.length > 0 ? `${summary} (${modes.join(', ')})` : summary;
     }
 
     /**
@@ -305,7 +678,12 @@ export class Filters {
     getFilters() {
         return {
             genres: Array.from(this.selectedGenres),
-            moods: Array.from(this.selectedMoods)
+            moods: Array.from(this.selectedMoods),
+            statuses: Array.from(this.selectedStatuses),
+            genreMode: this.genreMode,
+            moodMode: this.moodMode,
+            ranges: Object.fromEntries(Object.entries(this.ranges).map(([field, range]) => [field, { ...range }])),
+            lists: Array.from(this.selectedLists)
         };
     }
 
@@ -314,10 +692,22 @@ export class Filters {
      * @param {Object} filters - Filter state to set
      * @param {Array} filters.genres - Selected genres
      * @param {Array} filters.moods - Selected moods
+     * @param {Array} filters.statuses - Selected statuses
+     * @param {string} filters.genreMode - Genre match mode (default 'any')
+     * @param {string} filters.moodMode - Mood match mode (default 'any')
+     * @param {Object} filters.ranges - Numeric ranges keyed by RANGE_FIELDS name
+     * @param {Array} filters.lists - Selected manual list IDs
      */
     setFilters(filters) {
         this.selectedGenres = new Set(filters.genres || []);
         this.selectedMoods = new Set(filters.moods || []);
+        this.selectedStatuses = new Set(filters.statuses || []);
+        this.selectedLists = new Set(filters.lists || []);
+        this.genreMode = MATCH_MODES.includes(filters.genreMode) ? filters.genreMode : 'any';
+        this.moodMode = MATCH_MODES.includes(filters.moodMode) ? filters.moodMode : 'any';
+        this.ranges = FilterManager.sanitizeRanges(filters.ranges);
+        this.updateMatchModeSelects();
+        this.updateRangeInputs();
 
         // Update checkboxes
         const checkboxes = this.container.querySelectorAll('.filter-checkbox');
@@ -329,6 +719,10 @@ export class Filters {
                 checkbox.checked = this.selectedGenres.has(value);
             } else if (type === 'mood') {
                 checkbox.checked = this.selectedMoods.has(value);
+            } else if (type === 'status') {
+                checkbox.checked = this.selectedStatuses.has(value);
+            } else if (type === 'list') {
+                checkbox.checked = this.selectedLists.has(value);
             }
         });
 
@@ -342,35 +736,59 @@ export class Filters {
      * @param {Object} filters - Filter criteria
      * @param {Array} filters.genres - Selected genres
      * @param {Array} filters.moods - Selected moods
+     * @param {Array} filters.statuses - Selected statuses
+     * @param {string} filters.genreMode - Genre match mode (default 'any')
+     * @param {string} filters.moodMode - Mood match mode (default 'any')
+     * @param {Object} filters.ranges - Numeric ranges keyed by RANGE_FIELDS name
+     * @param {Array} filters.lists - Selected manual list IDs
+     * @param {Array} lists - Manual lists the list IDs refer to
      * @returns {Array} Filtered audiobooks
      */
-    static filterAudiobooks(audiobooks, filters) {
-        if (!filters || (!filters.genres?.length && !filters.moods?.length)) {
+    static filterAudiobooks(audiobooks, filters, lists = []) {
+        const ranges = Object.entries(filters?.ranges || {});
+        if (!filters || (!filters.genres?.length && !filters.moods?.length && !filters.statuses?.length &&
+            !filters.lists?.length && ranges.length === 0)) {
             return audiobooks;
         }
 
+        const listedIds = new Set(lists
+            .filter(list => filters.lists?.includes(list.id))
+            .flatMap(list => list.bookIds || []));
+
         return audiobooks.filter(audiobook => {
+            // Check list filters (book must be in one of the selected lists)
+            if (filters.lists && filters.lists.length > 0) {
+                if (!listedIds.has(audiobook.id)) {
+                    return false;
+                }
+            }
+
+            // Check status filters
+            if (filters.statuses && filters.statuses.length > 0) {
+                if (!filters.statuses.includes(audiobook.status)) {
+                    return false;
+                }
+            }
+
             // Check genre filters
             if (filters.genres && filters.genres.length > 0) {
-                const hasMatchingGenre = filters.genres.some(genre =>
-                    audiobook.genres && audiobook.genres.includes(genre)
-                );
-                if (!hasMatchingGenre) {
+                if (!FilterManager.matchesMode(audiobook.genres, filters.genres, filters.genreMode)) {
                     return false;
                 }
             }
 
             // Check mood filters
             if (filters.moods && filters.moods.length > 0) {
-                const hasMatchingMood = filters.moods.some(mood =>
-                    audiobook.moods && audiobook.moods.includes(mood)
-                );
-                if (!hasMatchingMood) {
+                if (!FilterManager.matchesMode(audiobook.moods, filters.moods, filters.moodMode)) {
                     return false;
                 }
             }
 
-            return true;
+            // Check range filters
+            return ranges.every(([field, range]) => {
+                const value = FilterManager.getRangeValue(audiobook, field);
+                return value !== null && value >= range.min && value <= range.max;
+            });
         });
     }
 
@@ -384,7 +802,12 @@ export class Filters {
 
         this.selectedGenres.clear();
         this.selectedMoods.clear();
+        this.selectedStatuses.clear();
+        this.selectedLists.clear();
+        this.ranges = {};
+        this.histograms = {};
         this.availableGenres.clear();
         this.availableMoods.clear();
+        this.availableStatuses.clear();
     }
 }
\ No newline at end of file
@@ -1,19 +1,48 @@
 import { BookCard } from './BookCard.js';
+import { SortManager, SORT_FIELDS } from '../utils/SortManager.js';
+import { groupBySeries } from '../utils/helpers.js';
+
+const OVERSCAN_ROWS = 2; // Rows mounted above and below the viewport
+const INITIAL_ROWS = 4; // Rows mounted to measure the card height
+const MAX_SPARE_CARDS = 60; // Unmounted cards kept to be recycled
 
 /**
  * Gallery component for displaying audiobook collection in a responsive grid
- * Handles rendering, filtering, and user interactions
+ * Handles rendering, filtering, sorting and user interactions
  */
 export class Gallery {
     constructor(container) {
         this.container = container;
         this.audiobooks = [];
-        this.filteredAudiobooks = [];
-        this.bookCards = new Map(); // Map of audiobook ID to BookCard instance
+        this.filteredAudiobooks = []; // In the order FilterManager returned them
+        this.sortedAudiobooks = []; // filteredAudiobooks in display order
+        this.sortManager = new SortManager();
+        this.highlights = new Map(); // Map of audiobook ID to search matches per field
+        this.bookCards = new Map(); // Map of audiobook ID to mounted BookCard instance
+        this.spareCards = []; // Unmounted BookCards to recycle
+        this.seriesStacks = new Map(); // Map of lower-cased series name to mounted { element, signature }
+        this.items = []; // Every grid cell in order, mounted or not; see getGridItems
+        this.mountedRange = { start: 0, end: 0 }; // Item indexes currently in the DOM
+        this.gridElement = null;
+        this.rowHeight = 0; // Card height plus row gap, 0 until measured
+        this.scheduledFrame = null;
+        this.animateNextRender = true;
+        this.groupSeriesStorageKey = 'audiobook-group-series';
+        this.groupSeries = this.loadGroupSeries(); // Collapse each series into a stack card
+        this.expandedSeries = new Set(); // Lower-cased names of stacks opened in place
         this.isLoading = false;
         this.isEmpty = false;
 
+        this.handleScroll = () => this.scheduleWindowUpdate();
+        this.handleResize = () => {
+            // Cards change height with the column width
+            this.rowHeight = 0;
+            this.scheduleWindowUpdate();
+        };
+
         this.initializeGallery();
+        window.addEventListener('scroll', this.handleScroll, { passive: true });
+        window.addEventListener('resize', this.handleResize);
     }
 
     /**
@@ -22,12 +51,17 @@ export class Gallery {
     initializeGallery() {
         this.container.innerHTML = `
             <div class="gallery-header mb-6">
-                <div class="flex justify-between items-center">
+                <div class="flex flex-wrap justify-between items-center gap-2">
                     <div id="gallery-stats" class="text-sm text-gray-600">
                         <!-- Stats will be updated dynamically -->
                     </div>
                     <div id="gallery-view-options" class="flex items-center space-x-2">
-                        <!-- View options can be added here later -->
+                        ${this.renderSortControls()}
+                        <label class="flex items-center space-x-1 text-sm text-gray-600 cursor-pointer">
+                            <input type="checkbox" id="gallery-group-series" ${this.groupSeries ? 'checked' : ''}
+                                class="rounded border-gray-300 text-blue-600 focus:ring-blue-500 keyboard-focusable">
+                            <span>Group series</span>
+                        </label>
                     </div>
                 </div>
             </div>
@@ -39,11 +73,144 @@ export class Gallery {
 
         this.contentContainer = this.container.querySelector('#gallery-content');
         this.statsContainer = this.container.querySelector('#gallery-stats');
+        this.setupSortControls();
+
+        this.container.querySelector('#gallery-group-series').addEventListener('change', (event) => {
+            this.setGroupSeries(event.target.checked);
+        });
+
+        // Book cards dispatch bubbling bookSelected events, so parent components can
+        // listen on the gallery container directly
+    }
+
+    /**
+     * Render the sort field, direction and secondary field controls
+     * @returns {string} HTML string for the controls
+     */
+    renderSortControls() {
+        const sort = this.sortManager.getSort();
+        const fieldOptions = (selected, defaultLabel) => Object.entries(SORT_FIELDS).map(([field, { label }]) => `
+            <option value="${field}" ${field === selected ? 'selected' : ''}>${field === 'default' ? defaultLabel : label}</option>
+        `).join('');
+
+        return `
+            <label for="gallery-sort-field" class="text-sm text-gray-600">Sort by</label>
+            <select id="gallery-sort-field" class="text-sm border-gray-300 rounded-md py-1 pl-2 pr-8 focus:ring-blue-500 focus:border-blue-500 keyboard-focusable">
+                ${fieldOptions(sort.field, SORT_FIELDS.default.label)}
+            </select>
+            <button
+                id="gallery-sort-direction"
+                type="button"
+                class="p-1.5 text-gray-500 hover:text-gray-700 rounded-md hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-transparent keyboard-focusable"
+            >
+                <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d=""/>
+                </svg>
+            </button>
+            <label for="gallery-sort-secondary" class="text-sm text-gray-600">then</label>
+            <select id="gallery-sort-secondary" class="text-sm border-gray-300 rounded-md py-1 pl-2 pr-8 focus:ring-blue-500 focus:border-blue-500 disabled:opacity-40 keyboard-focusable">
+                ${fieldOptions(sort.secondaryField, 'Nothing')}
+            </select>
+        `;
+    }
+
+    /**
+     * Wire up the sort controls
+     */
+    setupSortControls() {
+        this.sortFieldSelect = this.container.querySelector('#gallery-sort-field');
+        this.sortDirectionButton = this.container.querySelector('#gallery-sort-direction');
+        this.sortSecondarySelect = this.container.querySelector('#gallery-sort-secondary');
+
+        this.sortFieldSelect.addEventListener('change', (event) => {
+            this.setSort({ field: event.target.value });
+        });
 
-        // Add event listeners
-        this.container.addEventListener('bookSelected', (event) => {
-            this.handleBookSelection(event.detail.audiobook);
+        this.sortDirectionButton.addEventListener('click', () => {
+            const { direction } = this.sortManager.getSort();
+            this.setSort({ direction: direction === 'asc' ? 'desc' : 'asc' });
         });
+
+        this.sortSecondarySelect.addEventListener('change', (event) => {
+            this.setSort({ secondaryField: event.target.value });
+        });
+
+        this.updateSortControls();
+    }
+
+    /**
+     * Get the current sort order
+     * @returns {Object} { field, direction, secondaryField }
+     */
+    getSort() {
+        return this.sortManager.getSort();
+    }
+
+    /**
+     * Change the sort order, remember it and re-render
+     * @param {Object} sort - Partial sort: field, direction and/or secondaryField
+     */
+    setSort(sort) {
+        const previous = JSON.stringify(this.sortManager.getSort());
+        const current = this.sortManager.setSort(sort);
+        this.updateSortControls();
+        this.render();
+
+        if (JSON.stringify(current) !== previous) {
+            this.dispatchEvent('sortChanged', { sort: current });
+        }
+    }
+
+    /**
+     * Turn series grouping on or off, remember it and re-render
+     * @param {boolean} enabled - Whether to collapse series into stack cards
+     */
+    setGroupSeries(enabled) {
+        this.groupSeries = Boolean(enabled);
+        this.expandedSeries.clear();
+        this.container.querySelector('#gallery-group-series').checked = this.groupSeries;
+
+        try {
+            localStorage.setItem(this.groupSeriesStorageKey, JSON.stringify(this.groupSeries));
+        } catch (error) {
+            console.warn('Failed to save series grouping preference:', error);
+        }
+
+        this.render();
+    }
+
+    /**
+     * Load the saved series grouping preference
+     * @returns {boolean} True if series should be grouped
+     */
+    loadGroupSeries() {
+        try {
+            return JSON.parse(localStorage.getItem(this.groupSeriesStorageKey) || 'false') === true;
+        } catch (error) {
+            console.warn('Failed to load series grouping preference:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Sync the sort controls with the current sort
+     */
+    updateSortControls() {
+        const sort = this.sortManager.getSort();
+        const isSorted = this.sortManager.isSorted();
+        const isDescending = sort.direction === 'desc';
+        const label = isDescending ? 'Sorted descending, switch to ascending' : 'Sorted ascending, switch to descending';
+
+        this.sortFieldSelect.value = sort.field;
+        this.sortSecondarySelect.value = sort.secondaryField;
+        this.sortSecondarySelect.disabled = !isSorted;
+
+        this.sortDirectionButton.disabled = !isSorted;
+        this.sortDirectionButton.setAttribute('aria-label', label);
+        this.sortDirectionButton.title = label;
+        this.sortDirectionButton.querySelector('path').setAttribute('d', isDescending
+            ? 'M3 4h13M3 8h9m-9 4h9m5-4v12m0 0l-4-4m4 4l4-4'
+            : 'M3 4h13M3 8h9m-9 4h6m4 0l4-4m0 0l4 4m-4-4v12');
     }
 
     /**
@@ -53,15 +220,19 @@ export class Gallery {
     setAudiobooks(audiobooks) {
         this.audiobooks = audiobooks;
         this.filteredAudiobooks = [...audiobooks];
+        this.highlights = new Map();
+        this.animateNextRender = true;
         this.render();
     }
 
     /**
      * Update the gallery with filtered audiobooks
      * @param {Audiobook[]} filteredAudiobooks - Filtered array of audiobooks
+     * @param {Map} highlights - Search matches per audiobook ID, from FilterManager
      */
-    updateFilter(filteredAudiobooks) {
+    updateFilter(filteredAudiobooks, highlights = new Map()) {
         this.filteredAudiobooks = filteredAudiobooks;
+        this.highlights = highlights;
         this.render();
     }
 
@@ -69,6 +240,8 @@ export class Gallery {
      * Render the complete gallery
      */
     render() {
+        this.sortedAudiobooks = this.sortManager.apply(this.filteredAudiobooks);
+
         if (this.isLoading) {
             this.renderLoading();
             return;
@@ -87,6 +260,7 @@ export class Gallery {
      * Render the loading state with skeleton cards
      */
     renderLoading() {
+        this.releaseGrid();
         const skeletonCards = Array.from({ length: 12 }, (_, index) => `
             <div class="book-card animate-pulse" role="presentation" aria-hidden="true">
                 <div class="relative aspect-book overflow-hidden bg-gray-200">
@@ -117,6 +291,7 @@ export class Gallery {
      * Render the empty state
      */
     renderEmpty() {
+        this.releaseGrid();
         const isFiltered = this.filteredAudiobooks.length === 0 && this.audiobooks.length > 0;
 
         this.contentContainer.innerHTML = `
@@ -160,47 +335,407 @@ export class Gallery {
     }
 
     /**
-     * Render the gallery grid with book cards
+     * Render the gallery grid, reusing the grid and its mounted cards
+     * Only the rows near the viewport are mounted; see updateWindow.
      */
     renderGallery() {
-        // Clear existing book cards
-        this.bookCards.clear();
+        if (!this.gridElement) {
+            this.contentContainer.innerHTML = `
+                <div 
+                    class="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 2xl:grid-cols-6 gap-4 sm:gap-6 contain-layout" 
+                    id="books-grid"
+                    role="grid"
+                    aria-label="Audiobook collection"
+                    style="contain: layout style;"
+                ></div>
+            `;
+            this.gridElement = this.contentContainer.querySelector('#books-grid');
+        }
 
-        // Create grid container with performance optimizations
-        this.contentContainer.innerHTML = `
-            <div 
-                class="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 2xl:grid-cols-6 gap-4 sm:gap-6 contain-layout" 
-                id="books-grid"
-                role="grid"
-                aria-label="Audiobook collection"
-                style="contain: layout style;"
-            >
-                <!-- Book cards will be inserted here -->
-            </div>
-        `;
+        this.items = this.getGridItems();
+        this.updateWindow();
+        this.animateNextRender = false;
+
+        // Announce to screen readers when gallery updates
+        this.announceGalleryUpdate();
+    }
+
+    /**
+     * Mount the rows in and near the viewport and size the spacers for the rest
+     * The first pass mounts a few rows to measure the card height. Without a
+     * layout to measure (e.g. a hidden gallery) every item is mounted.
+     */
+    updateWindow() {
+        if (this.scheduledFrame) {
+            window.cancelAnimationFrame(this.scheduledFrame);
+            this.scheduledFrame = null;
+        }
+
+        if (!this.gridElement) {
+            return;
+        }
+
+        const columns = this.getColumns();
+        const totalRows = Math.ceil(this.items.length / columns);
+
+        if (!this.rowHeight) {
+            this.gridElement.style.gridAutoRows = '';
+            if (this.mountedRange.end === 0) {
+                this.mountRange(0, Math.min(this.items.length, columns * INITIAL_ROWS));
+            }
+
+            this.rowHeight = this.measureRowHeight(Array.from(this.gridElement.children));
+            if (!this.rowHeight) {
+                this.mountRange(0, this.items.length);
+                this.setSpacers(0, 0);
+                return;
+            }
+        }
+
+        const top = this.gridElement.getBoundingClientRect().top;
+        const firstRow = Math.min(totalRows, Math.max(0, Math.floor(-top / this.rowHeight) - OVERSCAN_ROWS));
+        const lastRow = Math.max(firstRow, Math.min(totalRows,
+            Math.ceil((window.innerHeight - top) / this.rowHeight) + OVERSCAN_ROWS));
+
+        const mounted = this.mountRange(firstRow * columns, Math.min(this.items.length, lastRow * columns));
+        this.setSpacers(firstRow, totalRows - lastRow);
 
-        const gridContainer = this.contentContainer.querySelector('#books-grid');
+        // A taller card than any seen so far makes every row taller
+        const measured = this.measureRowHeight(mounted);
+        if (measured > this.rowHeight) {
+            this.rowHeight = measured;
+            this.setSpacers(firstRow, totalRows - lastRow);
+        }
+    }
 
-        // Create and render book cards with staggered animation
-        this.filteredAudiobooks.forEach((audiobook, index) => {
-            const bookCard = new BookCard(audiobook);
-            const cardElement = bookCard.render();
+    /**
+     * Update the mounted window on the next animation frame
+     */
+    scheduleWindowUpdate() {
+        if (this.scheduledFrame || !this.gridElement) {
+            return;
+        }
+
+        this.scheduledFrame = window.requestAnimationFrame(() => {
+            this.scheduledFrame = null;
+            this.updateWindow();
+        });
+    }
+
+    /**
+     * Mount exactly the items in a range, in order, reusing mounted elements
+     * Cards leaving the range are detached and kept to be recycled.
+     * @param {number} start - Index of the first item to mount
+     * @param {number} end - Index after the last item to mount
+     * @returns {HTMLElement[]} Elements that weren't mounted before
+     */
+    mountRange(start, end) {
+        const wanted = this.items.slice(start, end);
+        const wantedBooks = new Set(wanted.filter(item => !item.series).map(item => item.audiobook.id));
+        const wantedSeries = new Set(wanted.filter(item => item.series).map(item => item.series.toLowerCase()));
+
+        this.bookCards.forEach((bookCard, id) => {
+            if (!wantedBooks.has(id)) {
+                this.releaseBookCard(id);
+            }
+        });
+        this.seriesStacks.forEach((stack, key) => {
+            if (!wantedSeries.has(key)) {
+                stack.element.remove();
+                this.seriesStacks.delete(key);
+            }
+        });
+
+        const mounted = [];
+        wanted.forEach((item, offset) => {
+            const { element, isNew } = item.series ? this.mountSeriesStack(item) : this.mountBookCard(item);
 
             // Add grid cell role and position info for screen readers
-            cardElement.setAttribute('role', 'gridcell');
-            cardElement.setAttribute('aria-posinset', index + 1);
-            cardElement.setAttribute('aria-setsize', this.filteredAudiobooks.length);
+            element.setAttribute('role', 'gridcell');
+            element.setAttribute('data-index', start + offset);
+            element.setAttribute('aria-posinset', start + offset + 1);
+            element.setAttribute('aria-setsize', this.items.length);
+
+            if (isNew) {
+                // Stagger the entrance of the first cards only, not every scroll or filter change
+                element.classList.toggle('stagger-animation', this.animateNextRender);
+                element.style.animationDelay = this.animateNextRender ? `${Math.min(offset * 50, 500)}ms` : '';
+                mounted.push(element);
+            }
+
+            const current = this.gridElement.children[offset];
+            if (current !== element) {
+                this.gridElement.insertBefore(element, current || null);
+            }
+        });
+
+        this.mountedRange = { start, end: start + wanted.length };
+        return mounted;
+    }
 
-            // Add staggered animation with delay
-            cardElement.classList.add('stagger-animation');
-            cardElement.style.animationDelay = `${Math.min(index * 50, 500)}ms`;
+    /**
+     * Get the element for a book, updating its mounted card or recycling a spare one
+     * @param {Object} item - { audiobook }
+     * @returns {Object} { element, isNew }
+     */
+    mountBookCard({ audiobook }) {
+        // BookCard keeps null for no highlights, so a card without matches isn't re-rendered
+        const highlights = this.highlights.get(audiobook.id) || null;
+        let bookCard = this.bookCards.get(audiobook.id);
 
-            this.bookCards.set(audiobook.id, bookCard);
-            gridContainer.appendChild(cardElement);
+        if (bookCard) {
+            if (bookCard.audiobook !== audiobook || bookCard.highlights !== highlights) {
+                bookCard.update(audiobook, highlights);
+            }
+            return { element: bookCard.element, isNew: false };
+        }
+
+        bookCard = this.spareCards.pop();
+        if (bookCard) {
+            bookCard.update(audiobook, highlights);
+        } else {
+            bookCard = new BookCard(audiobook, highlights);
+            bookCard.render();
+        }
+
+        this.bookCards.set(audiobook.id, bookCard);
+        return { element: bookCard.element, isNew: true };
+    }
+
+    /**
+     * Get the element for a series stack, rebuilding it only when its books changed
+     * @param {Object} item - { series, books, expanded }
+     * @returns {Object} { element, isNew }
+     */
+    mountSeriesStack(item) {
+        const key = item.series.toLowerCase();
+        const signature = JSON.stringify([item.series, item.expanded,
+            item.books.map(book => [book.id, book.title, book.status, book.image])]);
+
+        const existing = this.seriesStacks.get(key);
+        if (existing && existing.signature === signature) {
+            return { element: existing.element, isNew: false };
+        }
+
+        const element = this.createSeriesStack(item);
+        if (existing) {
+            existing.element.replaceWith(element);
+        }
+
+        this.seriesStacks.set(key, { element, signature });
+        return { element, isNew: !existing };
+    }
+
+    /**
+     * Unmount a book's card and keep it for reuse
+     * @param {string} audiobookId - ID of the book whose card to release
+     */
+    releaseBookCard(audiobookId) {
+        const bookCard = this.bookCards.get(audiobookId);
+        this.bookCards.delete(audiobookId);
+
+        if (this.spareCards.length < MAX_SPARE_CARDS) {
+            bookCard.detach();
+            this.spareCards.push(bookCard);
+        } else {
+            bookCard.destroy();
+        }
+    }
+
+    /**
+     * Unmount everything before the grid is replaced by another view
+     */
+    releaseGrid() {
+        Array.from(this.bookCards.keys()).forEach(id => this.releaseBookCard(id));
+        this.seriesStacks.clear();
+        this.gridElement = null;
+        this.mountedRange = { start: 0, end: 0 };
+    }
+
+    /**
+     * Stand in for unmounted rows above and below the window
+     * @param {number} rowsBefore - Unmounted rows above
+     * @param {number} rowsAfter - Unmounted rows below
+     */
+    setSpacers(rowsBefore, rowsAfter) {
+        this.gridElement.style.paddingTop = rowsBefore ? `${rowsBefore * this.rowHeight}px` : '';
+        this.gridElement.style.paddingBottom = rowsAfter ? `${rowsAfter * this.rowHeight}px` : '';
+    }
+
+    /**
+     * Measure the height of a grid row and give every row that height
+     * Rows share a height so unmounted ones can be stood in for exactly.
+     * @param {HTMLElement[]} elements - Mounted cells to measure
+     * @returns {number} Card height plus row gap, or 0 without a layout
+     */
+    measureRowHeight(elements) {
+        const cardHeight = Math.max(0, ...elements.map(element => element.scrollHeight));
+        if (!cardHeight) {
+            return 0;
+        }
+
+        const current = parseFloat(this.gridElement.style.gridAutoRows) || 0;
+        if (cardHeight > current) {
+            this.gridElement.style.gridAutoRows = `${cardHeight}px`;
+        }
+
+        const gap = parseFloat(getComputedStyle(this.gridElement).rowGap) || 0;
+        return Math.max(cardHeight, current) + gap;
+    }
+
+    /**
+     * Get the number of columns in the current gallery layout
+     * @returns {number} Number of columns
+     */
+    getColumns() {
+        const template = this.gridElement ? getComputedStyle(this.gridElement).gridTemplateColumns : '';
+        const columns = template && template !== 'none' ? template.trim().split(/\s+/).length : 0;
+        if (columns) {
+            return columns;
+        }
+
+        // No computed layout yet: fall back on the grid's breakpoints
+        const width = window.innerWidth;
+        if (width >= 1536) return 6; // 2xl
+        if (width >= 1280) return 5; // xl
+        if (width >= 1024) return 4; // lg
+        if (width >= 768) return 3;  // md
+        if (width >= 640) return 2;  // sm
+        return 1; // default
+    }
+
+    /**
+     * Get the number of cells in the grid, mounted or not
+     * @returns {number} Number of books and series stacks
+     */
+    getItemCount() {
+        return this.items.length;
+    }
+
+    /**
+     * Get the grid position of the focused card
+     * @returns {number} Index of the focused cell, or -1 if focus is elsewhere
+     */
+    getFocusedIndex() {
+        const cell = document.activeElement?.closest('[data-index]');
+        if (!cell || !this.gridElement || cell.parentElement !== this.gridElement) {
+            return -1;
+        }
+
+        return Number(cell.dataset.index);
+    }
+
+    /**
+     * Focus the card at a grid position, scrolling it into the mounted window first
+     * @param {number} index - Index of the cell to focus
+     * @returns {boolean} True if a card was focused
+     */
+    focusItem(index) {
+        if (!this.gridElement || this.items.length === 0) {
+            return false;
+        }
+
+        const target = Math.max(0, Math.min(this.items.length - 1, index));
+        if (target < this.mountedRange.start || target >= this.mountedRange.end) {
+            const row = Math.floor(target / this.getColumns());
+            const gridTop = this.gridElement.getBoundingClientRect().top + window.scrollY;
+            window.scrollTo(0, gridTop + row * this.rowHeight - (window.innerHeight - this.rowHeight) / 2);
+            this.updateWindow();
+        }
+
+        const cell = this.gridElement.querySelector(`[data-index="${target}"]`);
+        const card = cell?.matches('.book-card') ? cell : cell?.querySelector('.book-card');
+        if (!card) {
+            return false;
+        }
+
+        card.focus();
+        return true;
+    }
+
+    /**
+     * Get what the grid shows, in order: books, and series stacks when grouping
+     * An expanded stack is followed by its books in reading order.
+     * @returns {Array} { audiobook } and { series, books, expanded } entries
+     */
+    getGridItems() {
+        if (!this.groupSeries) {
+            return this.sortedAudiobooks.map(audiobook => ({ audiobook }));
+        }
+
+        return groupBySeries(this.sortedAudiobooks).flatMap(entry => {
+            if (!entry.series) {
+                return [entry];
+            }
+
+            const expanded = this.expandedSeries.has(entry.series.toLowerCase());
+            return [
+                { ...entry, expanded },
+                ...(expanded ? entry.books.map(audiobook => ({ audiobook })) : [])
+            ];
         });
+    }
 
-        // Announce to screen readers when gallery updates
-        this.announceGalleryUpdate();
+    /**
+     * Create a stack card standing in for the books of a series
+     * Clicking it opens or closes the series in place.
+     * @param {Object} entry - { series, books, expanded }
+     * @returns {HTMLElement} Stack card element
+     */
+    createSeriesStack({ series, books, expanded }) {
+        const next = books.find(book => book.status !== 'finished' && book.status !== 'abandoned');
+        const finishedCount = books.filter(book => book.status === 'finished').length;
+        const cover = (next || books[0]).image;
+
+        const element = document.createElement('div');
+        element.className = 'series-stack group relative cursor-pointer';
+        element.setAttribute('data-series', series);
+
+        element.innerHTML = `
+            <div class="absolute inset-0 translate-x-2 -translate-y-2 rounded-lg bg-gray-300 shadow" aria-hidden="true"></div>
+            <div class="absolute inset-0 translate-x-1 -translate-y-1 rounded-lg bg-gray-200 shadow" aria-hidden="true"></div>
+            <button type="button" class="series-stack-toggle book-card relative block w-full text-left keyboard-focusable"
+                    aria-expanded="${expanded}">
+                <div class="relative aspect-book overflow-hidden bg-gray-100">
+                    ${cover ? `<img src="${this.escapeHtml(cover)}" alt="" class="w-full h-full object-cover" loading="lazy" decoding="async">` : ''}
+                    <div class="absolute top-2 right-2 bg-gray-900/80 text-white text-xs px-2 py-1 rounded-full font-medium shadow-lg">
+                        ${books.length} books
+                    </div>
+                </div>
+                <div class="p-4">
+                    <h3 class="font-semibold text-gray-900 text-sm mb-1 line-clamp-2 leading-tight">${this.escapeHtml(series)}</h3>
+                    <p class="text-gray-600 text-sm line-clamp-1">${finishedCount} of ${books.length} finished</p>
+                    ${next ? `<p class="text-xs text-gray-500 mt-1 line-clamp-1">Next: ${this.escapeHtml(next.title)}</p>` : ''}
+                    <p class="text-xs text-blue-600 mt-2">${expanded ? 'Hide books' : 'Show books'}</p>
+                </div>
+            </button>
+        `;
+
+        element.querySelector('.series-stack-toggle').addEventListener('click', () => {
+            const key = series.toLowerCase();
+            if (this.expandedSeries.has(key)) {
+                this.expandedSeries.delete(key);
+            } else {
+                this.expandedSeries.add(key);
+            }
+            this.render();
+
+            // The stack is rebuilt to show its new state, so move focus to the new one
+            this.seriesStacks.get(key)?.element.querySelector('.series-stack-toggle').focus();
+        });
+
+        return element;
+    }
+
+    /**
+     * Escape text for use in HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
     }
 
     /**
@@ -230,15 +765,6 @@ export class Gallery {
         this.render();
     }
 
-    /**
-     * Handle book selection events
-     * @param {Audiobook} audiobook - Selected audiobook
-     */
-    handleBookSelection(audiobook) {
-        // Dispatch event to parent components
-        this.dispatchEvent('bookSelected', { audiobook });
-    }
-
     /**
      * Add a new audiobook to the gallery
      * @param {Audiobook} audiobook - Audiobook to add
@@ -265,11 +791,9 @@ export class Gallery {
         if (filteredIndex !== -1) {
             this.filteredAudiobooks[filteredIndex] = updatedAudiobook;
 
-            // Update the existing card
-            const bookCard = this.bookCards.get(updatedAudiobook.id);
-            if (bookCard) {
-                bookCard.update(updatedAudiobook);
-            }
+            // The edit may have moved the book in the sort order or between stacks.
+            // Re-rendering only updates the mounted card unless something moved.
+            this.render();
         }
     }
 
@@ -304,10 +828,10 @@ export class Gallery {
 
     /**
      * Get currently filtered audiobooks
-     * @returns {Audiobook[]} Array of filtered audiobooks
+     * @returns {Audiobook[]} Array of filtered audiobooks, in display order
      */
     getFilteredAudiobooks() {
-        return [...this.filteredAudiobooks];
+        return [...this.sortedAudiobooks];
     }
 
     /**
@@ -355,9 +879,22 @@ export class Gallery {
      * Destroy the gallery and clean up resources
      */
     destroy() {
+        window.removeEventListener('scroll', this.handleScroll);
+        window.removeEventListener('resize', this.handleResize);
+        if (this.scheduledFrame) {
+            window.cancelAnimationFrame(this.scheduledFrame);
+            this.scheduledFrame = null;
+        }
+
         // Destroy all book cards
         this.bookCards.forEach(bookCard => bookCard.destroy());
         this.bookCards.clear();
+        this.spareCards.forEach(bookCard => bookCard.destroy());
+        this.spareCards = [];
+        this.seriesStacks.clear();
+        this.gridElement = null;
+        this.items = [];
+        this.mountedRange = { start: 0, end: 0 };
 
         // Clear container
         if (this.container) {
@@ -367,5 +904,6 @@ export class Gallery {
         // Reset state
         this.audiobooks = [];
         this.filteredAudiobooks = [];
+        this.sortedAudiobooks = [];
     }
 }
\ No newline at end of file
@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Gallery } from './Gallery.js';
+
+describe('Gallery', () => {
+    const ROW_HEIGHT = 100;
+    let gallery;
+    let container;
+    let books;
+    let scrollTop;
+
+    const makeBooks = (count) => Array.from({ length: count }, (_, index) => ({
+        id: `book-${index}`,
+        title: `Book ${index}`,
+        author: `Author ${index}`,
+        narrator: '',
+        genres: [],
+        moods: [],
+        image: ''
+    }));
+
+    const grid = () => container.querySelector('#books-grid');
+    const mountedIds = () => Array.from(grid().children).map(element => element.dataset.bookId);
+
+    // Scroll the page so the grid's top sits `offset` pixels above the viewport
+    const scrollTo = (offset) => {
+        scrollTop = offset;
+        gallery.updateWindow();
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+        document.body.innerHTML = '';
+        scrollTop = 0;
+
+        // jsdom has no layout: 1024px wide (4 columns), 768px high, cards 100px high
+        vi.spyOn(Gallery.prototype, 'measureRowHeight').mockReturnValue(ROW_HEIGHT);
+        vi.spyOn(HTMLElement.prototype, 'getBoundingClientRect').mockImplementation(function () {
+            const top = this.id === 'books-grid' ? -scrollTop : 0;
+            return { top, bottom: top, left: 0, right: 0, width: 0, height: 0 };
+        });
+        vi.spyOn(window, 'scrollTo').mockImplementation((x, y) => {
+            scrollTop = y;
+        });
+
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        gallery = new Gallery(container);
+        books = makeBooks(200);
+        gallery.setAudiobooks(books);
+    });
+
+    afterEach(() => {
+        gallery.destroy();
+        vi.restoreAllMocks();
+        document.body.innerHTML = '';
+    });
+
+    it('should mount only the rows in and near the viewport', () => {
+        // 8 visible rows plus 2 overscan rows, 4 columns each
+        expect(grid().children).toHaveLength(40);
+        expect(mountedIds()[0]).toBe('book-0');
+        expect(mountedIds()[39]).toBe('book-39');
+        expect(grid().style.paddingTop).toBe('');
+        expect(grid().style.paddingBottom).toBe(`${40 * ROW_HEIGHT}px`);
+        expect(gallery.getItemCount()).toBe(200);
+    });
+
+    it('should move the window and its spacers while scrolling', () => {
+        scrollTo(20 * ROW_HEIGHT);
+
+        // Rows 18 to 29 are mounted
+        expect(mountedIds()[0]).toBe('book-72');
+        expect(mountedIds()).toHaveLength(48);
+        expect(grid().firstElementChild.dataset.index).toBe('72');
+        expect(grid().style.paddingTop).toBe(`${18 * ROW_HEIGHT}px`);
+        expect(grid().style.paddingBottom).toBe(`${20 * ROW_HEIGHT}px`);
+    });
+
+    it('should recycle cards for other books with their data and highlights', () => {
+        const initialElements = new Set(grid().children);
+        gallery.updateFilter(books, new Map([['book-80', { author: ['author'] }]]));
+
+        scrollTo(20 * ROW_HEIGHT);
+
+        const card = grid().querySelector('[data-book-id="book-80"]');
+        expect(initialElements.has(card)).toBe(true);
+        expect(card.textContent).toContain('Book 80');
+        expect(card.getAttribute('aria-label')).toBe('Book 80 by Author 80');
+        expect(card.querySelector('mark.search-highlight').textContent).toBe('Author');
+
+        const unhighlighted = grid().querySelector('[data-book-id="book-81"]');
+        expect(unhighlighted.querySelector('mark')).toBeNull();
+    });
+
+    it('should reuse mounted cards when the filter changes', () => {
+        const before = new Map(Array.from(grid().children).map(element => [element.dataset.bookId, element]));
+        const renderSpy = vi.spyOn(gallery.bookCards.get('book-1'), 'render');
+
+        gallery.updateFilter(books.filter(book => book.id !== 'book-0'));
+
+        expect(mountedIds()[0]).toBe('book-1');
+        expect(grid().children).toHaveLength(40);
+        expect(grid().querySelector('[data-book-id="book-1"]')).toBe(before.get('book-1'));
+        expect(grid().querySelector('[data-book-id="book-39"]')).toBe(before.get('book-39'));
+        expect(renderSpy).not.toHaveBeenCalled();
+
+        // The card that left the grid is recycled for the book that moved into the window
+        expect(grid().querySelector('[data-book-id="book-40"]')).toBe(before.get('book-0'));
+    });
+
+    it('should mount and focus a card outside the current window', () => {
+        expect(grid().querySelector('[data-index="150"]')).toBeNull();
+
+        expect(gallery.focusItem(150)).toBe(true);
+
+        expect(window.scrollTo).toHaveBeenCalled();
+        expect(document.activeElement.dataset.bookId).toBe('book-150');
+        expect(document.activeElement.dataset.index).toBe('150');
+        expect(gallery.getFocusedIndex()).toBe(150);
+        expect(grid().querySelector('[data-index="0"]')).toBeNull();
+    });
+});
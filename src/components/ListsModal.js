@@ -0,0 +1,421 @@
+import { sanitizeString } from '../utils/helpers.js';
+
+/**
+ * ListsModal component for managing hand-curated lists of books
+ * Lists can be created, renamed and deleted, and the books in a list reordered by
+ * dragging (or with the move buttons) and taken out of it. Books are added to lists
+ * from the book detail view. Changes are dispatched as bubbling events on the modal
+ * for the app to persist: listCreate, listRename, listDelete and listBooksChange.
+ */
+export class ListsModal {
+    constructor() {
+        this.modal = null;
+        this.isVisible = false;
+        this.lists = [];
+        this.audiobooks = new Map(); // Map of audiobook ID to audiobook
+        this.selectedId = null;
+        this.draggedId = null;
+
+        this.createModal();
+        this.setupEventListeners();
+    }
+
+    createModal() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 hidden';
+        this.modal.innerHTML = `
+            <div class="bg-white rounded-lg shadow-xl max-w-4xl w-full mx-4 max-h-[90vh] overflow-hidden" role="dialog" aria-modal="true" aria-labelledby="lists-modal-title">
+                <div class="flex items-center justify-between p-6 border-b">
+                    <h2 id="lists-modal-title" class="text-xl font-semibold text-gray-900">Lists</h2>
+                    <button type="button" class="close-btn text-gray-400 hover:text-gray-600 transition-colors" aria-label="Close lists">
+                        <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                        </svg>
+                    </button>
+                </div>
+
+                <div class="grid grid-cols-1 md:grid-cols-3 overflow-y-auto max-h-[75vh]">
+                    <!-- List of lists -->
+                    <div class="p-6 md:border-r border-gray-200 space-y-4">
+                        <form id="new-list-form" class="flex gap-2">
+                            <input
+                                type="text"
+                                id="new-list-name"
+                                class="flex-1 min-w-0 text-sm border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                                placeholder="New list, e.g. Road trip"
+                                aria-label="New list name"
+                                maxlength="60"
+                            />
+                            <button type="submit" class="btn-primary text-sm py-1 px-3">Add</button>
+                        </form>
+                        <ul id="lists-nav" class="space-y-1" role="list" aria-label="Your lists"></ul>
+                    </div>
+
+                    <!-- Selected list -->
+                    <div id="list-detail" class="p-6 md:col-span-2"></div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+    }
+
+    setupEventListeners() {
+        // Close modal
+        this.modal.querySelector('.close-btn').addEventListener('click', () => {
+            this.hide();
+        });
+
+        // Close on backdrop click
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) {
+                this.hide();
+            }
+        });
+
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.isVisible) {
+                this.hide();
+            }
+        });
+
+        this.modal.querySelector('#new-list-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            const input = this.modal.querySelector('#new-list-name');
+            const name = input.value.trim();
+            if (name) {
+                input.value = '';
+                this.dispatchEvent('listCreate', { name });
+            }
+        });
+
+        this.modal.querySelector('#lists-nav').addEventListener('click', (event) => {
+            const button = event.target.closest('.list-select');
+            if (button) {
+                this.selectedId = button.dataset.id;
+                this.render();
+            }
+        });
+
+        const detail = this.modal.querySelector('#list-detail');
+
+        detail.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const list = this.getSelectedList();
+            const name = detail.querySelector('#list-name-input').value.trim();
+            if (list && name && name !== list.name) {
+                this.dispatchEvent('listRename', { list, name });
+            }
+        });
+
+        detail.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            const list = this.getSelectedList();
+            if (!button || !list) {
+                return;
+            }
+
+            if (button.dataset.action === 'delete-list') {
+                if (confirm(`Delete the list "${list.name}"? The books in it stay in your library.`)) {
+                    this.dispatchEvent('listDelete', { list });
+                }
+                return;
+            }
+
+            const bookId = button.closest('.list-book')?.dataset.bookId;
+            const bookIds = this.getBookIds(list);
+            const index = bookIds.indexOf(bookId);
+            if (index === -1) {
+                return;
+            }
+
+            if (button.dataset.action === 'remove') {
+                bookIds.splice(index, 1);
+            } else {
+                const target = button.dataset.action === 'up' ? index - 1 : index + 1;
+                if (target < 0 || target >= bookIds.length) {
+                    return;
+                }
+                [bookIds[index], bookIds[target]] = [bookIds[target], bookIds[index]];
+            }
+
+            this.dispatchEvent('listBooksChange', { list, bookIds });
+        });
+
+        // Drag and drop reordering
+        detail.addEventListener('dragstart', (event) => {
+            const row = event.target.closest('.list-book');
+            if (!row) {
+                return;
+            }
+
+            this.draggedId = row.dataset.bookId;
+            row.classList.add('opacity-50');
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', this.draggedId);
+        });
+
+        detail.addEventListener('dragover', (event) => {
+            const row = event.target.closest('.list-book');
+            if (!row || !this.draggedId) {
+                return;
+            }
+
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+            this.showDropIndicator(row, this.isAfterMidpoint(event, row));
+        });
+
+        detail.addEventListener('drop', (event) => {
+            const row = event.target.closest('.list-book');
+            const list = this.getSelectedList();
+            if (!row || !list || !this.draggedId) {
+                return;
+            }
+
+            event.preventDefault();
+            const bookIds = this.moveBook(this.getBookIds(list), this.draggedId, row.dataset.bookId, this.isAfterMidpoint(event, row));
+            this.clearDrag();
+
+            if (bookIds.join() !== this.getBookIds(list).join()) {
+                this.dispatchEvent('listBooksChange', { list, bookIds });
+            }
+        });
+
+        detail.addEventListener('dragend', () => {
+            this.clearDrag();
+        });
+    }
+
+    /**
+     * Show the lists of a collection
+     * @param {Object} collection - Current collection
+     */
+    show(collection) {
+        this.update(collection);
+        this.isVisible = true;
+        this.modal.classList.remove('hidden');
+        this.modal.querySelector('#new-list-name').focus();
+    }
+
+    hide() {
+        this.isVisible = false;
+        this.modal.classList.add('hidden');
+    }
+
+    /**
+     * Refresh the modal after the collection changed
+     * A newly created list is selected.
+     * @param {Object} collection - Current collection
+     */
+    update(collection) {
+        const previousIds = new Set(this.lists.map(list => list.id));
+        this.lists = collection?.lists || [];
+        this.audiobooks = new Map((collection?.audiobooks || []).map(audiobook => [audiobook.id, audiobook]));
+
+        const created = previousIds.size > 0 ? this.lists.find(list => !previousIds.has(list.id)) : null;
+        if (created) {
+            this.selectedId = created.id;
+        } else if (!this.lists.some(list => list.id === this.selectedId)) {
+            this.selectedId = this.lists[0]?.id || null;
+        }
+
+        this.render();
+    }
+
+    render() {
+        this.renderNav();
+        this.renderDetail();
+    }
+
+    renderNav() {
+        const nav = this.modal.querySelector('#lists-nav');
+
+        if (this.lists.length === 0) {
+            nav.innerHTML = '<li class="text-sm text-gray-500">No lists yet.</li>';
+            return;
+        }
+
+        nav.innerHTML = this.lists.map(list => {
+            const isSelected = list.id === this.selectedId;
+            return `
+                <li>
+                    <button
+                        type="button"
+                        class="list-select w-full flex items-center justify-between px-2 py-1.5 text-sm text-left rounded-md keyboard-focusable ${isSelected ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-700 hover:bg-gray-100'}"
+                        data-id="${list.id}"
+                        ${isSelected ? 'aria-current="true"' : ''}
+                    >
+                        <span class="truncate">${sanitizeString(list.name)}</span>
+                        <span class="ml-2 text-xs text-gray-500">${this.getBookIds(list).length}</span>
+                    </button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    renderDetail() {
+        const detail = this.modal.querySelector('#list-detail');
+        const list = this.getSelectedList();
+
+        if (!list) {
+            detail.innerHTML = `
+                <p class="text-sm text-gray-500">
+                    Lists are hand-picked sets of books in your own order, like "Road trip" or "Book club".
+                    Create one, then add books to it from their detail view.
+                </p>
+            `;
+            return;
+        }
+
+        const bookIds = this.getBookIds(list);
+        const rows = bookIds.map((bookId, index) => this.renderBookRow(this.audiobooks.get(bookId), index, bookIds.length)).join('');
+
+        detail.innerHTML = `
+            <div class="flex items-center gap-2 mb-4">
+                <form class="flex-1 flex gap-2">
+                    <input
+                        type="text"
+                        id="list-name-input"
+                        class="flex-1 min-w-0 text-sm border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                        value="${sanitizeString(list.name)}"
+                        aria-label="List name"
+                        maxlength="60"
+                        required
+                    />
+                    <button type="submit" class="btn-secondary text-sm py-1 px-3">Rename</button>
+                </form>
+                <button type="button" data-action="delete-list" class="text-sm text-red-600 hover:text-red-800 px-2 py-1 keyboard-focusable">Delete list</button>
+            </div>
+
+            ${bookIds.length > 0 ? `
+                <p class="text-xs text-gray-500 mb-2">Drag books or use the arrows to change their order.</p>
+                <ol id="list-books" class="space-y-1" aria-label="Books in ${sanitizeString(list.name)}">
+                    ${rows}
+                </ol>
+            ` : `
+                <p class="text-sm text-gray-500">No books in this list yet. Open a book and pick this list under Lists.</p>
+            `}
+        `;
+    }
+
+    /**
+     * Render one book of the selected list
+     * @param {Audiobook} audiobook - Book in the list
+     * @param {number} index - Position in the list
+     * @param {number} total - Number of books in the list
+     * @returns {string} HTML string for the row
+     */
+    renderBookRow(audiobook, index, total) {
+        const title = sanitizeString(audiobook.title);
+        const moveButton = (action, label, path, disabled) => `
+            <button
+                type="button"
+                class="p-1 text-gray-400 hover:text-gray-700 rounded disabled:opacity-30 disabled:hover:text-gray-400 keyboard-focusable"
+                data-action="${action}"
+                aria-label="${label} ${title}"
+                title="${label}"
+                ${disabled ? 'disabled' : ''}
+            >
+                <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${path}"/>
+                </svg>
+            </button>
+        `;
+
+        return `
+            <li class="list-book flex items-center gap-3 p-2 bg-white border border-gray-200 rounded-md cursor-move" draggable="true" data-book-id="${audiobook.id}">
+                <svg class="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 8h16M4 16h16"/>
+                </svg>
+                <span class="w-6 text-sm text-gray-500 text-right flex-shrink-0">${index + 1}</span>
+                <div class="flex-1 min-w-0">
+                    <p class="text-sm font-medium text-gray-900 truncate">${title}</p>
+                    <p class="text-xs text-gray-500 truncate">${sanitizeString(audiobook.author)}</p>
+                </div>
+                ${moveButton('up', 'Move up', 'M5 15l7-7 7 7', index === 0)}
+                ${moveButton('down', 'Move down', 'M19 9l-7 7-7-7', index === total - 1)}
+                ${moveButton('remove', 'Remove from list', 'M6 18L18 6M6 6l12 12', false)}
+            </li>
+        `;
+    }
+
+    /**
+     * Get the selected list
+     * @returns {Object|undefined} List
+     */
+    getSelectedList() {
+        return this.lists.find(list => list.id === this.selectedId);
+    }
+
+    /**
+     * Get the IDs of the books in a list that are still in the library, in order
+     * @param {Object} list - List
+     * @returns {string[]} Book IDs
+     */
+    getBookIds(list) {
+        return (list.bookIds || []).filter(id => this.audiobooks.has(id));
+    }
+
+    /**
+     * Move a book before or after another one
+     * @param {string[]} bookIds - Book IDs in list order
+     * @param {string} movedId - Book being moved
+     * @param {string} targetId - Book it was dropped on
+     * @param {boolean} after - Place it after the target rather than before
+     * @returns {string[]} Book IDs in their new order
+     */
+    moveBook(bookIds, movedId, targetId, after) {
+        if (movedId === targetId) {
+            return bookIds;
+        }
+
+        const remaining = bookIds.filter(id => id !== movedId);
+        const index = remaining.indexOf(targetId);
+        remaining.splice(after ? index + 1 : index, 0, movedId);
+        return remaining;
+    }
+
+    /**
+     * Check whether the pointer is in the lower half of a row
+     * @param {DragEvent} event - Drag event
+     * @param {HTMLElement} row - Row under the pointer
+     * @returns {boolean} True if a drop should go after the row
+     */
+    isAfterMidpoint(event, row) {
+        const rect = row.getBoundingClientRect();
+        return event.clientY > rect.top + rect.height / 2;
+    }
+
+    /**
+     * Mark where a dragged book would be dropped
+     * @param {HTMLElement} row - Row under the pointer
+     * @param {boolean} after - Whether the drop goes after the row
+     */
+    showDropIndicator(row, after) {
+        this.modal.querySelectorAll('.list-book').forEach(element => {
+            element.classList.remove('border-t-blue-500', 'border-b-blue-500');
+        });
+        row.classList.add(after ? 'border-b-blue-500' : 'border-t-blue-500');
+    }
+
+    clearDrag() {
+        this.draggedId = null;
+        this.modal.querySelectorAll('.list-book').forEach(element => {
+            element.classList.remove('opacity-50', 'border-t-blue-500', 'border-b-blue-500');
+        });
+    }
+
+    /**
+     * Dispatch custom events
+     * @param {string} eventName - Name of the event
+     * @param {Object} detail - Event detail data
+     */
+    dispatchEvent(eventName, detail = {}) {
+        const event = new CustomEvent(eventName, {
+            detail,
+            bubbles: true
+        });
+        this.modal.dispatchEvent(event);
+    }
+}
@@ -0,0 +1,393 @@
+import { sanitizeString } from '../utils/helpers.js';
+
+/**
+ * OfflineQueueInspector - Panel listing the operations waiting in the offline queue
+ * Shows each operation's type, age, retry count, last error and next retry time, and
+ * lets the user retry one now, drop it or export the whole queue as JSON for debugging.
+ * Opened from the sync status indicator.
+ */
+export class OfflineQueueInspector {
+    constructor(syncManager) {
+        this.syncManager = syncManager;
+        this.modal = null;
+        this.isVisible = false;
+        this.operations = [];
+        this.busyIds = new Set();
+
+        // Bind event handlers
+        this.handleQueueChange = this.handleQueueChange.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+
+        this.createModal();
+        this.setupEventListeners();
+        this.setupSyncListeners();
+    }
+
+    /**
+     * Create the modal DOM structure
+     * @private
+     */
+    createModal() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 hidden';
+        this.modal.innerHTML = `
+            <div class="bg-white rounded-lg shadow-xl max-w-3xl w-full mx-4 max-h-[90vh] overflow-hidden" role="dialog" aria-modal="true" aria-labelledby="queue-inspector-title">
+                <div class="flex items-center justify-between p-6 border-b">
+                    <div>
+                        <h2 id="queue-inspector-title" class="text-xl font-semibold text-gray-900">Offline Queue</h2>
+                        <p class="queue-summary text-sm text-gray-500 mt-1"></p>
+                    </div>
+                    <div class="flex items-center gap-2">
+                        <button type="button" class="export-btn btn-secondary text-sm py-1 px-3">Export JSON</button>
+                        <button type="button" class="close-btn text-gray-400 hover:text-gray-600 transition-colors" aria-label="Close offline queue">
+                            <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+
+                <div class="p-6 overflow-y-auto max-h-[70vh]">
+                    <p class="queue-message hidden text-sm text-red-600 mb-3" role="alert"></p>
+                    <ol class="queue-operations space-y-2" aria-label="Queued operations"></ol>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+    }
+
+    /**
+     * Set up event listeners for the modal
+     * @private
+     */
+    setupEventListeners() {
+        this.modal.querySelector('.close-btn').addEventListener('click', () => {
+            this.hide();
+        });
+
+        // Close on backdrop click
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) {
+                this.hide();
+            }
+        });
+
+        document.addEventListener('keydown', this.handleKeydown);
+
+        this.modal.querySelector('.export-btn').addEventListener('click', () => {
+            this.exportQueue();
+        });
+
+        this.modal.querySelector('.queue-operations').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            const operationId = button?.closest('.queue-operation')?.dataset.id;
+            if (operationId) {
+                this.handleAction(button.dataset.action, operationId);
+            }
+        });
+    }
+
+    /**
+     * Refresh the list whenever the queue changes
+     * @private
+     */
+    setupSyncListeners() {
+        this.syncManager.on('operationQueued', this.handleQueueChange);
+        this.syncManager.on('offlineQueueProcessed', this.handleQueueChange);
+        this.syncManager.on('offlineQueueChanged', this.handleQueueChange);
+        this.syncManager.on('offlineQueueCleared', this.handleQueueChange);
+        this.syncManager.on('networkStatusChanged', this.handleQueueChange);
+    }
+
+    /**
+     * Show the inspector
+     */
+    async show() {
+        this.isVisible = true;
+        this.modal.classList.remove('hidden');
+        this.modal.querySelector('.close-btn').focus();
+        await this.refresh();
+    }
+
+    /**
+     * Hide the inspector
+     */
+    hide() {
+        this.isVisible = false;
+        this.modal.classList.add('hidden');
+    }
+
+    /**
+     * Handle queue changes from the sync manager
+     * @private
+     */
+    handleQueueChange() {
+        if (this.isVisible) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Close on Escape
+     * @private
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeydown(event) {
+        if (event.key === 'Escape' && this.isVisible) {
+            this.hide();
+        }
+    }
+
+    /**
+     * Load the queue and render it
+     * @private
+     */
+    async refresh() {
+        try {
+            this.operations = await this.syncManager.getOfflineQueueOperations();
+            this.render();
+        } catch (error) {
+            console.error('Failed to load offline queue:', error);
+            this.showMessage(`Could not load the queue: ${error.message}`);
+        }
+    }
+
+    /**
+     * Render the queued operations
+     * @private
+     */
+    render() {
+        const list = this.modal.querySelector('.queue-operations');
+        const count = this.operations.length;
+
+        this.modal.querySelector('.queue-summary').textContent = count === 0
+            ? 'Nothing is waiting to sync.'
+            : `${count} operation${count === 1 ? '' : 's'} waiting, processed from the top.`;
+        this.modal.querySelector('.export-btn').disabled = count === 0;
+
+        if (count === 0) {
+            list.innerHTML = '<li class="text-sm text-gray-500">Edits made while offline appear here until they reach your sync location.</li>';
+            return;
+        }
+
+        list.innerHTML = this.operations.map(operation => this.renderOperation(operation)).join('');
+    }
+
+    /**
+     * Render one queued operation
+     * @private
+     * @param {Object} operation - Queued operation
+     * @returns {string} HTML string for the row
+     */
+    renderOperation(operation) {
+        const isBusy = this.busyIds.has(operation.id);
+        const isOnline = this.syncManager.isOnline;
+        const description = this.describeOperation(operation);
+        const actionButton = (action, label, disabled, extraClass = 'text-gray-600 hover:text-gray-900') => `
+            <button
+                type="button"
+                class="text-xs px-2 py-1 rounded ${extraClass} disabled:opacity-30 keyboard-focusable"
+                data-action="${action}"
+                aria-label="${label}: ${description}"
+                ${disabled ? 'disabled' : ''}
+            >${label}</button>
+        `;
+
+        return `
+            <li class="queue-operation p-3 border border-gray-200 rounded-md" data-id="${sanitizeString(operation.id)}">
+                <div class="flex items-start justify-between gap-3">
+                    <div class="min-w-0">
+                        <div class="flex items-center gap-2">
+                            <span class="inline-block px-2 py-0.5 text-xs font-medium rounded bg-gray-100 text-gray-700">${sanitizeString(operation.type)}</span>
+                            <span class="text-sm text-gray-900 truncate">${description}</span>
+                        </div>
+                        <dl class="mt-2 grid grid-cols-2 sm:grid-cols-3 gap-x-4 gap-y-1 text-xs text-gray-500">
+                            <div><dt class="inline">Queued</dt> <dd class="inline text-gray-700">${this.formatAge(operation.queuedAt || operation.timestamp)}</dd></div>
+                            <div><dt class="inline">Retries</dt> <dd class="inline text-gray-700">${operation.retryCount} of ${operation.maxRetries}</dd></div>
+                            <div><dt class="inline">Next try</dt> <dd class="inline text-gray-700">${this.formatNextRetry(operation.nextRetryAt)}</dd></div>
+                        </dl>
+                        ${operation.lastError ? `
+                            <p class="mt-1 text-xs text-red-600 break-words">Last error: ${sanitizeString(operation.lastError)}</p>
+                        ` : ''}
+                    </div>
+                    <div class="flex items-center flex-shrink-0">
+                        ${actionButton('retry', isBusy ? 'Retrying...' : 'Retry now', isBusy || !isOnline, 'text-blue-600 hover:text-blue-800')}
+                        ${actionButton('drop', 'Drop', isBusy, 'text-red-600 hover:text-red-800')}
+                    </div>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Carry out a row action
+     * @private
+     * @param {string} action - 'retry' or 'drop'
+     * @param {string} operationId - ID of the operation
+     */
+    async handleAction(action, operationId) {
+        this.hideMessage();
+
+        try {
+            switch (action) {
+                case 'retry': {
+                    this.busyIds.add(operationId);
+                    this.render();
+
+                    const results = await this.syncManager.retryQueuedOperation(operationId);
+                    if (results.failed > 0) {
+                        this.showMessage(`Retry failed: ${results.errors[0]?.error || 'unknown error'}`);
+                    }
+                    break;
+                }
+
+                case 'drop':
+                    if (confirm('Drop this operation? It will not be synced. Your local library is not changed.')) {
+                        await this.syncManager.dropQueuedOperation(operationId);
+                    }
+                    break;
+            }
+        } catch (error) {
+            console.error(`Queue action "${action}" failed:`, error);
+            this.showMessage(error.message);
+        } finally {
+            this.busyIds.delete(operationId);
+            await this.refresh();
+        }
+    }
+
+    /**
+     * Download the queue as a JSON file
+     * @private
+     */
+    async exportQueue() {
+        try {
+            const json = await this.syncManager.exportOfflineQueue();
+            const blob = new Blob([json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `offline-queue-${new Date().toISOString().split('T')[0]}.json`;
+            link.style.display = 'none';
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            setTimeout(() => URL.revokeObjectURL(url), 100);
+        } catch (error) {
+            console.error('Failed to export offline queue:', error);
+            this.showMessage(`Export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Describe what an operation does
+     * @private
+     * @param {Object} operation - Queued operation
+     * @returns {string} Escaped description
+     */
+    describeOperation(operation) {
+        const data = operation.data || {};
+        const bookName = data.book?.title || data.bookId;
+
+        switch (operation.type) {
+            case 'add':
+                return `Add "${sanitizeString(bookName)}"`;
+            case 'update': {
+                const fields = Object.keys(data.changes || {});
+                const fieldText = fields.length > 0 ? ` (${sanitizeString(fields.join(', '))})` : '';
+                return `Edit "${sanitizeString(bookName)}"${fieldText}`;
+            }
+            case 'delete':
+                return `Delete "${sanitizeString(bookName)}"`;
+            case 'sync':
+                return data.force ? 'Forced sync' : 'Sync';
+            case 'push':
+                return 'Push to sync location';
+            case 'pull':
+                return 'Pull from sync location';
+            default:
+                return sanitizeString(operation.id);
+        }
+    }
+
+    /**
+     * Format how long ago an operation was queued
+     * @private
+     * @param {string} timestamp - ISO timestamp
+     * @returns {string} Formatted age
+     */
+    formatAge(timestamp) {
+        const diffMinutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+
+        if (Number.isNaN(diffMinutes)) {
+            return 'unknown';
+        } else if (diffMinutes < 1) {
+            return 'just now';
+        } else if (diffMinutes < 60) {
+            return `${diffMinutes}m ago`;
+        } else if (diffMinutes < 60 * 24) {
+            return `${Math.floor(diffMinutes / 60)}h ago`;
+        }
+        return `${Math.floor(diffMinutes / (60 * 24))}d ago`;
+    }
+
+    /**
+     * Format when an operation will next be tried
+     * @private
+     * @param {string|null} nextRetryAt - ISO timestamp, or null when ready
+     * @returns {string} Formatted time
+     */
+    formatNextRetry(nextRetryAt) {
+        const waitSeconds = nextRetryAt ? Math.ceil((new Date(nextRetryAt).getTime() - Date.now()) / 1000) : 0;
+
+        if (waitSeconds <= 0) {
+            return this.syncManager.isOnline ? 'next queue run' : 'when back online';
+        } else if (waitSeconds < 60) {
+            return `in ${waitSeconds}s`;
+        }
+        return `in ${Math.ceil(waitSeconds / 60)}m`;
+    }
+
+    /**
+     * Show an error message above the list
+     * @private
+     * @param {string} message - Message to show
+     */
+    showMessage(message) {
+        const messageEl = this.modal.querySelector('.queue-message');
+        messageEl.textContent = message;
+        messageEl.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the error message
+     * @private
+     */
+    hideMessage() {
+        this.modal.querySelector('.queue-message').classList.add('hidden');
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        document.removeEventListener('keydown', this.handleKeydown);
+
+        this.syncManager.off('operationQueued', this.handleQueueChange);
+        this.syncManager.off('offlineQueueProcessed', this.handleQueueChange);
+        this.syncManager.off('offlineQueueChanged', this.handleQueueChange);
+        this.syncManager.off('offlineQueueCleared', this.handleQueueChange);
+        this.syncManager.off('networkStatusChanged', this.handleQueueChange);
+
+        if (this.modal && this.modal.parentNode) {
+            this.modal.parentNode.removeChild(this.modal);
+        }
+        this.modal = null;
+    }
+}
+
+export default OfflineQueueInspector;
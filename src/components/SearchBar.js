@@ -1,8 +1,24 @@
 import { debounce } from '../utils/performance.js';
+import { parseQuery } from '../utils/QueryParser.js';
+
+/**
+ * Operators listed in the query syntax help popover
+ */
+const QUERY_HELP = [
+    { example: 'author:"Brandon Sanderson"', description: 'Match a field: title, author, narrator, genre, mood, status' },
+    { example: 'rating:>=4', description: 'Compare rating, price, length or released with >, >=, <, <=' },
+    { example: 'length:<10h', description: 'Lengths like 10h, 90m or 1h30m' },
+    { example: 'released:2020-05', description: 'Dates like 2020, 2020-05 or 2020-05-01' },
+    { example: '-mood:heavy', description: 'Exclude matches' },
+    { example: 'fantasy OR sci-fi', description: 'Match either side' },
+    { example: '"three body"', description: 'Match an exact phrase' },
+    { example: '(a OR b) c', description: 'Group terms' }
+];
 
 /**
  * SearchBar component for real-time text filtering of audiobooks
- * Searches across title, author, and narrator fields
+ * Plain words search every field; the query syntax in QueryParser narrows by field,
+ * compares values and combines terms. Syntax errors are shown under the input.
  */
 export class SearchBar {
     constructor(container, onSearchChange) {
@@ -38,15 +54,15 @@ export class SearchBar {
                 <input
                     type="search"
                     id="search-input"
-                    class="block w-full pl-10 pr-10 py-2 border border-gray-300 rounded-lg leading-5 bg-white placeholder-gray-500 focus:outline-none focus:placeholder-gray-400 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 sm:text-sm keyboard-focusable"
+                    class="block w-full pl-10 pr-16 py-2 border border-gray-300 rounded-lg leading-5 bg-white placeholder-gray-500 focus:outline-none focus:placeholder-gray-400 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 sm:text-sm keyboard-focusable"
                     placeholder="Search books, authors, narrators..."
                     value="${this.searchTerm}"
-                    aria-label="Search audiobooks by title, author, or narrator"
-                    aria-describedby="search-help"
+                    aria-label="Search audiobooks by title, author, narrator, genre or mood"
+                    aria-describedby="search-help search-errors"
                     autocomplete="off"
                     spellcheck="false"
                 />
-                <div class="absolute inset-y-0 right-0 pr-3 flex items-center">
+                <div class="absolute inset-y-0 right-0 pr-3 flex items-center space-x-1">
                     <button
                         id="clear-search-btn"
                         class="text-gray-400 hover:text-gray-600 focus:outline-none keyboard-focusable touch-target ${this.searchTerm ? '' : 'hidden'}"
@@ -57,11 +73,35 @@ export class SearchBar {
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
                         </svg>
                     </button>
+                    <button
+                        id="search-syntax-btn"
+                        class="text-gray-400 hover:text-gray-600 focus:outline-none keyboard-focusable touch-target"
+                        type="button"
+                        aria-label="Search syntax help"
+                        aria-expanded="false"
+                        aria-controls="search-syntax-help"
+                    >
+                        <svg class="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8.228 9c.549-1.165 2.03-2 3.772-2 2.21 0 4 1.343 4 3 0 1.4-1.278 2.575-3.006 2.907-.542.104-.994.54-.994 1.093m0 3h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
+                        </svg>
+                    </button>
                 </div>
                 <div id="search-help" class="sr-only">
                     Use Ctrl+K or Cmd+K to focus search. Press Escape to clear.
                 </div>
+                <div id="search-syntax-help" class="hidden absolute right-0 top-full mt-2 w-80 max-w-[90vw] bg-white border border-gray-200 rounded-lg shadow-lg p-4 z-50" role="dialog" aria-label="Search syntax">
+                    <h3 class="text-sm font-semibold text-gray-900 mb-2">Search syntax</h3>
+                    <dl class="space-y-2 text-sm">
+                        ${QUERY_HELP.map(item => `
+                            <div>
+                                <dt><code class="text-blue-700">${this.escapeHtml(item.example)}</code></dt>
+                                <dd class="text-gray-600">${this.escapeHtml(item.description)}</dd>
+                            </div>
+                        `).join('')}
+                    </dl>
+                </div>
             </div>
+            <div id="search-errors" class="mt-1 text-sm text-red-600 hidden" aria-live="polite"></div>
         `;
     }
 
@@ -81,7 +121,11 @@ export class SearchBar {
             // Handle keyboard shortcuts
             searchInput.addEventListener('keydown', (event) => {
                 if (event.key === 'Escape') {
-                    this.clearSearch();
+                    if (this.isSyntaxHelpOpen()) {
+                        this.toggleSyntaxHelp(false);
+                    } else {
+                        this.clearSearch();
+                    }
                 }
             });
         }
@@ -91,6 +135,63 @@ export class SearchBar {
                 this.clearSearch();
             });
         }
+
+        const syntaxButton = this.container.querySelector('#search-syntax-btn');
+        if (syntaxButton) {
+            syntaxButton.addEventListener('click', () => {
+                this.toggleSyntaxHelp();
+            });
+        }
+
+        // Close the help popover when clicking elsewhere
+        this.handleDocumentClick = (event) => {
+            if (this.isSyntaxHelpOpen() && !event.target.closest('#search-syntax-help, #search-syntax-btn')) {
+                this.toggleSyntaxHelp(false);
+            }
+        };
+        document.addEventListener('click', this.handleDocumentClick);
+    }
+
+    /**
+     * Show or hide the query syntax help popover
+     * @param {boolean} open - Desired state (toggles when omitted)
+     */
+    toggleSyntaxHelp(open = !this.isSyntaxHelpOpen()) {
+        const popover = this.container.querySelector('#search-syntax-help');
+        const syntaxButton = this.container.querySelector('#search-syntax-btn');
+        if (popover) {
+            popover.classList.toggle('hidden', !open);
+        }
+        if (syntaxButton) {
+            syntaxButton.setAttribute('aria-expanded', String(open));
+        }
+    }
+
+    /**
+     * Check whether the query syntax help popover is visible
+     * @returns {boolean} True if open
+     */
+    isSyntaxHelpOpen() {
+        const popover = this.container.querySelector('#search-syntax-help');
+        return !!popover && !popover.classList.contains('hidden');
+    }
+
+    /**
+     * Show query syntax errors under the input
+     * @param {string} searchTerm - Current search text
+     */
+    updateSyntaxErrors(searchTerm) {
+        const errorsContainer = this.container.querySelector('#search-errors');
+        const searchInput = this.container.querySelector('#search-input');
+        const { errors } = parseQuery(searchTerm);
+
+        if (errorsContainer) {
+            errorsContainer.textContent = errors.map(error => error.message).join('. ');
+            errorsContainer.classList.toggle('hidden', errors.length === 0);
+        }
+        if (searchInput) {
+            searchInput.setAttribute('aria-invalid', String(errors.length > 0));
+        }
     }
 
     /**
@@ -101,6 +202,7 @@ export class SearchBar {
         const trimmedValue = value.trim();
         this.searchTerm = trimmedValue;
         this.updateClearButton();
+        this.updateSyntaxErrors(trimmedValue);
 
         // Use the debounced search function
         this.debouncedSearch(trimmedValue);
@@ -116,6 +218,7 @@ export class SearchBar {
         if (this.searchTerm !== trimmedTerm) {
             this.searchTerm = trimmedTerm;
             this.updateClearButton();
+            this.updateSyntaxErrors(trimmedTerm);
 
             // Trigger callback immediately for programmatic updates
             if (this.lastSearchTerm !== this.searchTerm && this.onSearchChange) {
@@ -171,6 +274,7 @@ export class SearchBar {
             searchInput.value = searchTerm;
         }
         this.updateClearButton();
+        this.updateSyntaxErrors(searchTerm);
     }
 
     /**
@@ -216,10 +320,26 @@ export class SearchBar {
         });
     }
 
+    /**
+     * Escape text for HTML output
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /**
      * Destroy the search bar and clean up resources
      */
     destroy() {
+        if (this.handleDocumentClick) {
+            document.removeEventListener('click', this.handleDocumentClick);
+            this.handleDocumentClick = null;
+        }
+
         // Clean up debounced function
         if (this.debouncedSearch) {
             this.debouncedSearch = null;
@@ -1,5 +1,9 @@
 import GistManager from '../services/GistManager.js';
+import GitHubTokenManager from '../services/GitHubTokenManager.js';
+import StorageProviderManager from '../services/StorageProviderManager.js';
 import { DataManagementService } from '../services/DataManagementService.js';
+import { ImportExportService } from '../services/ImportExportService.js';
+import { summarizeCollectionDiff } from '../utils/helpers.js';
 
 /**
  * SettingsPanel - Settings panel for managing sync preferences and gist sharing
@@ -9,6 +13,8 @@ class SettingsPanel {
     constructor(dataService, onSettingsChanged = null) {
         this.dataService = dataService;
         this.gistManager = new GistManager();
+        this.tokenManager = new GitHubTokenManager();
+        this.storageProviderManager = new StorageProviderManager();
         this.onSettingsChanged = onSettingsChanged;
         this.element = null;
         this.validationTimeout = null;
@@ -29,6 +35,9 @@ class SettingsPanel {
         const container = document.createElement('div');
         container.className = 'bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto';
 
+        const providerConfig = this.storageProviderManager.getConfig();
+        const usesGist = providerConfig.type === 'gist';
+
         container.innerHTML = `
             <div class="p-6">
                 <!-- Header -->
@@ -49,8 +58,76 @@ class SettingsPanel {
                     </div>
                 </div>
 
-                <!-- Gist Connection -->
+                <!-- Sync Storage -->
                 <div class="mb-8">
+                    <h3 class="text-lg font-semibold text-gray-900 mb-4">Sync Storage</h3>
+                    <div class="space-y-4">
+                        <div>
+                            <label for="storage-provider" class="block text-sm font-medium text-gray-700 mb-2">
+                                Where your library is stored
+                            </label>
+                            <select id="storage-provider" class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                                <option value="gist" ${usesGist ? 'selected' : ''}>GitHub Gist</option>
+                                <option value="webdav" ${providerConfig.type === 'webdav' ? 'selected' : ''}>WebDAV server (Nextcloud, ownCloud, ...)</option>
+                                <option value="http" ${providerConfig.type === 'http' ? 'selected' : ''}>Self-hosted JSON endpoint (HTTP GET/PUT)</option>
+                            </select>
+                        </div>
+
+                        <div id="storage-provider-fields" class="space-y-4 ${usesGist ? 'hidden' : ''}">
+                            <div>
+                                <label for="storage-url" class="block text-sm font-medium text-gray-700 mb-2">
+                                    Library File URL
+                                </label>
+                                <input 
+                                    type="url" 
+                                    id="storage-url"
+                                    class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                    placeholder="https://cloud.example.com/remote.php/dav/files/me/audiobooks.json"
+                                    value="${this.escapeAttribute(providerConfig.url)}"
+                                />
+                            </div>
+                            <div id="storage-username-field" class="${providerConfig.type === 'webdav' ? '' : 'hidden'}">
+                                <label for="storage-username" class="block text-sm font-medium text-gray-700 mb-2">
+                                    Username
+                                </label>
+                                <input 
+                                    type="text" 
+                                    id="storage-username"
+                                    autocomplete="username"
+                                    class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                    value="${this.escapeAttribute(providerConfig.username)}"
+                                />
+                            </div>
+                            <div>
+                                <label id="storage-secret-label" for="storage-secret" class="block text-sm font-medium text-gray-700 mb-2">
+                                    ${providerConfig.type === 'webdav' ? 'Password or App Password' : 'Bearer Token (optional)'}
+                                </label>
+                                <input 
+                                    type="password" 
+                                    id="storage-secret"
+                                    autocomplete="off"
+                                    class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                    placeholder="${providerConfig.secret ? 'Saved — enter a new one to replace it' : ''}"
+                                />
+                                <label class="flex items-center mt-2 text-sm text-gray-700">
+                                    <input type="checkbox" id="remember-storage-secret" class="mr-2" ${providerConfig.remember ? 'checked' : ''}>
+                                    Remember on this device (stored unencrypted in browser storage)
+                                </label>
+                            </div>
+                        </div>
+
+                        <div id="storage-validation-message" class="mt-2 text-sm hidden"></div>
+
+                        <div class="flex gap-3">
+                            <button id="save-storage-provider" class="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500">
+                                Save Storage
+                            </button>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Gist Connection -->
+                <div class="mb-8 gist-settings ${usesGist ? '' : 'hidden'}">
                     <h3 class="text-lg font-semibold text-gray-900 mb-4">Gist Connection</h3>
                     <div class="space-y-4">
                         <div>
@@ -70,9 +147,16 @@ class SettingsPanel {
                                 </button>
                             </div>
                             <div id="gist-validation-message" class="mt-2 text-sm hidden"></div>
+                            <div id="gist-visibility" class="mt-2 text-sm text-gray-600 hidden"></div>
                         </div>
                         
                         <div class="flex gap-3">
+                            <button id="make-gist-secret" class="px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-gray-500 hidden">
+                                Move to Secret Gist
+                            </button>
+                            <button id="show-revision-history" class="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-500">
+                                Revision History
+                            </button>
                             <button id="update-gist" class="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500">
                                 Update Connection
                             </button>
@@ -83,6 +167,43 @@ class SettingsPanel {
                     </div>
                 </div>
 
+                <!-- GitHub Token -->
+                <div class="mb-8 gist-settings ${usesGist ? '' : 'hidden'}">
+                    <h3 class="text-lg font-semibold text-gray-900 mb-4">GitHub Access Token</h3>
+                    <div class="space-y-4">
+                        <p class="text-sm text-gray-600">
+                            Optional. A personal access token with the <code>gist</code> scope lets this device save changes to your gist.
+                            Without one, sync can only read.
+                        </p>
+                        <div>
+                            <label for="github-token" class="block text-sm font-medium text-gray-700 mb-2">
+                                Personal Access Token
+                            </label>
+                            <input 
+                                type="password" 
+                                id="github-token"
+                                autocomplete="off"
+                                class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                placeholder="${this.tokenManager.hasToken() ? 'Token saved — enter a new one to rotate' : 'ghp_...'}"
+                            />
+                            <label class="flex items-center mt-2 text-sm text-gray-700">
+                                <input type="checkbox" id="remember-token" class="mr-2" ${this.tokenManager.isRemembered() ? 'checked' : ''}>
+                                Remember on this device (stored unencrypted in browser storage)
+                            </label>
+                            <div id="token-validation-message" class="mt-2 text-sm hidden"></div>
+                        </div>
+                        
+                        <div class="flex gap-3">
+                            <button id="save-token" class="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500">
+                                ${this.tokenManager.hasToken() ? 'Rotate Token' : 'Save Token'}
+                            </button>
+                            <button id="clear-token" class="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 ${this.tokenManager.hasToken() ? '' : 'hidden'}">
+                                Remove Token
+                            </button>
+                        </div>
+                    </div>
+                </div>
+
                 <!-- Sync Preferences -->
                 <div class="mb-8">
                     <h3 class="text-lg font-semibold text-gray-900 mb-4">Sync Preferences</h3>
@@ -194,6 +315,7 @@ class SettingsPanel {
         this.element = overlay;
         this.attachEventListeners();
         this.loadCurrentSettings();
+        this.loadGistVisibility();
 
         return overlay;
     }
@@ -204,8 +326,9 @@ class SettingsPanel {
     renderSyncStatus() {
         const gistId = this.gistManager.getGistId();
         const syncManager = this.dataService?.getSyncManager();
+        const usesGist = this.storageProviderManager.getProviderType() === 'gist';
 
-        if (!gistId) {
+        if (usesGist && !gistId) {
             return `
                 <div class="flex items-center gap-3">
                     <div class="w-3 h-3 bg-gray-400 rounded-full"></div>
@@ -317,8 +440,28 @@ class SettingsPanel {
         const disconnectBtn = this.element.querySelector('#disconnect-gist');
 
         updateBtn?.addEventListener('click', () => this.updateGistConnection());
+
+        // Storage provider
+        const providerSelect = this.element.querySelector('#storage-provider');
+        const saveProviderBtn = this.element.querySelector('#save-storage-provider');
+
+        providerSelect?.addEventListener('change', () => this.updateStorageProviderFields(providerSelect.value));
+        saveProviderBtn?.addEventListener('click', () => this.saveStorageProvider());
         disconnectBtn?.addEventListener('click', () => this.disconnectGist());
 
+        const makeSecretBtn = this.element.querySelector('#make-gist-secret');
+        makeSecretBtn?.addEventListener('click', () => this.convertToSecretGist());
+
+        const revisionHistoryBtn = this.element.querySelector('#show-revision-history');
+        revisionHistoryBtn?.addEventListener('click', () => this.showRevisionHistoryModal());
+
+        // GitHub token actions
+        const saveTokenBtn = this.element.querySelector('#save-token');
+        const clearTokenBtn = this.element.querySelector('#clear-token');
+
+        saveTokenBtn?.addEventListener('click', () => this.saveGitHubToken());
+        clearTokenBtn?.addEventListener('click', () => this.clearGitHubToken());
+
         // Data management actions
         const validateDataBtn = this.element.querySelector('#validate-data');
         const syncDiagnosticsBtn = this.element.querySelector('#sync-diagnostics');
@@ -400,6 +543,16 @@ class SettingsPanel {
         }
     }
 
+    /**
+     * Escape a value for use inside a double-quoted attribute
+     */
+    escapeAttribute(value) {
+        return String(value || '')
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;');
+    }
+
     /**
      * Get CSS classes for message type
      */
@@ -464,6 +617,7 @@ class SettingsPanel {
             this.updateSyncStatusDisplay();
 
             this.showGistValidationMessage('Gist connection updated successfully!', 'success');
+            this.loadGistVisibility();
 
             if (this.onSettingsChanged) {
                 this.onSettingsChanged('gist-updated', gistId);
@@ -499,6 +653,7 @@ class SettingsPanel {
 
             this.updateSyncStatusDisplay();
             this.clearGistValidationMessage();
+            this.loadGistVisibility();
 
             if (this.onSettingsChanged) {
                 this.onSettingsChanged('gist-disconnected');
@@ -509,6 +664,454 @@ class SettingsPanel {
         }
     }
 
+    /**
+     * Show the fields needed by the selected storage provider
+     * @param {string} type - Provider type
+     */
+    updateStorageProviderFields(type) {
+        const usesGist = type === 'gist';
+
+        this.element.querySelector('#storage-provider-fields')?.classList.toggle('hidden', usesGist);
+        this.element.querySelector('#storage-username-field')?.classList.toggle('hidden', type !== 'webdav');
+        this.element.querySelectorAll('.gist-settings').forEach(section => {
+            section.classList.toggle('hidden', !usesGist);
+        });
+
+        const secretLabel = this.element.querySelector('#storage-secret-label');
+        if (secretLabel) {
+            secretLabel.textContent = type === 'webdav' ? 'Password or App Password' : 'Bearer Token (optional)';
+        }
+
+        this.clearStorageValidationMessage();
+    }
+
+    /**
+     * Validate and save the selected storage provider, then restart sync with it
+     * An empty remote file is created from the local library when none exists yet.
+     */
+    async saveStorageProvider() {
+        const type = this.element.querySelector('#storage-provider')?.value || 'gist';
+        const stored = this.storageProviderManager.getConfig();
+        const secretInput = this.element.querySelector('#storage-secret');
+
+        const config = {
+            type,
+            url: this.element.querySelector('#storage-url')?.value.trim() || '',
+            username: this.element.querySelector('#storage-username')?.value.trim() || '',
+            // Keep the saved secret unless a new one is typed
+            secret: secretInput?.value || (stored.type === type ? stored.secret : ''),
+            remember: !!this.element.querySelector('#remember-storage-secret')?.checked
+        };
+
+        try {
+            if (type !== 'gist') {
+                this.showStorageValidationMessage('Checking connection...', 'info');
+
+                const provider = this.storageProviderManager.createProvider({}, config);
+                provider.assertConfigured();
+
+                if (!(await provider.exists())) {
+                    if (!confirm(`No library found at ${config.url}. Create it from this device's library?`)) {
+                        this.clearStorageValidationMessage();
+                        return;
+                    }
+
+                    const localData = await this.dataService?.localCache?.loadData();
+                    await provider.write(localData || this.createEmptyLibraryDocument());
+                }
+            }
+
+            this.storageProviderManager.saveConfig(config);
+
+            if (secretInput) {
+                secretInput.value = '';
+            }
+
+            if (this.dataService) {
+                await this.dataService.reinitializeSync();
+            }
+
+            this.showStorageValidationMessage('Sync storage saved', 'success');
+            this.updateSyncStatusDisplay();
+
+            if (this.onSettingsChanged) {
+                this.onSettingsChanged('storage-provider-changed', type);
+            }
+        } catch (error) {
+            console.error('Failed to save storage provider:', error);
+            this.showStorageValidationMessage(`Could not use this storage: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Build a synced document for a library with no books yet
+     * @returns {Object} Document with metadata, audiobooks, smart collections and lists
+     */
+    createEmptyLibraryDocument() {
+        return {
+            metadata: {
+                version: '1.0',
+                lastModified: new Date().toISOString(),
+                deviceId: this.dataService?.localCache?.getDeviceId() || null,
+                appVersion: '1.0.0',
+                syncStatus: 'synced',
+                tombstones: []
+            },
+            audiobooks: [],
+            smartCollections: [],
+            lists: []
+        };
+    }
+
+    /**
+     * Show storage provider validation message
+     */
+    showStorageValidationMessage(message, type) {
+        const messageEl = this.element.querySelector('#storage-validation-message');
+        if (messageEl) {
+            messageEl.textContent = message;
+            messageEl.className = `mt-2 text-sm ${this.getMessageClasses(type)}`;
+            messageEl.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Clear storage provider validation message
+     */
+    clearStorageValidationMessage() {
+        this.element.querySelector('#storage-validation-message')?.classList.add('hidden');
+    }
+
+    /**
+     * Show whether the connected gist is public or secret
+     */
+    async loadGistVisibility() {
+        const visibilityEl = this.element?.querySelector('#gist-visibility');
+        const makeSecretBtn = this.element?.querySelector('#make-gist-secret');
+        const gistId = this.gistManager.getGistId();
+
+        if (!visibilityEl) {
+            return;
+        }
+
+        if (!gistId) {
+            visibilityEl.classList.add('hidden');
+            makeSecretBtn?.classList.add('hidden');
+            return;
+        }
+
+        const info = await this.gistManager.getGistInfo(gistId);
+        if (!this.element) {
+            return; // Panel closed while loading
+        }
+
+        if (!info) {
+            visibilityEl.textContent = 'Visibility: unknown (gist not reachable)';
+        } else if (info.visibility === 'secret') {
+            visibilityEl.textContent = 'Visibility: secret — only people with the gist ID can see it';
+        } else {
+            visibilityEl.textContent = 'Visibility: public — anyone can find this reading list';
+        }
+        visibilityEl.classList.remove('hidden');
+        makeSecretBtn?.classList.toggle('hidden', info?.visibility !== 'public');
+    }
+
+    /**
+     * Copy the library into a new secret gist and switch sync over to it
+     */
+    async convertToSecretGist() {
+        if (!this.tokenManager.hasToken()) {
+            this.showGistValidationMessage('Add a GitHub token with the gist scope first', 'error');
+            return;
+        }
+
+        const syncManager = this.dataService?.getSyncManager();
+        if (!syncManager) {
+            this.showGistValidationMessage('Sync is not available', 'error');
+            return;
+        }
+
+        if (!confirm('Create a new secret gist with your library and switch this device to it? Other devices will need the new gist ID.')) {
+            return;
+        }
+
+        const deleteOriginal = confirm('Delete the old public gist after copying? Choose Cancel to keep it.');
+
+        this.showGistValidationMessage('Moving library to a secret gist...', 'info');
+
+        try {
+            const result = await syncManager.migrateToSecretGist({ deleteOriginal });
+
+            const gistInput = this.element.querySelector('#current-gist-id');
+            if (gistInput) {
+                gistInput.value = result.gistId;
+            }
+
+            const deleteFailed = deleteOriginal && !result.originalDeleted;
+            this.showGistValidationMessage(
+                deleteFailed ? 'Moved to secret gist, but the old gist could not be deleted' : 'Library moved to a secret gist',
+                deleteFailed ? 'warning' : 'success'
+            );
+
+            this.updateSyncStatusDisplay();
+            await this.loadGistVisibility();
+
+            if (this.onSettingsChanged) {
+                this.onSettingsChanged('gist-updated', result.gistId);
+            }
+        } catch (error) {
+            console.error('Failed to move to secret gist:', error);
+            this.showGistValidationMessage(`Failed to move to secret gist: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Show the gist's earlier revisions, each with a summary and a restore action
+     */
+    async showRevisionHistoryModal() {
+        const syncManager = this.dataService?.getSyncManager();
+        if (!syncManager) {
+            this.showGistValidationMessage('Sync is not available', 'error');
+            return;
+        }
+
+        let revisions;
+        try {
+            revisions = await syncManager.listRevisions({ perPage: 20 });
+        } catch (error) {
+            console.error('Failed to load revision history:', error);
+            this.showGistValidationMessage(`Failed to load revision history: ${error.message}`, 'error');
+            return;
+        }
+
+        const localData = await this.dataService?.localCache?.loadData();
+        const currentBooks = localData?.audiobooks || [];
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-60 p-4';
+
+        const content = document.createElement('div');
+        content.className = 'bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto';
+
+        content.innerHTML = `
+            <div class="p-6">
+                <div class="flex items-center justify-between mb-6">
+                    <h3 class="text-xl font-bold text-gray-900">Revision History</h3>
+                    <button class="close-modal text-gray-400 hover:text-gray-600">
+                        <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                        </svg>
+                    </button>
+                </div>
+
+                <p class="text-sm text-gray-600 mb-4">
+                    GitHub keeps every saved version of your library gist. Changes are shown relative to the library on this device.
+                    Restoring downloads a backup of your current library first.
+                </p>
+
+                ${revisions.length > 0 ? `
+                    <ul class="space-y-2">
+                        ${revisions.map((revision, index) => `
+                            <li class="revision-row flex items-center justify-between gap-4 p-3 bg-gray-50 rounded" data-revision="${this.escapeAttribute(revision.revision)}">
+                                <div>
+                                    <div class="font-medium">
+                                        ${new Date(revision.committedAt).toLocaleString()}
+                                        ${index === 0 ? '<span class="ml-2 text-xs text-blue-600">latest</span>' : ''}
+                                    </div>
+                                    <div class="revision-summary text-sm text-gray-600">Loading...</div>
+                                </div>
+                                <button class="restore-revision px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700" data-revision="${this.escapeAttribute(revision.revision)}" data-committed-at="${this.escapeAttribute(revision.committedAt)}">
+                                    Restore
+                                </button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<div class="text-gray-600">No revisions found</div>'}
+
+                <div class="flex justify-end mt-6">
+                    <button class="close-modal px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700">
+                        Close
+                    </button>
+                </div>
+            </div>
+        `;
+
+        modal.appendChild(content);
+        document.body.appendChild(modal);
+
+        const closeModal = () => {
+            if (modal.parentNode) {
+                document.body.removeChild(modal);
+            }
+        };
+
+        // Add close handlers
+        modal.querySelectorAll('.close-modal').forEach(btn => {
+            btn.addEventListener('click', closeModal);
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeModal();
+            }
+        });
+
+        modal.querySelectorAll('.restore-revision').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const restored = await this.restoreRevision(btn.dataset.revision, btn.dataset.committedAt);
+                if (restored) {
+                    closeModal();
+                }
+            });
+        });
+
+        // Load summaries one at a time to stay well inside the API rate limit
+        for (const row of modal.querySelectorAll('.revision-row')) {
+            if (!modal.parentNode) {
+                return; // Modal closed while loading
+            }
+
+            const summaryEl = row.querySelector('.revision-summary');
+            try {
+                const revisionData = await syncManager.getRevisionData(row.dataset.revision);
+                summaryEl.textContent = this.formatRevisionSummary(currentBooks, revisionData.audiobooks);
+            } catch (error) {
+                summaryEl.textContent = `Could not load this revision: ${error.message}`;
+            }
+        }
+    }
+
+    /**
+     * Describe a revision's book count and how restoring it would change current data
+     */
+    formatRevisionSummary(currentBooks, revisionBooks) {
+        const diff = summarizeCollectionDiff(currentBooks, revisionBooks);
+        const bookCount = `${revisionBooks.length} ${revisionBooks.length === 1 ? 'book' : 'books'}`;
+
+        if (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0) {
+            return `${bookCount} · same as current`;
+        }
+
+        const changes = [
+            diff.added.length > 0 ? `${diff.added.length} not in current` : null,
+            diff.removed.length > 0 ? `${diff.removed.length} missing` : null,
+            diff.changed.length > 0 ? `${diff.changed.length} different` : null
+        ].filter(Boolean);
+
+        return `${bookCount} · ${changes.join(', ')}`;
+    }
+
+    /**
+     * Back up the current library, then restore it to an earlier gist revision
+     * @returns {Promise<boolean>} True if the revision was restored
+     */
+    async restoreRevision(revision, committedAt) {
+        const syncManager = this.dataService?.getSyncManager();
+        const revisionDate = new Date(committedAt).toLocaleString();
+
+        if (!syncManager || !confirm(`Restore your library to the version from ${revisionDate}? A backup of your current library will be downloaded first.`)) {
+            return false;
+        }
+
+        try {
+            const localData = await this.dataService?.localCache?.loadData();
+            if (localData?.audiobooks?.length > 0) {
+                await new ImportExportService().createImportBackup(localData);
+            }
+
+            const result = await syncManager.restoreRevision(revision);
+
+            this.showGistValidationMessage(`Restored ${result.audiobookCount} books from ${revisionDate}`, 'success');
+            this.updateSyncStatusDisplay();
+
+            if (this.onSettingsChanged) {
+                this.onSettingsChanged('revision-restored', revision);
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to restore revision:', error);
+            alert('Failed to restore revision: ' + error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Validate and save (or rotate) the GitHub access token
+     */
+    async saveGitHubToken() {
+        const tokenInput = this.element.querySelector('#github-token');
+        const remember = this.element.querySelector('#remember-token')?.checked || false;
+        const token = tokenInput?.value.trim();
+
+        if (!token) {
+            this.showTokenValidationMessage('Please enter a token', 'error');
+            return;
+        }
+
+        this.showTokenValidationMessage('Checking token with GitHub...', 'info');
+
+        try {
+            const result = await this.tokenManager.rotateToken(token, { remember });
+
+            if (!result.valid) {
+                this.showTokenValidationMessage(result.error || 'Token was rejected', 'error');
+                return;
+            }
+
+            tokenInput.value = '';
+            tokenInput.placeholder = 'Token saved — enter a new one to rotate';
+            this.element.querySelector('#save-token').textContent = 'Rotate Token';
+            this.element.querySelector('#clear-token')?.classList.remove('hidden');
+            this.showTokenValidationMessage(
+                result.login ? `Token saved for ${result.login}` : 'Token saved',
+                'success'
+            );
+
+            if (this.onSettingsChanged) {
+                this.onSettingsChanged('token-updated');
+            }
+        } catch (error) {
+            console.error('Failed to save token:', error);
+            this.showTokenValidationMessage('Failed to save token', 'error');
+        }
+    }
+
+    /**
+     * Remove the stored GitHub access token
+     */
+    clearGitHubToken() {
+        if (!confirm('Remove the GitHub token from this device? Sync will become read-only.')) {
+            return;
+        }
+
+        this.tokenManager.clearToken();
+
+        const tokenInput = this.element.querySelector('#github-token');
+        if (tokenInput) {
+            tokenInput.value = '';
+            tokenInput.placeholder = 'ghp_...';
+        }
+        this.element.querySelector('#save-token').textContent = 'Save Token';
+        this.element.querySelector('#clear-token')?.classList.add('hidden');
+        this.showTokenValidationMessage('Token removed', 'info');
+
+        if (this.onSettingsChanged) {
+            this.onSettingsChanged('token-cleared');
+        }
+    }
+
+    /**
+     * Show token validation message
+     */
+    showTokenValidationMessage(message, type) {
+        const messageEl = this.element.querySelector('#token-validation-message');
+        if (messageEl) {
+            messageEl.textContent = message;
+            messageEl.className = `mt-2 text-sm ${this.getMessageClasses(type)}`;
+            messageEl.classList.remove('hidden');
+        }
+    }
+
     /**
      * Force sync now
      */
@@ -1,4 +1,5 @@
 import GistManager from '../services/GistManager.js';
+import GitHubTokenManager from '../services/GitHubTokenManager.js';
 
 /**
  * SetupWizard - Step-by-step setup wizard for first-time users
@@ -7,6 +8,7 @@ import GistManager from '../services/GistManager.js';
 class SetupWizard {
     constructor(onComplete = null, onSkip = null) {
         this.gistManager = new GistManager();
+        this.tokenManager = new GitHubTokenManager();
         this.onComplete = onComplete;
         this.onSkip = onSkip;
         this.currentStep = 1;
@@ -211,7 +213,7 @@ class SetupWizard {
                             <p class="font-medium text-gray-900">Set up the gist</p>
                             <div class="text-sm text-gray-600 mt-1 space-y-1">
                                 <p>• Filename: <code class="bg-gray-100 px-1 rounded">audiobooks.json</code></p>
-                                <p>• Make it <strong>Public</strong></p>
+                                <p>• Make it <strong>Public</strong>, or <strong>Secret</strong> if you'll add a GitHub token in the last step</p>
                                 <p>• Add this content:</p>
                             </div>
                             <pre class="bg-gray-100 p-3 rounded text-xs mt-2 overflow-x-auto">{"audiobooks": [], "metadata": {"version": "1.0"}}</pre>
@@ -281,8 +283,32 @@ class SetupWizard {
                     </ol>
                 </div>
                 
+                <div class="text-left border border-gray-200 rounded-lg p-4 mb-6">
+                    <h4 class="font-medium text-gray-900 mb-2">Optional: allow this device to save changes</h4>
+                    <p class="text-sm text-gray-600 mb-3">
+                        GitHub only accepts gist updates from the owner. Paste a personal access token with the <code>gist</code> scope to enable writes.
+                    </p>
+                    <div class="flex gap-2">
+                        <input 
+                            type="password" 
+                            id="setup-token-input"
+                            autocomplete="off"
+                            class="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            placeholder="ghp_..."
+                        />
+                        <button id="save-setup-token" class="px-3 py-2 bg-gray-600 text-white text-sm rounded-md hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-500">
+                            Save Token
+                        </button>
+                    </div>
+                    <label class="flex items-center mt-2 text-sm text-gray-700">
+                        <input type="checkbox" id="setup-remember-token" class="mr-2">
+                        Remember on this device
+                    </label>
+                    <div id="token-validation-message" class="mt-2 text-sm hidden"></div>
+                </div>
+                
                 <div class="text-sm text-gray-600">
-                    <p>You can always find this Gist ID in Settings → Sync Settings</p>
+                    <p>You can always find this Gist ID and manage your token in Settings → Sync Settings</p>
                 </div>
             </div>
         `;
@@ -409,6 +435,9 @@ class SetupWizard {
             });
         }
 
+        const saveTokenBtn = this.element.querySelector('#save-setup-token');
+        saveTokenBtn?.addEventListener('click', () => this.saveToken());
+
         // Change final button to "Complete Setup"
         const nextBtn = this.element.querySelector('#next-btn');
         if (nextBtn) {
@@ -417,6 +446,28 @@ class SetupWizard {
         }
     }
 
+    /**
+     * Validate and save the optional GitHub token
+     */
+    async saveToken() {
+        const token = this.element.querySelector('#setup-token-input')?.value.trim();
+        const remember = this.element.querySelector('#setup-remember-token')?.checked || false;
+
+        if (!token) {
+            this.showValidationMessage('Please enter a token', 'error', 'token-validation-message');
+            return;
+        }
+
+        this.showValidationMessage('Checking token with GitHub...', 'info', 'token-validation-message');
+
+        const result = await this.tokenManager.rotateToken(token, { remember });
+        if (result.valid) {
+            this.showValidationMessage('Token saved. This device can now update the gist.', 'success', 'token-validation-message');
+        } else {
+            this.showValidationMessage(result.error || 'Token was rejected', 'error', 'token-validation-message');
+        }
+    }
+
     /**
      * Validate gist ID and update UI
      */
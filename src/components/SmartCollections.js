@@ -0,0 +1,370 @@
+import { sanitizeString } from '../utils/helpers.js';
+
+/**
+ * SmartCollections component - Sidebar list of saved searches and filter combinations
+ * Each smart collection shows how many books currently match it. Selecting one applies
+ * it; it can also be renamed or updated to the current filters, moved up or down and
+ * deleted. Actions are dispatched as bubbling events on the container for the app to
+ * persist: smartCollectionApply, smartCollectionSave, smartCollectionUpdate,
+ * smartCollectionDelete and smartCollectionReorder.
+ */
+export class SmartCollections {
+    constructor(container) {
+        this.container = container;
+        this.smartCollections = [];
+        this.counts = new Map(); // Map of smart collection ID to matching book count
+        this.activeId = null; // Smart collection matching the current search and filters
+        this.canSave = false; // Whether there is a search or filter to save
+        this.isCreating = false;
+        this.editingId = null;
+
+        this.render();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set the smart collections to list
+     * @param {Array} smartCollections - Smart collections in display order
+     * @param {Map} counts - Matching book count per smart collection ID
+     */
+    setSmartCollections(smartCollections, counts = new Map()) {
+        this.smartCollections = smartCollections;
+        this.counts = counts;
+
+        if (this.editingId && !smartCollections.some(sc => sc.id === this.editingId)) {
+            this.editingId = null;
+        }
+
+        this.render();
+    }
+
+    /**
+     * Update which smart collection matches the current view and whether it can be saved
+     * @param {string|null} activeId - ID of the matching smart collection
+     * @param {boolean} canSave - True if a search or filter is active
+     */
+    setCurrentState(activeId, canSave) {
+        if (activeId === this.activeId && canSave === this.canSave) {
+            return;
+        }
+
+        this.activeId = activeId;
+        this.canSave = canSave;
+
+        // Keep an open name field intact while the view changes underneath it
+        if (this.isCreating || this.editingId) {
+            this.updateSaveButton();
+            return;
+        }
+
+        this.render();
+    }
+
+    /**
+     * Render the component
+     */
+    render() {
+        const items = this.smartCollections.map((smartCollection, index) => (
+            smartCollection.id === this.editingId
+                ? this.renderEditForm(smartCollection)
+                : this.renderItem(smartCollection, index)
+        )).join('');
+
+        this.container.innerHTML = `
+            <div class="smart-collections">
+                <div class="flex items-center justify-between mb-3">
+                    <h3 class="text-sm font-medium text-gray-900">Smart Collections</h3>
+                    <button
+                        id="save-smart-collection-btn"
+                        type="button"
+                        class="text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400 disabled:cursor-not-allowed focus:outline-none keyboard-focusable"
+                        ${this.canSave && !this.isCreating ? '' : 'disabled'}
+                        title="${this.canSave ? 'Save the current search and filters' : 'Search or filter first, then save the result'}"
+                    >
+                        Save current
+                    </button>
+                </div>
+
+                ${this.isCreating ? this.renderCreateForm() : ''}
+
+                ${this.smartCollections.length > 0 ? `
+                    <ul class="space-y-1" role="list" aria-label="Smart collections">
+                        ${items}
+                    </ul>
+                ` : `
+                    <p class="text-sm text-gray-500">Save a search and filter combination to get back to it in one click.</p>
+                `}
+            </div>
+        `;
+
+        if (this.isCreating || this.editingId) {
+            const nameInput = this.container.querySelector('.smart-collection-name-input');
+            if (nameInput) {
+                nameInput.focus();
+                nameInput.select();
+            }
+        }
+    }
+
+    /**
+     * Render one smart collection row
+     * @param {Object} smartCollection - Smart collection
+     * @param {number} index - Position in the list
+     * @returns {string} HTML string for the row
+     */
+    renderItem(smartCollection, index) {
+        const isActive = smartCollection.id === this.activeId;
+        const count = this.counts.get(smartCollection.id) ?? 0;
+        const name = sanitizeString(smartCollection.name);
+        const iconButton = (action, label, path, disabled = false) => `
+            <button
+                type="button"
+                class="smart-collection-action p-1 text-gray-400 hover:text-gray-700 rounded disabled:opacity-30 disabled:hover:text-gray-400 keyboard-focusable"
+                data-action="${action}"
+                aria-label="${label} ${name}"
+                title="${label}"
+                ${disabled ? 'disabled' : ''}
+            >
+                <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${path}"/>
+                </svg>
+            </button>
+        `;
+
+        return `
+            <li class="smart-collection group flex items-center gap-1" data-id="${smartCollection.id}">
+                <button
+                    type="button"
+                    class="smart-collection-apply flex-1 min-w-0 flex items-center justify-between px-2 py-1.5 text-sm text-left rounded-md keyboard-focusable ${isActive ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-700 hover:bg-gray-100'}"
+                    ${isActive ? 'aria-current="true"' : ''}
+                >
+                    <span class="truncate">${name}</span>
+                    <span class="smart-collection-count ml-2 text-xs ${isActive ? 'text-blue-600' : 'text-gray-500'}" aria-label="${count} matching book${count !== 1 ? 's' : ''}">${count}</span>
+                </button>
+                <div class="flex items-center opacity-0 group-hover:opacity-100 group-focus-within:opacity-100">
+                    ${iconButton('up', 'Move up', 'M5 15l7-7 7 7', index === 0)}
+                    ${iconButton('down', 'Move down', 'M19 9l-7 7-7-7', index === this.smartCollections.length - 1)}
+                    ${iconButton('edit', 'Edit', 'M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z')}
+                    ${iconButton('delete', 'Delete', 'M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16')}
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Render the form for naming a new smart collection
+     * @returns {string} HTML string for the form
+     */
+    renderCreateForm() {
+        return `
+            <form class="smart-collection-form mb-3 space-y-2" data-mode="create">
+                <input
+                    type="text"
+                    class="smart-collection-name-input w-full text-sm border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="e.g. Short unfinished fantasy"
+                    aria-label="Smart collection name"
+                    maxlength="60"
+                    required
+                />
+                ${this.renderFormButtons()}
+            </form>
+        `;
+    }
+
+    /**
+     * Render the inline form for editing a smart collection
+     * @param {Object} smartCollection - Smart collection being edited
+     * @returns {string} HTML string for the form
+     */
+    renderEditForm(smartCollection) {
+        return `
+            <li class="smart-collection" data-id="${smartCollection.id}">
+                <form class="smart-collection-form space-y-2 p-2 bg-gray-50 rounded-md" data-mode="edit">
+                    <input
+                        type="text"
+                        class="smart-collection-name-input w-full text-sm border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                        value="${sanitizeString(smartCollection.name)}"
+                        aria-label="Smart collection name"
+                        maxlength="60"
+                        required
+                    />
+                    <label class="flex items-center text-xs text-gray-600">
+                        <input
+                            type="checkbox"
+                            class="smart-collection-replace h-3.5 w-3.5 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                            ${this.canSave ? '' : 'disabled'}
+                        />
+                        <span class="ml-2">Use the current search and filters</span>
+                    </label>
+                    ${this.renderFormButtons()}
+                </form>
+            </li>
+        `;
+    }
+
+    /**
+     * Render the save and cancel buttons of a form
+     * @returns {string} HTML string for the buttons
+     */
+    renderFormButtons() {
+        return `
+            <div class="flex justify-end space-x-2">
+                <button type="button" class="smart-collection-cancel text-sm text-gray-600 hover:text-gray-800 keyboard-focusable">Cancel</button>
+                <button type="submit" class="btn-primary text-sm py-1 px-3">Save</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Set up event listeners (delegated, so they survive re-renders)
+     */
+    setupEventListeners() {
+        this.container.addEventListener('click', (event) => {
+            const target = event.target.closest('button');
+            if (!target || !this.container.contains(target)) {
+                return;
+            }
+
+            if (target.id === 'save-smart-collection-btn') {
+                this.isCreating = true;
+                this.editingId = null;
+                this.render();
+                return;
+            }
+
+            if (target.classList.contains('smart-collection-cancel')) {
+                this.isCreating = false;
+                this.editingId = null;
+                this.render();
+                return;
+            }
+
+            const smartCollection = this.findSmartCollection(target);
+            if (!smartCollection) {
+                return;
+            }
+
+            if (target.classList.contains('smart-collection-apply')) {
+                this.dispatchEvent('smartCollectionApply', { smartCollection });
+            } else if (target.dataset.action) {
+                this.handleAction(target.dataset.action, smartCollection);
+            }
+        });
+
+        this.container.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.handleSubmit(event.target);
+        });
+
+        this.container.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && event.target.classList.contains('smart-collection-name-input')) {
+                event.stopPropagation();
+                this.isCreating = false;
+                this.editingId = null;
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Handle a row action button
+     * @param {string} action - up, down, edit or delete
+     * @param {Object} smartCollection - Smart collection the button belongs to
+     */
+    handleAction(action, smartCollection) {
+        if (action === 'edit') {
+            this.editingId = smartCollection.id;
+            this.isCreating = false;
+            this.render();
+            return;
+        }
+
+        if (action === 'delete') {
+            if (confirm(`Delete the smart collection "${smartCollection.name}"? Your books are not affected.`)) {
+                this.dispatchEvent('smartCollectionDelete', { smartCollection });
+            }
+            return;
+        }
+
+        const ids = this.smartCollections.map(sc => sc.id);
+        const index = ids.indexOf(smartCollection.id);
+        const target = action === 'up' ? index - 1 : index + 1;
+        if (target < 0 || target >= ids.length) {
+            return;
+        }
+
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+        this.dispatchEvent('smartCollectionReorder', { orderedIds: ids });
+    }
+
+    /**
+     * Handle the create or edit form being submitted
+     * @param {HTMLFormElement} form - Submitted form
+     */
+    handleSubmit(form) {
+        const name = form.querySelector('.smart-collection-name-input').value.trim();
+        if (!name) {
+            return;
+        }
+
+        if (form.dataset.mode === 'create') {
+            this.isCreating = false;
+            this.dispatchEvent('smartCollectionSave', { name });
+        } else {
+            const smartCollection = this.findSmartCollection(form);
+            const replaceFilters = form.querySelector('.smart-collection-replace').checked;
+            this.editingId = null;
+
+            if (smartCollection) {
+                this.dispatchEvent('smartCollectionUpdate', { smartCollection, name, replaceFilters });
+            }
+        }
+
+        this.render();
+    }
+
+    /**
+     * Enable or disable the save button without re-rendering
+     */
+    updateSaveButton() {
+        const saveButton = this.container.querySelector('#save-smart-collection-btn');
+        if (saveButton) {
+            saveButton.disabled = !this.canSave || this.isCreating;
+        }
+    }
+
+    /**
+     * Find the smart collection an element belongs to
+     * @param {HTMLElement} element - Element inside a smart collection row
+     * @returns {Object|undefined} Smart collection
+     */
+    findSmartCollection(element) {
+        const id = element.closest('.smart-collection')?.dataset.id;
+        return this.smartCollections.find(sc => sc.id === id);
+    }
+
+    /**
+     * Dispatch custom events
+     * @param {string} eventName - Name of the event
+     * @param {Object} detail - Event detail data
+     */
+    dispatchEvent(eventName, detail = {}) {
+        const event = new CustomEvent(eventName, {
+            detail,
+            bubbles: true
+        });
+        this.container.dispatchEvent(event);
+    }
+
+    /**
+     * Destroy the component and clean up resources
+     */
+    destroy() {
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+
+        this.smartCollections = [];
+        this.counts.clear();
+    }
+}
@@ -0,0 +1,213 @@
+import { StatisticsService } from '../services/StatisticsService.js';
+
+/**
+ * StatisticsDashboard component for listening history and collection statistics
+ * Renders the aggregates produced by StatisticsService in a modal
+ */
+export class StatisticsDashboard {
+    constructor() {
+        this.statisticsService = new StatisticsService();
+        this.modal = null;
+        this.period = 'month';
+        this.statistics = null;
+
+        this.createModal();
+        this.setupEventListeners();
+    }
+
+    createModal() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 hidden';
+        this.modal.innerHTML = `
+            <div class="bg-white rounded-lg shadow-xl max-w-3xl w-full mx-4 max-h-[90vh] overflow-hidden">
+                <div class="flex items-center justify-between p-6 border-b">
+                    <h2 class="text-xl font-semibold text-gray-900">Listening Statistics</h2>
+                    <button type="button" class="close-btn text-gray-400 hover:text-gray-600 transition-colors" aria-label="Close statistics">
+                        <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                        </svg>
+                    </button>
+                </div>
+
+                <div class="p-6 overflow-y-auto max-h-[75vh] space-y-8">
+                    <!-- Totals -->
+                    <div id="stats-totals" class="grid grid-cols-2 md:grid-cols-4 gap-4"></div>
+
+                    <!-- Listening history -->
+                    <div>
+                        <div class="flex items-center justify-between mb-3">
+                            <h3 class="text-lg font-medium text-gray-900">Hours Finished</h3>
+                            <div class="flex gap-2">
+                                <button type="button" class="period-btn text-sm px-3 py-1 rounded-full border" data-period="month">By month</button>
+                                <button type="button" class="period-btn text-sm px-3 py-1 rounded-full border" data-period="year">By year</button>
+                            </div>
+                        </div>
+                        <div id="stats-history" class="space-y-2"></div>
+                    </div>
+
+                    <!-- Top people -->
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <div>
+                            <h3 class="text-lg font-medium text-gray-900 mb-3">Top Authors</h3>
+                            <ol id="stats-authors" class="space-y-1"></ol>
+                        </div>
+                        <div>
+                            <h3 class="text-lg font-medium text-gray-900 mb-3">Top Narrators</h3>
+                            <ol id="stats-narrators" class="space-y-1"></ol>
+                        </div>
+                    </div>
+
+                    <!-- Distributions -->
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <div>
+                            <h3 class="text-lg font-medium text-gray-900 mb-3">Genres</h3>
+                            <div id="stats-genres" class="space-y-2"></div>
+                        </div>
+                        <div>
+                            <h3 class="text-lg font-medium text-gray-900 mb-3">Moods</h3>
+                            <div id="stats-moods" class="space-y-2"></div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+    }
+
+    setupEventListeners() {
+        // Close modal
+        this.modal.querySelector('.close-btn').addEventListener('click', () => {
+            this.hide();
+        });
+
+        // Close on backdrop click
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) {
+                this.hide();
+            }
+        });
+
+        // Month/year toggle
+        this.modal.querySelectorAll('.period-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.period = btn.dataset.period;
+                this.renderHistory();
+            });
+        });
+    }
+
+    show(collection) {
+        this.statistics = this.statisticsService.computeStatistics(collection?.audiobooks || []);
+        this.render();
+        this.modal.classList.remove('hidden');
+    }
+
+    hide() {
+        this.modal.classList.add('hidden');
+    }
+
+    render() {
+        this.renderTotals();
+        this.renderHistory();
+        this.renderRanking('#stats-authors', this.statistics.topAuthors);
+        this.renderRanking('#stats-narrators', this.statistics.topNarrators);
+        this.renderDistribution('#stats-genres', this.statistics.genreDistribution);
+        this.renderDistribution('#stats-moods', this.statistics.moodDistribution);
+    }
+
+    renderTotals() {
+        const { totals } = this.statistics;
+        const cards = [
+            { label: 'Books', value: totals.books },
+            { label: 'Finished', value: totals.finished },
+            { label: 'Hours finished', value: totals.hoursFinished },
+            { label: 'Listening now', value: totals.listening },
+            { label: 'Backlog', value: `${totals.backlog} (${totals.backlogHours} hrs)` },
+            { label: 'Average rating', value: totals.averageRating || '—' },
+            { label: 'Total spend', value: `$${totals.totalSpend.toFixed(2)}` }
+        ];
+
+        this.modal.querySelector('#stats-totals').innerHTML = cards.map(card => `
+            <div class="border rounded-lg p-4 text-center">
+                <p class="text-2xl font-semibold text-gray-900">${card.value}</p>
+                <p class="text-sm text-gray-600">${card.label}</p>
+            </div>
+        `).join('');
+    }
+
+    renderHistory() {
+        const groups = this.period === 'year' ? this.statistics.finishedByYear : this.statistics.finishedByMonth;
+        const container = this.modal.querySelector('#stats-history');
+
+        this.modal.querySelectorAll('.period-btn').forEach(btn => {
+            const isActive = btn.dataset.period === this.period;
+            btn.classList.toggle('bg-blue-600', isActive);
+            btn.classList.toggle('text-white', isActive);
+        });
+
+        if (groups.length === 0) {
+            container.innerHTML = '<p class="text-gray-400">No finished books with a finish date yet</p>';
+            return;
+        }
+
+        const maxHours = Math.max(...groups.map(group => group.hours), 1);
+        container.innerHTML = groups.map(group => `
+            <div class="flex items-center gap-3">
+                <span class="w-20 text-sm text-gray-600">${group.period}</span>
+                <div class="flex-1 bg-gray-100 rounded h-4">
+                    <div class="bg-blue-600 h-4 rounded" style="width: ${Math.round((group.hours / maxHours) * 100)}%"></div>
+                </div>
+                <span class="w-28 text-sm text-gray-700 text-right">${group.hours} hrs · ${group.books} ${group.books === 1 ? 'book' : 'books'}</span>
+            </div>
+        `).join('');
+    }
+
+    renderRanking(selector, entries) {
+        const container = this.modal.querySelector(selector);
+
+        if (entries.length === 0) {
+            container.innerHTML = '<li class="text-gray-400">Nothing to rank yet</li>';
+            return;
+        }
+
+        container.innerHTML = entries.map(entry => `
+            <li class="flex justify-between text-sm">
+                <span class="text-gray-900">${this.escapeHtml(entry.name)}</span>
+                <span class="text-gray-500">${entry.count}</span>
+            </li>
+        `).join('');
+    }
+
+    renderDistribution(selector, entries) {
+        const container = this.modal.querySelector(selector);
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="text-gray-400">None recorded</p>';
+            return;
+        }
+
+        container.innerHTML = entries.map(entry => `
+            <div class="flex items-center gap-3 text-sm">
+                <span class="w-24 text-gray-700 truncate">${this.escapeHtml(entry.name)}</span>
+                <div class="flex-1 bg-gray-100 rounded h-3">
+                    <div class="bg-indigo-500 h-3 rounded" style="width: ${entry.percent}%"></div>
+                </div>
+                <span class="w-16 text-gray-500 text-right">${entry.count} (${entry.percent}%)</span>
+            </div>
+        `).join('');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    destroy() {
+        if (this.modal && this.modal.parentNode) {
+            this.modal.parentNode.removeChild(this.modal);
+        }
+        this.modal = null;
+    }
+}
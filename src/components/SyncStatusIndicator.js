@@ -1,3 +1,5 @@
+import { OfflineQueueInspector } from './OfflineQueueInspector.js';
+
 /**
  * SyncStatusIndicator - UI component for displaying sync status
  * Shows current sync state, last sync time, and provides manual sync controls
@@ -8,6 +10,7 @@ export class SyncStatusIndicator {
         this.container = null;
         this.isVisible = false;
         this.currentStatus = 'unknown';
+        this.queueInspector = null;
 
         // Bind event handlers
         this.handleSyncEvent = this.handleSyncEvent.bind(this);
@@ -65,6 +68,11 @@ export class SyncStatusIndicator {
                         </div>
                     </div>
                     <div class="flex items-center space-x-1">
+                        <button type="button" class="queue-btn p-1 text-gray-400 hover:text-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded" title="Offline queue" aria-label="Show offline queue">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 12h16M4 18h7"></path>
+                            </svg>
+                        </button>
                         <button type="button" class="sync-btn p-1 text-gray-400 hover:text-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded" title="Manual sync">
                             <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
@@ -93,7 +101,7 @@ export class SyncStatusIndicator {
                             <span class="network-text">Offline</span>
                         </div>
                         <div class="queue-info hidden">
-                            <span class="queue-count text-gray-500">0 queued</span>
+                            <button type="button" class="queue-count text-gray-500 hover:text-gray-700 underline">0 queued</button>
                         </div>
                     </div>
                 </div>
@@ -119,6 +127,13 @@ export class SyncStatusIndicator {
             }
         });
 
+        // Offline queue inspector
+        this.container.querySelectorAll('.queue-btn, .queue-count').forEach(button => {
+            button.addEventListener('click', () => {
+                this.showQueueInspector();
+            });
+        });
+
         // Close button
         const closeBtn = this.container.querySelector('.close-btn');
         closeBtn.addEventListener('click', () => {
@@ -133,6 +148,17 @@ export class SyncStatusIndicator {
         });
     }
 
+    /**
+     * Open the offline queue inspector, creating it on first use
+     */
+    showQueueInspector() {
+        if (!this.queueInspector) {
+            this.queueInspector = new OfflineQueueInspector(this.syncManager);
+        }
+
+        this.queueInspector.show();
+    }
+
     /**
      * Set up sync manager event listeners
      * @private
@@ -148,6 +174,7 @@ export class SyncStatusIndicator {
         this.syncManager.on('operationQueued', this.handleSyncEvent);
         this.syncManager.on('offlineQueueProcessed', this.handleSyncEvent);
         this.syncManager.on('offlineQueueError', this.handleSyncEvent);
+        this.syncManager.on('offlineQueueChanged', this.handleSyncEvent);
     }
 
     /**
@@ -447,6 +474,12 @@ export class SyncStatusIndicator {
         this.syncManager.off('operationQueued', this.handleSyncEvent);
         this.syncManager.off('offlineQueueProcessed', this.handleSyncEvent);
         this.syncManager.off('offlineQueueError', this.handleSyncEvent);
+        this.syncManager.off('offlineQueueChanged', this.handleSyncEvent);
+
+        if (this.queueInspector) {
+            this.queueInspector.destroy();
+            this.queueInspector = null;
+        }
     }
 }
 
@@ -3,14 +3,18 @@ import './style.css'
 import { Gallery } from './components/Gallery.js'
 import { SearchBar } from './components/SearchBar.js'
 import { Filters } from './components/Filters.js'
+import { SmartCollections } from './components/SmartCollections.js'
 // Lazy load modals for better initial bundle size
 // import { BookForm } from './components/BookForm.js'
 // import { BookDetailModal } from './components/BookDetailModal.js'
 // import { DeleteConfirmationModal } from './components/DeleteConfirmationModal.js'
 // import { ImportExportModal } from './components/ImportExportModal.js'
+// import { ListsModal } from './components/ListsModal.js'
 import { DataService } from './services/DataService.js'
 import { StorageService } from './services/StorageService.js'
 import { FilterManager } from './utils/FilterManager.js'
+import { SortManager } from './utils/SortManager.js'
+import { serializeUrlState, parseUrlState } from './utils/UrlState.js'
 import { loadingIndicator } from './utils/LoadingIndicator.js'
 import { SyncStatusIndicator } from './components/SyncStatusIndicator.js'
 import { OnboardingManager } from './services/OnboardingManager.js'
@@ -22,14 +26,21 @@ class AudiobookLibraryApp {
         this.gallery = null;
         this.searchBar = null;
         this.filters = null;
+        this.smartCollectionsPanel = null;
         this.bookForm = null;
         this.bookDetailModal = null;
         this.deleteConfirmationModal = null;
         this.importExportModal = null;
+        this.statisticsDashboard = null;
+        this.listsModal = null;
         this.filterManager = null;
         this.collection = null;
         this.syncStatusIndicator = null;
+        this.conflictModal = null;
         this.onboardingManager = null;
+        this.selectedBookId = null; // Book open in the detail modal, mirrored in the URL
+        this.bookHistoryPushed = false; // Whether opening that book added a history entry
+        this.isApplyingUrlState = false;
 
         this.init();
     }
@@ -51,6 +62,9 @@ class AudiobookLibraryApp {
             // Set up event listeners
             this.setupEventListeners();
 
+            // Restore search, filters, sort and open book from the URL
+            this.restoreUrlState();
+
             console.log('Audiobook Library initialized successfully');
         } catch (error) {
             console.error('Failed to initialize Audiobook Library:', error);
@@ -72,8 +86,9 @@ class AudiobookLibraryApp {
         this.gallery.setLoading(true);
 
         // Initialize filter manager
-        this.filterManager = new FilterManager((filteredBooks) => {
-            this.gallery.updateFilter(filteredBooks);
+        this.filterManager = new FilterManager((filteredBooks, highlights) => {
+            this.gallery.updateFilter(filteredBooks, highlights);
+            this.updateSmartCollectionState();
         });
 
         // Initialize search bar
@@ -81,6 +96,8 @@ class AudiobookLibraryApp {
         if (searchContainer) {
             this.searchBar = new SearchBar(searchContainer, (searchTerm) => {
                 this.filterManager.updateSearch(searchTerm);
+                // Typing refines the current entry rather than adding one per keystroke
+                this.updateUrl({ replace: true });
             });
         }
 
@@ -89,9 +106,16 @@ class AudiobookLibraryApp {
         if (filtersContainer) {
             this.filters = new Filters(filtersContainer, (filters) => {
                 this.filterManager.updateFilters(filters);
+                this.updateUrl();
             });
         }
 
+        // Initialize smart collections
+        const smartCollectionsContainer = document.getElementById('smart-collections-container');
+        if (smartCollectionsContainer) {
+            this.smartCollectionsPanel = new SmartCollections(smartCollectionsContainer);
+        }
+
         // Modals will be lazy loaded when needed
         this.bookForm = null;
         this.bookDetailModal = null;
@@ -138,6 +162,15 @@ class AudiobookLibraryApp {
                 this.showSyncError(error.message);
             });
 
+            syncManager.on('conflictDetected', (event) => this.handleSyncConflict(event));
+            syncManager.on('revisionRestored', () => this.handleRevisionRestored());
+
+            // Show edits made in other open tabs straight away
+            this.dataService.on('collectionChanged', ({ collection }) => {
+                this.collection = collection;
+                this.updateUIAfterDataChange();
+            });
+
             console.log('Sync system initialized');
         } catch (error) {
             console.error('Failed to initialize sync system:', error);
@@ -164,6 +197,9 @@ class AudiobookLibraryApp {
                 );
             }
 
+            this.refreshLists();
+            this.refreshSmartCollections();
+
             this.gallery.setLoading(false);
         } catch (error) {
             console.error('Failed to load collection:', error);
@@ -194,8 +230,55 @@ class AudiobookLibraryApp {
             this.gallery.container.addEventListener('importExport', () => {
                 this.handleImportExport();
             });
+
+            this.gallery.container.addEventListener('sortChanged', () => {
+                this.updateUrl();
+            });
         }
 
+        // Smart collection events
+        if (this.smartCollectionsPanel) {
+            const container = this.smartCollectionsPanel.container;
+
+            container.addEventListener('smartCollectionApply', (event) => {
+                this.handleSmartCollectionApply(event.detail.smartCollection);
+            });
+
+            container.addEventListener('smartCollectionSave', (event) => {
+                const { searchTerm, filters } = this.filterManager.getState();
+                this.updateSmartCollections(() =>
+                    this.dataService.saveSmartCollection({ name: event.detail.name, searchTerm, filters }, this.collection)
+                );
+            });
+
+            container.addEventListener('smartCollectionUpdate', (event) => {
+                const { smartCollection, name, replaceFilters } = event.detail;
+                const changes = { id: smartCollection.id, name };
+                if (replaceFilters) {
+                    const { searchTerm, filters } = this.filterManager.getState();
+                    Object.assign(changes, { searchTerm, filters });
+                }
+                this.updateSmartCollections(() => this.dataService.saveSmartCollection(changes, this.collection));
+            });
+
+            container.addEventListener('smartCollectionDelete', (event) => {
+                this.updateSmartCollections(() =>
+                    this.dataService.removeSmartCollection(event.detail.smartCollection.id, this.collection)
+                );
+            });
+
+            container.addEventListener('smartCollectionReorder', (event) => {
+                this.updateSmartCollections(() =>
+                    this.dataService.reorderSmartCollections(event.detail.orderedIds, this.collection)
+                );
+            });
+        }
+
+        // Browser back/forward
+        window.addEventListener('popstate', () => {
+            this.applyUrlState(parseUrlState(window.location.search));
+        });
+
         // Header button events
         const addBookBtn = document.getElementById('add-book-btn');
         if (addBookBtn) {
@@ -215,6 +298,24 @@ class AudiobookLibraryApp {
             });
         }
 
+        const listsBtn = document.getElementById('lists-btn');
+        if (listsBtn) {
+            listsBtn.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                this.handleShowLists();
+            });
+        }
+
+        const statisticsBtn = document.getElementById('statistics-btn');
+        if (statisticsBtn) {
+            statisticsBtn.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                this.handleShowStatistics();
+            });
+        }
+
         // Mobile filter toggle events
         this.setupMobileFilterEvents();
 
@@ -391,57 +492,196 @@ class AudiobookLibraryApp {
 
     /**
      * Handle keyboard navigation within the gallery
+     * The gallery only mounts the rows near the viewport, so it moves focus itself,
+     * scrolling the target card into view first
      * @param {KeyboardEvent} event - Keyboard event
      */
     handleGalleryNavigation(event) {
-        const bookCards = document.querySelectorAll('.book-card');
-        const focusedCard = document.activeElement.closest('.book-card');
-
-        if (!focusedCard || bookCards.length === 0) return;
+        if (!this.gallery) return;
 
-        const currentIndex = Array.from(bookCards).indexOf(focusedCard);
+        const currentIndex = this.gallery.getFocusedIndex();
         if (currentIndex === -1) return;
 
         let nextIndex = currentIndex;
-        const columns = this.getGalleryColumns();
+        const lastIndex = this.gallery.getItemCount() - 1;
+        const columns = this.gallery.getColumns();
 
         switch (event.key) {
             case 'ArrowLeft':
                 nextIndex = Math.max(0, currentIndex - 1);
                 break;
             case 'ArrowRight':
-                nextIndex = Math.min(bookCards.length - 1, currentIndex + 1);
+                nextIndex = Math.min(lastIndex, currentIndex + 1);
                 break;
             case 'ArrowUp':
                 nextIndex = Math.max(0, currentIndex - columns);
                 break;
             case 'ArrowDown':
-                nextIndex = Math.min(bookCards.length - 1, currentIndex + columns);
+                nextIndex = Math.min(lastIndex, currentIndex + columns);
                 break;
         }
 
         if (nextIndex !== currentIndex) {
             event.preventDefault();
-            bookCards[nextIndex].focus();
+            this.gallery.focusItem(nextIndex);
+        }
+    }
+
+    /**
+     * Show the search and filters saved in a smart collection
+     * @param {Object} smartCollection - Smart collection to apply
+     */
+    handleSmartCollectionApply(smartCollection) {
+        this.applyUrlState({
+            searchTerm: smartCollection.searchTerm || '',
+            filters: smartCollection.filters || {},
+            sort: null,
+            bookId: null
+        }, { keepSort: true });
+        this.updateUrl();
+    }
+
+    /**
+     * Save a change to the smart collections and refresh the sidebar
+     * @param {Function} operation - Returns a promise of the updated collection
+     */
+    async updateSmartCollections(operation) {
+        try {
+            this.collection = await operation();
+            this.refreshSmartCollections();
+        } catch (error) {
+            console.error('Failed to update smart collections:', error);
+            this.onboardingManager?.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Recount the books in each smart collection and redraw the sidebar list
+     */
+    refreshSmartCollections() {
+        if (!this.smartCollectionsPanel || !this.collection) {
+            return;
         }
+
+        const smartCollections = this.collection.smartCollections || [];
+        const counts = new Map(smartCollections.map(smartCollection => [
+            smartCollection.id,
+            this.filterManager.getMatchingBooks(smartCollection.searchTerm, smartCollection.filters).length
+        ]));
+
+        this.smartCollectionsPanel.setSmartCollections(smartCollections, counts);
+        this.updateSmartCollectionState();
+    }
+
+    /**
+     * Highlight the smart collection matching the current search and filters
+     */
+    updateSmartCollectionState() {
+        if (!this.smartCollectionsPanel || !this.collection) {
+            return;
+        }
+
+        // Compare views the way they'd appear in the URL, so defaults don't matter
+        const { searchTerm, filters } = this.filterManager.getState();
+        const current = serializeUrlState({ searchTerm, filters });
+        const active = (this.collection.smartCollections || []).find(smartCollection =>
+            serializeUrlState({ searchTerm: smartCollection.searchTerm, filters: smartCollection.filters }) === current
+        );
+
+        this.smartCollectionsPanel.setCurrentState(active ? active.id : null, this.filterManager.hasActiveFilters());
+    }
+
+    /**
+     * Apply the view described by the URL on page load
+     * The URL is then rewritten to include the remembered sort, so going back to
+     * this entry later restores the same order.
+     */
+    restoreUrlState() {
+        const state = parseUrlState(window.location.search);
+        this.applyUrlState(state, { keepSort: !state.sort });
+        this.updateUrl({ replace: true });
     }
 
     /**
-     * Get the number of columns in the current gallery layout
-     * @returns {number} Number of columns
+     * Show the search, filters, sort and open book from a parsed URL
+     * @param {Object} state - State from parseUrlState
+     * @param {Object} options - Apply options
+     * @param {boolean} options.keepSort - Leave the sort alone when the URL has none
      */
-    getGalleryColumns() {
-        const width = window.innerWidth;
-        if (width >= 1536) return 6; // 2xl
-        if (width >= 1280) return 5; // xl
-        if (width >= 1024) return 4; // lg
-        if (width >= 768) return 3;  // md
-        if (width >= 640) return 2;  // sm
-        return 1; // default
+    applyUrlState(state, { keepSort = false } = {}) {
+        this.isApplyingUrlState = true;
+
+        try {
+            if (this.searchBar) {
+                this.searchBar.setSearchTerm(state.searchTerm);
+            }
+            if (this.filters) {
+                this.filters.setFilters(state.filters);
+            }
+            if (state.sort || !keepSort) {
+                this.gallery.setSort(state.sort || SortManager.sanitizeSort({}));
+            }
+
+            this.filterManager.updateSearch(state.searchTerm);
+            this.filterManager.updateFilters(state.filters);
+
+            const book = state.bookId && this.collection
+                ? this.collection.audiobooks.find(audiobook => audiobook.id === state.bookId)
+                : null;
+
+            if (book) {
+                if (this.selectedBookId !== book.id) {
+                    this.handleBookSelection(book, { updateUrl: false });
+                }
+            } else if (this.bookDetailModal && this.bookDetailModal.isVisible) {
+                this.bookDetailModal.hide();
+            }
+        } finally {
+            this.isApplyingUrlState = false;
+        }
+    }
+
+    /**
+     * Mirror the current search, filters, sort and open book in the URL
+     * @param {Object} options - Update options
+     * @param {boolean} options.replace - Replace the current history entry instead of adding one
+     * @returns {boolean} True if the URL changed
+     */
+    updateUrl({ replace = false } = {}) {
+        if (this.isApplyingUrlState || !this.filterManager || !this.gallery) {
+            return false;
+        }
+
+        const { searchTerm, filters } = this.filterManager.getState();
+        const query = serializeUrlState({
+            searchTerm,
+            filters,
+            sort: this.gallery.getSort(),
+            bookId: this.selectedBookId
+        });
+
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            return false;
+        }
+
+        if (replace) {
+            window.history.replaceState(null, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+        }
+        return true;
     }
 
-    async handleBookSelection(audiobook) {
+    /**
+     * Show the detail modal for a book
+     * @param {Audiobook} audiobook - Selected audiobook
+     * @param {Object} options - Selection options
+     * @param {boolean} options.updateUrl - Add a history entry for the open book
+     */
+    async handleBookSelection(audiobook, { updateUrl = true } = {}) {
         console.log('Book selected:', audiobook);
+        this.selectedBookId = audiobook.id;
 
         if (!this.bookDetailModal) {
             loadingIndicator.show('book-detail', 'Loading book details...');
@@ -450,14 +690,24 @@ class AudiobookLibraryApp {
                 this.bookDetailModal = new BookDetailModal(
                     (audiobook) => this.handleEditBook(audiobook),
                     (audiobook) => this.handleDeleteBookRequest(audiobook),
-                    () => this.handleBookDetailClose()
+                    () => this.handleBookDetailClose(),
+                    (audiobook, listId, included) => this.updateLists(() =>
+                        this.dataService.setBookInList(listId, audiobook.id, included, this.collection)
+                    ),
+                    (audiobook) => this.handleBookSelection(audiobook)
                 );
             } finally {
                 loadingIndicator.hide('book-detail');
             }
         }
 
+        this.bookDetailModal.setLists(this.collection?.lists || []);
+        this.bookDetailModal.setLibrary(this.collection?.audiobooks || []);
         this.bookDetailModal.show(audiobook);
+
+        if (updateUrl) {
+            this.bookHistoryPushed = this.updateUrl();
+        }
     }
 
     async handleAddBook() {
@@ -586,6 +836,21 @@ class AudiobookLibraryApp {
      */
     handleBookDetailClose() {
         console.log('Book detail modal closed');
+
+        const historyPushed = this.bookHistoryPushed;
+        this.selectedBookId = null;
+        this.bookHistoryPushed = false;
+
+        if (this.isApplyingUrlState) {
+            return;
+        }
+
+        // Drop the entry opening the book added, so back doesn't reopen it
+        if (historyPushed) {
+            window.history.back();
+        } else {
+            this.updateUrl({ replace: true });
+        }
     }
 
     /**
@@ -669,6 +934,110 @@ class AudiobookLibraryApp {
         }
     }
 
+    async handleShowLists() {
+        if (!this.listsModal) {
+            loadingIndicator.show('lists', 'Loading lists...');
+            try {
+                const { ListsModal } = await import('./components/ListsModal.js');
+                this.listsModal = new ListsModal();
+                this.setupListsModalEvents(this.listsModal.modal);
+            } finally {
+                loadingIndicator.hide('lists');
+            }
+        }
+
+        if (this.collection) {
+            this.listsModal.show(this.collection);
+        }
+    }
+
+    /**
+     * Persist the changes made in the lists modal
+     * @param {HTMLElement} modal - Lists modal element
+     */
+    setupListsModalEvents(modal) {
+        modal.addEventListener('listCreate', (event) => {
+            this.updateLists(() => this.dataService.saveList({ name: event.detail.name }, this.collection));
+        });
+
+        modal.addEventListener('listRename', (event) => {
+            this.updateLists(() =>
+                this.dataService.saveList({ id: event.detail.list.id, name: event.detail.name }, this.collection)
+            );
+        });
+
+        modal.addEventListener('listDelete', (event) => {
+            this.updateLists(() => this.dataService.removeList(event.detail.list.id, this.collection));
+        });
+
+        modal.addEventListener('listBooksChange', (event) => {
+            this.updateLists(() =>
+                this.dataService.saveList({ id: event.detail.list.id, bookIds: event.detail.bookIds }, this.collection)
+            );
+        });
+    }
+
+    /**
+     * Save a change to the lists and refresh everything showing them
+     * @param {Function} operation - Returns a promise of the updated collection
+     */
+    async updateLists(operation) {
+        try {
+            this.collection = await operation();
+            this.refreshLists();
+            this.refreshSmartCollections();
+        } catch (error) {
+            console.error('Failed to update lists:', error);
+            this.onboardingManager?.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Pass the current lists to the list filter, the lists modal and the book details
+     */
+    refreshLists() {
+        if (!this.collection) {
+            return;
+        }
+
+        const lists = this.collection.lists || [];
+        this.filterManager.setLists(lists);
+
+        if (this.filters) {
+            this.filters.updateAvailableLists(lists);
+        }
+        if (this.listsModal && this.listsModal.isVisible) {
+            this.listsModal.update(this.collection);
+        }
+        if (this.bookDetailModal) {
+            this.bookDetailModal.setLists(lists);
+        }
+    }
+
+    /**
+     * Open the listening statistics dashboard, loading it on first use
+     */
+    async handleShowStatistics() {
+        try {
+            if (!this.statisticsDashboard) {
+                loadingIndicator.show('statistics', 'Loading statistics...');
+                try {
+                    const { StatisticsDashboard } = await import('./components/StatisticsDashboard.js');
+                    this.statisticsDashboard = new StatisticsDashboard();
+                } finally {
+                    loadingIndicator.hide('statistics');
+                }
+            }
+
+            if (this.collection) {
+                this.statisticsDashboard.show(this.collection);
+            }
+        } catch (error) {
+            console.error('Failed to show statistics:', error);
+            this.onboardingManager?.showNotification('Could not load the statistics. Please try again.', 'error');
+        }
+    }
+
     /**
      * Handle import completion
      * @param {Object} collection - Updated collection after import
@@ -724,6 +1093,53 @@ class AudiobookLibraryApp {
                 this.collection.customMoods || []
             );
         }
+
+        this.refreshLists();
+        this.refreshSmartCollections();
+    }
+
+    /**
+     * Ask how to resolve a sync conflict and apply the answer
+     * @param {Object} event - conflictDetected event from SyncManager
+     * @private
+     */
+    async handleSyncConflict({ conflict, localData, remoteData, mergedData }) {
+        // Auto-sync finds the same conflict again until it is resolved
+        if (this.conflictModal?.visible) {
+            return;
+        }
+
+        if (!this.conflictModal) {
+            const { ConflictResolutionModal } = await import('./components/ConflictResolutionModal.js');
+            this.conflictModal = new ConflictResolutionModal();
+        }
+
+        const syncManager = this.dataService.getSyncManager();
+        this.conflictModal.show(conflict, localData, remoteData, async (resolution, choices) => {
+            try {
+                await syncManager.resolveConflict(resolution, localData, remoteData, choices);
+                this.collection = await this.dataService.loadCollection();
+                this.updateUIAfterDataChange();
+            } catch (error) {
+                console.error('Failed to resolve sync conflict:', error);
+                this.showSyncError(error.message);
+            }
+        }, null, mergedData);
+    }
+
+    /**
+     * Show the library restored from an earlier revision
+     * The old collection must not stay in memory, or the next edit would save it back.
+     * @private
+     */
+    async handleRevisionRestored() {
+        try {
+            this.collection = await this.dataService.loadCollection();
+            this.updateUIAfterDataChange();
+        } catch (error) {
+            console.error('Failed to load restored revision:', error);
+            this.showSyncError(error.message);
+        }
     }
 
     /**
@@ -753,8 +1169,10 @@ class AudiobookLibraryApp {
         }
 
         if (this.filters) {
-            this.filters.setFilters({ genres: [], moods: [] });
+            this.filters.setFilters({ genres: [], moods: [], statuses: [] });
         }
+
+        this.updateUrl();
     }
 
     showError(message) {
@@ -1,4 +1,13 @@
-import { generateId, validateUrl, validateRating, validatePrice } from '../utils/helpers.js';
+import { generateId, validateUrl, validateRating, validatePrice, parsePosition } from '../utils/helpers.js';
+
+// Listening statuses, in the order a book usually moves through them
+export const AUDIOBOOK_STATUSES = ['wishlist', 'queued', 'listening', 'finished', 'abandoned'];
+
+// Genres that stood in for a status before it was a field of its own
+const LEGACY_STATUS_GENRES = {
+    next: 'queued',
+    done: 'finished'
+};
 
 export class Audiobook {
     constructor({
@@ -13,7 +22,15 @@ export class Audiobook {
         rating = 0,
         price = 0,
         genres = [],
-        moods = []
+        moods = [],
+        status = '',
+        position = '',
+        startDate = '',
+        finishDate = '',
+        series = '',
+        seriesPosition = null,
+        dateAdded = null,
+        lastModified = null
     }) {
         this.id = id || generateId();
         this.title = title;
@@ -27,6 +44,14 @@ export class Audiobook {
         this.price = price;
         this.genres = Array.isArray(genres) ? genres : [];
         this.moods = Array.isArray(moods) ? moods : [];
+        this.status = status || '';
+        this.position = position || '';
+        this.startDate = startDate || '';
+        this.finishDate = finishDate || '';
+        this.series = series || '';
+        this.seriesPosition = seriesPosition === '' || seriesPosition === undefined ? null : seriesPosition;
+        this.dateAdded = dateAdded;
+        this.lastModified = lastModified;
     }
 
     // Validation methods
@@ -61,6 +86,36 @@ export class Audiobook {
             errors.push('Release date must be a valid date format (YYYY-MM-DD)');
         }
 
+        if (this.status && !AUDIOBOOK_STATUSES.includes(this.status)) {
+            errors.push(`Status must be one of: ${AUDIOBOOK_STATUSES.join(', ')}`);
+        }
+
+        if (this.position && parsePosition(this.position) === null) {
+            errors.push('Position must be in hh:mm format');
+        }
+
+        if (this.startDate && !this.isValidDate(this.startDate)) {
+            errors.push('Start date must be a valid date format (YYYY-MM-DD)');
+        }
+
+        if (this.finishDate && !this.isValidDate(this.finishDate)) {
+            errors.push('Finish date must be a valid date format (YYYY-MM-DD)');
+        }
+
+        if (this.startDate && this.finishDate && this.finishDate < this.startDate) {
+            errors.push('Finish date cannot be before start date');
+        }
+
+        // Positions may be fractional for novellas (2.5) and 0 for prequels
+        if (this.seriesPosition !== null &&
+            (typeof this.seriesPosition !== 'number' || !isFinite(this.seriesPosition) || this.seriesPosition < 0)) {
+            errors.push('Series position must be a number of 0 or more');
+        }
+
+        if (this.seriesPosition !== null && !this.series.trim()) {
+            errors.push('Series name is required when a series position is set');
+        }
+
         return {
             isValid: errors.length === 0,
             errors
@@ -78,7 +133,28 @@ export class Audiobook {
 
     // Data transformation methods
     static fromJSON(data) {
-        return new Audiobook(data);
+        return new Audiobook(Audiobook.migrateLegacyStatus(data));
+    }
+
+    // Convert the legacy "next"/"done" genres into the status field
+    static migrateLegacyStatus(data) {
+        if (!data || !Array.isArray(data.genres)) {
+            return data;
+        }
+
+        const legacyGenres = data.genres.filter(genre => LEGACY_STATUS_GENRES[genre]);
+        if (legacyGenres.length === 0) {
+            return data;
+        }
+
+        // "done" wins over "next" when a book carries both
+        const legacyStatus = legacyGenres.includes('done') ? 'finished' : LEGACY_STATUS_GENRES[legacyGenres[0]];
+
+        return {
+            ...data,
+            status: data.status || legacyStatus,
+            genres: data.genres.filter(genre => !LEGACY_STATUS_GENRES[genre])
+        };
     }
 
     toJSON() {
@@ -94,7 +170,15 @@ export class Audiobook {
             rating: this.rating,
             price: this.price,
             genres: this.genres,
-            moods: this.moods
+            moods: this.moods,
+            status: this.status,
+            position: this.position,
+            startDate: this.startDate,
+            finishDate: this.finishDate,
+            series: this.series,
+            seriesPosition: this.seriesPosition,
+            dateAdded: this.dateAdded,
+            lastModified: this.lastModified
         };
     }
 
@@ -116,7 +200,7 @@ export class Audiobook {
     }
 
     static fromCSVRow(csvRow) {
-        return new Audiobook({
+        return new Audiobook(Audiobook.migrateLegacyStatus({
             title: csvRow.title,
             url: csvRow.url || '',
             image: csvRow.image || '',
@@ -127,8 +211,14 @@ export class Audiobook {
             rating: parseFloat(csvRow.rating) || 0,
             price: parseFloat(csvRow.price) || 0,
             genres: csvRow.genres ? csvRow.genres.split(',').map(g => g.trim()) : [],
-            moods: csvRow.moods ? csvRow.moods.split(',').map(m => m.trim()) : []
-        });
+            moods: csvRow.moods ? csvRow.moods.split(',').map(m => m.trim()) : [],
+            status: csvRow.status || '',
+            position: csvRow.position || '',
+            startDate: csvRow.startDate || '',
+            finishDate: csvRow.finishDate || '',
+            series: csvRow.series || '',
+            seriesPosition: csvRow.seriesPosition ? parseFloat(csvRow.seriesPosition) : null
+        }));
     }
 
     // Utility methods
@@ -60,6 +60,40 @@ describe('Audiobook Model', () => {
     });
 
     describe('Validation', () => {
+        it('should validate listening progress fields', () => {
+            const audiobook = new Audiobook({
+                title: 'Book',
+                author: 'Author',
+                position: '3:90',
+                startDate: '2024-02-10',
+                finishDate: '2024-02-01'
+            });
+
+            const validation = audiobook.validate();
+            expect(validation.errors).toContain('Position must be in hh:mm format');
+            expect(validation.errors).toContain('Finish date cannot be before start date');
+        });
+
+        it('should validate series fields', () => {
+            expect(new Audiobook({ title: 'Book', author: 'Author', series: 'Saga', seriesPosition: 0 }).validate().isValid).toBe(true);
+            expect(new Audiobook({ title: 'Book', author: 'Author', series: 'Saga', seriesPosition: 2.5 }).validate().isValid).toBe(true);
+
+            expect(new Audiobook({ title: 'Book', author: 'Author', series: 'Saga', seriesPosition: -1 }).validate().errors)
+                .toContain('Series position must be a number of 0 or more');
+            expect(new Audiobook({ title: 'Book', author: 'Author', series: 'Saga', seriesPosition: 'two' }).validate().errors)
+                .toContain('Series position must be a number of 0 or more');
+            expect(new Audiobook({ title: 'Book', author: 'Author', seriesPosition: 3 }).validate().errors)
+                .toContain('Series name is required when a series position is set');
+        });
+
+        it('should reject an unknown status', () => {
+            const audiobook = new Audiobook({ title: 'Book', author: 'Author', status: 'someday' });
+
+            const validation = audiobook.validate();
+            expect(validation.isValid).toBe(false);
+            expect(validation.errors[0]).toContain('Status must be one of');
+        });
+
         it('should validate a complete valid audiobook', () => {
             const audiobook = new Audiobook({
                 title: 'Valid Book',
@@ -270,6 +304,43 @@ describe('Audiobook Model', () => {
             expect(json.id).toBeDefined();
         });
 
+        it('should persist sync timestamps in JSON', () => {
+            const audiobook = new Audiobook({
+                title: 'Test Book',
+                author: 'Test Author',
+                dateAdded: '2024-01-01T00:00:00Z',
+                lastModified: '2024-01-02T00:00:00Z'
+            });
+
+            const restored = Audiobook.fromJSON(audiobook.toJSON());
+            expect(restored.dateAdded).toBe('2024-01-01T00:00:00Z');
+            expect(restored.lastModified).toBe('2024-01-02T00:00:00Z');
+        });
+
+        it('should persist listening progress in JSON', () => {
+            const audiobook = new Audiobook({
+                title: 'Test Book',
+                author: 'Test Author',
+                length: '8 hrs',
+                position: '2:00',
+                startDate: '2024-03-01'
+            });
+
+            const restored = Audiobook.fromJSON(audiobook.toJSON());
+            expect(restored.position).toBe('2:00');
+            expect(restored.startDate).toBe('2024-03-01');
+            expect(restored.finishDate).toBe('');
+        });
+
+        it('should persist series fields in JSON', () => {
+            const audiobook = new Audiobook({ title: 'Book', author: 'Author', series: 'Saga', seriesPosition: 2 });
+
+            const restored = Audiobook.fromJSON(audiobook.toJSON());
+            expect(restored.series).toBe('Saga');
+            expect(restored.seriesPosition).toBe(2);
+            expect(new Audiobook({ title: 'Book', author: 'Author', seriesPosition: '' }).seriesPosition).toBeNull();
+        });
+
         it('should create from JSON correctly', () => {
             const data = {
                 id: 'test-id',
@@ -331,6 +402,45 @@ describe('Audiobook Model', () => {
             expect(audiobook.moods).toEqual(['epic', 'fast-paced']);
         });
 
+        it('should read listening progress from a CSV row', () => {
+            const audiobook = Audiobook.fromCSVRow({
+                title: 'Book',
+                author: 'Author',
+                position: '4:15',
+                startDate: '2024-02-01',
+                finishDate: '2024-02-20'
+            });
+            expect(audiobook.position).toBe('4:15');
+            expect(audiobook.startDate).toBe('2024-02-01');
+            expect(audiobook.finishDate).toBe('2024-02-20');
+
+            expect(Audiobook.fromCSVRow({ title: 'Book', author: 'Author' }).position).toBe('');
+        });
+
+        it('should read series fields from a CSV row', () => {
+            const audiobook = Audiobook.fromCSVRow({ title: 'Book', author: 'Author', series: 'Saga', seriesPosition: '1.5' });
+            expect(audiobook.series).toBe('Saga');
+            expect(audiobook.seriesPosition).toBe(1.5);
+
+            expect(Audiobook.fromCSVRow({ title: 'Book', author: 'Author' }).seriesPosition).toBeNull();
+        });
+
+        it('should migrate legacy next/done genres into status', () => {
+            const queued = Audiobook.fromJSON({ title: 'A', author: 'B', genres: ['next', 'fantasy'] });
+            expect(queued.status).toBe('queued');
+            expect(queued.genres).toEqual(['fantasy']);
+
+            const finished = Audiobook.fromCSVRow({ title: 'A', author: 'B', genres: 'next, done, sci-fi' });
+            expect(finished.status).toBe('finished');
+            expect(finished.genres).toEqual(['sci-fi']);
+        });
+
+        it('should keep an explicit status over legacy genres', () => {
+            const audiobook = Audiobook.fromJSON({ title: 'A', author: 'B', genres: ['done'], status: 'abandoned' });
+            expect(audiobook.status).toBe('abandoned');
+            expect(audiobook.genres).toEqual([]);
+        });
+
         it('should handle missing CSV fields gracefully', () => {
             const csvRow = {
                 title: 'Minimal Book',
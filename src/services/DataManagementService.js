@@ -1,3 +1,5 @@
+import { getTombstoneCleanupTime, pruneTombstones } from '../utils/helpers.js';
+
 /**
  * DataManagementService - Handles data cleanup, validation, and management operations
  * Provides tools for clearing data, validating sync integrity, and managing device entries
@@ -136,6 +138,13 @@ export class DataManagementService {
                 }
             }
 
+            // Drop expired deletion tombstones
+            const tombstoneCleanup = await this.cleanupTombstones();
+            if (tombstoneCleanup.tombstonesRemoved > 0) {
+                result.repairs.push(`Removed ${tombstoneCleanup.tombstonesRemoved} expired deletion tombstone(s)`);
+            }
+            result.errors.push(...tombstoneCleanup.errors);
+
             result.isValid = result.issues.length === 0;
             result.timestamp = new Date().toISOString();
 
@@ -718,6 +727,74 @@ export class DataManagementService {
         return result;
     }
 
+    /**
+     * Garbage-collect deletion tombstones
+     * A tombstone is dropped once it is older than maxAge and has been pushed by at least
+     * one successful sync, so every device that syncs within that window has seen it.
+     * The cleanup time is recorded in the metadata, so sync merges drop the same
+     * tombstones from the remote copy instead of bringing them back.
+     * @param {Object} options - Cleanup options
+     * @param {number} options.maxAge - Minimum age in days before a tombstone can be removed
+     * @returns {Promise<Object>} Cleanup result
+     */
+    async cleanupTombstones(options = {}) {
+        const { maxAge = 90 } = options; // Default 90 days
+        const cutoffDate = new Date(Date.now() - (maxAge * 24 * 60 * 60 * 1000));
+
+        const result = {
+            success: false,
+            tombstonesRemoved: 0,
+            errors: []
+        };
+
+        try {
+            const localData = await this.localCache.loadData();
+            const tombstones = localData?.metadata?.tombstones || [];
+
+            if (tombstones.length === 0) {
+                result.success = true;
+                return result;
+            }
+
+            // Keep tombstones that haven't reached the remote yet, whichever storage it is
+            const lastSyncTime = await this.localCache.getLastSyncTime();
+            const syncedBefore = this.syncManager?.storageProvider?.isConfigured()
+                ? (lastSyncTime ? new Date(lastSyncTime) : null)
+                : new Date();
+
+            if (!syncedBefore) {
+                result.success = true;
+                return result;
+            }
+
+            const prunedBefore = new Date(Math.min(cutoffDate.getTime(), syncedBefore.getTime())).toISOString();
+            const remaining = pruneTombstones(tombstones, prunedBefore);
+
+            result.tombstonesRemoved = tombstones.length - remaining.length;
+
+            if (result.tombstonesRemoved > 0) {
+                await this.localCache.saveData({
+                    ...localData,
+                    metadata: {
+                        ...localData.metadata,
+                        tombstones: remaining,
+                        tombstonesPrunedBefore: getTombstoneCleanupTime(
+                            localData.metadata,
+                            { tombstonesPrunedBefore: prunedBefore }
+                        )
+                    }
+                }, { updateTimestamp: false });
+            }
+
+            result.success = true;
+
+        } catch (error) {
+            result.errors.push(`Tombstone cleanup failed: ${error.message}`);
+        }
+
+        return result;
+    }
+
     /**
      * Assess overall sync health
      * @param {Object} stats - Sync statistics
@@ -17,6 +17,9 @@ describe('DataManagementService', () => {
 
         mockSyncManager = {
             stop: vi.fn().mockResolvedValue(),
+            storageProvider: {
+                isConfigured: vi.fn().mockReturnValue(true)
+            },
             getSyncStatus: vi.fn().mockResolvedValue({
                 isInitialized: true,
                 isSyncing: false,
@@ -356,6 +359,66 @@ describe('DataManagementService', () => {
         });
     });
 
+    describe('cleanupTombstones', () => {
+        const oldTombstone = { id: 'old-book', deletedAt: '2020-01-01T00:00:00Z', deviceId: 'device-123' };
+        const recentTombstone = { id: 'recent-book', deletedAt: new Date().toISOString(), deviceId: 'device-123' };
+
+        beforeEach(() => {
+            mockLocalCache.getLastSyncTime = vi.fn().mockResolvedValue(new Date().toISOString());
+            mockLocalCache.loadData.mockResolvedValue({
+                metadata: {
+                    version: '1.0',
+                    lastModified: new Date().toISOString(),
+                    deviceId: 'device-123',
+                    tombstones: [oldTombstone, recentTombstone]
+                },
+                audiobooks: []
+            });
+        });
+
+        it('should remove expired tombstones that have been synced', async () => {
+            const result = await dataManagementService.cleanupTombstones({ maxAge: 90 });
+
+            expect(result.success).toBe(true);
+            expect(result.tombstonesRemoved).toBe(1);
+            expect(mockLocalCache.saveData).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    metadata: expect.objectContaining({ tombstones: [recentTombstone] })
+                }),
+                { updateTimestamp: false }
+            );
+        });
+
+        it('should keep expired tombstones that have not been synced yet', async () => {
+            mockLocalCache.getLastSyncTime.mockResolvedValue(null);
+
+            const result = await dataManagementService.cleanupTombstones({ maxAge: 90 });
+
+            expect(result.success).toBe(true);
+            expect(result.tombstonesRemoved).toBe(0);
+            expect(mockLocalCache.saveData).not.toHaveBeenCalled();
+        });
+
+        it('should keep unsynced tombstones when syncing without a gist', async () => {
+            mockGistManager.getGistId.mockReturnValue(null);
+            mockLocalCache.getLastSyncTime.mockResolvedValue(null);
+
+            const result = await dataManagementService.cleanupTombstones({ maxAge: 90 });
+
+            expect(result.tombstonesRemoved).toBe(0);
+            expect(mockLocalCache.saveData).not.toHaveBeenCalled();
+        });
+
+        it('should remove expired tombstones when sync is not set up', async () => {
+            mockSyncManager.storageProvider.isConfigured.mockReturnValue(false);
+            mockLocalCache.getLastSyncTime.mockResolvedValue(null);
+
+            const result = await dataManagementService.cleanupTombstones({ maxAge: 90 });
+
+            expect(result.tombstonesRemoved).toBe(1);
+        });
+    });
+
     describe('generateAudiobookId', () => {
         it('should generate valid IDs from title and author', () => {
             const id1 = dataManagementService.generateAudiobookId('Test Book', 'Test Author');
@@ -1,6 +1,16 @@
 import { Audiobook } from '../models/Audiobook.js';
 import { SyncManager } from './SyncManager.js';
 import { LocalCacheService } from './LocalCacheService.js';
+import {
+    generateId,
+    createTombstone,
+    mergeTombstones,
+    getTombstoneCleanupTime,
+    pruneTombstones,
+    isDeletedByTombstone,
+    mergeSmartCollections,
+    mergeLists
+} from '../utils/helpers.js';
 
 export class DataService {
     constructor() {
@@ -16,6 +26,10 @@ export class DataService {
 
         // Event listeners for sync status
         this.eventListeners = new Map();
+
+        // Reload the library when another tab changes it
+        this.collectionReloadTimer = null;
+        this.handleCollectionChangedElsewhere = this.handleCollectionChangedElsewhere.bind(this);
     }
 
     /**
@@ -30,6 +44,7 @@ export class DataService {
 
         try {
             await this.syncManager.initialize(options);
+            this.syncManager.on('collectionChangedElsewhere', this.handleCollectionChangedElsewhere);
             this.isInitialized = true;
             this.emit('initialized');
         } catch (error) {
@@ -131,7 +146,9 @@ export class DataService {
                 lastUpdated: data.lastUpdated,
                 audiobooks,
                 customGenres: data.customGenres || [],
-                customMoods: data.customMoods || []
+                customMoods: data.customMoods || [],
+                smartCollections: data.smartCollections || [],
+                lists: data.lists || []
             };
 
         } catch (error) {
@@ -211,11 +228,29 @@ export class DataService {
             customMoods: new Set()
         };
 
-        // Merge audiobooks (remove duplicates by ID)
+        const tombstonesPrunedBefore = getTombstoneCleanupTime(...collections.map(collection => collection.metadata));
+        const tombstones = pruneTombstones(
+            mergeTombstones(...collections.map(collection => collection.metadata?.tombstones)),
+            tombstonesPrunedBefore
+        );
+        if (tombstones.length > 0 || tombstonesPrunedBefore) {
+            merged.metadata = tombstonesPrunedBefore ? { tombstones, tombstonesPrunedBefore } : { tombstones };
+        }
+
+        merged.smartCollections = collections.reduce(
+            (smartCollections, collection) => mergeSmartCollections(smartCollections, collection.smartCollections, tombstones),
+            []
+        );
+        merged.lists = collections.reduce(
+            (lists, collection) => mergeLists(lists, collection.lists, tombstones),
+            []
+        );
+
+        // Merge audiobooks (remove duplicates by ID and books deleted elsewhere)
         const seenIds = new Set();
         collections.forEach(collection => {
             collection.audiobooks.forEach(book => {
-                if (!seenIds.has(book.id)) {
+                if (!seenIds.has(book.id) && !isDeletedByTombstone(book, tombstones)) {
                     seenIds.add(book.id);
                     merged.audiobooks.push(book);
                 }
@@ -243,7 +278,9 @@ export class DataService {
             lastUpdated: new Date().toISOString(),
             audiobooks: [],
             customGenres: [],
-            customMoods: []
+            customMoods: [],
+            smartCollections: [],
+            lists: []
         };
     }
 
@@ -255,15 +292,30 @@ export class DataService {
      */
     async addAudiobook(audiobook, collection) {
         try {
-            // Add to collection
+            const timestamp = new Date().toISOString();
+
+            // Stamp timestamps used by the sync merge
+            audiobook.dateAdded = audiobook.dateAdded || timestamp;
+            audiobook.lastModified = timestamp;
+
+            // Add to collection, dropping any earlier deletion of the same book
             const updatedCollection = {
                 ...collection,
                 audiobooks: [...collection.audiobooks, audiobook],
-                lastUpdated: new Date().toISOString()
+                lastUpdated: timestamp,
+                metadata: {
+                    ...collection.metadata,
+                    tombstones: (collection.metadata?.tombstones || []).filter(t => t.id !== audiobook.id)
+                }
             };
 
             // Save to cache and trigger sync
             await this.saveToCache(updatedCollection);
+            await this.recordOfflineEdit('add', {
+                bookId: audiobook.id,
+                editedAt: timestamp,
+                book: this.toPlainBook(audiobook)
+            });
             this.triggerBackgroundSync();
 
             this.emit('audiobookAdded', { audiobook, collection: updatedCollection });
@@ -287,6 +339,13 @@ export class DataService {
                 throw new Error('Audiobook not found in collection');
             }
 
+            const timestamp = new Date().toISOString();
+            const previous = this.toPlainBook(collection.audiobooks[index]);
+
+            // Keep the original add date and stamp the edit time used by the sync merge
+            audiobook.dateAdded = audiobook.dateAdded || collection.audiobooks[index].dateAdded || timestamp;
+            audiobook.lastModified = timestamp;
+
             // Update in collection
             const updatedAudiobooks = [...collection.audiobooks];
             updatedAudiobooks[index] = audiobook;
@@ -294,11 +353,17 @@ export class DataService {
             const updatedCollection = {
                 ...collection,
                 audiobooks: updatedAudiobooks,
-                lastUpdated: new Date().toISOString()
+                lastUpdated: timestamp
             };
 
             // Save to cache and trigger sync
             await this.saveToCache(updatedCollection);
+            await this.recordOfflineEdit('update', {
+                bookId: audiobook.id,
+                editedAt: timestamp,
+                book: this.toPlainBook(audiobook),
+                changes: this.getChangedFields(previous, this.toPlainBook(audiobook))
+            });
             this.triggerBackgroundSync();
 
             this.emit('audiobookUpdated', { audiobook, collection: updatedCollection });
@@ -326,15 +391,37 @@ export class DataService {
 
             // Remove from collection
             const updatedAudiobooks = collection.audiobooks.filter(book => book.id !== audiobookId);
+            const timestamp = new Date().toISOString();
+
+            // Record a tombstone so other devices don't bring the book back on merge
+            const tombstones = (collection.metadata?.tombstones || []).filter(t => t.id !== audiobookId);
+            tombstones.push(createTombstone(audiobookId, this.localCache.getDeviceId(), timestamp));
+
+            // Take the book out of any lists it was in
+            const lists = (collection.lists || []).map(list => (
+                (list.bookIds || []).includes(audiobookId)
+                    ? { ...list, bookIds: list.bookIds.filter(id => id !== audiobookId), lastModified: timestamp }
+                    : list
+            ));
 
             const updatedCollection = {
                 ...collection,
                 audiobooks: updatedAudiobooks,
-                lastUpdated: new Date().toISOString()
+                lists,
+                lastUpdated: timestamp,
+                metadata: {
+                    ...collection.metadata,
+                    tombstones
+                }
             };
 
             // Save to cache and trigger sync
             await this.saveToCache(updatedCollection);
+            await this.recordOfflineEdit('delete', {
+                bookId: audiobookId,
+                editedAt: timestamp,
+                book: this.toPlainBook(removedAudiobook)
+            });
             this.triggerBackgroundSync();
 
             this.emit('audiobookRemoved', { audiobook: removedAudiobook, collection: updatedCollection });
@@ -345,6 +432,308 @@ export class DataService {
         }
     }
 
+    /**
+     * Save a smart collection (a named search and filter combination) with sync
+     * Creates it when it has no ID yet, otherwise applies the changes to the saved one.
+     * @param {Object} smartCollection - Smart collection: { id?, name, searchTerm, filters }
+     * @param {Object} collection - Current collection
+     * @returns {Promise<Object>} Updated collection
+     */
+    async saveSmartCollection(smartCollection, collection) {
+        try {
+            const name = (smartCollection.name || '').trim();
+            if (!name) {
+                throw new Error('Smart collection name is required');
+            }
+
+            const timestamp = new Date().toISOString();
+            const smartCollections = [...(collection.smartCollections || [])];
+            const index = smartCollection.id ? smartCollections.findIndex(sc => sc.id === smartCollection.id) : -1;
+
+            if (smartCollection.id && index === -1) {
+                throw new Error('Smart collection not found in collection');
+            }
+
+            let saved;
+            if (index === -1) {
+                saved = {
+                    id: generateId(),
+                    name,
+                    searchTerm: smartCollection.searchTerm || '',
+                    filters: smartCollection.filters || {},
+                    order: smartCollections.reduce((max, sc) => Math.max(max, (sc.order ?? 0) + 1), 0),
+                    dateAdded: timestamp,
+                    lastModified: timestamp
+                };
+                smartCollections.push(saved);
+            } else {
+                saved = {
+                    ...smartCollections[index],
+                    ...smartCollection,
+                    name,
+                    lastModified: timestamp
+                };
+                smartCollections[index] = saved;
+            }
+
+            const updatedCollection = await this.saveCollectionChanges({ smartCollections }, collection, timestamp);
+            this.emit('smartCollectionSaved', { smartCollection: saved, collection: updatedCollection });
+            return updatedCollection;
+
+        } catch (error) {
+            throw new Error(`Failed to save smart collection: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove a smart collection with sync
+     * @param {string} smartCollectionId - ID of the smart collection to remove
+     * @param {Object} collection - Current collection
+     * @returns {Promise<Object>} Updated collection
+     */
+    async removeSmartCollection(smartCollectionId, collection) {
+        try {
+            const smartCollections = collection.smartCollections || [];
+            if (!smartCollections.some(sc => sc.id === smartCollectionId)) {
+                throw new Error('Smart collection not found in collection');
+            }
+
+            const timestamp = new Date().toISOString();
+
+            // Smart collection IDs share the tombstone list with books, as they can't collide
+            const tombstones = (collection.metadata?.tombstones || []).filter(t => t.id !== smartCollectionId);
+            tombstones.push(createTombstone(smartCollectionId, this.localCache.getDeviceId(), timestamp));
+
+            const updatedCollection = await this.saveCollectionChanges(
+                {
+                    smartCollections: smartCollections.filter(sc => sc.id !== smartCollectionId),
+                    metadata: { ...collection.metadata, tombstones }
+                },
+                collection,
+                timestamp
+            );
+
+            this.emit('smartCollectionRemoved', { smartCollectionId, collection: updatedCollection });
+            return updatedCollection;
+
+        } catch (error) {
+            throw new Error(`Failed to remove smart collection: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reorder smart collections with sync
+     * @param {string[]} orderedIds - Smart collection IDs in their new order
+     * @param {Object} collection - Current collection
+     * @returns {Promise<Object>} Updated collection
+     */
+    async reorderSmartCollections(orderedIds, collection) {
+        try {
+            const timestamp = new Date().toISOString();
+            const position = id => {
+                const index = orderedIds.indexOf(id);
+                return index === -1 ? orderedIds.length : index;
+            };
+
+            const smartCollections = [...(collection.smartCollections || [])]
+                .sort((a, b) => position(a.id) - position(b.id))
+                .map((sc, order) => (sc.order === order ? sc : { ...sc, order, lastModified: timestamp }));
+
+            const updatedCollection = await this.saveCollectionChanges({ smartCollections }, collection, timestamp);
+            this.emit('smartCollectionsReordered', { collection: updatedCollection });
+            return updatedCollection;
+
+        } catch (error) {
+            throw new Error(`Failed to reorder smart collections: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save a manual list with sync
+     * Creates it when it has no ID yet, otherwise applies the changes to the saved one.
+     * @param {Object} list - List: { id?, name, bookIds } with bookIds in the list's order
+     * @param {Object} collection - Current collection
+     * @returns {Promise<Object>} Updated collection
+     */
+    async saveList(list, collection) {
+        try {
+            const lists = [...(collection.lists || [])];
+            const index = list.id ? lists.findIndex(existing => existing.id === list.id) : -1;
+
+            if (list.id && index === -1) {
+                throw new Error('List not found in collection');
+            }
+
+            const name = (list.name ?? lists[index]?.name ?? '').trim();
+            if (!name) {
+                throw new Error('List name is required');
+            }
+
+            const timestamp = new Date().toISOString();
+            const bookIds = list.bookIds ? [...new Set(list.bookIds)] : null;
+
+            let saved;
+            if (index === -1) {
+                saved = {
+                    id: generateId(),
+                    name,
+                    bookIds: bookIds || [],
+                    order: lists.reduce((max, existing) => Math.max(max, (existing.order ?? 0) + 1), 0),
+                    dateAdded: timestamp,
+                    lastModified: timestamp
+                };
+                lists.push(saved);
+            } else {
+                saved = {
+                    ...lists[index],
+                    name,
+                    bookIds: bookIds || lists[index].bookIds || [],
+                    lastModified: timestamp
+                };
+                lists[index] = saved;
+            }
+
+            const updatedCollection = await this.saveCollectionChanges({ lists }, collection, timestamp);
+            this.emit('listSaved', { list: saved, collection: updatedCollection });
+            return updatedCollection;
+
+        } catch (error) {
+            throw new Error(`Failed to save list: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add a book to the end of a list, or take it out, with sync
+     * @param {string} listId - ID of the list
+     * @param {string} audiobookId - ID of the book
+     * @param {boolean} included - Whether the book should be in the list
+     * @param {Object} collection - Current collection
+     * @returns {Promise<Object>} Updated collection
+     */
+    async setBookInList(listId, audiobookId, included, collection) {
+        const list = (collection.lists || []).find(existing => existing.id === listId);
+        if (!list) {
+            throw new Error('Failed to save list: List not found in collection');
+        }
+
+        const bookIds = (list.bookIds || []).filter(id => id !== audiobookId);
+        if (included) {
+            bookIds.push(audiobookId);
+        }
+
+        return this.saveList({ id: listId, bookIds }, collection);
+    }
+
+    /**
+     * Remove a manual list with sync
+     * The books in it stay in the library.
+     * @param {string} listId - ID of the list to remove
+     * @param {Object} collection - Current collection
+     * @returns {Promise<Object>} Updated collection
+     */
+    async removeList(listId, collection) {
+        try {
+            const lists = collection.lists || [];
+            if (!lists.some(list => list.id === listId)) {
+                throw new Error('List not found in collection');
+            }
+
+            const timestamp = new Date().toISOString();
+
+            const tombstones = (collection.metadata?.tombstones || []).filter(t => t.id !== listId);
+            tombstones.push(createTombstone(listId, this.localCache.getDeviceId(), timestamp));
+
+            const updatedCollection = await this.saveCollectionChanges(
+                {
+                    lists: lists.filter(list => list.id !== listId),
+                    metadata: { ...collection.metadata, tombstones }
+                },
+                collection,
+                timestamp
+            );
+
+            this.emit('listRemoved', { listId, collection: updatedCollection });
+            return updatedCollection;
+
+        } catch (error) {
+            throw new Error(`Failed to remove list: ${error.message}`);
+        }
+    }
+
+    /**
+     * Store changes to the collection and trigger sync
+     * @param {Object} changes - Collection properties to replace, e.g. { lists }
+     * @param {Object} collection - Current collection
+     * @param {string} timestamp - Time of the change
+     * @returns {Promise<Object>} Updated collection
+     * @private
+     */
+    async saveCollectionChanges(changes, collection, timestamp) {
+        const updatedCollection = {
+            ...collection,
+            ...changes,
+            lastUpdated: timestamp
+        };
+
+        await this.saveToCache(updatedCollection);
+        this.triggerBackgroundSync();
+
+        return updatedCollection;
+    }
+
+    /**
+     * Queue a book edit so it is replayed against the remote copy if it was made offline
+     * A failure to queue never fails the edit itself - the regular sync still carries it.
+     * @param {string} operationType - 'add', 'update' or 'delete'
+     * @param {Object} edit - The change, see SyncManager.queueEdit
+     * @returns {Promise<void>}
+     * @private
+     */
+    async recordOfflineEdit(operationType, edit) {
+        try {
+            await this.syncManager.queueEdit(operationType, edit);
+        } catch (error) {
+            console.warn('Failed to queue offline edit:', error.message);
+        }
+    }
+
+    /**
+     * Work out which fields of a book an edit changed
+     * @param {Object} before - Book before the edit
+     * @param {Object} after - Book after the edit
+     * @returns {Object} Changed fields, each with its value before and after the edit
+     * @private
+     */
+    getChangedFields(before, after) {
+        const changes = {};
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+        fields.forEach(field => {
+            if (field === 'id' || field === 'dateAdded' || field === 'lastModified') {
+                return;
+            }
+
+            const beforeValue = before[field] ?? null;
+            const afterValue = after[field] ?? null;
+
+            if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+                changes[field] = { before: beforeValue, after: afterValue };
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Get a plain copy of a book for storing in the offline queue
+     * @param {Audiobook|Object} book - Book to copy
+     * @returns {Object} Plain book data
+     * @private
+     */
+    toPlainBook(book) {
+        return typeof book.toJSON === 'function' ? book.toJSON() : { ...book };
+    }
+
     /**
      * Save collection to local cache
      * @param {Object} collection - Collection to save
@@ -358,9 +747,12 @@ export class DataService {
                     version: collection.version || '1.0',
                     lastModified: collection.lastUpdated || new Date().toISOString(),
                     deviceId: this.localCache.getDeviceId(),
-                    appVersion: '1.0.0'
+                    appVersion: '1.0.0',
+                    tombstones: collection.metadata?.tombstones || []
                 },
-                audiobooks: collection.audiobooks
+                audiobooks: collection.audiobooks,
+                smartCollections: collection.smartCollections || [],
+                lists: collection.lists || []
             };
 
             await this.localCache.saveData(cacheData);
@@ -387,7 +779,12 @@ export class DataService {
                 lastUpdated: cacheData.metadata.lastModified,
                 audiobooks: cacheData.audiobooks,
                 customGenres: [], // TODO: Add custom genres to cache
-                customMoods: []   // TODO: Add custom moods to cache
+                customMoods: [],  // TODO: Add custom moods to cache
+                smartCollections: cacheData.smartCollections || [],
+                lists: cacheData.lists || [],
+                metadata: {
+                    tombstones: cacheData.metadata.tombstones || []
+                }
             };
 
         } catch (error) {
@@ -404,7 +801,7 @@ export class DataService {
         // Don't await - let it run in background
         setTimeout(async () => {
             try {
-                await this.syncManager.sync();
+                await this.syncManager.requestSync();
             } catch (error) {
                 console.warn('Background sync failed:', error.message);
                 this.emit('syncError', error);
@@ -412,6 +809,22 @@ export class DataService {
         }, 100);
     }
 
+    /**
+     * Reload the cached library after another tab changed it and pass it on
+     * Several writes in a row, as during a sync, are reloaded once.
+     * @private
+     */
+    handleCollectionChangedElsewhere() {
+        clearTimeout(this.collectionReloadTimer);
+
+        this.collectionReloadTimer = setTimeout(async () => {
+            const collection = await this.loadFromCache();
+            if (collection) {
+                this.emit('collectionChanged', { collection, source: 'otherTab' });
+            }
+        }, 100);
+    }
+
     /**
      * Get sync status
      * @returns {Promise<Object>} Sync status information
@@ -480,7 +893,10 @@ export class DataService {
                     lastUpdated: data.lastUpdated,
                     audiobooks,
                     customGenres: data.customGenres || [],
-                    customMoods: data.customMoods || []
+                    customMoods: data.customMoods || [],
+                    smartCollections: data.smartCollections || [],
+                    lists: data.lists || [],
+                    metadata: data.metadata
                 }]);
             } else {
                 updatedCollection = {
@@ -488,7 +904,12 @@ export class DataService {
                     lastUpdated: new Date().toISOString(),
                     audiobooks,
                     customGenres: data.customGenres || [],
-                    customMoods: data.customMoods || []
+                    customMoods: data.customMoods || [],
+                    smartCollections: data.smartCollections || [],
+                    lists: data.lists || [],
+                    metadata: {
+                        tombstones: data.metadata?.tombstones || []
+                    }
                 };
             }
 
@@ -631,7 +1052,9 @@ export class DataService {
      * Clean up resources
      */
     destroy() {
+        clearTimeout(this.collectionReloadTimer);
         if (this.syncManager) {
+            this.syncManager.off('collectionChangedElsewhere', this.handleCollectionChangedElsewhere);
             this.syncManager.destroy();
         }
         this.eventListeners.clear();
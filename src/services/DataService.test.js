@@ -19,8 +19,10 @@ vi.mock('./SyncManager.js', () => ({
     SyncManager: vi.fn().mockImplementation(() => ({
         initialize: vi.fn().mockResolvedValue(undefined),
         sync: vi.fn().mockResolvedValue({ success: true }),
+        requestSync: vi.fn().mockResolvedValue({ success: true }),
         syncFromCloud: vi.fn().mockResolvedValue({ success: true }),
         getSyncStatus: vi.fn().mockResolvedValue({ isInitialized: true }),
+        queueEdit: vi.fn().mockResolvedValue(false),
         destroy: vi.fn(),
         on: vi.fn(),
         off: vi.fn(),
@@ -52,8 +54,10 @@ describe('DataService', () => {
         // Manually attach mocks to the instances created by DataService
         dataService.syncManager.initialize = vi.fn().mockResolvedValue(undefined);
         dataService.syncManager.sync = vi.fn().mockResolvedValue({ success: true });
+        dataService.syncManager.requestSync = vi.fn().mockResolvedValue({ success: true });
         dataService.syncManager.syncFromCloud = vi.fn().mockResolvedValue({ success: true });
         dataService.syncManager.getSyncStatus = vi.fn().mockResolvedValue({ isInitialized: true });
+        dataService.syncManager.queueEdit = vi.fn().mockResolvedValue(false);
         dataService.syncManager.destroy = vi.fn();
         dataService.syncManager.on = vi.fn();
         dataService.syncManager.off = vi.fn();
@@ -436,6 +440,22 @@ describe('DataService', () => {
                 expect(dataService.localCache.saveData).toHaveBeenCalled();
             });
 
+            it('should queue the changed fields for offline replay', async () => {
+                const updatedBook = new Audiobook({
+                    id: 'test-1',
+                    title: 'Updated Book',
+                    author: 'Test Author'
+                });
+
+                await dataService.updateAudiobook(updatedBook, mockCollection);
+
+                expect(dataService.syncManager.queueEdit).toHaveBeenCalledWith('update', expect.objectContaining({
+                    bookId: 'test-1',
+                    editedAt: updatedBook.lastModified,
+                    changes: { title: { before: 'Test Book', after: 'Updated Book' } }
+                }));
+            });
+
             it('should throw error if audiobook not found', async () => {
                 const nonExistentBook = new Audiobook({
                     id: 'non-existent',
@@ -456,12 +476,160 @@ describe('DataService', () => {
                 expect(dataService.localCache.saveData).toHaveBeenCalled();
             });
 
+            it('should record a deletion tombstone in the collection metadata', async () => {
+                const result = await dataService.removeAudiobook('test-1', mockCollection);
+
+                expect(result.metadata.tombstones).toEqual([{
+                    id: 'test-1',
+                    deletedAt: result.lastUpdated,
+                    deviceId: 'test-device-id'
+                }]);
+                expect(dataService.localCache.saveData).toHaveBeenCalledWith(expect.objectContaining({
+                    metadata: expect.objectContaining({ tombstones: result.metadata.tombstones })
+                }));
+            });
+
+            it('should queue the deletion for offline replay', async () => {
+                const result = await dataService.removeAudiobook('test-1', mockCollection);
+
+                expect(dataService.syncManager.queueEdit).toHaveBeenCalledWith('delete', expect.objectContaining({
+                    bookId: 'test-1',
+                    editedAt: result.lastUpdated,
+                    book: expect.objectContaining({ title: 'Test Book' })
+                }));
+            });
+
             it('should throw error if audiobook not found', async () => {
                 await expect(dataService.removeAudiobook('non-existent', mockCollection))
                     .rejects.toThrow('Audiobook not found in collection');
             });
         });
 
+        describe('smart collections', () => {
+            const filters = { genres: ['fantasy'], moods: [], statuses: ['queued'], genreMode: 'any', moodMode: 'any', ranges: {} };
+
+            it('should create a smart collection at the end of the list', async () => {
+                const first = await dataService.saveSmartCollection({ name: '  Fantasy queue ', searchTerm: '', filters }, mockCollection);
+                const result = await dataService.saveSmartCollection({ name: 'Short', searchTerm: 'length:<5h', filters: {} }, first);
+
+                expect(result.smartCollections).toHaveLength(2);
+                expect(result.smartCollections[0]).toMatchObject({ name: 'Fantasy queue', filters, order: 0 });
+                expect(result.smartCollections[1]).toMatchObject({ name: 'Short', searchTerm: 'length:<5h', order: 1 });
+                expect(result.smartCollections[0].id).toBeTruthy();
+                expect(dataService.localCache.saveData).toHaveBeenCalledWith(expect.objectContaining({
+                    smartCollections: result.smartCollections
+                }));
+            });
+
+            it('should reject a smart collection without a name', async () => {
+                await expect(dataService.saveSmartCollection({ name: '   ', filters }, mockCollection))
+                    .rejects.toThrow('Smart collection name is required');
+            });
+
+            it('should update an existing smart collection', async () => {
+                const created = await dataService.saveSmartCollection({ name: 'Fantasy', filters }, mockCollection);
+                const original = created.smartCollections[0];
+                const result = await dataService.saveSmartCollection({ id: original.id, name: 'Epic fantasy', searchTerm: 'epic' }, created);
+
+                expect(result.smartCollections).toHaveLength(1);
+                expect(result.smartCollections[0]).toMatchObject({
+                    id: original.id,
+                    name: 'Epic fantasy',
+                    searchTerm: 'epic',
+                    filters,
+                    dateAdded: original.dateAdded
+                });
+            });
+
+            it('should throw error if the smart collection to update is not found', async () => {
+                await expect(dataService.saveSmartCollection({ id: 'missing', name: 'Name' }, mockCollection))
+                    .rejects.toThrow('Smart collection not found in collection');
+            });
+
+            it('should record a tombstone when removing a smart collection', async () => {
+                const created = await dataService.saveSmartCollection({ name: 'Fantasy', filters }, mockCollection);
+                const id = created.smartCollections[0].id;
+                const result = await dataService.removeSmartCollection(id, created);
+
+                expect(result.smartCollections).toEqual([]);
+                expect(result.metadata.tombstones).toEqual([{
+                    id,
+                    deletedAt: result.lastUpdated,
+                    deviceId: 'test-device-id'
+                }]);
+            });
+
+            it('should reorder smart collections and only touch the ones that moved', async () => {
+                let collection = mockCollection;
+                for (const name of ['A', 'B', 'C']) {
+                    collection = await dataService.saveSmartCollection({ name, filters }, collection);
+                }
+                const [a, b, c] = collection.smartCollections;
+
+                const result = await dataService.reorderSmartCollections([b.id, a.id, c.id], collection);
+
+                expect(result.smartCollections.map(sc => sc.name)).toEqual(['B', 'A', 'C']);
+                expect(result.smartCollections.map(sc => sc.order)).toEqual([0, 1, 2]);
+                expect(result.smartCollections[2]).toBe(c);
+            });
+        });
+
+        describe('lists', () => {
+            it('should create a list and add books to the end of it', async () => {
+                const created = await dataService.saveList({ name: ' Road trip ' }, mockCollection);
+                const list = created.lists[0];
+                expect(list).toMatchObject({ name: 'Road trip', bookIds: [], order: 0 });
+
+                const withBook = await dataService.setBookInList(list.id, 'test-1', true, created);
+                const withTwo = await dataService.setBookInList(list.id, 'test-2', true, withBook);
+
+                expect(withTwo.lists[0].bookIds).toEqual(['test-1', 'test-2']);
+                expect(dataService.localCache.saveData).toHaveBeenCalledWith(expect.objectContaining({
+                    lists: withTwo.lists
+                }));
+            });
+
+            it('should reorder, rename and take books out of a list', async () => {
+                const created = await dataService.saveList({ name: 'Book club', bookIds: ['a', 'b', 'a', 'c'] }, mockCollection);
+                const id = created.lists[0].id;
+                expect(created.lists[0].bookIds).toEqual(['a', 'b', 'c']);
+
+                const reordered = await dataService.saveList({ id, bookIds: ['c', 'a', 'b'] }, created);
+                expect(reordered.lists[0]).toMatchObject({ name: 'Book club', bookIds: ['c', 'a', 'b'] });
+
+                const renamed = await dataService.saveList({ id, name: 'Book club 2026' }, reordered);
+                expect(renamed.lists[0]).toMatchObject({ name: 'Book club 2026', bookIds: ['c', 'a', 'b'] });
+
+                const removed = await dataService.setBookInList(id, 'a', false, renamed);
+                expect(removed.lists[0].bookIds).toEqual(['c', 'b']);
+            });
+
+            it('should reject lists without a name or that do not exist', async () => {
+                await expect(dataService.saveList({ name: '' }, mockCollection))
+                    .rejects.toThrow('List name is required');
+                await expect(dataService.saveList({ id: 'missing', bookIds: [] }, mockCollection))
+                    .rejects.toThrow('List not found in collection');
+            });
+
+            it('should record a tombstone when removing a list', async () => {
+                const created = await dataService.saveList({ name: 'Road trip', bookIds: ['test-1'] }, mockCollection);
+                const id = created.lists[0].id;
+                const result = await dataService.removeList(id, created);
+
+                expect(result.lists).toEqual([]);
+                expect(result.audiobooks).toHaveLength(1);
+                expect(result.metadata.tombstones.map(tombstone => tombstone.id)).toEqual([id]);
+            });
+
+            it('should take a removed book out of its lists', async () => {
+                const created = await dataService.saveList({ name: 'Road trip', bookIds: ['test-1', 'other'] }, mockCollection);
+                const result = await dataService.removeAudiobook('test-1', created);
+
+                expect(result.lists[0].bookIds).toEqual(['other']);
+                expect(result.lists[0].lastModified).toBe(result.lastUpdated);
+            });
+        });
+
         describe('getSyncStatus', () => {
             it('should return sync status', async () => {
                 await dataService.initialize();
@@ -471,6 +639,35 @@ describe('DataService', () => {
             });
         });
 
+        describe('changes from other tabs', () => {
+            it('should reload the cached library once after a burst of changes', async () => {
+                vi.useFakeTimers();
+                const changedSpy = vi.fn();
+                dataService.on('collectionChanged', changedSpy);
+                dataService.localCache.loadData.mockResolvedValue({
+                    metadata: { version: '1.0', lastModified: '2025-01-07T10:30:00Z' },
+                    audiobooks: [{ id: 'other-tab-book', title: 'From Another Tab' }]
+                });
+
+                dataService.handleCollectionChangedElsewhere();
+                dataService.handleCollectionChangedElsewhere();
+                await vi.advanceTimersByTimeAsync(100);
+                vi.useRealTimers();
+
+                expect(dataService.localCache.loadData).toHaveBeenCalledTimes(1);
+                expect(changedSpy).toHaveBeenCalledWith({
+                    collection: expect.objectContaining({ audiobooks: [expect.objectContaining({ id: 'other-tab-book' })] }),
+                    source: 'otherTab'
+                });
+            });
+
+            it('should listen for changes from other tabs once initialized', async () => {
+                await dataService.initialize();
+
+                expect(dataService.syncManager.on).toHaveBeenCalledWith('collectionChangedElsewhere', dataService.handleCollectionChangedElsewhere);
+            });
+        });
+
         describe('manualSync', () => {
             it('should trigger manual sync', async () => {
                 const result = await dataService.manualSync();
@@ -1,11 +1,15 @@
+import GitHubTokenManager from './GitHubTokenManager.js';
+
 /**
- * GistManager - Handles public gist ID storage and validation
- * Manages connection to existing gists and creation of new ones
+ * GistManager - Handles gist ID storage and validation
+ * Manages connection to existing gists and creation of new ones.
+ * Secret gists are accepted only when a GitHub token is stored.
  */
 class GistManager {
-    constructor() {
+    constructor(tokenManager = new GitHubTokenManager()) {
         this.storageKey = 'audiobook-gist-id';
         this.baseUrl = 'https://api.github.com/gists';
+        this.tokenManager = tokenManager;
     }
 
     /**
@@ -45,12 +49,12 @@ class GistManager {
         }
 
         try {
-            const response = await fetch(`${this.baseUrl}/${gistId.trim()}`);
+            const response = await this._fetchGist(gistId);
 
             if (response.status === 200) {
                 const gist = await response.json();
-                // Verify it's a public gist and has the expected structure
-                return gist.public === true && gist.files && Object.keys(gist.files).length > 0;
+                // Verify it's a public (or token-accessible secret) gist with the expected structure
+                return (gist.public === true || this._hasToken()) && gist.files && Object.keys(gist.files).length > 0;
             }
 
             return false;
@@ -71,7 +75,7 @@ class GistManager {
         }
 
         try {
-            const response = await fetch(`${this.baseUrl}/${gistId.trim()}`);
+            const response = await this._fetchGist(gistId);
 
             if (response.status !== 200) {
                 return false;
@@ -114,7 +118,7 @@ class GistManager {
         }
 
         try {
-            const response = await fetch(`${this.baseUrl}/${gistId.trim()}`);
+            const response = await this._fetchGist(gistId);
 
             if (response.status !== 200) {
                 return null;
@@ -125,6 +129,7 @@ class GistManager {
                 id: gist.id,
                 description: gist.description || 'Audiobook Library Data',
                 public: gist.public,
+                visibility: gist.public ? 'public' : 'secret',
                 created_at: gist.created_at,
                 updated_at: gist.updated_at,
                 files: Object.keys(gist.files)
@@ -146,6 +151,32 @@ class GistManager {
         }
         return await this.validateGistExists(gistId);
     }
+
+    /**
+     * Fetch a gist, authenticating when a token is stored
+     * @param {string} gistId - The gist ID to fetch
+     * @returns {Promise<Response>} Fetch response
+     * @private
+     */
+    _fetchGist(gistId) {
+        const url = `${this.baseUrl}/${gistId.trim()}`;
+        const authHeaders = this.tokenManager ? this.tokenManager.getAuthHeaders() : {};
+
+        if (Object.keys(authHeaders).length === 0) {
+            return fetch(url);
+        }
+
+        return fetch(url, { headers: authHeaders });
+    }
+
+    /**
+     * Check whether a GitHub token is available
+     * @returns {boolean} True if a token is stored
+     * @private
+     */
+    _hasToken() {
+        return !!this.tokenManager?.hasToken();
+    }
 }
 
 export default GistManager;
\ No newline at end of file
@@ -131,6 +131,25 @@ describe('GistManager', () => {
             expect(result).toBe(false);
         });
 
+        it('should return true for secret gist when a token is stored', async () => {
+            gistManager = new GistManager({
+                hasToken: () => true,
+                getAuthHeaders: () => ({ 'Authorization': 'Bearer test-token' })
+            });
+
+            fetch.mockResolvedValueOnce({
+                status: 200,
+                json: () => Promise.resolve({
+                    public: false,
+                    files: { 'audiobooks.json': { content: '{}' } }
+                })
+            });
+
+            const result = await gistManager.validateGistExists('abc123def456');
+
+            expect(result).toBe(true);
+        });
+
         it('should return false for invalid gist ID', async () => {
             const result1 = await gistManager.validateGistExists(null);
             const result2 = await gistManager.validateGistExists('');
@@ -231,12 +250,37 @@ describe('GistManager', () => {
                 id: 'abc123def456',
                 description: 'My Audiobook Library',
                 public: true,
+                visibility: 'public',
                 created_at: '2024-01-01T00:00:00Z',
                 updated_at: '2024-01-02T00:00:00Z',
                 files: ['audiobooks.json']
             });
         });
 
+        it('should report secret visibility and authenticate with a stored token', async () => {
+            const tokenManager = {
+                hasToken: () => true,
+                getAuthHeaders: () => ({ 'Authorization': 'Bearer test-token' })
+            };
+            gistManager = new GistManager(tokenManager);
+
+            fetch.mockResolvedValueOnce({
+                status: 200,
+                json: () => Promise.resolve({
+                    id: 'secret123456',
+                    public: false,
+                    files: { 'audiobooks.json': { content: '{}' } }
+                })
+            });
+
+            const result = await gistManager.getGistInfo('secret123456');
+
+            expect(result.visibility).toBe('secret');
+            expect(fetch).toHaveBeenCalledWith('https://api.github.com/gists/secret123456', {
+                headers: { 'Authorization': 'Bearer test-token' }
+            });
+        });
+
         it('should return null for non-existent gist', async () => {
             fetch.mockResolvedValueOnce({
                 status: 404
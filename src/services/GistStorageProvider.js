@@ -0,0 +1,60 @@
+import StorageProvider from './StorageProvider.js';
+import GitHubGistService from './GitHubGistService.js';
+import GistManager from './GistManager.js';
+
+/**
+ * GistStorageProvider - StorageProvider adapter for GitHub Gists
+ * Reads the gist ID from GistManager on every call so reconnecting to
+ * another gist takes effect without rebuilding the provider.
+ */
+class GistStorageProvider extends StorageProvider {
+    constructor(gistService = new GitHubGistService(), gistManager = new GistManager()) {
+        super('gist', 'gist');
+        this.gistService = gistService;
+        this.gistManager = gistManager;
+    }
+
+    isConfigured() {
+        return !!this.gistManager.getGistId();
+    }
+
+    assertConfigured() {
+        if (!this.isConfigured()) {
+            throw new Error('No gist ID configured. Please set up a gist first.');
+        }
+    }
+
+    getLocation() {
+        return this.gistManager.getGistId();
+    }
+
+    async read() {
+        const data = await this.gistService.readGist(this.getLocation());
+        this.lastRevision = this.gistService.getKnownRevision?.(this.getLocation()) || null;
+        return data;
+    }
+
+    async write(data) {
+        // The Gist API has no conditional PATCH; SyncManager compares revisions beforehand
+        const result = await this.gistService.updateGist(this.getLocation(), data);
+        this.lastRevision = result?.revision || null;
+        return result;
+    }
+
+    async getMetadata() {
+        const metadata = await this.gistService.getGistMetadata(this.getLocation());
+
+        return {
+            ...metadata,
+            provider: this.type,
+            location: this.getLocation(),
+            updatedAt: metadata.updated_at || null
+        };
+    }
+
+    async exists() {
+        return await this.gistService.gistExists(this.getLocation());
+    }
+}
+
+export default GistStorageProvider;
@@ -1,17 +1,24 @@
+import GitHubTokenManager from './GitHubTokenManager.js';
+
 /**
  * GitHubGistService - Handles GitHub Gist API interactions for audiobook data persistence
- * Supports anonymous reading of public gists and creation of new gists
+ * Supports anonymous reading of public gists, plus secret gists and writes when a token is stored
  */
 class GitHubGistService {
-    constructor() {
+    constructor(tokenManager = new GitHubTokenManager()) {
+        this.tokenManager = tokenManager;
         this.baseUrl = 'https://api.github.com/gists';
         this.rateLimitDelay = 1000; // Base delay for rate limiting (1 second)
         this.maxRetries = 3;
         this.dataFileName = 'audiobook-library.json';
+
+        // Latest revision seen per gist, from reads and writes
+        this.knownRevisions = new Map();
     }
 
     /**
-     * Read data from a public gist anonymously
+     * Read data from a gist
+     * Public gists are read anonymously; secret gists need a stored token.
      * @param {string} gistId - The GitHub gist ID
      * @returns {Promise<Object>} The audiobook collection data
      * @throws {Error} If gist cannot be read or data is invalid
@@ -24,52 +31,120 @@ class GitHubGistService {
         const url = `${this.baseUrl}/${gistId.trim()}`;
 
         try {
-            const response = await this._fetchWithRetry(url);
+            const response = await this._fetchWithRetry(url, this._getReadOptions());
 
             if (!response.ok) {
-                throw this._createGistError(response.status, 'Failed to read gist');
+                throw await this._createResponseError(response, 'Failed to read gist');
             }
 
             const gist = await response.json();
+            const data = this._parseGistData(gist);
 
-            // Validate gist is public
-            if (!gist.public) {
-                throw new Error('Gist must be public to read anonymously');
+            this.knownRevisions.set(gistId.trim(), this._getRevision(gist));
+            return data;
+
+        } catch (error) {
+            if (error.name === 'SyntaxError') {
+                throw new Error('Invalid JSON format in gist data');
             }
+            throw error;
+        }
+    }
+
+    /**
+     * List the revisions of a gist, newest first
+     * @param {string} gistId - The GitHub gist ID
+     * @param {Object} options - Paging options
+     * @param {number} options.perPage - Revisions per page (max 100)
+     * @param {number} options.page - Page number, starting at 1
+     * @returns {Promise<Array>} [{ revision, committedAt, additions, deletions }]
+     * @throws {Error} If the history cannot be read
+     */
+    async listGistCommits(gistId, options = {}) {
+        if (!gistId || typeof gistId !== 'string') {
+            throw new Error('Invalid gist ID provided');
+        }
+
+        const { perPage = 30, page = 1 } = options;
+        const url = `${this.baseUrl}/${gistId.trim()}/commits?per_page=${perPage}&page=${page}`;
 
-            // Find the audiobook data file
-            const dataFile = this._findDataFile(gist.files);
-            if (!dataFile) {
-                throw new Error('No audiobook data file found in gist');
+        try {
+            const response = await this._fetchWithRetry(url, this._getReadOptions());
+
+            if (!response.ok) {
+                throw await this._createResponseError(response, 'Failed to list gist revisions');
             }
 
-            // Parse and validate the data
-            const data = JSON.parse(dataFile.content);
-            this._validateAudiobookData(data);
+            const commits = await response.json();
 
-            return data;
+            return commits.map(commit => ({
+                revision: commit.version,
+                committedAt: commit.committed_at,
+                additions: commit.change_status?.additions || 0,
+                deletions: commit.change_status?.deletions || 0
+            }));
+
+        } catch (error) {
+            throw this._wrapError(error, 'Failed to list gist revisions');
+        }
+    }
+
+    /**
+     * Read the library as it was at a specific gist revision
+     * @param {string} gistId - The GitHub gist ID
+     * @param {string} revision - Revision SHA from listGistCommits
+     * @returns {Promise<Object>} The audiobook collection data at that revision
+     * @throws {Error} If the revision cannot be read or its data is invalid
+     */
+    async readGistRevision(gistId, revision) {
+        if (!gistId || typeof gistId !== 'string') {
+            throw new Error('Invalid gist ID provided');
+        }
+
+        if (!revision || typeof revision !== 'string') {
+            throw new Error('Invalid revision provided');
+        }
+
+        const url = `${this.baseUrl}/${gistId.trim()}/${revision.trim()}`;
+
+        try {
+            const response = await this._fetchWithRetry(url, this._getReadOptions());
+
+            if (!response.ok) {
+                throw await this._createResponseError(response, 'Failed to read gist revision');
+            }
+
+            return this._parseGistData(await response.json());
 
         } catch (error) {
             if (error.name === 'SyntaxError') {
-                throw new Error('Invalid JSON format in gist data');
+                throw new Error('Invalid JSON format in gist revision');
             }
             throw error;
         }
     }
 
     /**
-     * Create a new public gist with audiobook data
+     * Create a new gist with audiobook data
      * @param {Object} data - The audiobook collection data
      * @param {string} description - Optional description for the gist
+     * @param {Object} options - Creation options
+     * @param {boolean} options.isPublic - Create a public gist (secret gists require a token)
      * @returns {Promise<string>} The created gist ID
      * @throws {Error} If gist creation fails
      */
-    async createGist(data, description = 'Audiobook Library Data') {
+    async createGist(data, description = 'Audiobook Library Data', options = {}) {
+        const { isPublic = true } = options;
+
         this._validateAudiobookData(data);
 
+        if (!isPublic && !this.isAuthenticated()) {
+            throw new Error('Creating a secret gist requires a GitHub token');
+        }
+
         const gistData = {
             description: description,
-            public: true,
+            public: isPublic,
             files: {
                 [this.dataFileName]: {
                     content: JSON.stringify(data, null, 2)
@@ -80,32 +155,29 @@ class GitHubGistService {
         try {
             const response = await this._fetchWithRetry(this.baseUrl, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/vnd.github.v3+json'
-                },
+                headers: this._getWriteHeaders(),
                 body: JSON.stringify(gistData)
             });
 
             if (!response.ok) {
-                throw this._createGistError(response.status, 'Failed to create gist');
+                throw await this._createResponseError(response, 'Failed to create gist');
             }
 
             const createdGist = await response.json();
             return createdGist.id;
 
         } catch (error) {
-            throw new Error(`Failed to create gist: ${error.message}`);
+            throw this._wrapError(error, 'Failed to create gist');
         }
     }
 
     /**
      * Update an existing public gist with new data
-     * Note: This requires the gist to be owned by the user making the request
-     * For anonymous usage, this will typically fail - users should create new gists instead
+     * Note: This requires a stored token belonging to the gist owner
+     * Without a token this will typically fail - users should create new gists instead
      * @param {string} gistId - The gist ID to update
      * @param {Object} data - The audiobook collection data
-     * @returns {Promise<void>}
+     * @returns {Promise<Object>} The new revision and update time: { revision, updatedAt }
      * @throws {Error} If update fails
      */
     async updateGist(gistId, data) {
@@ -128,26 +200,69 @@ class GitHubGistService {
         try {
             const response = await this._fetchWithRetry(url, {
                 method: 'PATCH',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/vnd.github.v3+json'
-                },
+                headers: this._getWriteHeaders(),
                 body: JSON.stringify(updateData)
             });
 
             if (!response.ok) {
-                throw this._createGistError(response.status, 'Failed to update gist');
+                throw await this._createResponseError(response, 'Failed to update gist');
+            }
+
+            // The response describes the new revision; older mocks and proxies may omit it
+            let gist = null;
+            try {
+                gist = await response.json();
+            } catch (error) {
+                gist = null;
             }
 
+            const revision = gist ? this._getRevision(gist) : null;
+            this.knownRevisions.set(gistId.trim(), revision);
+
+            return {
+                revision,
+                updatedAt: gist?.updated_at || null
+            };
+
         } catch (error) {
-            throw new Error(`Failed to update gist: ${error.message}`);
+            throw this._wrapError(error, 'Failed to update gist');
+        }
+    }
+
+    /**
+     * Delete a gist (requires a token belonging to the gist owner)
+     * @param {string} gistId - The gist ID to delete
+     * @returns {Promise<void>}
+     * @throws {Error} If deletion fails
+     */
+    async deleteGist(gistId) {
+        if (!gistId || typeof gistId !== 'string') {
+            throw new Error('Invalid gist ID provided');
+        }
+
+        if (!this.isAuthenticated()) {
+            throw new Error('Deleting a gist requires a GitHub token');
+        }
+
+        try {
+            const response = await this._fetchWithRetry(`${this.baseUrl}/${gistId.trim()}`, {
+                method: 'DELETE',
+                headers: this._getWriteHeaders()
+            });
+
+            if (!response.ok) {
+                throw await this._createResponseError(response, 'Failed to delete gist');
+            }
+
+        } catch (error) {
+            throw this._wrapError(error, 'Failed to delete gist');
         }
     }
 
     /**
      * Check if a gist exists and is accessible
      * @param {string} gistId - The gist ID to check
-     * @returns {Promise<boolean>} True if gist exists and is public
+     * @returns {Promise<boolean>} True if gist exists and is public (or secret with a token)
      */
     async gistExists(gistId) {
         if (!gistId || typeof gistId !== 'string') {
@@ -156,11 +271,11 @@ class GitHubGistService {
 
         try {
             const url = `${this.baseUrl}/${gistId.trim()}`;
-            const response = await this._fetchWithRetry(url);
+            const response = await this._fetchWithRetry(url, this._getReadOptions());
 
             if (response.status === 200) {
                 const gist = await response.json();
-                return gist.public === true;
+                return gist.public === true || this.isAuthenticated();
             }
 
             return false;
@@ -182,10 +297,10 @@ class GitHubGistService {
         const url = `${this.baseUrl}/${gistId.trim()}`;
 
         try {
-            const response = await this._fetchWithRetry(url);
+            const response = await this._fetchWithRetry(url, this._getReadOptions());
 
             if (!response.ok) {
-                throw this._createGistError(response.status, 'Failed to get gist metadata');
+                throw await this._createResponseError(response, 'Failed to get gist metadata');
             }
 
             const gist = await response.json();
@@ -194,6 +309,8 @@ class GitHubGistService {
                 id: gist.id,
                 description: gist.description,
                 public: gist.public,
+                visibility: gist.public ? 'public' : 'secret',
+                revision: this._getRevision(gist),
                 created_at: gist.created_at,
                 updated_at: gist.updated_at,
                 files: Object.keys(gist.files),
@@ -205,6 +322,71 @@ class GitHubGistService {
         }
     }
 
+    /**
+     * Get the revision of a gist as of the last read or write through this service
+     * @param {string} gistId - The gist ID
+     * @returns {string|null} Revision, or null if the gist hasn't been read or written yet
+     */
+    getKnownRevision(gistId) {
+        return (gistId && this.knownRevisions.get(gistId.trim())) || null;
+    }
+
+    /**
+     * Check whether writes will be sent with an Authorization header
+     * @returns {boolean} True if a token is stored
+     */
+    isAuthenticated() {
+        return !!this.tokenManager?.hasToken();
+    }
+
+    /**
+     * Build fetch options for read requests
+     * Anonymous reads send no options so public gists behave exactly as before.
+     * @returns {Object} Fetch options
+     * @private
+     */
+    _getReadOptions() {
+        const authHeaders = this.tokenManager ? this.tokenManager.getAuthHeaders() : {};
+        if (Object.keys(authHeaders).length === 0) {
+            return {};
+        }
+
+        return {
+            headers: {
+                'Accept': 'application/vnd.github.v3+json',
+                ...authHeaders
+            }
+        };
+    }
+
+    /**
+     * Build headers for create/update requests
+     * @returns {Object} Request headers, including Authorization when a token is stored
+     * @private
+     */
+    _getWriteHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'Accept': 'application/vnd.github.v3+json',
+            ...(this.tokenManager ? this.tokenManager.getAuthHeaders() : {})
+        };
+    }
+
+    /**
+     * Prefix an error message while keeping its HTTP status for categorization
+     * @param {Error} error - Original error
+     * @param {string} prefix - Message prefix
+     * @returns {Error} Wrapped error
+     * @private
+     */
+    _wrapError(error, prefix) {
+        const wrapped = new Error(`${prefix}: ${error.message}`);
+        if (error.status) {
+            wrapped.status = error.status;
+        }
+        return wrapped;
+    }
+
     /**
      * Find the audiobook data file in gist files
      * @param {Object} files - Gist files object
@@ -234,6 +416,42 @@ class GitHubGistService {
         return null;
     }
 
+    /**
+     * Extract and validate the audiobook data from a gist API response
+     * @param {Object} gist - Gist API response (head or a specific revision)
+     * @returns {Object} The audiobook collection data
+     * @throws {Error} If the gist is not readable or holds no valid data
+     * @private
+     */
+    _parseGistData(gist) {
+        // Secret gists are only used together with a token
+        if (!gist.public && !this.isAuthenticated()) {
+            throw new Error('Gist must be public to read anonymously. Add a GitHub token to use a secret gist.');
+        }
+
+        // Find the audiobook data file
+        const dataFile = this._findDataFile(gist.files);
+        if (!dataFile) {
+            throw new Error('No audiobook data file found in gist');
+        }
+
+        // Parse and validate the data
+        const data = JSON.parse(dataFile.content);
+        this._validateAudiobookData(data);
+
+        return data;
+    }
+
+    /**
+     * Get the latest revision of a gist
+     * @param {Object} gist - Gist API response
+     * @returns {string|null} Commit SHA of the newest revision, falling back to updated_at
+     * @private
+     */
+    _getRevision(gist) {
+        return gist.history?.[0]?.version || gist.updated_at || null;
+    }
+
     /**
      * Validate audiobook data structure
      * @param {Object} data - Data to validate
@@ -314,28 +532,82 @@ class GitHubGistService {
         throw new Error(`Network request failed after ${this.maxRetries} attempts: ${lastError.message}`);
     }
 
+    /**
+     * Create an error for a failed response, telling rate limits apart from access problems
+     * GitHub answers both with 403: a primary rate limit leaves no remaining requests, a
+     * secondary one sends Retry-After, and both explain the limit in the body.
+     * @param {Response} response - Failed fetch response
+     * @param {string} defaultMessage - Default error message
+     * @returns {Promise<Error>} Appropriate error object
+     * @private
+     */
+    async _createResponseError(response, defaultMessage) {
+        let rateLimited = false;
+
+        if (response.status === 403 || response.status === 429) {
+            const header = name => response.headers?.get?.(name) ?? null;
+            rateLimited = header('X-RateLimit-Remaining') === '0' || header('Retry-After') !== null;
+
+            if (!rateLimited && typeof response.json === 'function') {
+                try {
+                    const body = await response.json();
+                    rateLimited = /rate limit/i.test(body?.message || '');
+                } catch (error) {
+                    // No JSON body - decide from the headers alone
+                }
+            }
+        }
+
+        return this._createGistError(response.status, defaultMessage, { rateLimited });
+    }
+
     /**
      * Create appropriate error based on HTTP status
      * @param {number} status - HTTP status code
      * @param {string} defaultMessage - Default error message
+     * @param {Object} options - Error options
+     * @param {boolean} options.rateLimited - Whether GitHub refused the request for its rate limit
      * @returns {Error} Appropriate error object
      * @private
      */
-    _createGistError(status, defaultMessage) {
+    _createGistError(status, defaultMessage, options = {}) {
+        const { rateLimited = false } = options;
+        const rateLimitMessage = 'GitHub API rate limit exceeded. Please wait a few minutes and try again.';
+        let error;
+
         switch (status) {
+            case 401:
+                error = new Error('Authentication failed. Your GitHub token is invalid or expired.');
+                break;
             case 404:
-                return new Error('Gist not found. Please check the gist ID.');
+                error = new Error('Gist not found. Please check the gist ID.');
+                break;
             case 403:
-                return new Error('Access denied. Gist may be private or rate limit exceeded.');
+                if (rateLimited) {
+                    error = new Error(rateLimitMessage);
+                } else {
+                    error = this.isAuthenticated()
+                        ? new Error('Access denied. Your GitHub token may lack the gist scope or you do not own this gist.')
+                        : new Error('Access denied. The gist may be secret or belong to another account.');
+                }
+                break;
+            case 429:
+                error = new Error(rateLimitMessage);
+                break;
             case 422:
-                return new Error('Invalid gist data format.');
+                error = new Error('Invalid gist data format.');
+                break;
             case 500:
             case 502:
             case 503:
-                return new Error('GitHub service temporarily unavailable. Please try again later.');
+                error = new Error('GitHub service temporarily unavailable. Please try again later.');
+                break;
             default:
-                return new Error(`${defaultMessage} (HTTP ${status})`);
+                error = new Error(`${defaultMessage} (HTTP ${status})`);
         }
+
+        error.status = status;
+        return error;
     }
 
     /**
@@ -95,6 +95,21 @@ describe('GitHubGistService', () => {
             await expect(service.readGist('private-gist')).rejects.toThrow('Gist must be public');
         });
 
+        it('should read a secret gist with the stored token', async () => {
+            const tokenManager = { hasToken: () => true, getAuthHeaders: () => ({ 'Authorization': 'Bearer test-token' }) };
+            service = new GitHubGistService(tokenManager);
+            mockFetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve({ ...mockGistResponse, public: false })
+            });
+
+            const result = await service.readGist('secret-gist');
+
+            expect(result).toEqual(validAudiobookData);
+            expect(mockFetch.mock.calls[0][1].headers['Authorization']).toBe('Bearer test-token');
+        });
+
         it('should throw error when no audiobook data file found', async () => {
             const gistWithoutData = {
                 ...mockGistResponse,
@@ -147,6 +162,81 @@ describe('GitHubGistService', () => {
         });
     });
 
+    describe('listGistCommits', () => {
+        it('should list revisions with their change counts', async () => {
+            mockFetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve([
+                    { version: 'sha-2', committed_at: '2024-01-16T10:00:00Z', change_status: { additions: 3, deletions: 1, total: 4 } },
+                    { version: 'sha-1', committed_at: '2024-01-15T10:00:00Z', change_status: {} }
+                ])
+            });
+
+            const commits = await service.listGistCommits('test-gist-id', { perPage: 10, page: 2 });
+
+            expect(commits).toEqual([
+                { revision: 'sha-2', committedAt: '2024-01-16T10:00:00Z', additions: 3, deletions: 1 },
+                { revision: 'sha-1', committedAt: '2024-01-15T10:00:00Z', additions: 0, deletions: 0 }
+            ]);
+            expect(mockFetch).toHaveBeenCalledWith('https://api.github.com/gists/test-gist-id/commits?per_page=10&page=2', {});
+        });
+
+        it('should throw error for invalid gist ID', async () => {
+            await expect(service.listGistCommits('')).rejects.toThrow('Invalid gist ID provided');
+        });
+
+        it('should keep the HTTP status when the history cannot be read', async () => {
+            mockFetch.mockResolvedValueOnce({ ok: false, status: 404 });
+
+            await expect(service.listGistCommits('missing')).rejects.toMatchObject({ status: 404 });
+        });
+    });
+
+    describe('readGistRevision', () => {
+        it('should read the library data at a specific revision', async () => {
+            mockFetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve(mockGistResponse)
+            });
+
+            const result = await service.readGistRevision('test-gist-id', 'sha-1');
+
+            expect(result).toEqual(validAudiobookData);
+            expect(mockFetch).toHaveBeenCalledWith('https://api.github.com/gists/test-gist-id/sha-1', {});
+        });
+
+        it('should not change the known head revision', async () => {
+            mockFetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve(mockGistResponse)
+            });
+
+            await service.readGistRevision('test-gist-id', 'sha-1');
+
+            expect(service.getKnownRevision('test-gist-id')).toBeNull();
+        });
+
+        it('should throw error for a missing revision', async () => {
+            await expect(service.readGistRevision('test-gist-id', '')).rejects.toThrow('Invalid revision provided');
+        });
+
+        it('should throw error for invalid JSON in the revision', async () => {
+            mockFetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve({
+                    ...mockGistResponse,
+                    files: { 'audiobook-library.json': { content: '{ invalid' } }
+                })
+            });
+
+            await expect(service.readGistRevision('test-gist-id', 'sha-1')).rejects.toThrow('Invalid JSON format in gist revision');
+        });
+    });
+
     describe('createGist', () => {
         it('should successfully create a new public gist', async () => {
             const createdGist = { ...mockGistResponse, id: 'new-gist-id' };
@@ -198,6 +288,43 @@ describe('GitHubGistService', () => {
             await expect(service.createGist({ audiobooks: [] })).rejects.toThrow('Data must contain a version string');
         });
 
+        it('should send an Authorization header when a token is stored', async () => {
+            const tokenManager = { hasToken: () => true, getAuthHeaders: () => ({ 'Authorization': 'Bearer test-token' }) };
+            service = new GitHubGistService(tokenManager);
+            mockFetch.mockResolvedValueOnce({
+                ok: true,
+                status: 201,
+                json: () => Promise.resolve({ ...mockGistResponse, id: 'auth-gist' })
+            });
+
+            await service.createGist(validAudiobookData);
+
+            const callArgs = mockFetch.mock.calls[0][1];
+            expect(callArgs.headers['Authorization']).toBe('Bearer test-token');
+            expect(callArgs.headers['Content-Type']).toBe('application/json');
+        });
+
+        it('should create a secret gist when a token is stored', async () => {
+            const tokenManager = { hasToken: () => true, getAuthHeaders: () => ({ 'Authorization': 'Bearer test-token' }) };
+            service = new GitHubGistService(tokenManager);
+            mockFetch.mockResolvedValueOnce({
+                ok: true,
+                status: 201,
+                json: () => Promise.resolve({ ...mockGistResponse, id: 'secret-gist', public: false })
+            });
+
+            const gistId = await service.createGist(validAudiobookData, 'Private Library', { isPublic: false });
+
+            expect(gistId).toBe('secret-gist');
+            expect(JSON.parse(mockFetch.mock.calls[0][1].body).public).toBe(false);
+        });
+
+        it('should refuse to create a secret gist without a token', async () => {
+            await expect(service.createGist(validAudiobookData, 'Private', { isPublic: false }))
+                .rejects.toThrow('requires a GitHub token');
+            expect(mockFetch).not.toHaveBeenCalled();
+        });
+
         it('should handle gist creation failure', async () => {
             mockFetch.mockResolvedValueOnce({
                 ok: false,
@@ -216,8 +343,10 @@ describe('GitHubGistService', () => {
                 json: () => Promise.resolve(mockGistResponse)
             });
 
-            await service.updateGist('test-gist-id', validAudiobookData);
+            const result = await service.updateGist('test-gist-id', validAudiobookData);
 
+            expect(result).toEqual({ revision: '2024-01-15T10:30:00Z', updatedAt: '2024-01-15T10:30:00Z' });
+            expect(service.getKnownRevision('test-gist-id')).toBe('2024-01-15T10:30:00Z');
             expect(mockFetch).toHaveBeenCalledWith('https://api.github.com/gists/test-gist-id', {
                 method: 'PATCH',
                 headers: {
@@ -242,6 +371,20 @@ describe('GitHubGistService', () => {
             await expect(service.updateGist('test-id', null)).rejects.toThrow('Data must be an object');
         });
 
+        it('should keep the HTTP status when an authenticated update is rejected', async () => {
+            const tokenManager = { hasToken: () => true, getAuthHeaders: () => ({ 'Authorization': 'Bearer expired' }) };
+            service = new GitHubGistService(tokenManager);
+            mockFetch.mockResolvedValueOnce({
+                ok: false,
+                status: 401
+            });
+
+            const error = await service.updateGist('test-id', validAudiobookData).catch(e => e);
+
+            expect(error.message).toContain('Authentication failed');
+            expect(error.status).toBe(401);
+        });
+
         it('should handle update failure', async () => {
             mockFetch.mockResolvedValueOnce({
                 ok: false,
@@ -252,6 +395,23 @@ describe('GitHubGistService', () => {
         });
     });
 
+    describe('deleteGist', () => {
+        it('should delete a gist with the stored token', async () => {
+            const tokenManager = { hasToken: () => true, getAuthHeaders: () => ({ 'Authorization': 'Bearer test-token' }) };
+            service = new GitHubGistService(tokenManager);
+            mockFetch.mockResolvedValueOnce({ ok: true, status: 204 });
+
+            await service.deleteGist('old-gist');
+
+            expect(mockFetch.mock.calls[0][0]).toBe('https://api.github.com/gists/old-gist');
+            expect(mockFetch.mock.calls[0][1].method).toBe('DELETE');
+        });
+
+        it('should require a token', async () => {
+            await expect(service.deleteGist('old-gist')).rejects.toThrow('requires a GitHub token');
+        });
+    });
+
     describe('gistExists', () => {
         it('should return true for existing public gist', async () => {
             mockFetch.mockResolvedValueOnce({
@@ -313,6 +473,8 @@ describe('GitHubGistService', () => {
                 id: 'test-gist-id',
                 description: 'Audiobook Library Data',
                 public: true,
+                visibility: 'public',
+                revision: '2024-01-15T10:30:00Z',
                 created_at: '2024-01-15T10:00:00Z',
                 updated_at: '2024-01-15T10:30:00Z',
                 files: ['audiobook-library.json'],
@@ -320,6 +482,21 @@ describe('GitHubGistService', () => {
             });
         });
 
+        it('should report the newest history entry as the revision', async () => {
+            mockFetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve({
+                    ...mockGistResponse,
+                    history: [{ version: 'sha-new' }, { version: 'sha-old' }]
+                })
+            });
+
+            const metadata = await service.getGistMetadata('test-gist-id');
+
+            expect(metadata.revision).toBe('sha-new');
+        });
+
         it('should throw error for invalid gist ID', async () => {
             await expect(service.getGistMetadata('')).rejects.toThrow('Invalid gist ID provided');
         });
@@ -460,6 +637,55 @@ describe('GitHubGistService', () => {
             expect(service._createGistError(422, 'Test').message).toContain('Invalid gist data format');
             expect(service._createGistError(500, 'Test').message).toContain('GitHub service temporarily unavailable');
             expect(service._createGistError(999, 'Test').message).toContain('Test (HTTP 999)');
+            expect(service._createGistError(401, 'Test').message).toContain('token is invalid or expired');
+            expect(service._createGistError(403, 'Test').status).toBe(403);
+            expect(service._createGistError(429, 'Test').message).toContain('rate limit exceeded');
+        });
+
+        describe('403 responses', () => {
+            const tokenManager = { hasToken: () => true, getAuthHeaders: () => ({ 'Authorization': 'Bearer test-token' }) };
+            const forbidden = (headers = {}, body = {}) => ({
+                ok: false,
+                status: 403,
+                headers: new Map(Object.entries(headers)),
+                json: () => Promise.resolve(body)
+            });
+
+            beforeEach(() => {
+                service = new GitHubGistService(tokenManager);
+            });
+
+            it('should report a secondary rate limit to an authenticated user as a rate limit', async () => {
+                mockFetch.mockResolvedValueOnce(forbidden(
+                    { 'Retry-After': '60' },
+                    { message: 'You have exceeded a secondary rate limit.' }
+                ));
+
+                const error = await service.updateGist('test-id', validAudiobookData).catch(e => e);
+
+                expect(error.message).toContain('rate limit exceeded');
+                expect(error.message).not.toContain('scope');
+                expect(error.status).toBe(403);
+            });
+
+            it('should recognize a rate limit from the response body alone', async () => {
+                mockFetch.mockResolvedValueOnce(forbidden({}, { message: 'API rate limit exceeded for user ID 1.' }));
+
+                const error = await service.readGist('test-id').catch(e => e);
+
+                expect(error.message).toContain('rate limit exceeded');
+            });
+
+            it('should blame the token scope when no rate limit was hit', async () => {
+                mockFetch.mockResolvedValueOnce(forbidden(
+                    { 'X-RateLimit-Remaining': '4999' },
+                    { message: 'Resource not accessible by personal access token' }
+                ));
+
+                const error = await service.updateGist('test-id', validAudiobookData).catch(e => e);
+
+                expect(error.message).toContain('gist scope');
+            });
         });
     });
 });
\ No newline at end of file
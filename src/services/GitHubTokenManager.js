@@ -0,0 +1,150 @@
+/**
+ * GitHubTokenManager - Handles optional GitHub personal access token storage and validation
+ * Browser storage is not a secret store, so the token stays in sessionStorage
+ * unless the user explicitly asks to remember it on this device.
+ */
+class GitHubTokenManager {
+    constructor() {
+        this.storageKey = 'audiobook-github-token';
+        this.userUrl = 'https://api.github.com/user';
+        this.requiredScope = 'gist';
+    }
+
+    /**
+     * Save a token for authenticated gist writes
+     * @param {string} token - GitHub personal access token
+     * @param {Object} options - Storage options
+     * @param {boolean} options.remember - Persist across browser sessions (localStorage)
+     */
+    saveToken(token, options = {}) {
+        if (!token || typeof token !== 'string' || !token.trim()) {
+            throw new Error('Invalid token provided');
+        }
+
+        const { remember = false } = options;
+
+        // Only ever keep one copy so clearing is reliable
+        this.clearToken();
+        this._getStorage(remember)?.setItem(this.storageKey, token.trim());
+    }
+
+    /**
+     * Retrieve the stored token
+     * @returns {string|null} The token or null if none is stored
+     */
+    getToken() {
+        return this._getStorage(false)?.getItem(this.storageKey) ||
+            this._getStorage(true)?.getItem(this.storageKey) ||
+            null;
+    }
+
+    /**
+     * Check whether a token is stored
+     * @returns {boolean} True if a token is available
+     */
+    hasToken() {
+        return !!this.getToken();
+    }
+
+    /**
+     * Check whether the stored token persists across sessions
+     * @returns {boolean} True if the token lives in localStorage
+     */
+    isRemembered() {
+        return !!this._getStorage(true)?.getItem(this.storageKey);
+    }
+
+    /**
+     * Remove the token from all storage
+     */
+    clearToken() {
+        this._getStorage(false)?.removeItem(this.storageKey);
+        this._getStorage(true)?.removeItem(this.storageKey);
+    }
+
+    /**
+     * Replace the stored token with a new one after validating it
+     * The old token is kept if the new one is rejected.
+     * @param {string} newToken - Replacement token
+     * @param {Object} options - Storage options (see saveToken)
+     * @returns {Promise<Object>} Validation result for the new token
+     */
+    async rotateToken(newToken, options = {}) {
+        const validation = await this.validateToken(newToken);
+
+        if (validation.valid) {
+            this.saveToken(newToken, { remember: this.isRemembered(), ...options });
+        }
+
+        return validation;
+    }
+
+    /**
+     * Build the Authorization header for the stored token
+     * @returns {Object} Header object, empty when no token is stored
+     */
+    getAuthHeaders() {
+        const token = this.getToken();
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+
+    /**
+     * Validate a token against the GitHub API and check its scopes
+     * Fine-grained tokens do not report scopes, so scopes are only enforced
+     * when GitHub returns an X-OAuth-Scopes header.
+     * @param {string} token - Token to validate (defaults to the stored token)
+     * @returns {Promise<Object>} { valid, login, scopes, hasGistScope, error }
+     */
+    async validateToken(token = this.getToken()) {
+        if (!token) {
+            return { valid: false, login: null, scopes: [], hasGistScope: false, error: 'No token provided' };
+        }
+
+        try {
+            const response = await fetch(this.userUrl, {
+                headers: {
+                    'Accept': 'application/vnd.github.v3+json',
+                    'Authorization': `Bearer ${token.trim()}`
+                }
+            });
+
+            if (response.status === 401) {
+                return { valid: false, login: null, scopes: [], hasGistScope: false, error: 'Token is invalid or expired' };
+            }
+
+            if (!response.ok) {
+                return { valid: false, login: null, scopes: [], hasGistScope: false, error: `Token check failed (HTTP ${response.status})` };
+            }
+
+            const user = await response.json();
+            const scopesHeader = response.headers?.get('X-OAuth-Scopes');
+            const scopes = scopesHeader ? scopesHeader.split(',').map(scope => scope.trim()).filter(Boolean) : [];
+            const hasGistScope = scopesHeader === null || scopesHeader === undefined || scopes.includes(this.requiredScope);
+
+            return {
+                valid: hasGistScope,
+                login: user.login || null,
+                scopes,
+                hasGistScope,
+                error: hasGistScope ? null : 'Token is missing the "gist" scope'
+            };
+        } catch (error) {
+            return { valid: false, login: null, scopes: [], hasGistScope: false, error: `Unable to validate token: ${error.message}` };
+        }
+    }
+
+    /**
+     * Get session or persistent storage if available
+     * @param {boolean} persistent - Use localStorage instead of sessionStorage
+     * @returns {Storage|null} Storage object
+     * @private
+     */
+    _getStorage(persistent) {
+        if (persistent) {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        }
+        return typeof sessionStorage !== 'undefined' ? sessionStorage : null;
+    }
+}
+
+export default GitHubTokenManager;
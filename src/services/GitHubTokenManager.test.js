@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import GitHubTokenManager from './GitHubTokenManager.js';
+
+describe('GitHubTokenManager', () => {
+    let tokenManager;
+
+    const mockUserResponse = (scopes, status = 200) => ({
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: (name) => (name === 'X-OAuth-Scopes' ? scopes : null) },
+        json: () => Promise.resolve({ login: 'octocat' })
+    });
+
+    beforeEach(() => {
+        localStorage.clear();
+        sessionStorage.clear();
+        global.fetch = vi.fn();
+        tokenManager = new GitHubTokenManager();
+    });
+
+    describe('storage', () => {
+        it('should keep the token in sessionStorage by default', () => {
+            tokenManager.saveToken('  ghp_session  ');
+
+            expect(sessionStorage.getItem('audiobook-github-token')).toBe('ghp_session');
+            expect(localStorage.getItem('audiobook-github-token')).toBeNull();
+            expect(tokenManager.getToken()).toBe('ghp_session');
+            expect(tokenManager.isRemembered()).toBe(false);
+        });
+
+        it('should persist the token when asked to remember it', () => {
+            tokenManager.saveToken('ghp_remembered', { remember: true });
+
+            expect(localStorage.getItem('audiobook-github-token')).toBe('ghp_remembered');
+            expect(tokenManager.isRemembered()).toBe(true);
+        });
+
+        it('should clear the token from both storages', () => {
+            tokenManager.saveToken('ghp_remembered', { remember: true });
+            tokenManager.clearToken();
+
+            expect(tokenManager.hasToken()).toBe(false);
+            expect(tokenManager.getAuthHeaders()).toEqual({});
+        });
+
+        it('should reject empty tokens', () => {
+            expect(() => tokenManager.saveToken('   ')).toThrow('Invalid token provided');
+        });
+
+        it('should build a bearer Authorization header', () => {
+            tokenManager.saveToken('ghp_header');
+
+            expect(tokenManager.getAuthHeaders()).toEqual({ 'Authorization': 'Bearer ghp_header' });
+        });
+    });
+
+    describe('validateToken', () => {
+        it('should accept a classic token with the gist scope', async () => {
+            fetch.mockResolvedValueOnce(mockUserResponse('repo, gist'));
+
+            const result = await tokenManager.validateToken('ghp_valid');
+
+            expect(result.valid).toBe(true);
+            expect(result.login).toBe('octocat');
+            expect(result.scopes).toEqual(['repo', 'gist']);
+            expect(fetch).toHaveBeenCalledWith('https://api.github.com/user', expect.objectContaining({
+                headers: expect.objectContaining({ 'Authorization': 'Bearer ghp_valid' })
+            }));
+        });
+
+        it('should reject a token without the gist scope', async () => {
+            fetch.mockResolvedValueOnce(mockUserResponse('repo'));
+
+            const result = await tokenManager.validateToken('ghp_noscope');
+
+            expect(result.valid).toBe(false);
+            expect(result.hasGistScope).toBe(false);
+            expect(result.error).toContain('gist');
+        });
+
+        it('should accept fine-grained tokens that report no scopes', async () => {
+            fetch.mockResolvedValueOnce(mockUserResponse(null));
+
+            const result = await tokenManager.validateToken('github_pat_fine');
+
+            expect(result.valid).toBe(true);
+        });
+
+        it('should report invalid tokens on 401', async () => {
+            fetch.mockResolvedValueOnce(mockUserResponse(null, 401));
+
+            const result = await tokenManager.validateToken('ghp_bad');
+
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain('invalid or expired');
+        });
+    });
+
+    describe('rotateToken', () => {
+        it('should replace the token only when the new one validates', async () => {
+            tokenManager.saveToken('ghp_old', { remember: true });
+
+            fetch.mockResolvedValueOnce(mockUserResponse(null, 401));
+            await tokenManager.rotateToken('ghp_rejected');
+            expect(tokenManager.getToken()).toBe('ghp_old');
+
+            fetch.mockResolvedValueOnce(mockUserResponse('gist'));
+            await tokenManager.rotateToken('ghp_new');
+            expect(tokenManager.getToken()).toBe('ghp_new');
+            expect(tokenManager.isRemembered()).toBe(true);
+        });
+    });
+});
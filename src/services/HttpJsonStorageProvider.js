@@ -0,0 +1,198 @@
+import StorageProvider, { createRemoteChangedError } from './StorageProvider.js';
+
+/**
+ * HttpJsonStorageProvider - StorageProvider adapter for a self-hosted JSON endpoint
+ * The library is fetched with GET and replaced with PUT at a single URL.
+ * An optional bearer token is sent with every request.
+ */
+class HttpJsonStorageProvider extends StorageProvider {
+    /**
+     * @param {Object} config - Endpoint configuration
+     * @param {string} config.url - URL of the JSON document
+     * @param {string} config.token - Optional bearer token
+     */
+    constructor(config = {}, type = 'http', displayName = 'HTTP endpoint') {
+        super(type, displayName);
+        this.url = (config.url || '').trim();
+        this.token = config.token || null;
+    }
+
+    isConfigured() {
+        return /^https?:\/\//i.test(this.url);
+    }
+
+    getLocation() {
+        return this.url || null;
+    }
+
+    async read() {
+        this.assertConfigured();
+
+        const response = await this._request('GET', {
+            headers: { 'Accept': 'application/json' }
+        });
+
+        if (!response.ok) {
+            throw this._createHttpError(response.status, 'Failed to read library');
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new Error(`Invalid JSON from ${this.displayName}: ${error.message}`);
+        }
+
+        this._validateData(data);
+        this.lastRevision = this._metadataFromHeaders(response.headers).revision;
+        return data;
+    }
+
+    async write(data, options = {}) {
+        this.assertConfigured();
+        this._validateData(data);
+
+        const { expectedRevision = null } = options;
+        const headers = { 'Content-Type': 'application/json' };
+
+        // Let the server reject the write if the file changed since it was read
+        if (this._isEtag(expectedRevision)) {
+            headers['If-Match'] = expectedRevision;
+        }
+
+        const response = await this._request('PUT', {
+            headers,
+            body: JSON.stringify(data, null, 2)
+        });
+
+        if (response.status === 412) {
+            throw createRemoteChangedError(expectedRevision);
+        }
+
+        if (!response.ok) {
+            throw this._createHttpError(response.status, 'Failed to write library');
+        }
+
+        this.lastRevision = response.headers.get('ETag') || null;
+        return { revision: this.lastRevision };
+    }
+
+    async getMetadata() {
+        this.assertConfigured();
+
+        const response = await this._request('HEAD');
+
+        if (!response.ok) {
+            throw this._createHttpError(response.status, 'Failed to get metadata');
+        }
+
+        return this._metadataFromHeaders(response.headers);
+    }
+
+    async exists() {
+        if (!this.isConfigured()) {
+            return false;
+        }
+
+        try {
+            const response = await this._request('HEAD');
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Headers sent with every request
+     * @returns {Object} Authorization header when a token is configured
+     * @protected
+     */
+    _getAuthHeaders() {
+        return this.token ? { 'Authorization': `Bearer ${this.token}` } : {};
+    }
+
+    /**
+     * Send a request to the configured URL
+     * @param {string} method - HTTP method
+     * @param {Object} options - Extra fetch options; headers are merged with auth headers
+     * @returns {Promise<Response>} Fetch response
+     * @protected
+     */
+    async _request(method, options = {}) {
+        const { headers = {}, ...rest } = options;
+
+        return await fetch(this.url, {
+            method,
+            headers: { ...this._getAuthHeaders(), ...headers },
+            cache: 'no-store',
+            ...rest
+        });
+    }
+
+    /**
+     * Build metadata from response headers
+     * @param {Headers} headers - Response headers
+     * @returns {Object} Metadata
+     * @protected
+     */
+    _metadataFromHeaders(headers) {
+        const etag = headers.get('ETag');
+        const lastModified = headers.get('Last-Modified');
+        const size = headers.get('Content-Length');
+        const updatedAt = lastModified ? new Date(lastModified).toISOString() : null;
+
+        return {
+            provider: this.type,
+            location: this.url,
+            etag,
+            revision: etag || updatedAt,
+            updatedAt,
+            size: size !== null ? parseInt(size, 10) : null
+        };
+    }
+
+    /**
+     * Check whether a revision is an HTTP entity tag usable in If-Match
+     * @param {string|null} revision - Revision to check
+     * @returns {boolean} True for strong or weak ETags
+     * @protected
+     */
+    _isEtag(revision) {
+        return typeof revision === 'string' && /^(W\/)?"/.test(revision);
+    }
+
+    /**
+     * Create an error with a user-facing message for an HTTP status
+     * @param {number} status - HTTP status code
+     * @param {string} defaultMessage - Message for unrecognised statuses
+     * @returns {Error} Error with a status property
+     * @protected
+     */
+    _createHttpError(status, defaultMessage) {
+        let error;
+
+        switch (status) {
+            case 401:
+                error = new Error(`Authentication failed. Check the credentials for your ${this.displayName}.`);
+                break;
+            case 403:
+                error = new Error(`Access denied by your ${this.displayName}.`);
+                break;
+            case 404:
+                error = new Error(`Library file not found on your ${this.displayName}. Please check the URL.`);
+                break;
+            case 500:
+            case 502:
+            case 503:
+                error = new Error(`Your ${this.displayName} is temporarily unavailable. Please try again later.`);
+                break;
+            default:
+                error = new Error(`${defaultMessage} (HTTP ${status})`);
+        }
+
+        error.status = status;
+        return error;
+    }
+}
+
+export default HttpJsonStorageProvider;
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import HttpJsonStorageProvider from './HttpJsonStorageProvider.js';
+import { MockStorageServer } from './__mocks__/MockStorageServer.js';
+
+describe('HttpJsonStorageProvider', () => {
+    const server = new MockStorageServer({ requiredAuth: 'Bearer secret-token' });
+    let baseUrl;
+    let provider;
+
+    const library = {
+        metadata: { version: '1.0', lastModified: '2024-01-15T10:00:00Z' },
+        audiobooks: [{ id: '1', title: 'Book 1', author: 'Author 1' }]
+    };
+
+    beforeAll(async () => {
+        baseUrl = await server.start();
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    beforeEach(() => {
+        server.reset();
+        provider = new HttpJsonStorageProvider({ url: `${baseUrl}/library.json`, token: 'secret-token' });
+    });
+
+    it('should report configuration from the URL', () => {
+        expect(provider.isConfigured()).toBe(true);
+        expect(provider.getLocation()).toBe(`${baseUrl}/library.json`);
+        expect(new HttpJsonStorageProvider({ url: 'not-a-url' }).isConfigured()).toBe(false);
+        expect(() => new HttpJsonStorageProvider().assertConfigured()).toThrow('No HTTP endpoint configured');
+    });
+
+    it('should write with PUT and read back with GET', async () => {
+        await provider.write(library);
+
+        expect(server.getFile('/library.json')).toEqual(library);
+        expect(await provider.read()).toEqual(library);
+        expect(server.requests.map(request => request.method)).toEqual(['PUT', 'GET']);
+    });
+
+    it('should check existence and metadata with HEAD', async () => {
+        expect(await provider.exists()).toBe(false);
+
+        server.setFile('/library.json', library, new Date('2024-02-01T12:00:00Z'));
+
+        expect(await provider.exists()).toBe(true);
+
+        const metadata = await provider.getMetadata();
+        expect(metadata.provider).toBe('http');
+        expect(metadata.updatedAt).toBe('2024-02-01T12:00:00.000Z');
+        expect(metadata.etag).toBeTruthy();
+        expect(metadata.size).toBe(JSON.stringify(library).length);
+    });
+
+    it('should send If-Match and refuse to overwrite a file that changed', async () => {
+        server.setFile('/library.json', library);
+        await provider.read();
+        const readRevision = provider.lastRevision;
+
+        // Another device writes in the meantime
+        server.setFile('/library.json', { ...library, audiobooks: [] });
+
+        await expect(provider.write(library, { expectedRevision: readRevision }))
+            .rejects.toMatchObject({ code: 'REMOTE_CHANGED', expectedRevision: readRevision });
+        expect(server.requests.at(-1).headers['if-match']).toBe(readRevision);
+        expect(server.getFile('/library.json').audiobooks).toEqual([]);
+
+        const current = await provider.getRevision();
+        const result = await provider.write(library, { expectedRevision: current });
+        expect(result.revision).not.toBe(current);
+        expect(provider.lastRevision).toBe(result.revision);
+    });
+
+    it('should surface authentication failures with a status', async () => {
+        server.setFile('/library.json', library);
+        provider = new HttpJsonStorageProvider({ url: `${baseUrl}/library.json`, token: 'wrong' });
+
+        await expect(provider.read()).rejects.toMatchObject({ status: 401 });
+        expect(await provider.exists()).toBe(false);
+    });
+
+    it('should reject documents without an audiobooks array', async () => {
+        server.setFile('/library.json', { books: [] });
+
+        await expect(provider.read()).rejects.toThrow('Data must contain an audiobooks array');
+        await expect(provider.write({ books: [] })).rejects.toThrow('Data must contain an audiobooks array');
+    });
+});
@@ -1,6 +1,14 @@
 import { Audiobook } from '../models/Audiobook.js';
 import { SyncManager } from './SyncManager.js';
 import { LocalCacheService } from './LocalCacheService.js';
+import {
+    mergeTombstones,
+    getTombstoneCleanupTime,
+    pruneTombstones,
+    isDeletedByTombstone,
+    mergeSmartCollections,
+    mergeLists
+} from '../utils/helpers.js';
 
 export class ImportExportService {
     constructor() {
@@ -173,6 +181,11 @@ export class ImportExportService {
                 audiobooks,
                 customGenres: data.customGenres || [],
                 customMoods: data.customMoods || [],
+                smartCollections: data.smartCollections || [],
+                lists: data.lists || [],
+                metadata: {
+                    tombstones: data.metadata?.tombstones || []
+                },
                 exportMetadata: data.exportMetadata || null,
                 syncConflict,
                 importStats: {
@@ -231,7 +244,7 @@ export class ImportExportService {
                     const row = rows[i];
                     const bookData = this.mapCSVRowToAudiobook(headers, row);
 
-                    const audiobook = new Audiobook(bookData);
+                    const audiobook = new Audiobook(Audiobook.migrateLegacyStatus(bookData));
                     const validation = audiobook.validate();
 
                     if (!validation.isValid) {
@@ -274,18 +287,29 @@ export class ImportExportService {
             const { triggerSync = true } = options;
             let mergedAudiobooks = [];
             const existingIds = new Set(existingCollection.audiobooks.map(book => book.id));
+            const tombstonesPrunedBefore = getTombstoneCleanupTime(
+                existingCollection.metadata,
+                importedCollection.metadata
+            );
+            let tombstones = pruneTombstones(mergeTombstones(
+                existingCollection.metadata?.tombstones,
+                importedCollection.metadata?.tombstones
+            ), tombstonesPrunedBefore);
 
             switch (mergeStrategy) {
-                case 'replace':
-                    // Replace entire collection
+                case 'replace': {
+                    // Replace entire collection - imported books are kept even if deleted before
                     mergedAudiobooks = importedCollection.audiobooks;
+                    const importedIds = new Set(mergedAudiobooks.map(book => book.id));
+                    tombstones = tombstones.filter(tombstone => !importedIds.has(tombstone.id));
                     break;
+                }
 
                 case 'append':
-                    // Add all imported books, skip duplicates
+                    // Add all imported books, skip duplicates and deleted books
                     mergedAudiobooks = [...existingCollection.audiobooks];
                     importedCollection.audiobooks.forEach(book => {
-                        if (!existingIds.has(book.id)) {
+                        if (!existingIds.has(book.id) && !isDeletedByTombstone(book, tombstones)) {
                             mergedAudiobooks.push(book);
                         }
                     });
@@ -295,7 +319,8 @@ export class ImportExportService {
                     // Intelligent merge considering modification timestamps
                     mergedAudiobooks = await this.performSyncAwareMerge(
                         existingCollection.audiobooks,
-                        importedCollection.audiobooks
+                        importedCollection.audiobooks,
+                        tombstones
                     );
                     break;
 
@@ -312,7 +337,7 @@ export class ImportExportService {
 
                     // Add new books from import
                     importedCollection.audiobooks.forEach(book => {
-                        if (!existingIds.has(book.id)) {
+                        if (!existingIds.has(book.id) && !isDeletedByTombstone(book, tombstones)) {
                             mergedAudiobooks.push(book);
                         }
                     });
@@ -330,17 +355,30 @@ export class ImportExportService {
                 ...(importedCollection.customMoods || [])
             ]);
 
+            // Smart collections and lists are replaced along with the books, otherwise
+            // merged like sync does
+            const mergedSmartCollections = mergeStrategy === 'replace'
+                ? importedCollection.smartCollections || []
+                : mergeSmartCollections(existingCollection.smartCollections, importedCollection.smartCollections, tombstones);
+            const mergedLists = mergeStrategy === 'replace'
+                ? importedCollection.lists || []
+                : mergeLists(existingCollection.lists, importedCollection.lists, tombstones);
+
             const mergedCollection = {
                 version: importedCollection.version || existingCollection.version,
                 lastUpdated: new Date().toISOString(),
                 audiobooks: mergedAudiobooks,
                 customGenres: Array.from(mergedGenres),
                 customMoods: Array.from(mergedMoods),
+                smartCollections: mergedSmartCollections,
+                lists: mergedLists,
                 metadata: {
                     ...existingCollection.metadata,
                     lastModified: new Date().toISOString(),
                     importedAt: new Date().toISOString(),
-                    mergeStrategy
+                    mergeStrategy,
+                    tombstones,
+                    tombstonesPrunedBefore
                 }
             };
 
@@ -368,7 +406,8 @@ export class ImportExportService {
     convertToCSV(audiobooks) {
         const headers = [
             'Title', 'Author', 'Narrator', 'URL', 'Image', 'Length',
-            'Release Date', 'Rating', 'Price', 'Genres', 'Moods'
+            'Release Date', 'Rating', 'Price', 'Genres', 'Moods', 'Status',
+            'Position', 'Start Date', 'Finish Date', 'Series', 'Series Position'
         ];
 
         const rows = [headers];
@@ -386,7 +425,13 @@ export class ImportExportService {
                 bookData.rating || '',
                 bookData.price || '',
                 this.escapeCSVField((bookData.genres || []).join('; ')),
-                this.escapeCSVField((bookData.moods || []).join('; '))
+                this.escapeCSVField((bookData.moods || []).join('; ')),
+                this.escapeCSVField(bookData.status || ''),
+                this.escapeCSVField(bookData.position || ''),
+                this.escapeCSVField(bookData.startDate || ''),
+                this.escapeCSVField(bookData.finishDate || ''),
+                this.escapeCSVField(bookData.series || ''),
+                bookData.seriesPosition ?? ''
             ]);
         });
 
@@ -494,6 +539,31 @@ export class ImportExportService {
                         data.moods = value ? value.split(';').map(m => m.trim()).filter(m => m) : [];
                     }
                     break;
+                case 'status':
+                    data.status = value.toLowerCase();
+                    break;
+                case 'position':
+                    data.position = value;
+                    break;
+                case 'start date':
+                case 'startdate':
+                    if (!data.startDate) {
+                        data.startDate = value;
+                    }
+                    break;
+                case 'finish date':
+                case 'finishdate':
+                    if (!data.finishDate) {
+                        data.finishDate = value;
+                    }
+                    break;
+                case 'series':
+                    data.series = value;
+                    break;
+                case 'series position':
+                case 'seriesposition':
+                    data.seriesPosition = value ? parseFloat(value) : null;
+                    break;
             }
         });
 
@@ -582,7 +652,8 @@ export class ImportExportService {
     getCSVTemplate() {
         const headers = [
             'Title', 'Author', 'Narrator', 'URL', 'Image', 'Length',
-            'Release Date', 'Rating', 'Price', 'Genres', 'Moods'
+            'Release Date', 'Rating', 'Price', 'Genres', 'Moods', 'Status',
+            'Position', 'Start Date', 'Finish Date', 'Series', 'Series Position'
         ];
 
         const exampleRow = [
@@ -596,7 +667,13 @@ export class ImportExportService {
             '4.5',
             '15.99',
             'fantasy; adventure',
-            'epic; fast-paced'
+            'epic; fast-paced',
+            'listening',
+            '4:15',
+            '2024-02-01',
+            '',
+            'The Example Saga',
+            '2'
         ];
 
         return [headers, exampleRow].map(row => row.join(',')).join('\n');
@@ -690,9 +767,10 @@ export class ImportExportService {
      * Perform sync-aware merge of audiobook collections
      * @param {Array} existingBooks - Current audiobooks
      * @param {Array} importedBooks - Imported audiobooks
+     * @param {Array} tombstones - Deletion tombstones from both collections
      * @returns {Promise<Array>} Merged audiobooks
      */
-    async performSyncAwareMerge(existingBooks, importedBooks) {
+    async performSyncAwareMerge(existingBooks, importedBooks, tombstones = []) {
         const existingMap = new Map(existingBooks.map(book => [book.id, book]));
         const importedMap = new Map(importedBooks.map(book => [book.id, book]));
         const mergedBooks = [];
@@ -704,6 +782,11 @@ export class ImportExportService {
             const existingBook = existingMap.get(id);
             const importedBook = importedMap.get(id);
 
+            // Deleted after the last edit on either side - don't bring it back
+            if ([existingBook, importedBook].some(book => book && isDeletedByTombstone(book, tombstones))) {
+                continue;
+            }
+
             if (existingBook && importedBook) {
                 // Both exist - choose based on modification time
                 const existingModified = new Date(existingBook.lastModified || existingBook.dateAdded || 0);
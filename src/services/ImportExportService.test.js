@@ -179,6 +179,24 @@ describe('ImportExportService', () => {
             expect(lines[0]).toContain('Title,Author,Narrator');
         });
 
+        test('should include status column', () => {
+            const book = new Audiobook({ title: 'Status Book', author: 'Author', status: 'finished' });
+
+            const lines = service.convertToCSV([book]).split('\n');
+
+            expect(lines[0]).toContain('Status');
+            expect(lines[1]).toContain('finished');
+        });
+
+        test('should include series columns', () => {
+            const book = new Audiobook({ title: 'Series Book', author: 'Author', series: 'Saga, Part One', seriesPosition: 2 });
+
+            const lines = service.convertToCSV([book]).split('\n');
+
+            expect(lines[0]).toContain('Series,Series Position');
+            expect(lines[1]).toContain('"Saga, Part One",2');
+        });
+
         test('should escape CSV fields with commas', () => {
             const bookWithCommas = new Audiobook({
                 id: 'test-comma',
@@ -260,6 +278,25 @@ describe('ImportExportService', () => {
             expect(data.rating).toBe(null);
         });
 
+        test('should map status column to lowercase status', () => {
+            const headers = ['title', 'author', 'status'];
+            const row = ['Test Book', 'Test Author', 'Listening'];
+
+            const data = service.mapCSVRowToAudiobook(headers, row);
+
+            expect(data.status).toBe('listening');
+        });
+
+        test('should map series columns', () => {
+            const headers = ['title', 'author', 'series', 'series position'];
+            const row = ['Test Book', 'Test Author', 'Saga', '3'];
+
+            const data = service.mapCSVRowToAudiobook(headers, row);
+
+            expect(data.series).toBe('Saga');
+            expect(data.seriesPosition).toBe(3);
+        });
+
         test('should handle different header formats', () => {
             const headers = ['title', 'release date', 'releasedate'];
             const row = ['Test Book', '2024-01-01', '2024-02-01'];
@@ -361,6 +398,23 @@ describe('ImportExportService', () => {
             const book = result.audiobooks.find(book => book.id === 'existing-1');
             expect(book.title).toBe('Updated Book 1');
         });
+
+        test('should merge lists by their latest edit unless replacing', async () => {
+            existingCollection.lists = [
+                { id: 'road', name: 'Road trip', bookIds: ['existing-1'], order: 0, lastModified: '2025-01-02T00:00:00Z' },
+                { id: 'club', name: 'Book club', bookIds: ['existing-2'], order: 1, lastModified: '2025-01-02T00:00:00Z' }
+            ];
+            importedCollection.lists = [
+                { id: 'road', name: 'Road trip', bookIds: ['new-1', 'existing-1'], order: 0, lastModified: '2025-01-05T00:00:00Z' }
+            ];
+
+            const merged = await service.mergeCollections(existingCollection, importedCollection, 'merge');
+            expect(merged.lists.map(list => list.id)).toEqual(['road', 'club']);
+            expect(merged.lists[0].bookIds).toEqual(['new-1', 'existing-1']);
+
+            const replaced = await service.mergeCollections(existingCollection, importedCollection, 'replace');
+            expect(replaced.lists).toEqual(importedCollection.lists);
+        });
     });
 
     describe('isValidCollection', () => {
@@ -541,6 +595,25 @@ describe('ImportExportService', () => {
                 expect(result.find(b => b.id === 'book-2').title).toBe('New Book');
                 expect(result.find(b => b.id === 'book-2').mergeInfo.reason).toBe('new_book');
             });
+
+            test('should not bring back books deleted after their last edit', async () => {
+                const existingBooks = [
+                    { id: 'book-1', title: 'Existing Book' }
+                ];
+
+                const importedBooks = [
+                    { id: 'book-1', title: 'Existing Book' },
+                    { id: 'book-2', title: 'Deleted Book', lastModified: '2025-01-01T00:00:00Z' }
+                ];
+
+                const tombstones = [
+                    { id: 'book-2', deletedAt: '2025-01-05T00:00:00Z', deviceId: 'device-1' }
+                ];
+
+                const result = await service.performSyncAwareMerge(existingBooks, importedBooks, tombstones);
+
+                expect(result.map(b => b.id)).toEqual(['book-1']);
+            });
         });
 
         describe('mergeCollections with sync-aware strategy', () => {
@@ -582,6 +655,33 @@ describe('ImportExportService', () => {
                 expect(result.audiobooks[0].title).toBe('New Title');
                 expect(result.metadata.mergeStrategy).toBe('sync-aware');
             });
+
+            test('should honour tombstones from the existing collection', async () => {
+                const existingCollection = {
+                    audiobooks: [],
+                    customGenres: [],
+                    customMoods: [],
+                    metadata: {
+                        tombstones: [{ id: 'book-1', deletedAt: '2025-01-07T00:00:00Z', deviceId: 'device-1' }]
+                    }
+                };
+
+                const importedCollection = {
+                    audiobooks: [
+                        { id: 'book-1', title: 'Deleted Book', lastModified: '2025-01-01T00:00:00Z' },
+                        { id: 'book-2', title: 'New Book' }
+                    ],
+                    customGenres: [],
+                    customMoods: []
+                };
+
+                service.syncManager.syncToCloud = vi.fn().mockResolvedValue();
+
+                const result = await service.mergeCollections(existingCollection, importedCollection, 'merge');
+
+                expect(result.audiobooks.map(b => b.id)).toEqual(['book-2']);
+                expect(result.metadata.tombstones).toEqual(existingCollection.metadata.tombstones);
+            });
         });
 
         describe('backup functionality', () => {
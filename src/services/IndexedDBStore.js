@@ -0,0 +1,279 @@
+/**
+ * IndexedDBStore - Promise wrapper around the IndexedDB database holding the library cache
+ * Each cached book and each book of the sync base snapshot is its own record, so large
+ * libraries are not limited by the localStorage quota and never serialized as one string.
+ * Collection-wide values (metadata, smart collections, lists) live in a key-value store.
+ * Every write runs in a single transaction, so a failed save leaves the previous copy intact.
+ */
+export class IndexedDBStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {IDBFactory} options.indexedDB - IndexedDB factory (defaults to the browser's)
+     * @param {string} options.databaseName - Database name
+     */
+    constructor(options = {}) {
+        this.factory = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.databaseName = options.databaseName || 'audiobook-library';
+        this.version = 1;
+        this.booksStore = 'books';
+        this.syncBaseStore = 'syncBase';
+        this.valuesStore = 'values';
+        this.db = null;
+    }
+
+    /**
+     * Check whether IndexedDB can be used
+     * @param {IDBFactory} factory - IndexedDB factory to check (defaults to the browser's)
+     * @returns {boolean} True if an IndexedDB factory is available
+     */
+    static isAvailable(factory = null) {
+        return !!(factory || (typeof indexedDB !== 'undefined' && indexedDB));
+    }
+
+    /**
+     * Open the database, creating its object stores on first use
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+
+        if (!this.factory) {
+            throw new Error('IndexedDB is not available');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = this.factory.open(this.databaseName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.booksStore)) {
+                    db.createObjectStore(this.booksStore, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(this.syncBaseStore)) {
+                    db.createObjectStore(this.syncBaseStore, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(this.valuesStore)) {
+                    db.createObjectStore(this.valuesStore);
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB is blocked by another open version of the app'));
+        });
+
+        // Let a newer version of the app in another tab upgrade the database
+        this.db.onversionchange = () => this.close();
+
+        return this.db;
+    }
+
+    /**
+     * Close the database connection
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Read the cached collection
+     * @returns {Promise<Object|null>} Collection with metadata, audiobooks, smartCollections
+     *     and lists, or null if nothing is cached
+     */
+    async readCollection() {
+        return await this.transaction([this.booksStore, this.valuesStore], 'readonly', async (stores) => {
+            const collection = await this.request(stores[this.valuesStore].get('collection'));
+            if (!collection) {
+                return null;
+            }
+
+            const books = await this.request(stores[this.booksStore].getAll());
+            const order = new Map((collection.bookIds || []).map((id, index) => [id, index]));
+            books.sort((a, b) => (order.get(a.id) ?? Infinity) - (order.get(b.id) ?? Infinity));
+
+            return {
+                metadata: collection.metadata,
+                audiobooks: books,
+                smartCollections: collection.smartCollections || [],
+                lists: collection.lists || []
+            };
+        });
+    }
+
+    /**
+     * Replace the cached collection in one transaction
+     * Books no longer in the collection are deleted; the rest are written as separate records.
+     * @param {Object} data - Collection with metadata, audiobooks, smartCollections and lists
+     * @returns {Promise<void>}
+     */
+    async writeCollection(data) {
+        await this.transaction([this.booksStore, this.valuesStore], 'readwrite', async (stores) => {
+            const existingIds = await this.request(stores[this.booksStore].getAllKeys());
+            this.putCollection(stores, data, existingIds);
+        });
+    }
+
+    /**
+     * Store a collection and sync base snapshot unless the stored collection is as new or newer
+     * Used to move data over from other storage; both are written in one transaction.
+     * @param {Object|null} data - Collection with metadata, audiobooks, smartCollections and lists
+     * @param {Array|null} syncBaseBooks - Books in their synced state, or null to keep the stored ones
+     * @returns {Promise<boolean>} True if the data was stored
+     */
+    async importCollection(data, syncBaseBooks = null) {
+        const storeNames = [this.booksStore, this.syncBaseStore, this.valuesStore];
+
+        return await this.transaction(storeNames, 'readwrite', async (stores) => {
+            const stored = await this.request(stores[this.valuesStore].get('collection'));
+            if (stored && !this.isNewer(data, stored)) {
+                return false;
+            }
+
+            if (data) {
+                const existingIds = await this.request(stores[this.booksStore].getAllKeys());
+                this.putCollection(stores, data, existingIds);
+            }
+
+            if (syncBaseBooks) {
+                stores[this.syncBaseStore].clear();
+                syncBaseBooks.forEach(book => stores[this.syncBaseStore].put(book));
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Read the sync base snapshot
+     * @returns {Promise<Object>} Map of audiobook ID to its last synced state
+     */
+    async readSyncBase() {
+        return await this.transaction([this.syncBaseStore], 'readonly', async (stores) => {
+            const books = await this.request(stores[this.syncBaseStore].getAll());
+            return Object.fromEntries(books.map(book => [book.id, book]));
+        });
+    }
+
+    /**
+     * Replace the sync base snapshot in one transaction
+     * @param {Array} books - Books in their synced state
+     * @returns {Promise<void>}
+     */
+    async writeSyncBase(books) {
+        await this.transaction([this.syncBaseStore], 'readwrite', async (stores) => {
+            const store = stores[this.syncBaseStore];
+            store.clear();
+            books.forEach(book => store.put(book));
+        });
+    }
+
+    /**
+     * Check whether a collection is cached
+     * @returns {Promise<boolean>} True if a collection is cached
+     */
+    async hasCollection() {
+        return await this.transaction([this.valuesStore], 'readonly', async (stores) => {
+            const count = await this.request(stores[this.valuesStore].count('collection'));
+            return count > 0;
+        });
+    }
+
+    /**
+     * Delete the cached collection and sync base snapshot
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.transaction([this.booksStore, this.syncBaseStore, this.valuesStore], 'readwrite', async (stores) => {
+            Object.values(stores).forEach(store => store.clear());
+        });
+    }
+
+    /**
+     * Write a collection into open object stores
+     * @private
+     * @param {Object} stores - Object stores by name
+     * @param {Object} data - Collection with metadata, audiobooks, smartCollections and lists
+     * @param {Array<string>} existingIds - IDs of the books stored so far
+     */
+    putCollection(stores, data, existingIds) {
+        const books = stores[this.booksStore];
+        const bookIds = data.audiobooks.map(book => book.id);
+        const keep = new Set(bookIds);
+
+        existingIds.filter(id => !keep.has(id)).forEach(id => books.delete(id));
+        data.audiobooks.forEach(book => books.put(book));
+
+        stores[this.valuesStore].put({
+            metadata: data.metadata,
+            smartCollections: data.smartCollections || [],
+            lists: data.lists || [],
+            bookIds
+        }, 'collection');
+    }
+
+    /**
+     * Check whether a collection was modified after the stored one
+     * @private
+     * @param {Object|null} data - Collection to store
+     * @param {Object} stored - Stored collection values
+     * @returns {boolean} True if data is newer
+     */
+    isNewer(data, stored) {
+        const modifiedAt = collection => new Date(collection?.metadata?.lastModified || 0).getTime() || 0;
+        return !!data && modifiedAt(data) > modifiedAt(stored);
+    }
+
+    /**
+     * Run work in a transaction and wait for it to commit
+     * The work must only wait on requests of this transaction, or it will auto-commit early.
+     * @private
+     * @param {Array<string>} storeNames - Object stores to use
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Receives the object stores by name, returns the result
+     * @returns {Promise<*>} Result of the work once the transaction completed
+     */
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        const transaction = db.transaction(storeNames, mode);
+        const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+
+        const completed = new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+
+        try {
+            const result = await work(stores);
+            await completed;
+            return result;
+        } catch (error) {
+            try {
+                transaction.abort();
+            } catch (abortError) {
+                // Already finished
+            }
+            completed.catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Wait for an IndexedDB request
+     * @private
+     * @param {IDBRequest} request - Request to wait for
+     * @returns {Promise<*>} Request result
+     */
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+export default IndexedDBStore;
@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { IndexedDBStore } from './IndexedDBStore.js';
+
+describe('IndexedDBStore', () => {
+    let factory;
+    let store;
+
+    const collection = (books) => ({
+        metadata: { version: '1.0', lastModified: '2024-01-15T10:30:00Z', deviceId: 'device-1' },
+        audiobooks: books,
+        smartCollections: [{ id: 'smart-1', name: 'Unread' }],
+        lists: [{ id: 'list-1', name: 'Favourites', bookIds: ['book2'] }]
+    });
+
+    const book = (id, title = `Book ${id}`) => ({ id, title, author: 'Author' });
+
+    // Read the raw records of an object store
+    const readStore = async (name) => {
+        const db = await store.open();
+        return await store.request(db.transaction(name).objectStore(name).getAll());
+    };
+
+    beforeEach(() => {
+        factory = new IDBFactory();
+        store = new IndexedDBStore({ indexedDB: factory });
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    describe('availability', () => {
+        it('should report whether an IndexedDB factory exists', () => {
+            expect(IndexedDBStore.isAvailable(factory)).toBe(true);
+            expect(IndexedDBStore.isAvailable()).toBe(typeof indexedDB !== 'undefined');
+        });
+
+        it('should fail to open without IndexedDB', async () => {
+            const unavailable = new IndexedDBStore({ indexedDB: null });
+            unavailable.factory = null;
+
+            await expect(unavailable.open()).rejects.toThrow('IndexedDB is not available');
+        });
+    });
+
+    describe('collection', () => {
+        it('should return null when nothing is stored', async () => {
+            expect(await store.readCollection()).toBeNull();
+            expect(await store.hasCollection()).toBe(false);
+        });
+
+        it('should store each book as its own record', async () => {
+            await store.writeCollection(collection([book('book1'), book('book2')]));
+
+            const records = await readStore('books');
+            expect(records.map(record => record.id).sort()).toEqual(['book1', 'book2']);
+            expect(await store.hasCollection()).toBe(true);
+        });
+
+        it('should read the collection back in its original order', async () => {
+            const data = collection([book('b'), book('c'), book('a')]);
+            await store.writeCollection(data);
+
+            const loaded = await store.readCollection();
+
+            expect(loaded.audiobooks.map(record => record.id)).toEqual(['b', 'c', 'a']);
+            expect(loaded.metadata).toEqual(data.metadata);
+            expect(loaded.smartCollections).toEqual(data.smartCollections);
+            expect(loaded.lists).toEqual(data.lists);
+        });
+
+        it('should delete books missing from a later write', async () => {
+            await store.writeCollection(collection([book('book1'), book('book2')]));
+            await store.writeCollection(collection([book('book2', 'Renamed')]));
+
+            const loaded = await store.readCollection();
+
+            expect(loaded.audiobooks).toEqual([book('book2', 'Renamed')]);
+        });
+
+        it('should keep the previous collection when a write fails', async () => {
+            await store.writeCollection(collection([book('book1')]));
+
+            // A record without a key aborts the whole transaction
+            await expect(store.writeCollection(collection([book('book2'), { title: 'No ID' }]))).rejects.toThrow();
+
+            const loaded = await store.readCollection();
+            expect(loaded.audiobooks).toEqual([book('book1')]);
+        });
+
+        it('should persist across connections', async () => {
+            await store.writeCollection(collection([book('book1')]));
+            store.close();
+
+            const reopened = new IndexedDBStore({ indexedDB: factory });
+            const loaded = await reopened.readCollection();
+            reopened.close();
+
+            expect(loaded.audiobooks).toEqual([book('book1')]);
+        });
+    });
+
+    describe('sync base', () => {
+        it('should return an empty snapshot when nothing is stored', async () => {
+            expect(await store.readSyncBase()).toEqual({});
+        });
+
+        it('should replace the snapshot keyed by book ID', async () => {
+            await store.writeSyncBase([book('book1'), book('book2')]);
+            await store.writeSyncBase([book('book2', 'Synced')]);
+
+            expect(await store.readSyncBase()).toEqual({ book2: book('book2', 'Synced') });
+        });
+    });
+
+    describe('importCollection', () => {
+        it('should store the collection and sync base when nothing is stored', async () => {
+            const imported = await store.importCollection(collection([book('book1')]), [book('book1')]);
+
+            expect(imported).toBe(true);
+            expect((await store.readCollection()).audiobooks).toEqual([book('book1')]);
+            expect(await store.readSyncBase()).toEqual({ book1: book('book1') });
+        });
+
+        it('should not overwrite a stored collection that is as new', async () => {
+            await store.writeCollection(collection([book('book1')]));
+
+            const imported = await store.importCollection(collection([book('old')]), [book('old')]);
+
+            expect(imported).toBe(false);
+            expect((await store.readCollection()).audiobooks).toEqual([book('book1')]);
+            expect(await store.readSyncBase()).toEqual({});
+        });
+
+        it('should replace a stored collection with a newer one', async () => {
+            await store.writeCollection(collection([book('book1')]));
+            await store.writeSyncBase([book('book1')]);
+            const newer = collection([book('book2')]);
+            newer.metadata.lastModified = '2024-02-01T00:00:00Z';
+
+            const imported = await store.importCollection(newer, [book('book2')]);
+
+            expect(imported).toBe(true);
+            expect((await store.readCollection()).audiobooks).toEqual([book('book2')]);
+            expect(await store.readSyncBase()).toEqual({ book2: book('book2') });
+        });
+    });
+
+    describe('clear', () => {
+        it('should delete the collection and sync base', async () => {
+            await store.writeCollection(collection([book('book1')]));
+            await store.writeSyncBase([book('book1')]);
+
+            await store.clear();
+
+            expect(await store.readCollection()).toBeNull();
+            expect(await store.readSyncBase()).toEqual({});
+            expect(await readStore('books')).toEqual([]);
+        });
+    });
+});
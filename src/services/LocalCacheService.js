@@ -1,15 +1,32 @@
 import { Audiobook } from '../models/Audiobook.js';
+import { IndexedDBStore } from './IndexedDBStore.js';
+
+// Store opened on the browser's IndexedDB, shared by every LocalCacheService on the page
+let sharedStorePromise = null;
 
 /**
  * LocalCacheService - Handles sync-aware local caching for audiobook collections
  * This service is designed to work with the sync system and provides conflict detection
  * capabilities through timestamp tracking and device identification.
+ * The collection and sync base snapshot are kept in IndexedDB, one record per book, and
+ * moved over from localStorage on first use. Where IndexedDB is unavailable they stay in
+ * localStorage. Device ID and sync metadata are always kept in localStorage.
  */
 export class LocalCacheService {
-    constructor() {
+    /**
+     * @param {Object} options - Cache options
+     * @param {IDBFactory} options.indexedDB - IndexedDB factory (defaults to the browser's)
+     */
+    constructor(options = {}) {
         this.storageKey = 'audiobook-library-cache';
         this.metadataKey = 'audiobook-sync-metadata';
         this.deviceIdKey = 'audiobook-device-id';
+        this.syncBaseKey = 'audiobook-sync-base';
+        this.changeKey = 'audiobook-library-cache-changed';
+        this.legacyCollectionKeys = ['audiobook-library', 'audiobook-library-expiry'];
+
+        this.indexedDBFactory = options.indexedDB || null;
+        this.storePromise = null;
 
         // Initialize device ID if not exists
         this.ensureDeviceId();
@@ -33,29 +50,38 @@ export class LocalCacheService {
                     lastModified: updateTimestamp ? new Date().toISOString() : (data.metadata?.lastModified || new Date().toISOString()),
                     deviceId: this.getDeviceId(),
                     appVersion: data.metadata?.appVersion || '1.0.0',
-                    syncStatus: data.metadata?.syncStatus || 'pending'
+                    syncStatus: data.metadata?.syncStatus || 'pending',
+                    tombstones: data.metadata?.tombstones || []
                 },
-                audiobooks: this.serializeAudiobooks(data.audiobooks || [])
+                audiobooks: this.serializeAudiobooks(data.audiobooks || []),
+                smartCollections: Array.isArray(data.smartCollections) ? data.smartCollections : [],
+                lists: Array.isArray(data.lists) ? data.lists : []
             };
 
             // Validate data before saving
             this.validateCacheData(cacheData);
 
-            // Save to localStorage
+            const store = await this.getStore();
             const serializedData = JSON.stringify(cacheData);
 
-            // Check storage quota
-            if (serializedData.length > 5 * 1024 * 1024) { // 5MB limit
-                throw new Error('Cache data exceeds storage quota');
-            }
+            if (store) {
+                await store.writeCollection(cacheData);
+                this.announceChange();
+            } else {
+                // Check storage quota
+                if (serializedData.length > 5 * 1024 * 1024) { // 5MB limit
+                    throw new Error('Cache data exceeds storage quota');
+                }
 
-            localStorage.setItem(this.storageKey, serializedData);
+                // Save to localStorage
+                localStorage.setItem(this.storageKey, serializedData);
+            }
 
-            // Update sync metadata
+            // Update sync metadata; the size is recorded so stats never read the whole cache
             await this.updateSyncMetadata({
                 lastCacheUpdate: new Date().toISOString(),
-                cacheSize: serializedData.length,
-                audiobookCount: cacheData.audiobooks.length
+                audiobookCount: cacheData.audiobooks.length,
+                cacheSize: serializedData.length
             });
 
         } catch (error) {
@@ -74,12 +100,22 @@ export class LocalCacheService {
      */
     async loadData() {
         try {
-            const cachedString = localStorage.getItem(this.storageKey);
-            if (!cachedString) {
-                return null;
-            }
+            const store = await this.getStore();
+            let cachedData;
 
-            const cachedData = JSON.parse(cachedString);
+            if (store) {
+                cachedData = await store.readCollection();
+                if (!cachedData) {
+                    return null;
+                }
+            } else {
+                const cachedString = localStorage.getItem(this.storageKey);
+                if (!cachedString) {
+                    return null;
+                }
+                // A malformed string fails validation below and is cleared
+                cachedData = this.parseStoredValue(cachedString);
+            }
 
             // Validate cached data structure
             if (!this.isValidCacheData(cachedData)) {
@@ -93,12 +129,14 @@ export class LocalCacheService {
 
             return {
                 metadata: cachedData.metadata,
-                audiobooks
+                audiobooks,
+                smartCollections: cachedData.smartCollections || [],
+                lists: cachedData.lists || []
             };
 
         } catch (error) {
+            // Reading can fail for passing reasons, e.g. an aborted transaction - keep the data
             console.error('Failed to load cache data:', error);
-            await this.clearData();
             return null;
         }
     }
@@ -109,8 +147,15 @@ export class LocalCacheService {
      */
     async clearData() {
         try {
+            const store = await this.getStore();
+            if (store) {
+                await store.clear();
+                this.announceChange();
+            }
+
             localStorage.removeItem(this.storageKey);
             localStorage.removeItem(this.metadataKey);
+            localStorage.removeItem(this.syncBaseKey);
             // Keep device ID for future use
         } catch (error) {
             console.error('Failed to clear cache data:', error);
@@ -186,6 +231,52 @@ export class LocalCacheService {
         }
     }
 
+    /**
+     * Get the common-ancestor snapshot of each book from the last successful sync
+     * @returns {Promise<Object>} Map of audiobook ID to its last synced state
+     */
+    async getSyncBase() {
+        try {
+            const store = await this.getStore();
+            if (store) {
+                return await store.readSyncBase();
+            }
+
+            const baseString = localStorage.getItem(this.syncBaseKey);
+            return baseString ? JSON.parse(baseString) : {};
+        } catch (error) {
+            console.error('Failed to load sync base snapshot:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Store the books as they were agreed on by both sides after a sync
+     * @param {Array} audiobooks - Audiobooks in their synced state
+     * @returns {Promise<void>}
+     */
+    async saveSyncBase(audiobooks) {
+        try {
+            const books = this.serializeAudiobooks(audiobooks || []);
+            const store = await this.getStore();
+
+            if (store) {
+                await store.writeSyncBase(books);
+                return;
+            }
+
+            const base = {};
+            books.forEach(book => {
+                base[book.id] = book;
+            });
+
+            localStorage.setItem(this.syncBaseKey, JSON.stringify(base));
+
+        } catch (error) {
+            console.error('Failed to save sync base snapshot:', error);
+        }
+    }
+
     /**
      * Get device ID, creating one if it doesn't exist
      * @returns {string} Unique device identifier
@@ -205,6 +296,11 @@ export class LocalCacheService {
      */
     async hasData() {
         try {
+            const store = await this.getStore();
+            if (store) {
+                return await store.hasCollection();
+            }
+
             return localStorage.getItem(this.storageKey) !== null;
         } catch (error) {
             return false;
@@ -219,11 +315,10 @@ export class LocalCacheService {
         try {
             const hasData = await this.hasData();
             const metadata = await this.getSyncMetadata();
-            const cachedString = localStorage.getItem(this.storageKey);
 
             return {
                 hasData,
-                cacheSize: cachedString ? cachedString.length : 0,
+                cacheSize: hasData ? metadata.cacheSize || 0 : 0,
                 audiobookCount: metadata.audiobookCount || 0,
                 lastCacheUpdate: metadata.lastCacheUpdate || null,
                 lastSyncTime: metadata.lastSyncTime || null,
@@ -273,6 +368,135 @@ export class LocalCacheService {
 
     // Private helper methods
 
+    /**
+     * Get the IndexedDB store, opening it and moving localStorage data over on first use
+     * @private
+     * @returns {Promise<IndexedDBStore|null>} Open store, or null to use localStorage
+     */
+    async getStore() {
+        if (!this.storePromise) {
+            // Services using the browser's database share one connection and migration
+            if (!this.indexedDBFactory && IndexedDBStore.isAvailable()) {
+                sharedStorePromise = sharedStorePromise || this.openStore();
+                this.storePromise = sharedStorePromise;
+            } else {
+                this.storePromise = this.openStore();
+            }
+        }
+        return this.storePromise;
+    }
+
+    /**
+     * Open the IndexedDB store, falling back to localStorage if it cannot be used
+     * @private
+     * @returns {Promise<IndexedDBStore|null>} Open store, or null to use localStorage
+     */
+    async openStore() {
+        if (!IndexedDBStore.isAvailable(this.indexedDBFactory)) {
+            return null;
+        }
+
+        try {
+            const store = new IndexedDBStore({ indexedDB: this.indexedDBFactory });
+            await store.open();
+            await this.migrateFromLocalStorage(store);
+            return store;
+        } catch (error) {
+            // e.g. private browsing modes that refuse to open databases
+            console.warn('IndexedDB unavailable, caching in localStorage instead:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Move a collection cached in localStorage into IndexedDB and drop the old keys
+     * Data saved by StorageService is picked up when there is no cache yet. IndexedDB may
+     * already hold a collection, moved over by another tab or saved before a session that
+     * had to fall back to localStorage; the more recently modified copy is kept.
+     * @private
+     * @param {IndexedDBStore} store - Open store
+     * @returns {Promise<void>}
+     */
+    async migrateFromLocalStorage(store) {
+        const cachedData = this.parseStoredValue(localStorage.getItem(this.storageKey));
+        const legacyData = cachedData ? null : this.parseStoredValue(localStorage.getItem(this.legacyCollectionKeys[0]));
+        const syncBase = this.parseStoredValue(localStorage.getItem(this.syncBaseKey));
+
+        let data = null;
+        if (this.isValidCacheData(cachedData)) {
+            data = cachedData;
+        } else if (legacyData && Array.isArray(legacyData.audiobooks)) {
+            data = this.fromStoredCollection(legacyData);
+        }
+
+        const hasLegacyKeys = cachedData !== null || legacyData !== null || syncBase !== null;
+        if (!hasLegacyKeys) {
+            return;
+        }
+
+        const withId = books => books.filter(book => book && typeof book.id === 'string' && book.id);
+        if (data) {
+            data = { ...data, audiobooks: withId(data.audiobooks) };
+        }
+
+        await store.importCollection(data, syncBase ? withId(Object.values(syncBase)) : null);
+
+        localStorage.removeItem(this.storageKey);
+        localStorage.removeItem(this.syncBaseKey);
+        if (legacyData) {
+            this.legacyCollectionKeys.forEach(key => localStorage.removeItem(key));
+        }
+    }
+
+    /**
+     * Convert a collection saved by StorageService into the cache format
+     * @private
+     * @param {Object} collection - Stored collection with version, lastUpdated and audiobooks
+     * @returns {Object} Cache data
+     */
+    fromStoredCollection(collection) {
+        return {
+            metadata: {
+                version: typeof collection.version === 'string' ? collection.version : '1.0',
+                lastModified: collection.lastUpdated || new Date().toISOString(),
+                deviceId: this.getDeviceId(),
+                appVersion: '1.0.0',
+                syncStatus: 'pending',
+                tombstones: []
+            },
+            audiobooks: collection.audiobooks,
+            smartCollections: [],
+            lists: []
+        };
+    }
+
+    /**
+     * Let other tabs know the cache changed
+     * IndexedDB writes do not fire storage events, so a localStorage key is touched instead.
+     * @private
+     */
+    announceChange() {
+        try {
+            localStorage.setItem(this.changeKey, Date.now().toString());
+        } catch (error) {
+            console.error('Failed to announce cache change:', error);
+        }
+    }
+
+    /**
+     * Parse a JSON string from localStorage, ignoring malformed values
+     * @private
+     * @param {string|null} value - JSON string
+     * @returns {*} Parsed value or null
+     */
+    parseStoredValue(value) {
+        try {
+            return value ? JSON.parse(value) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Ensure device ID exists
      * @private
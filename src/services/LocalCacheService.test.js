@@ -1,4 +1,5 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
 import { LocalCacheService } from './LocalCacheService.js';
 import { Audiobook } from '../models/Audiobook.js';
 
@@ -255,6 +256,29 @@ describe('LocalCacheService', () => {
         });
     });
 
+    describe('Sync Base Snapshot', () => {
+        it('should return an empty snapshot when nothing has been synced', async () => {
+            expect(await cacheService.getSyncBase()).toEqual({});
+        });
+
+        it('should store synced books keyed by ID', async () => {
+            await cacheService.saveSyncBase(sampleAudiobooks);
+
+            const base = await cacheService.getSyncBase();
+
+            expect(Object.keys(base)).toEqual(sampleAudiobooks.map(book => book.id));
+            expect(base.book1).toEqual(JSON.parse(JSON.stringify(sampleAudiobooks[0].toJSON())));
+        });
+
+        it('should clear the snapshot with the cache', async () => {
+            await cacheService.saveSyncBase(sampleAudiobooks);
+
+            await cacheService.clearData();
+
+            expect(await cacheService.getSyncBase()).toEqual({});
+        });
+    });
+
     describe('Sync Timestamp Management', () => {
         it('should set and get last sync time', async () => {
             const timestamp = '2024-01-15T10:30:00Z';
@@ -431,4 +455,196 @@ describe('LocalCacheService', () => {
             await expect(cacheService.saveData(invalidAudiobookData)).rejects.toThrow('Each audiobook must have id and title');
         });
     });
+
+    describe('IndexedDB storage', () => {
+        let factory;
+        let idbCache;
+
+        beforeEach(() => {
+            factory = new IDBFactory();
+            idbCache = new LocalCacheService({ indexedDB: factory });
+        });
+
+        afterEach(async () => {
+            (await idbCache.getStore())?.close();
+        });
+
+        it('should keep the collection out of localStorage', async () => {
+            await idbCache.saveData(sampleData);
+
+            expect(localStorageMock.setItem).not.toHaveBeenCalledWith('audiobook-library-cache', expect.any(String));
+
+            const store = await idbCache.getStore();
+            const loaded = await store.readCollection();
+            expect(loaded.audiobooks.map(book => book.id)).toEqual(['book1', 'book2']);
+        });
+
+        it('should save and load audiobooks', async () => {
+            await idbCache.saveData({ ...sampleData, lists: [{ id: 'list-1', name: 'Next', bookIds: ['book2'] }] });
+
+            const loaded = await idbCache.loadData();
+
+            expect(loaded.audiobooks).toHaveLength(2);
+            expect(loaded.audiobooks[0]).toBeInstanceOf(Audiobook);
+            expect(loaded.audiobooks[0].title).toBe('Test Book 1');
+            expect(loaded.lists).toEqual([{ id: 'list-1', name: 'Next', bookIds: ['book2'] }]);
+            expect(await idbCache.hasData()).toBe(true);
+        });
+
+        it('should remove deleted books on the next save', async () => {
+            await idbCache.saveData(sampleData);
+            await idbCache.saveData({ ...sampleData, audiobooks: [sampleAudiobooks[1]] });
+
+            const loaded = await idbCache.loadData();
+
+            expect(loaded.audiobooks.map(book => book.id)).toEqual(['book2']);
+        });
+
+        it('should let other tabs know the cache changed', async () => {
+            await idbCache.saveData(sampleData);
+
+            expect(localStorageMock.setItem).toHaveBeenCalledWith('audiobook-library-cache-changed', expect.any(String));
+        });
+
+        it('should store the sync base snapshot', async () => {
+            await idbCache.saveSyncBase(sampleAudiobooks);
+
+            const base = await idbCache.getSyncBase();
+
+            expect(Object.keys(base).sort()).toEqual(['book1', 'book2']);
+            expect(localStorageMock.setItem).not.toHaveBeenCalledWith('audiobook-sync-base', expect.any(String));
+        });
+
+        it('should clear the collection and snapshot', async () => {
+            await idbCache.saveData(sampleData);
+            await idbCache.saveSyncBase(sampleAudiobooks);
+
+            await idbCache.clearData();
+
+            expect(await idbCache.loadData()).toBeNull();
+            expect(await idbCache.getSyncBase()).toEqual({});
+            expect(await idbCache.hasData()).toBe(false);
+        });
+
+        it('should report the cache size without reading the collection', async () => {
+            await idbCache.saveData(sampleData);
+            const readSpy = vi.spyOn(await idbCache.getStore(), 'readCollection');
+
+            const stats = await idbCache.getCacheStats();
+
+            expect(stats.hasData).toBe(true);
+            expect(stats.cacheSize).toBeGreaterThan(0);
+            expect(stats.audiobookCount).toBe(2);
+            expect(readSpy).not.toHaveBeenCalled();
+        });
+
+        it('should open the browser database once for every service on the page', async () => {
+            const browserFactory = new IDBFactory();
+            const openSpy = vi.spyOn(browserFactory, 'open');
+            vi.stubGlobal('indexedDB', browserFactory);
+
+            const [first, second] = await Promise.all([
+                new LocalCacheService().getStore(),
+                new LocalCacheService().getStore()
+            ]);
+            first.close();
+            vi.unstubAllGlobals();
+
+            expect(first).toBe(second);
+            expect(openSpy).toHaveBeenCalledTimes(1);
+        });
+
+        it('should move the localStorage cache over on first use', async () => {
+            await cacheService.saveData(sampleData);
+            await cacheService.saveSyncBase([sampleAudiobooks[0]]);
+
+            const loaded = await idbCache.loadData();
+
+            expect(loaded.audiobooks.map(book => book.id)).toEqual(['book1', 'book2']);
+            expect(Object.keys(await idbCache.getSyncBase())).toEqual(['book1']);
+            expect(localStorageMock.getItem('audiobook-library-cache')).toBeNull();
+            expect(localStorageMock.getItem('audiobook-sync-base')).toBeNull();
+        });
+
+        it('should move a collection saved by StorageService over when there is no cache', async () => {
+            localStorageMock.setItem('audiobook-library', JSON.stringify({
+                version: '1.0',
+                lastUpdated: '2024-01-15T10:30:00Z',
+                audiobooks: sampleAudiobooks.map(book => book.toJSON())
+            }));
+            localStorageMock.setItem('audiobook-library-expiry', '0');
+
+            const loaded = await idbCache.loadData();
+
+            expect(loaded.audiobooks.map(book => book.id)).toEqual(['book1', 'book2']);
+            expect(loaded.metadata.lastModified).toBe('2024-01-15T10:30:00Z');
+            expect(localStorageMock.getItem('audiobook-library')).toBeNull();
+            expect(localStorageMock.getItem('audiobook-library-expiry')).toBeNull();
+        });
+
+        it('should not overwrite IndexedDB data with a stale localStorage cache', async () => {
+            await idbCache.saveData({ ...sampleData, metadata: { ...sampleData.metadata, lastModified: '2024-02-01T00:00:00Z' }, audiobooks: [sampleAudiobooks[1]] }, { updateTimestamp: false });
+            await cacheService.saveData(sampleData, { updateTimestamp: false });
+
+            const laterTab = new LocalCacheService({ indexedDB: factory });
+            const loaded = await laterTab.loadData();
+            (await laterTab.getStore()).close();
+
+            expect(loaded.audiobooks.map(book => book.id)).toEqual(['book2']);
+            expect(localStorageMock.getItem('audiobook-library-cache')).toBeNull();
+        });
+
+        it('should keep edits made while IndexedDB could not be opened', async () => {
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            await idbCache.saveData(sampleData, { updateTimestamp: false });
+            await idbCache.saveSyncBase(sampleAudiobooks);
+
+            // One session falls back to localStorage and removes a book
+            const fallbackSession = new LocalCacheService({
+                indexedDB: { open: () => { throw new Error('Access denied'); } }
+            });
+            await fallbackSession.saveData({ ...sampleData, audiobooks: [sampleAudiobooks[1]] });
+            await fallbackSession.saveSyncBase([sampleAudiobooks[1]]);
+
+            // The next session opens IndexedDB again
+            const recovered = new LocalCacheService({ indexedDB: factory });
+            const loaded = await recovered.loadData();
+            const base = await recovered.getSyncBase();
+            (await recovered.getStore()).close();
+
+            expect(loaded.audiobooks.map(book => book.id)).toEqual(['book2']);
+            expect(Object.keys(base)).toEqual(['book2']);
+            expect(localStorageMock.getItem('audiobook-library-cache')).toBeNull();
+            warnSpy.mockRestore();
+        });
+
+        it('should keep the cached books when reading them fails', async () => {
+            const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+            await idbCache.saveData(sampleData);
+            const store = await idbCache.getStore();
+            vi.spyOn(store, 'readCollection').mockRejectedValueOnce(new Error('Transaction aborted'));
+
+            expect(await idbCache.loadData()).toBeNull();
+            expect((await idbCache.loadData()).audiobooks).toHaveLength(2);
+            errorSpy.mockRestore();
+        });
+
+        it('should fall back to localStorage when IndexedDB cannot be opened', async () => {
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const refusing = new LocalCacheService({
+                indexedDB: { open: () => { throw new Error('Access denied'); } }
+            });
+
+            await refusing.saveData(sampleData);
+
+            expect(await refusing.getStore()).toBeNull();
+            expect(localStorageMock.setItem).toHaveBeenCalledWith('audiobook-library-cache', expect.any(String));
+            expect((await refusing.loadData()).audiobooks).toHaveLength(2);
+            warnSpy.mockRestore();
+        });
+
+        it('should use localStorage when IndexedDB does not exist', async () => {
+            expect(await cacheService.getStore()).toBeNull();
+        });
+    });
 });
\ No newline at end of file
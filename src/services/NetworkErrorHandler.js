@@ -179,6 +179,18 @@ export class NetworkErrorHandler {
             };
         }
 
+        // Another device kept writing while this one tried to merge and save
+        if (error.code === 'REMOTE_CHANGED') {
+            return {
+                category: 'remote_changed',
+                userMessage: 'Your library was changed on another device while syncing. Nothing was overwritten.',
+                recoveryActions: [
+                    'Wait a moment and sync again',
+                    'Your changes will be merged with the other device\'s changes'
+                ]
+            };
+        }
+
         // GitHub API specific errors
         if (error.status) {
             switch (error.status) {
@@ -205,6 +217,17 @@ export class NetworkErrorHandler {
                             ]
                         };
                     }
+                    if (error.message.includes('scope')) {
+                        return {
+                            category: 'token_scope',
+                            userMessage: 'Your GitHub token is not allowed to write this gist.',
+                            recoveryActions: [
+                                'Create a token with the "gist" scope',
+                                'Make sure the token belongs to the gist owner',
+                                'Update the token in Sync Settings'
+                            ]
+                        };
+                    }
                     return {
                         category: 'permission',
                         userMessage: 'Access denied. You may not have permission to access this gist.',
@@ -315,6 +338,10 @@ export class NetworkErrorHandler {
                 return 'Rate Limited';
             case 'permission':
                 return 'Access Denied';
+            case 'token_scope':
+                return 'Token Permission Error';
+            case 'remote_changed':
+                return 'Concurrent Changes';
             case 'not_found':
                 return 'Gist Not Found';
             case 'validation':
@@ -182,6 +182,34 @@ describe('NetworkErrorHandler', () => {
             expect(info.userMessage).toContain('Too many requests');
         });
 
+        it('should categorize HTTP 403 token scope errors separately from 401', () => {
+            const scopeError = new Error('Access denied. Your GitHub token may lack the gist scope or you do not own this gist.');
+            scopeError.status = 403;
+
+            const info = handler.categorizeError(scopeError);
+
+            expect(info.category).toBe('token_scope');
+            expect(handler.getErrorTitle(info.category)).toBe('Token Permission Error');
+        });
+
+        it('should categorize concurrent remote writes without retrying them', () => {
+            const remoteChanged = new Error('The remote library changed since it was last synced');
+            remoteChanged.code = 'REMOTE_CHANGED';
+
+            const info = handler.categorizeError(remoteChanged);
+
+            expect(info.category).toBe('remote_changed');
+            expect(handler.getErrorTitle(info.category)).toBe('Concurrent Changes');
+            expect(handler.shouldRetry(remoteChanged)).toBe(false);
+        });
+
+        it('should categorize other HTTP 403 errors as permission errors', () => {
+            const forbiddenError = new Error('Forbidden');
+            forbiddenError.status = 403;
+
+            expect(handler.categorizeError(forbiddenError).category).toBe('permission');
+        });
+
         it('should categorize HTTP 404 errors', () => {
             const notFoundError = new Error('Not found');
             notFoundError.status = 404;
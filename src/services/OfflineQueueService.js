@@ -245,18 +245,8 @@ export class OfflineQueueService {
             const now = new Date();
 
             return queue.filter(operation => {
-                if (!operation.lastRetryAt) {
-                    return true; // Never retried, ready to try
-                }
-
-                const lastRetry = new Date(operation.lastRetryAt);
-                const retryCount = operation.retryCount || 0;
-
-                // Exponential backoff: 2^retryCount seconds
-                const backoffMs = Math.pow(2, retryCount) * 1000;
-                const nextRetryTime = new Date(lastRetry.getTime() + backoffMs);
-
-                return now >= nextRetryTime;
+                const nextRetryTime = this.getNextRetryTime(operation);
+                return !nextRetryTime || now >= nextRetryTime;
             });
 
         } catch (error) {
@@ -265,6 +255,52 @@ export class OfflineQueueService {
         }
     }
 
+    /**
+     * Get when a failed operation may be retried
+     * @param {Object} operation - Queued operation
+     * @returns {Date|null} Next retry time, or null if the operation was never retried
+     */
+    getNextRetryTime(operation) {
+        if (!operation.lastRetryAt) {
+            return null;
+        }
+
+        // Exponential backoff: 2^retryCount seconds
+        const backoffMs = Math.pow(2, operation.retryCount || 0) * 1000;
+        return new Date(new Date(operation.lastRetryAt).getTime() + backoffMs);
+    }
+
+    /**
+     * Make a failed operation ready for retry straight away, keeping its retry count
+     * @param {string} operationId - ID of the operation
+     * @returns {Promise<boolean>} True if the operation was found
+     */
+    async clearRetryDelay(operationId) {
+        const queue = await this.getQueue();
+        const operation = queue.find(op => op.id === operationId);
+
+        if (!operation) {
+            return false;
+        }
+
+        delete operation.lastRetryAt;
+        await this.saveQueue(queue);
+        return true;
+    }
+
+    /**
+     * Export the queue as JSON for debugging
+     * @returns {Promise<string>} JSON string with the queued operations
+     */
+    async exportQueue() {
+        const operations = await this.getQueue();
+
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            operations
+        }, null, 2);
+    }
+
     /**
      * Get queue statistics
      * @returns {Promise<Object>} Queue statistics
@@ -360,6 +396,65 @@ export class OfflineQueueService {
 
         return results;
     }
+
+    /**
+     * Process matching operations together in a single call
+     * The operations succeed or fail as a whole, for changes that must be applied in order.
+     * @param {Function} filter - Picks the operations to process
+     * @param {Function} processor - Function to process the picked operations, oldest first
+     * @returns {Promise<Object>} Processing results
+     */
+    async processBatch(filter, processor) {
+        const results = {
+            processed: 0,
+            succeeded: 0,
+            failed: 0,
+            errors: []
+        };
+
+        try {
+            const operations = (await this.getRetryableOperations()).filter(filter);
+
+            if (operations.length === 0) {
+                return results;
+            }
+
+            results.processed = operations.length;
+
+            try {
+                await processor(operations);
+
+                for (const operation of operations) {
+                    await this.removeOperation(operation.id);
+                }
+                results.succeeded = operations.length;
+
+            } catch (error) {
+                results.failed = operations.length;
+
+                for (const operation of operations) {
+                    results.errors.push({
+                        operationId: operation.id,
+                        error: error.message
+                    });
+
+                    const shouldRetry = await this.markOperationFailed(operation, error);
+                    if (!shouldRetry) {
+                        console.warn(`Operation ${operation.id} failed permanently:`, error.message);
+                    }
+                }
+            }
+
+        } catch (error) {
+            console.error('Failed to process queue batch:', error);
+            results.errors.push({
+                operationId: 'queue-processing',
+                error: error.message
+            });
+        }
+
+        return results;
+    }
 }
 
 export default OfflineQueueService;
\ No newline at end of file
@@ -244,6 +244,89 @@ describe('OfflineQueueService', () => {
         });
     });
 
+    describe('processBatch', () => {
+        it('should process matching operations together in queue order', async () => {
+            const queue = [
+                { type: 'update', id: 'edit-1', data: { bookId: 'a' } },
+                { type: 'sync', id: 'sync-1', data: {} },
+                { type: 'delete', id: 'edit-2', data: { bookId: 'b' } }
+            ];
+
+            localStorageMock.getItem.mockReturnValue(JSON.stringify(queue));
+
+            const processor = vi.fn().mockResolvedValue();
+            const results = await service.processBatch(op => op.type !== 'sync', processor);
+
+            expect(processor).toHaveBeenCalledTimes(1);
+            expect(processor.mock.calls[0][0].map(op => op.id)).toEqual(['edit-1', 'edit-2']);
+            expect(results).toEqual({ processed: 2, succeeded: 2, failed: 0, errors: [] });
+        });
+
+        it('should mark every operation in a failed batch for retry', async () => {
+            const queue = [
+                { type: 'update', id: 'edit-1', data: { bookId: 'a' } },
+                { type: 'update', id: 'edit-2', data: { bookId: 'b' } }
+            ];
+
+            localStorageMock.getItem.mockReturnValue(JSON.stringify(queue));
+
+            const processor = vi.fn().mockRejectedValue(new Error('Remote unavailable'));
+            const results = await service.processBatch(() => true, processor);
+
+            expect(results.failed).toBe(2);
+            expect(results.errors.map(error => error.operationId)).toEqual(['edit-1', 'edit-2']);
+
+            const savedQueues = localStorageMock.setItem.mock.calls.map(call => JSON.parse(call[1]));
+            expect(savedQueues[0].find(op => op.id === 'edit-1').lastError).toBe('Remote unavailable');
+            expect(savedQueues[1].find(op => op.id === 'edit-2').lastError).toBe('Remote unavailable');
+        });
+
+        it('should not call the processor when nothing matches', async () => {
+            localStorageMock.getItem.mockReturnValue(JSON.stringify([{ type: 'sync', id: 'sync-1' }]));
+
+            const processor = vi.fn();
+            const results = await service.processBatch(op => op.type === 'update', processor);
+
+            expect(processor).not.toHaveBeenCalled();
+            expect(results.processed).toBe(0);
+        });
+    });
+
+    describe('inspector controls', () => {
+        const queue = [
+            { type: 'update', id: 'op-1', data: { bookId: 'a' } },
+            { type: 'update', id: 'op-2', data: { bookId: 'b' }, retryCount: 2, lastRetryAt: '2024-01-01T00:00:00.000Z', lastError: 'Timeout' },
+            { type: 'sync', id: 'op-3', data: {} }
+        ];
+
+        beforeEach(() => {
+            localStorageMock.getItem.mockReturnValue(JSON.stringify(queue));
+        });
+
+        const savedQueue = () => JSON.parse(localStorageMock.setItem.mock.calls.at(-1)[1]);
+
+        it('should work out the next retry time from the backoff', () => {
+            expect(service.getNextRetryTime(queue[0])).toBeNull();
+            expect(service.getNextRetryTime(queue[1]).toISOString()).toBe('2024-01-01T00:00:04.000Z');
+        });
+
+        it('should clear the retry delay but keep the retry count', async () => {
+            expect(await service.clearRetryDelay('op-2')).toBe(true);
+
+            const operation = savedQueue().find(op => op.id === 'op-2');
+            expect(operation.lastRetryAt).toBeUndefined();
+            expect(operation.retryCount).toBe(2);
+            expect(await service.clearRetryDelay('missing')).toBe(false);
+        });
+
+        it('should export the queue as JSON', async () => {
+            const exported = JSON.parse(await service.exportQueue());
+
+            expect(exported.operations).toEqual(queue);
+            expect(exported.exportedAt).toEqual(expect.any(String));
+        });
+    });
+
     describe('getStats', () => {
         it('should return queue statistics', async () => {
             const queue = [
@@ -1,6 +1,7 @@
 import { SetupWizard } from '../components/SetupWizard.js';
 import { SettingsPanel } from '../components/SettingsPanel.js';
 import GistManager from './GistManager.js';
+import StorageProviderManager from './StorageProviderManager.js';
 
 /**
  * OnboardingManager - Manages user onboarding and setup wizard flow
@@ -10,6 +11,7 @@ class OnboardingManager {
     constructor(dataService) {
         this.dataService = dataService;
         this.gistManager = new GistManager();
+        this.storageProviderManager = new StorageProviderManager();
         this.setupWizard = null;
         this.settingsPanel = null;
         this.storageKey = 'audiobook-onboarding-completed';
@@ -25,6 +27,12 @@ class OnboardingManager {
             return false;
         }
 
+        // Self-hosted storage is configured in settings, so the gist wizard isn't needed
+        if (this.storageProviderManager.getProviderType() !== 'gist') {
+            this.markOnboardingCompleted();
+            return false;
+        }
+
         // Check if user already has a valid gist connection
         const hasValidGist = await this.gistManager.hasValidStoredGist();
         if (hasValidGist) {
@@ -134,6 +142,10 @@ class OnboardingManager {
                 this.showNotification('Disconnected from gist. Sync is now disabled.', 'info');
                 break;
 
+            case 'revision-restored':
+                this.showNotification('Library restored from an earlier revision.', 'success');
+                break;
+
             case 'cache-cleared':
                 this.showNotification('Local cache cleared and data re-synced.', 'success');
                 break;
@@ -0,0 +1,153 @@
+import { parseDuration } from '../utils/helpers.js';
+
+/**
+ * StatisticsService - Aggregates listening history and collection statistics
+ * Pure aggregation over an array of audiobooks so it can be tested without the DOM
+ */
+export class StatisticsService {
+    constructor(options = {}) {
+        this.topLimit = options.topLimit || 5;
+    }
+
+    /**
+     * Compute all statistics for a collection
+     * @param {Array} audiobooks - Audiobooks to aggregate
+     * @returns {Object} Statistics summary
+     */
+    computeStatistics(audiobooks = []) {
+        const books = Array.isArray(audiobooks) ? audiobooks : [];
+        const finished = books.filter(book => book.status === 'finished');
+        const backlog = books.filter(book => book.status === 'queued' || book.status === 'wishlist');
+
+        return {
+            totals: {
+                books: books.length,
+                finished: finished.length,
+                listening: books.filter(book => book.status === 'listening').length,
+                backlog: backlog.length,
+                backlogHours: this.toHours(this.sumMinutes(backlog)),
+                hoursFinished: this.toHours(this.sumMinutes(finished)),
+                totalSpend: this.getTotalSpend(books),
+                averageRating: this.getAverageRating(books)
+            },
+            finishedByMonth: this.groupFinished(finished, 'month'),
+            finishedByYear: this.groupFinished(finished, 'year'),
+            topAuthors: this.countTop(books.map(book => book.author)),
+            topNarrators: this.countTop(books.map(book => book.narrator)),
+            genreDistribution: this.getDistribution(books, 'genres'),
+            moodDistribution: this.getDistribution(books, 'moods')
+        };
+    }
+
+    /**
+     * Group finished books by the month or year of their finish date
+     * Books finished without a recorded date are left out of the timeline.
+     * @param {Array} finishedBooks - Books with status "finished"
+     * @param {string} period - 'month' (YYYY-MM) or 'year' (YYYY)
+     * @returns {Array} Periods sorted oldest first with hours and book counts
+     */
+    groupFinished(finishedBooks, period = 'month') {
+        const groups = new Map();
+        const keyLength = period === 'year' ? 4 : 7;
+
+        finishedBooks.forEach(book => {
+            if (!book.finishDate) return;
+
+            const key = book.finishDate.slice(0, keyLength);
+            const group = groups.get(key) || { period: key, books: 0, minutes: 0 };
+            group.books++;
+            group.minutes += parseDuration(book.length);
+            groups.set(key, group);
+        });
+
+        return Array.from(groups.values())
+            .sort((a, b) => a.period.localeCompare(b.period))
+            .map(({ period: key, books, minutes }) => ({
+                period: key,
+                books,
+                hours: this.toHours(minutes)
+            }));
+    }
+
+    /**
+     * Count occurrences of names and return the most frequent
+     * @param {Array<string>} names - Names to count (empty values are ignored)
+     * @returns {Array} [{ name, count }] sorted by count, then name
+     */
+    countTop(names) {
+        const counts = new Map();
+
+        names.forEach(name => {
+            const trimmed = (name || '').trim();
+            if (!trimmed) return;
+            counts.set(trimmed, (counts.get(trimmed) || 0) + 1);
+        });
+
+        return Array.from(counts, ([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+            .slice(0, this.topLimit);
+    }
+
+    /**
+     * Distribution of a category field across the collection
+     * @param {Array} books - Audiobooks
+     * @param {string} field - 'genres' or 'moods'
+     * @returns {Array} [{ name, count, percent }] sorted by count
+     */
+    getDistribution(books, field) {
+        const counts = new Map();
+
+        books.forEach(book => {
+            (book[field] || []).forEach(value => {
+                counts.set(value, (counts.get(value) || 0) + 1);
+            });
+        });
+
+        return Array.from(counts, ([name, count]) => ({
+            name,
+            count,
+            percent: books.length ? Math.round((count / books.length) * 100) : 0
+        })).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Average rating over rated books only
+     * @param {Array} books - Audiobooks
+     * @returns {number} Average rounded to one decimal, 0 when nothing is rated
+     */
+    getAverageRating(books) {
+        const ratings = books.map(book => parseFloat(book.rating)).filter(rating => rating > 0);
+        if (ratings.length === 0) return 0;
+
+        const average = ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+        return Math.round(average * 10) / 10;
+    }
+
+    /**
+     * Sum of all book prices
+     * @param {Array} books - Audiobooks
+     * @returns {number} Total spend rounded to cents
+     */
+    getTotalSpend(books) {
+        const total = books.reduce((sum, book) => sum + (parseFloat(book.price) || 0), 0);
+        return Math.round(total * 100) / 100;
+    }
+
+    /**
+     * Total listening length of the books
+     * @param {Array} books - Audiobooks
+     * @returns {number} Total length in minutes
+     */
+    sumMinutes(books) {
+        return books.reduce((sum, book) => sum + parseDuration(book.length), 0);
+    }
+
+    /**
+     * Convert minutes to hours
+     * @param {number} minutes - Length in minutes
+     * @returns {number} Hours rounded to one decimal
+     */
+    toHours(minutes) {
+        return Math.round((minutes / 60) * 10) / 10;
+    }
+}
@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { StatisticsService } from './StatisticsService.js';
+
+describe('StatisticsService', () => {
+    let statisticsService;
+    let sampleBooks;
+
+    beforeEach(() => {
+        statisticsService = new StatisticsService({ topLimit: 2 });
+
+        sampleBooks = [
+            {
+                id: '1',
+                title: 'The Martian',
+                author: 'Andy Weir',
+                narrator: 'R.C. Bray',
+                length: '10 hrs and 30 mins',
+                rating: 5,
+                price: 20,
+                genres: ['sci-fi'],
+                moods: ['funny'],
+                status: 'finished',
+                finishDate: '2024-03-10'
+            },
+            {
+                id: '2',
+                title: 'Project Hail Mary',
+                author: 'Andy Weir',
+                narrator: 'Ray Porter',
+                length: '16 hrs',
+                rating: 4,
+                price: 15.5,
+                genres: ['sci-fi', 'thriller'],
+                moods: ['funny', 'tense'],
+                status: 'finished',
+                finishDate: '2024-03-28'
+            },
+            {
+                id: '3',
+                title: 'Gone Girl',
+                author: 'Gillian Flynn',
+                narrator: 'Julia Whelan',
+                length: '19 hrs',
+                rating: 0,
+                price: 0,
+                genres: ['thriller'],
+                moods: ['dark'],
+                status: 'finished',
+                finishDate: '2023-11-02'
+            },
+            {
+                id: '4',
+                title: 'Dune',
+                author: 'Frank Herbert',
+                narrator: 'Scott Brick',
+                length: '21 hrs',
+                rating: 3,
+                price: 0,
+                genres: ['sci-fi'],
+                moods: [],
+                status: 'queued'
+            },
+            {
+                id: '5',
+                title: 'Artemis',
+                author: 'Andy Weir',
+                narrator: 'Rosario Dawson',
+                length: '9 hrs',
+                genres: [],
+                moods: [],
+                status: 'listening'
+            }
+        ];
+    });
+
+    describe('totals', () => {
+        it('should compute collection totals', () => {
+            const { totals } = statisticsService.computeStatistics(sampleBooks);
+
+            expect(totals.books).toBe(5);
+            expect(totals.finished).toBe(3);
+            expect(totals.listening).toBe(1);
+            expect(totals.backlog).toBe(1);
+            expect(totals.backlogHours).toBe(21);
+            expect(totals.hoursFinished).toBe(45.5);
+            expect(totals.totalSpend).toBe(35.5);
+        });
+
+        it('should average only rated books', () => {
+            expect(statisticsService.getAverageRating(sampleBooks)).toBe(4);
+            expect(statisticsService.getAverageRating([])).toBe(0);
+        });
+
+        it('should handle an empty collection', () => {
+            const stats = statisticsService.computeStatistics([]);
+
+            expect(stats.totals.books).toBe(0);
+            expect(stats.finishedByMonth).toEqual([]);
+            expect(stats.topAuthors).toEqual([]);
+        });
+    });
+
+    describe('listening history', () => {
+        it('should group finished hours by month', () => {
+            const { finishedByMonth } = statisticsService.computeStatistics(sampleBooks);
+
+            expect(finishedByMonth).toEqual([
+                { period: '2023-11', books: 1, hours: 19 },
+                { period: '2024-03', books: 2, hours: 26.5 }
+            ]);
+        });
+
+        it('should group finished hours by year', () => {
+            const { finishedByYear } = statisticsService.computeStatistics(sampleBooks);
+
+            expect(finishedByYear.map(group => group.period)).toEqual(['2023', '2024']);
+        });
+
+        it('should leave finished books without a date out of the timeline', () => {
+            const books = [{ ...sampleBooks[0], finishDate: '' }];
+            const stats = statisticsService.computeStatistics(books);
+
+            expect(stats.totals.finished).toBe(1);
+            expect(stats.finishedByMonth).toEqual([]);
+        });
+    });
+
+    describe('rankings and distributions', () => {
+        it('should rank top authors and respect the limit', () => {
+            const { topAuthors } = statisticsService.computeStatistics(sampleBooks);
+
+            expect(topAuthors).toEqual([
+                { name: 'Andy Weir', count: 3 },
+                { name: 'Frank Herbert', count: 1 }
+            ]);
+        });
+
+        it('should compute genre distribution with percentages', () => {
+            const { genreDistribution } = statisticsService.computeStatistics(sampleBooks);
+
+            expect(genreDistribution[0]).toEqual({ name: 'sci-fi', count: 3, percent: 60 });
+            expect(genreDistribution[1]).toEqual({ name: 'thriller', count: 2, percent: 40 });
+        });
+
+        it('should compute mood distribution', () => {
+            const { moodDistribution } = statisticsService.computeStatistics(sampleBooks);
+
+            expect(moodDistribution.map(mood => mood.name)).toEqual(['funny', 'dark', 'tense']);
+        });
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * StorageProvider - Interface for remote library storage used by SyncManager
+ * Adapters (GitHub Gist, WebDAV, JSON over HTTP) implement read, write, getMetadata
+ * and exists so sync, conflict handling and the offline queue work on any backend.
+ */
+class StorageProvider {
+    constructor(type, displayName) {
+        this.type = type;
+        this.displayName = displayName;
+
+        // Revision of the remote copy as of the last read or write, when the backend reports it
+        this.lastRevision = null;
+    }
+
+    /**
+     * Check whether enough configuration is stored to reach the remote copy
+     * @returns {boolean} True if the provider can be used
+     */
+    isConfigured() {
+        return false;
+    }
+
+    /**
+     * Throw a user-facing error if the provider is not configured
+     * @throws {Error} If the provider is not configured
+     */
+    assertConfigured() {
+        if (!this.isConfigured()) {
+            throw new Error(`No ${this.displayName} configured. Please set up sync storage first.`);
+        }
+    }
+
+    /**
+     * Identifier of the remote copy, used for logging and retry tracking
+     * @returns {string|null} Gist ID, URL or null when not configured
+     */
+    getLocation() {
+        return null;
+    }
+
+    /**
+     * Read the library from remote storage
+     * @returns {Promise<Object>} The audiobook collection data
+     */
+    async read() {
+        throw new Error(`${this.constructor.name} does not implement read()`);
+    }
+
+    /**
+     * Write the library to remote storage
+     * Adapters that support conditional requests refuse the write with a
+     * RemoteChangedError when the remote revision no longer matches.
+     * @param {Object} data - The audiobook collection data
+     * @param {Object} options - Write options
+     * @param {string} options.expectedRevision - Revision the data was based on
+     * @returns {Promise<Object|void>} { revision } of the new remote copy when the backend reports it
+     */
+    async write() {
+        throw new Error(`${this.constructor.name} does not implement write()`);
+    }
+
+    /**
+     * Get metadata about the remote copy without relying on its content
+     * @returns {Promise<Object>} Metadata including at least { provider, location, updatedAt }
+     */
+    async getMetadata() {
+        throw new Error(`${this.constructor.name} does not implement getMetadata()`);
+    }
+
+    /**
+     * Get an identifier that changes whenever the remote copy is written
+     * @returns {Promise<string|null>} Revision, ETag or modification time
+     */
+    async getRevision() {
+        const metadata = await this.getMetadata();
+        return metadata.revision || metadata.updatedAt || null;
+    }
+
+    /**
+     * Check if the remote copy exists and is accessible
+     * @returns {Promise<boolean>} True if it can be read
+     */
+    async exists() {
+        return false;
+    }
+
+    /**
+     * Validate audiobook data before it is written
+     * @param {Object} data - Data to validate
+     * @throws {Error} If data is invalid
+     * @protected
+     */
+    _validateData(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Data must be an object');
+        }
+
+        if (!Array.isArray(data.audiobooks)) {
+            throw new Error('Data must contain an audiobooks array');
+        }
+    }
+}
+
+/**
+ * Create the error thrown when the remote copy moved on since it was last pulled
+ * @param {string|null} expectedRevision - Revision the write was based on
+ * @param {string|null} currentRevision - Revision currently stored remotely
+ * @returns {Error} Error with code 'REMOTE_CHANGED'
+ */
+export function createRemoteChangedError(expectedRevision, currentRevision = null) {
+    const error = new Error('The remote library changed since it was last synced');
+    error.code = 'REMOTE_CHANGED';
+    error.expectedRevision = expectedRevision;
+    error.currentRevision = currentRevision;
+    return error;
+}
+
+export default StorageProvider;
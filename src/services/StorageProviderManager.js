@@ -0,0 +1,139 @@
+import GistStorageProvider from './GistStorageProvider.js';
+import WebDAVStorageProvider from './WebDAVStorageProvider.js';
+import HttpJsonStorageProvider from './HttpJsonStorageProvider.js';
+
+export const STORAGE_PROVIDER_TYPES = ['gist', 'webdav', 'http'];
+
+/**
+ * StorageProviderManager - Stores the selected sync backend and builds its adapter
+ * Non-secret settings (type, URL, username) live in localStorage. The password or
+ * token follows GitHubTokenManager: sessionStorage unless the user asks to remember it.
+ */
+class StorageProviderManager {
+    constructor() {
+        this.storageKey = 'audiobook-sync-provider';
+        this.secretKey = 'audiobook-sync-provider-secret';
+    }
+
+    /**
+     * Get the selected provider type
+     * @returns {string} 'gist', 'webdav' or 'http' (defaults to 'gist')
+     */
+    getProviderType() {
+        return this.getConfig().type;
+    }
+
+    /**
+     * Get the stored provider configuration including its secret
+     * @returns {Object} { type, url, username, secret, remember }
+     */
+    getConfig() {
+        let stored = {};
+
+        try {
+            stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}') || {};
+        } catch (error) {
+            console.warn('Ignoring invalid sync provider settings:', error.message);
+        }
+
+        const type = STORAGE_PROVIDER_TYPES.includes(stored.type) ? stored.type : 'gist';
+
+        return {
+            type,
+            url: stored.url || '',
+            username: stored.username || '',
+            secret: this._getSecret(),
+            remember: this._isSecretRemembered()
+        };
+    }
+
+    /**
+     * Save the provider configuration
+     * @param {Object} config - Provider configuration
+     * @param {string} config.type - Provider type
+     * @param {string} config.url - Endpoint or file URL (WebDAV/HTTP only)
+     * @param {string} config.username - WebDAV username
+     * @param {string} config.secret - WebDAV password or HTTP bearer token
+     * @param {boolean} config.remember - Persist the secret across browser sessions
+     */
+    saveConfig(config = {}) {
+        const { type, url = '', username = '', secret = '', remember = false } = config;
+
+        if (!STORAGE_PROVIDER_TYPES.includes(type)) {
+            throw new Error(`Unknown storage provider: ${type}`);
+        }
+
+        if (type !== 'gist' && !/^https?:\/\//i.test(url.trim())) {
+            throw new Error('Please enter a valid http(s) URL');
+        }
+
+        const settings = type === 'gist' ? { type } : { type, url: url.trim(), username: username.trim() };
+        localStorage.setItem(this.storageKey, JSON.stringify(settings));
+
+        this._clearSecret();
+        if (type !== 'gist' && secret) {
+            this._getStorage(remember)?.setItem(this.secretKey, secret);
+        }
+    }
+
+    /**
+     * Remove the provider configuration and fall back to GitHub Gist
+     */
+    clearConfig() {
+        localStorage.removeItem(this.storageKey);
+        this._clearSecret();
+    }
+
+    /**
+     * Build the adapter for the given (or stored) configuration
+     * @param {Object} dependencies - Shared services for the gist adapter
+     * @param {GitHubGistService} dependencies.gistService - Gist API service
+     * @param {GistManager} dependencies.gistManager - Gist ID storage
+     * @param {Object} config - Configuration to use instead of the stored one
+     * @returns {StorageProvider} The storage adapter
+     */
+    createProvider(dependencies = {}, config = this.getConfig()) {
+        switch (config.type) {
+            case 'webdav':
+                return new WebDAVStorageProvider({
+                    url: config.url,
+                    username: config.username,
+                    password: config.secret
+                });
+            case 'http':
+                return new HttpJsonStorageProvider({ url: config.url, token: config.secret });
+            default:
+                return new GistStorageProvider(dependencies.gistService, dependencies.gistManager);
+        }
+    }
+
+    _getSecret() {
+        return this._getStorage(false)?.getItem(this.secretKey) ||
+            this._getStorage(true)?.getItem(this.secretKey) ||
+            '';
+    }
+
+    _isSecretRemembered() {
+        return !!this._getStorage(true)?.getItem(this.secretKey);
+    }
+
+    _clearSecret() {
+        this._getStorage(false)?.removeItem(this.secretKey);
+        this._getStorage(true)?.removeItem(this.secretKey);
+    }
+
+    /**
+     * Get session or persistent storage if available
+     * @param {boolean} persistent - Use localStorage instead of sessionStorage
+     * @returns {Storage|null} Storage object
+     * @private
+     */
+    _getStorage(persistent) {
+        if (persistent) {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        }
+        return typeof sessionStorage !== 'undefined' ? sessionStorage : null;
+    }
+}
+
+export default StorageProviderManager;
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import StorageProviderManager from './StorageProviderManager.js';
+import GistStorageProvider from './GistStorageProvider.js';
+import WebDAVStorageProvider from './WebDAVStorageProvider.js';
+import HttpJsonStorageProvider from './HttpJsonStorageProvider.js';
+
+describe('StorageProviderManager', () => {
+    let providerManager;
+
+    beforeEach(() => {
+        localStorage.clear();
+        sessionStorage.clear();
+        providerManager = new StorageProviderManager();
+    });
+
+    it('should default to GitHub Gist', () => {
+        expect(providerManager.getProviderType()).toBe('gist');
+
+        const gistManager = { getGistId: () => 'abc123' };
+        const provider = providerManager.createProvider({ gistService: {}, gistManager });
+
+        expect(provider).toBeInstanceOf(GistStorageProvider);
+        expect(provider.getLocation()).toBe('abc123');
+    });
+
+    it('should store WebDAV settings with the password in sessionStorage by default', () => {
+        providerManager.saveConfig({
+            type: 'webdav',
+            url: ' https://dav.example.com/audiobooks.json ',
+            username: 'reader',
+            secret: 'app-password'
+        });
+
+        expect(JSON.parse(localStorage.getItem('audiobook-sync-provider'))).toEqual({
+            type: 'webdav',
+            url: 'https://dav.example.com/audiobooks.json',
+            username: 'reader'
+        });
+        expect(sessionStorage.getItem('audiobook-sync-provider-secret')).toBe('app-password');
+        expect(localStorage.getItem('audiobook-sync-provider-secret')).toBeNull();
+
+        const provider = providerManager.createProvider();
+        expect(provider).toBeInstanceOf(WebDAVStorageProvider);
+        expect(provider.username).toBe('reader');
+        expect(provider.password).toBe('app-password');
+    });
+
+    it('should remember the HTTP token when asked', () => {
+        providerManager.saveConfig({
+            type: 'http',
+            url: 'https://sync.example.com/library',
+            secret: 'bearer-token',
+            remember: true
+        });
+
+        const config = providerManager.getConfig();
+        expect(config.remember).toBe(true);
+
+        const provider = providerManager.createProvider();
+        expect(provider).toBeInstanceOf(HttpJsonStorageProvider);
+        expect(provider.token).toBe('bearer-token');
+    });
+
+    it('should reject unknown providers and invalid URLs', () => {
+        expect(() => providerManager.saveConfig({ type: 'ftp' })).toThrow('Unknown storage provider');
+        expect(() => providerManager.saveConfig({ type: 'http', url: 'example.com' })).toThrow('valid http(s) URL');
+    });
+
+    it('should drop the secret when switching back to gist', () => {
+        providerManager.saveConfig({ type: 'http', url: 'https://sync.example.com/library', secret: 'token', remember: true });
+        providerManager.saveConfig({ type: 'gist' });
+
+        expect(providerManager.getConfig()).toMatchObject({ type: 'gist', url: '', secret: '' });
+    });
+});
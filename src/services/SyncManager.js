@@ -1,24 +1,41 @@
 import GitHubGistService from './GitHubGistService.js';
 import { LocalCacheService } from './LocalCacheService.js';
 import GistManager from './GistManager.js';
+import StorageProviderManager from './StorageProviderManager.js';
+import { createRemoteChangedError } from './StorageProvider.js';
 import { OfflineQueueService } from './OfflineQueueService.js';
 import { NetworkErrorHandler } from './NetworkErrorHandler.js';
+import { TabCoordinator } from './TabCoordinator.js';
+import {
+    createTombstone,
+    mergeTombstones,
+    getTombstoneCleanupTime,
+    pruneTombstones,
+    isDeletedByTombstone,
+    mergeSmartCollections,
+    mergeLists
+} from '../utils/helpers.js';
 
 /**
- * SyncManager - Orchestrates data synchronization between local cache and GitHub Gist
- * Handles conflict detection, resolution, and automatic sync scheduling
+ * SyncManager - Orchestrates data synchronization between local cache and remote storage
+ * Handles conflict detection, resolution, and automatic sync scheduling.
+ * Remote reads and writes go through a StorageProvider (GitHub Gist by default).
  */
 export class SyncManager {
     constructor() {
         this.gistService = new GitHubGistService();
         this.localCache = new LocalCacheService();
         this.gistManager = new GistManager();
+        this.storageProviderManager = new StorageProviderManager();
+        this.storageProvider = this.createStorageProvider();
         this.offlineQueue = new OfflineQueueService();
         this.networkErrorHandler = new NetworkErrorHandler();
+        this.tabCoordinator = new TabCoordinator();
 
         // Sync configuration
         this.syncInterval = 30000; // 30 seconds default
         this.maxSyncRetries = 3;
+        this.maxWriteAttempts = 3; // Pull-merge-retry rounds when the remote moved on
         this.syncTimeoutMs = 10000; // 10 seconds
 
         // State management
@@ -28,6 +45,7 @@ export class SyncManager {
         this.autoSyncTimer = null;
         this.offlineProcessingTimer = null;
         this.syncQueue = [];
+        this.hasPendingSyncRequest = false; // Another tab asked for a sync while one was running
 
         // Event listeners for sync status updates
         this.eventListeners = new Map();
@@ -37,6 +55,26 @@ export class SyncManager {
         this.handleOnline = this.handleOnline.bind(this);
         this.handleOffline = this.handleOffline.bind(this);
         this.processOfflineQueue = this.processOfflineQueue.bind(this);
+        this.handleSyncRequest = this.handleSyncRequest.bind(this);
+        this.handleLeadershipChange = this.handleLeadershipChange.bind(this);
+        this.handleTabStorageChange = this.handleTabStorageChange.bind(this);
+
+        // Only the leading tab syncs in the background; the others ask it to
+        this.tabCoordinator.on('syncRequested', this.handleSyncRequest);
+        this.tabCoordinator.on('leadershipChanged', this.handleLeadershipChange);
+        this.tabCoordinator.on('storageChanged', this.handleTabStorageChange);
+    }
+
+    /**
+     * Build the storage adapter for the backend selected in settings
+     * The gist adapter shares this manager's gist service and gist ID storage.
+     * @returns {StorageProvider} The storage adapter
+     */
+    createStorageProvider() {
+        return this.storageProviderManager.createProvider({
+            gistService: this.gistService,
+            gistManager: this.gistManager
+        });
     }
 
     /**
@@ -62,6 +100,9 @@ export class SyncManager {
             // Set up event listeners for network and visibility changes
             this.setupEventListeners();
 
+            // Take part in choosing which open tab syncs
+            this.tabCoordinator.start();
+
             this.isInitialized = true;
             this.emit('initialized', { syncInterval: this.syncInterval });
 
@@ -106,38 +147,37 @@ export class SyncManager {
             this.isSyncing = true;
             this.emit('syncStarted');
 
-            const gistId = this.gistManager.getGistId();
-            if (!gistId) {
-                throw new Error('No gist ID configured. Please set up a gist first.');
-            }
+            const provider = this.storageProvider;
+            provider.assertConfigured();
 
             // Execute sync with retry logic
             const syncResult = await this.networkErrorHandler.executeWithRetry(
                 async () => {
-                    // Check if gist exists
-                    const gistExists = await this.gistService.gistExists(gistId);
-                    if (!gistExists) {
-                        throw new Error('Configured gist not found or not accessible');
+                    // Check if the remote copy exists
+                    const remoteExists = await provider.exists();
+                    if (!remoteExists) {
+                        throw new Error(`Configured ${provider.displayName} not found or not accessible`);
                     }
 
-                    // Get local and remote data
-                    const [localData, remoteData] = await Promise.all([
+                    // Get local and remote data, plus the common ancestor from the last sync
+                    const [localData, remoteData, baseBooks] = await Promise.all([
                         this.localCache.loadData(),
-                        this.gistService.readGist(gistId)
+                        provider.read(),
+                        this.localCache.getSyncBase()
                     ]);
 
                     // Detect conflicts
-                    const conflict = this.detectConflict(localData, remoteData);
+                    const conflict = this.detectConflict(localData, remoteData, baseBooks);
 
                     if (conflict && !force) {
                         return await this.handleConflict(localData, remoteData, conflict);
                     } else {
                         // No conflict or forced sync - determine sync direction
-                        return await this.performSync(localData, remoteData, force);
+                        return await this.performSync(localData, remoteData, force, baseBooks);
                     }
                 },
                 {
-                    operationId: `sync-${gistId}`,
+                    operationId: `sync-${provider.getLocation()}`,
                     operationType: 'sync',
                     maxRetries: this.maxSyncRetries
                 }
@@ -168,6 +208,77 @@ export class SyncManager {
 
         } finally {
             this.isSyncing = false;
+
+            if (this.hasPendingSyncRequest) {
+                this.hasPendingSyncRequest = false;
+                setTimeout(this.handleSyncRequest, 0);
+            }
+        }
+    }
+
+    /**
+     * Sync in the background from the tab that leads
+     * Other tabs ask the leader to sync instead, so open tabs never push at the same time.
+     * @returns {Promise<Object>} Sync result, or a note that the leading tab was asked
+     */
+    async requestSync() {
+        if (this.tabCoordinator.isLeader) {
+            return await this.sync();
+        }
+
+        this.tabCoordinator.broadcast('syncRequested');
+
+        return {
+            delegated: true,
+            message: 'Sync requested from the tab that syncs',
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Check whether this tab runs background syncs
+     * @returns {boolean} True if this tab leads
+     */
+    isSyncLeader() {
+        return this.tabCoordinator.isLeader;
+    }
+
+    /**
+     * Sync on behalf of another tab, once any running sync has finished
+     * @private
+     */
+    handleSyncRequest() {
+        if (!this.tabCoordinator.isLeader || !this.isInitialized) {
+            return;
+        }
+
+        if (this.isSyncing) {
+            this.hasPendingSyncRequest = true;
+            return;
+        }
+
+        this.sync().catch(error => {
+            console.warn('Sync requested by another tab failed:', error.message);
+        });
+    }
+
+    /**
+     * Announce when this tab starts or stops running background syncs
+     * @private
+     * @param {Object} data - Leadership data
+     */
+    handleLeadershipChange(data) {
+        this.emit('leadershipChanged', data);
+    }
+
+    /**
+     * Announce when another tab changed the cached library
+     * @private
+     * @param {Object} data - Changed localStorage key
+     */
+    handleTabStorageChange(data) {
+        if (data.key === this.localCache.storageKey || data.key === this.localCache.changeKey) {
+            this.emit('collectionChangedElsewhere', data);
         }
     }
 
@@ -197,18 +308,16 @@ export class SyncManager {
 
         return await this.networkErrorHandler.executeWithRetry(
             async () => {
-                const gistId = this.gistManager.getGistId();
-                if (!gistId) {
-                    throw new Error('No gist ID configured');
-                }
+                this.storageProvider.assertConfigured();
 
                 const localData = await this.localCache.loadData();
                 if (!localData) {
                     throw new Error('No local data to sync');
                 }
 
-                // Update gist with local data
-                await this.gistService.updateGist(gistId, localData);
+                // Update remote copy with local data, merging in anything written elsewhere
+                const writtenData = await this.writeRemote(localData);
+                await this.localCache.saveSyncBase(writtenData.audiobooks);
 
                 // Update local metadata to reflect successful sync
                 await this.localCache.updateSyncMetadata({
@@ -220,11 +329,11 @@ export class SyncManager {
                     direction: 'push',
                     success: true,
                     timestamp: new Date().toISOString(),
-                    audiobookCount: localData.audiobooks.length
+                    audiobookCount: writtenData.audiobooks.length
                 };
             },
             {
-                operationId: `push-${this.gistManager.getGistId()}`,
+                operationId: `push-${this.storageProvider.getLocation()}`,
                 operationType: 'push to cloud'
             }
         );
@@ -242,16 +351,15 @@ export class SyncManager {
 
         return await this.networkErrorHandler.executeWithRetry(
             async () => {
-                const gistId = this.gistManager.getGistId();
-                if (!gistId) {
-                    throw new Error('No gist ID configured');
-                }
+                this.storageProvider.assertConfigured();
 
                 // Get remote data
-                const remoteData = await this.gistService.readGist(gistId);
+                const remoteData = await this.storageProvider.read();
 
                 // Save to local cache
                 await this.localCache.saveData(remoteData, { updateTimestamp: false });
+                await this.localCache.saveSyncBase(remoteData.audiobooks);
+                await this.recordRemoteRevision(this.storageProvider.lastRevision);
 
                 // Update sync metadata
                 await this.localCache.updateSyncMetadata({
@@ -267,33 +375,224 @@ export class SyncManager {
                 };
             },
             {
-                operationId: `pull-${this.gistManager.getGistId()}`,
+                operationId: `pull-${this.storageProvider.getLocation()}`,
                 operationType: 'pull from cloud'
             }
         );
     }
 
+    /**
+     * Move the library from the current public gist to a new secret gist
+     * Local and remote data are merged first so nothing that hasn't synced yet is lost.
+     * @param {Object} options - Migration options
+     * @param {boolean} options.deleteOriginal - Delete the old public gist afterwards
+     * @returns {Promise<Object>} Migration result with the new gist ID
+     */
+    async migrateToSecretGist(options = {}) {
+        const { deleteOriginal = false } = options;
+
+        if (!this.isOnline) {
+            throw new Error('Cannot migrate gist while offline. Please check your internet connection.');
+        }
+
+        if (this.storageProvider.type !== 'gist') {
+            throw new Error('Secret gist migration is only available when syncing with GitHub Gist');
+        }
+
+        const previousGistId = this.gistManager.getGistId();
+        if (!previousGistId) {
+            throw new Error('No gist ID configured');
+        }
+
+        const [localData, remoteData, baseBooks] = await Promise.all([
+            this.localCache.loadData(),
+            this.gistService.readGist(previousGistId),
+            this.localCache.getSyncBase()
+        ]);
+
+        const mergedData = localData
+            ? this.mergeData(localData, remoteData, baseBooks)
+            : remoteData;
+
+        const gistData = {
+            ...mergedData,
+            version: remoteData.version || '1.0',
+            lastUpdated: new Date().toISOString()
+        };
+
+        const gistId = await this.gistService.createGist(gistData, 'Audiobook Library Data', { isPublic: false });
+
+        this.gistManager.saveGistId(gistId);
+        await this.localCache.saveData(mergedData, { updateTimestamp: false });
+        await this.localCache.saveSyncBase(mergedData.audiobooks);
+
+        let originalDeleted = false;
+        if (deleteOriginal) {
+            try {
+                await this.gistService.deleteGist(previousGistId);
+                originalDeleted = true;
+            } catch (error) {
+                // The new gist is already in use; the old one can be removed by hand
+                console.warn('Failed to delete original gist:', error.message);
+            }
+        }
+
+        const result = {
+            success: true,
+            gistId,
+            previousGistId,
+            originalDeleted,
+            audiobookCount: mergedData.audiobooks.length
+        };
+
+        this.emit('gistMigrated', result);
+        return result;
+    }
+
+    /**
+     * List earlier revisions of the library gist, newest first
+     * @param {Object} options - Paging options passed to GitHubGistService.listGistCommits
+     * @returns {Promise<Array>} Revisions with their commit dates and change counts
+     */
+    async listRevisions(options = {}) {
+        return await this.gistService.listGistCommits(this.getRevisionGistId(), options);
+    }
+
+    /**
+     * Read the library as it was at an earlier gist revision
+     * @param {string} revision - Revision SHA from listRevisions
+     * @returns {Promise<Object>} Library data at that revision
+     */
+    async getRevisionData(revision) {
+        return await this.gistService.readGistRevision(this.getRevisionGistId(), revision);
+    }
+
+    /**
+     * Restore the library to an earlier gist revision on this device and in the gist
+     * The restore is recorded as a new edit: restored books are stamped as modified now
+     * and books missing from the revision get tombstones, so other devices converge on
+     * the restored state at their next sync instead of merging the old books back in.
+     * @param {string} revision - Revision SHA from listRevisions
+     * @returns {Promise<Object>} Restore result
+     */
+    async restoreRevision(revision) {
+        const [revisionData, localData] = await Promise.all([
+            this.getRevisionData(revision),
+            this.localCache.loadData()
+        ]);
+
+        const now = new Date().toISOString();
+        const deviceId = this.localCache.getDeviceId();
+        const restoredIds = new Set(revisionData.audiobooks.map(book => book.id));
+
+        const removedTombstones = (localData?.audiobooks || [])
+            .filter(book => !restoredIds.has(book.id))
+            .map(book => createTombstone(book.id, deviceId, now));
+
+        const tombstonesPrunedBefore = getTombstoneCleanupTime(localData?.metadata, revisionData.metadata);
+        const tombstones = pruneTombstones(mergeTombstones(
+            localData?.metadata?.tombstones,
+            revisionData.metadata?.tombstones,
+            removedTombstones
+        ), tombstonesPrunedBefore).filter(tombstone => !restoredIds.has(tombstone.id));
+
+        const restoredData = {
+            ...revisionData,
+            metadata: {
+                ...(localData?.metadata || {}),
+                ...(revisionData.metadata || {}),
+                lastModified: now,
+                deviceId,
+                tombstones,
+                tombstonesPrunedBefore
+            },
+            audiobooks: revisionData.audiobooks.map(book => ({ ...book, lastModified: now })),
+            // Smart collections and lists aren't part of the book history being restored
+            smartCollections: localData?.smartCollections || [],
+            lists: localData?.lists || [],
+            lastUpdated: now
+        };
+
+        await this.localCache.saveData(restoredData);
+        const writtenData = await this.writeRemote(restoredData, { overwrite: true });
+        await this.localCache.saveSyncBase(writtenData.audiobooks);
+
+        const result = {
+            success: true,
+            revision,
+            audiobookCount: writtenData.audiobooks.length,
+            removedCount: removedTombstones.length
+        };
+
+        this.emit('revisionRestored', result);
+        return result;
+    }
+
+    /**
+     * Get the gist ID for revision history, which only GitHub Gist storage keeps
+     * @returns {string} Gist ID
+     * @private
+     */
+    getRevisionGistId() {
+        if (!this.isOnline) {
+            throw new Error('Cannot read revision history while offline. Please check your internet connection.');
+        }
+
+        if (this.storageProvider.type !== 'gist') {
+            throw new Error('Revision history is only available when syncing with GitHub Gist');
+        }
+
+        const gistId = this.gistManager.getGistId();
+        if (!gistId) {
+            throw new Error('No gist ID configured');
+        }
+
+        return gistId;
+    }
+
     /**
      * Detect conflicts between local and remote data
+     * When a snapshot from the last sync is available, only fields changed on both
+     * sides count as a conflict; everything else can be merged automatically.
      * @param {Object} localData - Local data
      * @param {Object} remoteData - Remote data
+     * @param {Object} baseBooks - Snapshot of each book from the last successful sync, keyed by ID
      * @returns {Object|null} Conflict information or null if no conflict
      */
-    detectConflict(localData, remoteData) {
+    detectConflict(localData, remoteData, baseBooks = null) {
         if (!localData || !remoteData) {
             return null;
         }
 
-        const localTimestamp = new Date(localData.metadata.lastModified);
-        const remoteTimestamp = new Date(remoteData.metadata.lastModified);
-        const localDeviceId = localData.metadata.deviceId;
-        const remoteDeviceId = remoteData.metadata.deviceId;
+        // A document without metadata counts as never modified
+        const localTimestamp = new Date(localData.metadata?.lastModified || 0);
+        const remoteTimestamp = new Date(remoteData.metadata?.lastModified || 0);
+        const localDeviceId = localData.metadata?.deviceId;
+        const remoteDeviceId = remoteData.metadata?.deviceId;
 
         // No conflict if same device
         if (localDeviceId === remoteDeviceId) {
             return null;
         }
 
+        if (this.hasSyncBase(baseBooks)) {
+            const { conflicts } = this.threeWayMerge(localData, remoteData, baseBooks);
+            if (conflicts.length === 0) {
+                return null;
+            }
+
+            return {
+                type: 'field_conflict',
+                localTimestamp: localTimestamp.toISOString(),
+                remoteTimestamp: remoteTimestamp.toISOString(),
+                localDeviceId,
+                remoteDeviceId,
+                localCount: localData.audiobooks.length,
+                remoteCount: remoteData.audiobooks.length,
+                fieldConflicts: conflicts
+            };
+        }
+
         // No conflict if timestamps are significantly different (>1 minute)
         const timeDiff = Math.abs(localTimestamp.getTime() - remoteTimestamp.getTime());
         if (timeDiff > 60000) { // 1 minute
@@ -338,13 +637,18 @@ export class SyncManager {
                 return await this.resolveConflict('keep-remote', localData, remoteData);
 
             case 'manual':
-            default:
+            default: {
+                // What "merge" would produce, so the UI can preview it book by book
+                const baseBooks = await this.localCache.getSyncBase();
+                const mergedData = this.mergeData(localData, remoteData, baseBooks);
+
                 // Emit conflict event for UI to handle
                 this.emit('conflictDetected', {
                     conflict,
                     localData,
                     remoteData,
-                    resolutionOptions: ['keep-local', 'keep-remote', 'merge']
+                    mergedData,
+                    resolutionOptions: ['keep-local', 'keep-remote', 'merge', 'custom']
                 });
 
                 // Return conflict info for manual resolution
@@ -353,41 +657,56 @@ export class SyncManager {
                     conflictInfo: conflict,
                     requiresManualResolution: true
                 };
+            }
         }
     }
 
     /**
      * Resolve a conflict with the specified strategy
-     * @param {string} resolution - Resolution strategy ('keep-local', 'keep-remote', 'merge')
+     * @param {string} resolution - Resolution strategy ('keep-local', 'keep-remote', 'merge', 'custom')
      * @param {Object} localData - Local data
      * @param {Object} remoteData - Remote data
+     * @param {Object} choices - For 'custom': the side chosen per book ID, see applyResolutionChoices
      * @returns {Promise<Object>} Resolution result
      */
-    async resolveConflict(resolution, localData, remoteData) {
+    async resolveConflict(resolution, localData, remoteData, choices = {}) {
         try {
             let resolvedData;
 
             switch (resolution) {
                 case 'keep-local':
-                    resolvedData = localData;
-                    await this.gistService.updateGist(this.gistManager.getGistId(), localData);
+                    // The user chose their version over the remote one they were shown
+                    resolvedData = await this.writeRemote(localData, { overwrite: true });
                     break;
 
                 case 'keep-remote':
                     resolvedData = remoteData;
                     await this.localCache.saveData(remoteData, { updateTimestamp: false });
+                    await this.recordRemoteRevision(this.storageProvider.lastRevision);
+                    break;
+
+                case 'merge': {
+                    const baseBooks = await this.localCache.getSyncBase();
+                    resolvedData = this.mergeData(localData, remoteData, baseBooks);
+                    await this.localCache.saveData(resolvedData);
+                    resolvedData = await this.writeRemote(resolvedData);
                     break;
+                }
 
-                case 'merge':
-                    resolvedData = this.mergeData(localData, remoteData);
+                case 'custom': {
+                    const baseBooks = await this.localCache.getSyncBase();
+                    resolvedData = this.applyResolutionChoices(localData, remoteData, choices, baseBooks);
                     await this.localCache.saveData(resolvedData);
-                    await this.gistService.updateGist(this.gistManager.getGistId(), resolvedData);
+                    resolvedData = await this.writeRemote(resolvedData);
                     break;
+                }
 
                 default:
                     throw new Error(`Unknown conflict resolution strategy: ${resolution}`);
             }
 
+            await this.localCache.saveSyncBase(resolvedData.audiobooks);
+
             return {
                 conflict: true,
                 resolved: true,
@@ -401,29 +720,106 @@ export class SyncManager {
         }
     }
 
+    /**
+     * Merge local and remote data, then apply the sides chosen for individual books
+     * Books without a choice keep their merged version. Each choice is
+     * { side, fields }: side ('local' or 'remote') is the version of the book to
+     * keep, and fields overrides single fields with 'local', 'remote' or 'merged'.
+     * Choosing the side that doesn't have a book deletes it on both.
+     * @param {Object} localData - Local data
+     * @param {Object} remoteData - Remote data
+     * @param {Object} choices - Choice per book ID
+     * @param {Object} baseBooks - Snapshot of each book from the last successful sync, keyed by ID
+     * @returns {Object} Resolved data
+     */
+    applyResolutionChoices(localData, remoteData, choices, baseBooks = null) {
+        const merged = this.mergeData(localData, remoteData, baseBooks);
+        const localBooks = new Map(localData.audiobooks.map(book => [book.id, book]));
+        const remoteBooks = new Map(remoteData.audiobooks.map(book => [book.id, book]));
+        const mergedBooks = new Map(merged.audiobooks.map(book => [book.id, book]));
+
+        const resolvedAt = new Date().toISOString();
+        const books = new Map(mergedBooks);
+        let tombstones = merged.metadata.tombstones;
+
+        Object.entries(choices || {}).forEach(([id, choice]) => {
+            const versions = {
+                local: localBooks.get(id),
+                remote: remoteBooks.get(id),
+                merged: mergedBooks.get(id)
+            };
+            const chosen = versions[choice?.side === 'remote' ? 'remote' : 'local'];
+
+            if (!chosen) {
+                books.delete(id);
+                tombstones = mergeTombstones(tombstones, [createTombstone(id, this.localCache.getDeviceId(), resolvedAt)]);
+                return;
+            }
+
+            const book = this.toPlainBook(chosen);
+            Object.entries(choice.fields || {}).forEach(([field, side]) => {
+                if (field !== 'id' && versions[side]) {
+                    book[field] = this.toPlainBook(versions[side])[field];
+                }
+            });
+
+            // The resolution is a new edit: it wins later merges and outlives older tombstones
+            book.lastModified = resolvedAt;
+            books.set(id, book);
+        });
+
+        return {
+            ...merged,
+            metadata: { ...merged.metadata, tombstones },
+            audiobooks: Array.from(books.values())
+        };
+    }
+
     /**
      * Merge local and remote data intelligently
      * @param {Object} localData - Local data
      * @param {Object} remoteData - Remote data
+     * @param {Object} baseBooks - Snapshot of each book from the last successful sync, keyed by ID
      * @returns {Object} Merged data
      */
-    mergeData(localData, remoteData) {
+    mergeData(localData, remoteData, baseBooks = null) {
+        return this.threeWayMerge(localData, remoteData, baseBooks).data;
+    }
+
+    /**
+     * Merge local and remote data book by book against their common ancestor
+     * @param {Object} localData - Local data
+     * @param {Object} remoteData - Remote data
+     * @param {Object} baseBooks - Snapshot of each book from the last successful sync, keyed by ID
+     * @returns {Object} Merged data and the fields that changed on both sides
+     */
+    threeWayMerge(localData, remoteData, baseBooks = null) {
         const localBooks = new Map(localData.audiobooks.map(book => [book.id, book]));
         const remoteBooks = new Map(remoteData.audiobooks.map(book => [book.id, book]));
+        // Tombstones garbage-collected on either device stay gone
+        const tombstonesPrunedBefore = getTombstoneCleanupTime(localData.metadata, remoteData.metadata);
+        const tombstones = pruneTombstones(
+            mergeTombstones(localData.metadata?.tombstones, remoteData.metadata?.tombstones),
+            tombstonesPrunedBefore
+        );
 
         const mergedBooks = [];
+        const conflicts = [];
         const allIds = new Set([...localBooks.keys(), ...remoteBooks.keys()]);
 
         for (const id of allIds) {
             const localBook = localBooks.get(id);
             const remoteBook = remoteBooks.get(id);
 
-            if (localBook && remoteBook) {
-                // Both exist - use the one with later modification time
-                const localModified = new Date(localBook.lastModified || localBook.dateAdded);
-                const remoteModified = new Date(remoteBook.lastModified || remoteBook.dateAdded);
+            // Deleted on either side after the last edit - keep it deleted
+            if ([localBook, remoteBook].some(book => book && isDeletedByTombstone(book, tombstones))) {
+                continue;
+            }
 
-                mergedBooks.push(localModified >= remoteModified ? localBook : remoteBook);
+            if (localBook && remoteBook) {
+                const result = this.mergeBook(baseBooks?.[id] || null, localBook, remoteBook);
+                mergedBooks.push(result.book);
+                conflicts.push(...result.conflicts);
             } else {
                 // Only one exists - include it
                 mergedBooks.push(localBook || remoteBook);
@@ -431,25 +827,181 @@ export class SyncManager {
         }
 
         return {
-            metadata: {
-                version: '1.0',
-                lastModified: new Date().toISOString(),
-                deviceId: this.localCache.getDeviceId(),
-                appVersion: '1.0.0',
-                syncStatus: 'synced'
+            data: {
+                metadata: {
+                    version: '1.0',
+                    lastModified: new Date().toISOString(),
+                    deviceId: this.localCache.getDeviceId(),
+                    appVersion: '1.0.0',
+                    syncStatus: 'synced',
+                    tombstones,
+                    tombstonesPrunedBefore
+                },
+                audiobooks: mergedBooks,
+                smartCollections: mergeSmartCollections(localData.smartCollections, remoteData.smartCollections, tombstones),
+                lists: mergeLists(localData.lists, remoteData.lists, tombstones)
             },
-            audiobooks: mergedBooks
+            conflicts
         };
     }
 
+    /**
+     * Merge two versions of a book field by field
+     * Without a common ancestor the book with the later modification time wins.
+     * @param {Object|null} baseBook - Book as of the last successful sync
+     * @param {Object} localBook - Local version of the book
+     * @param {Object} remoteBook - Remote version of the book
+     * @returns {Object} Merged book and the fields that changed on both sides
+     */
+    mergeBook(baseBook, localBook, remoteBook) {
+        const local = this.toPlainBook(localBook);
+        const remote = this.toPlainBook(remoteBook);
+
+        const localModified = new Date(local.lastModified || local.dateAdded || 0);
+        const remoteModified = new Date(remote.lastModified || remote.dateAdded || 0);
+        const localIsNewer = localModified >= remoteModified;
+
+        if (!baseBook) {
+            return { book: localIsNewer ? localBook : remoteBook, conflicts: [] };
+        }
+
+        const base = this.toPlainBook(baseBook);
+        const merged = { id: local.id };
+        const conflicts = [];
+        const fields = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)]);
+
+        for (const field of fields) {
+            if (field === 'id' || field === 'lastModified' || field === 'dateAdded') {
+                continue;
+            }
+
+            const baseValue = base[field];
+            const localValue = local[field];
+            const remoteValue = remote[field];
+
+            if (Array.isArray(localValue) || Array.isArray(remoteValue)) {
+                merged[field] = this.mergeArrayField(baseValue, localValue, remoteValue);
+            } else if (this.fieldValuesEqual(localValue, remoteValue) || this.fieldValuesEqual(remoteValue, baseValue)) {
+                merged[field] = localValue;
+            } else if (this.fieldValuesEqual(localValue, baseValue)) {
+                merged[field] = remoteValue;
+            } else {
+                // Same field changed on both sides
+                merged[field] = localIsNewer ? localValue : remoteValue;
+                conflicts.push({
+                    id: local.id,
+                    title: local.title || remote.title,
+                    field,
+                    base: baseValue,
+                    local: localValue,
+                    remote: remoteValue
+                });
+            }
+        }
+
+        merged.dateAdded = local.dateAdded || remote.dateAdded || base.dateAdded || null;
+        merged.lastModified = (localIsNewer ? local.lastModified : remote.lastModified) ||
+            local.lastModified || remote.lastModified || null;
+
+        return { book: merged, conflicts };
+    }
+
+    /**
+     * Merge an array field as a set: additions and removals from both sides are applied
+     * @param {Array} baseValue - Values as of the last successful sync
+     * @param {Array} localValue - Local values
+     * @param {Array} remoteValue - Remote values
+     * @returns {Array} Merged values, local order first
+     */
+    mergeArrayField(baseValue, localValue, remoteValue) {
+        const base = new Set(Array.isArray(baseValue) ? baseValue : []);
+        const local = Array.isArray(localValue) ? localValue : [];
+        const remote = Array.isArray(remoteValue) ? remoteValue : [];
+
+        const removedLocally = [...base].filter(value => !local.includes(value));
+        const removedRemotely = [...base].filter(value => !remote.includes(value));
+        const removed = new Set([...removedLocally, ...removedRemotely]);
+
+        return [...new Set([...local, ...remote])].filter(value => !removed.has(value));
+    }
+
+    /**
+     * Check whether a collection has changed since the last successful sync
+     * @param {Array} audiobooks - Current audiobooks
+     * @param {Object} baseBooks - Snapshot of each book from the last successful sync, keyed by ID
+     * @returns {boolean} True if any book was added, removed or edited
+     */
+    hasChangedSinceBase(audiobooks, baseBooks) {
+        const baseIds = Object.keys(baseBooks || {});
+        if (audiobooks.length !== baseIds.length) {
+            return true;
+        }
+
+        return audiobooks.some(book => {
+            const baseBook = baseBooks[book.id];
+            if (!baseBook) {
+                return true;
+            }
+
+            const current = this.toPlainBook(book);
+            const fields = new Set([...Object.keys(baseBook), ...Object.keys(current)]);
+            return [...fields].some(field =>
+                field !== 'lastModified' && !this.fieldValuesEqual(current[field], baseBook[field])
+            );
+        });
+    }
+
+    /**
+     * Compare two field values, treating arrays as unordered sets
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} True if the values are equal
+     * @private
+     */
+    fieldValuesEqual(a, b) {
+        if (Array.isArray(a) || Array.isArray(b)) {
+            const setA = new Set(Array.isArray(a) ? a : []);
+            const setB = new Set(Array.isArray(b) ? b : []);
+            return setA.size === setB.size && [...setA].every(value => setB.has(value));
+        }
+
+        const normalize = value => (value === undefined || value === '' ? null : value);
+        return normalize(a) === normalize(b);
+    }
+
+    /**
+     * Convert an Audiobook instance or plain object to a plain object
+     * @param {Object} book - Audiobook instance or plain object
+     * @returns {Object} Plain book object
+     * @private
+     */
+    toPlainBook(book) {
+        return typeof book.toJSON === 'function' ? book.toJSON() : { ...book };
+    }
+
+    /**
+     * Compare two arrays of smart collections or manual lists
+     * @param {Array} a - First array
+     * @param {Array} b - Second array
+     * @returns {boolean} True if both hold the same items in the same state
+     * @private
+     */
+    itemsEqual(a, b) {
+        const normalize = list => JSON.stringify(
+            (Array.isArray(list) ? list : []).slice().sort((x, y) => String(x.id).localeCompare(String(y.id)))
+        );
+        return normalize(a) === normalize(b);
+    }
+
     /**
      * Perform sync based on data comparison
      * @param {Object} localData - Local data
      * @param {Object} remoteData - Remote data
      * @param {boolean} force - Force sync regardless of timestamps
+     * @param {Object} baseBooks - Snapshot of each book from the last successful sync, keyed by ID
      * @returns {Promise<Object>} Sync result
      */
-    async performSync(localData, remoteData, force = false) {
+    async performSync(localData, remoteData, force = false, baseBooks = null) {
         if (!localData && !remoteData) {
             return { direction: 'none', success: true, message: 'No data to sync' };
         }
@@ -467,9 +1019,30 @@ export class SyncManager {
             return await this.syncToCloud();
         }
 
-        // Compare timestamps to determine sync direction
-        const localTimestamp = new Date(localData.metadata.lastModified);
-        const remoteTimestamp = new Date(remoteData.metadata.lastModified);
+        // Both sides edited since the last sync - merge instead of overwriting either
+        if (this.hasSyncBase(baseBooks) &&
+            this.hasChangedSinceBase(localData.audiobooks, baseBooks) &&
+            this.hasChangedSinceBase(remoteData.audiobooks, baseBooks)) {
+            return await this.syncMerged(localData, remoteData, baseBooks);
+        }
+
+        // Smart collections and lists carry their own edit times, so differing ones are
+        // merged rather than replaced by whichever side was saved last
+        if (!this.itemsEqual(localData.smartCollections, remoteData.smartCollections) ||
+            !this.itemsEqual(localData.lists, remoteData.lists)) {
+            return await this.syncMerged(localData, remoteData, baseBooks);
+        }
+
+        // A tombstone cleanup on either side doesn't change the modification time, so
+        // merge to drop the collected tombstones from both copies
+        if (getTombstoneCleanupTime(localData.metadata) !== getTombstoneCleanupTime(remoteData.metadata)) {
+            return await this.syncMerged(localData, remoteData, baseBooks);
+        }
+
+        // Compare timestamps to determine sync direction; a document without metadata
+        // counts as never modified
+        const localTimestamp = new Date(localData.metadata?.lastModified || 0);
+        const remoteTimestamp = new Date(remoteData.metadata?.lastModified || 0);
 
         if (localTimestamp > remoteTimestamp) {
             return await this.syncToCloud();
@@ -486,6 +1059,118 @@ export class SyncManager {
         }
     }
 
+    /**
+     * Merge diverged local and remote data and write the result to both sides
+     * @param {Object} localData - Local data
+     * @param {Object} remoteData - Remote data
+     * @param {Object} baseBooks - Snapshot of each book from the last successful sync, keyed by ID
+     * @returns {Promise<Object>} Sync result
+     */
+    async syncMerged(localData, remoteData, baseBooks) {
+        const mergedData = this.mergeData(localData, remoteData, baseBooks);
+
+        await this.localCache.saveData(mergedData);
+        const writtenData = await this.writeRemote(mergedData);
+        await this.localCache.saveSyncBase(writtenData.audiobooks);
+
+        return {
+            direction: 'merge',
+            success: true,
+            timestamp: new Date().toISOString(),
+            audiobookCount: writtenData.audiobooks.length
+        };
+    }
+
+    /**
+     * Write data to remote storage unless another device wrote since this one last synced
+     * The current remote revision is compared with the one recorded at the last pull or
+     * push. If it moved on, the remote copy is pulled and merged into the data and the
+     * write is retried, so edits made elsewhere are never silently overwritten.
+     * @param {Object} data - Data to write
+     * @param {Object} options - Write options
+     * @param {boolean} options.overwrite - Skip the revision check (explicit "keep local")
+     * @returns {Promise<Object>} The data that was written, including merged remote changes
+     */
+    async writeRemote(data, options = {}) {
+        const { overwrite = false } = options;
+        let pendingData = data;
+
+        for (let attempt = 1; ; attempt++) {
+            const expectedRevision = overwrite ? null : await this.getLastSyncedRevision();
+
+            try {
+                if (expectedRevision) {
+                    const currentRevision = await this.storageProvider.getRevision();
+                    if (currentRevision && currentRevision !== expectedRevision) {
+                        throw createRemoteChangedError(expectedRevision, currentRevision);
+                    }
+                }
+
+                await this.storageProvider.write(pendingData, { expectedRevision });
+                await this.recordRemoteRevision(this.storageProvider.lastRevision);
+                return pendingData;
+
+            } catch (error) {
+                if (error.code !== 'REMOTE_CHANGED' || attempt >= this.maxWriteAttempts) {
+                    throw error;
+                }
+            }
+
+            // Another device wrote in the meantime - pull its changes, merge and retry
+            const [remoteData, baseBooks] = await Promise.all([
+                this.storageProvider.read(),
+                this.localCache.getSyncBase()
+            ]);
+
+            pendingData = this.mergeData(pendingData, remoteData, baseBooks);
+            await this.localCache.saveData(pendingData);
+            await this.recordRemoteRevision(this.storageProvider.lastRevision);
+
+            this.emit('remoteChangesMerged', {
+                attempt,
+                audiobookCount: pendingData.audiobooks.length
+            });
+        }
+    }
+
+    /**
+     * Get the remote revision recorded at the last pull or push to the current location
+     * @returns {Promise<string|null>} Revision, or null when unknown
+     */
+    async getLastSyncedRevision() {
+        const metadata = await this.localCache.getSyncMetadata();
+        const recorded = metadata?.remoteRevision;
+
+        if (!recorded || recorded.location !== this.storageProvider.getLocation()) {
+            return null;
+        }
+
+        return recorded.revision || null;
+    }
+
+    /**
+     * Remember which remote revision local data was last synced with
+     * @param {string|null} revision - Remote revision (null clears it)
+     * @returns {Promise<void>}
+     */
+    async recordRemoteRevision(revision) {
+        await this.localCache.updateSyncMetadata({
+            remoteRevision: revision
+                ? { location: this.storageProvider.getLocation(), revision }
+                : null
+        });
+    }
+
+    /**
+     * Check whether a usable snapshot from the last sync exists
+     * @param {Object} baseBooks - Snapshot of each book from the last successful sync, keyed by ID
+     * @returns {boolean} True if the snapshot has any books
+     * @private
+     */
+    hasSyncBase(baseBooks) {
+        return !!baseBooks && Object.keys(baseBooks).length > 0;
+    }
+
     /**
      * Start automatic sync scheduling
      * @param {number} interval - Sync interval in milliseconds (optional)
@@ -499,7 +1184,7 @@ export class SyncManager {
 
         this.autoSyncTimer = setInterval(async () => {
             try {
-                if (!this.isSyncing && this.isOnline) {
+                if (!this.isSyncing && this.isOnline && this.tabCoordinator.isLeader) {
                     await this.sync();
                 }
             } catch (error) {
@@ -538,7 +1223,7 @@ export class SyncManager {
 
         // Process offline queue every 10 seconds when online
         this.offlineProcessingTimer = setInterval(async () => {
-            if (this.isOnline && !this.isSyncing) {
+            if (this.isOnline && !this.isSyncing && this.tabCoordinator.isLeader) {
                 await this.processOfflineQueue();
             }
         }, 10000);
@@ -557,38 +1242,26 @@ export class SyncManager {
 
     /**
      * Process queued offline operations
+     * Queued book edits are replayed first, together and in the order they were made.
      * @returns {Promise<Object>} Processing results
      */
     async processOfflineQueue() {
         try {
-            const results = await this.offlineQueue.processQueue(async (operation) => {
-                switch (operation.type) {
-                    case 'sync':
-                        await this.sync({
-                            force: operation.data.force,
-                            skipOfflineCheck: true
-                        });
-                        break;
-
-                    case 'push':
-                        await this.syncToCloud();
-                        break;
-
-                    case 'pull':
-                        await this.syncFromCloud();
-                        break;
-
-                    case 'add':
-                    case 'update':
-                    case 'delete':
-                        // These operations should trigger a sync
-                        await this.sync({ skipOfflineCheck: true });
-                        break;
-
-                    default:
-                        console.warn(`Unknown operation type in queue: ${operation.type}`);
-                }
-            });
+            const editResults = await this.offlineQueue.processBatch(
+                operation => this.isEditOperation(operation),
+                operations => this.replayEdits(operations)
+            );
+
+            const queueResults = await this.offlineQueue.processQueue(
+                operation => this.processQueuedOperation(operation)
+            );
+
+            const results = {
+                processed: editResults.processed + queueResults.processed,
+                succeeded: editResults.succeeded + queueResults.succeeded,
+                failed: editResults.failed + queueResults.failed,
+                errors: [...editResults.errors, ...queueResults.errors]
+            };
 
             if (results.processed > 0) {
                 this.emit('offlineQueueProcessed', results);
@@ -608,6 +1281,197 @@ export class SyncManager {
         }
     }
 
+    /**
+     * Carry out a single queued operation
+     * @param {Object} operation - Queued operation
+     * @returns {Promise<void>}
+     * @private
+     */
+    async processQueuedOperation(operation) {
+        switch (operation.type) {
+            case 'sync':
+                await this.sync({
+                    force: operation.data.force,
+                    skipOfflineCheck: true
+                });
+                break;
+
+            case 'push':
+                await this.syncToCloud();
+                break;
+
+            case 'pull':
+                await this.syncFromCloud();
+                break;
+
+            case 'add':
+            case 'update':
+            case 'delete':
+                await this.replayEdits([operation]);
+                break;
+
+            default:
+                console.warn(`Unknown operation type in queue: ${operation.type}`);
+        }
+    }
+
+    /**
+     * Check whether a queued operation is a book edit that carries its change
+     * @param {Object} operation - Queued operation
+     * @returns {boolean} True for add, update and delete operations with a book ID
+     * @private
+     */
+    isEditOperation(operation) {
+        return ['add', 'update', 'delete'].includes(operation.type) && !!operation.data?.bookId;
+    }
+
+    /**
+     * Replay book edits made offline against the latest remote copy
+     * Only the fields each edit changed are applied, so changes made on other devices
+     * in the meantime survive. The rest of the local library is then merged as usual.
+     * @param {Array} operations - Queued edit operations, oldest first
+     * @returns {Promise<Object>} Replay result
+     */
+    async replayEdits(operations) {
+        this.storageProvider.assertConfigured();
+
+        const [localData, remoteData, baseBooks] = await Promise.all([
+            this.localCache.loadData(),
+            this.storageProvider.read(),
+            this.localCache.getSyncBase()
+        ]);
+
+        const replayedData = this.applyEdits(remoteData, operations);
+        const replayedBooks = new Map(replayedData.audiobooks.map(book => [book.id, book]));
+        const editedIds = new Set(operations.map(operation => operation.data.bookId));
+
+        // The replay already holds the local changes to the edited books, so settle
+        // them on their replayed version before merging everything else
+        const base = { ...(baseBooks || {}) };
+        editedIds.forEach(id => {
+            if (replayedBooks.has(id)) {
+                base[id] = replayedBooks.get(id);
+            } else {
+                delete base[id];
+            }
+        });
+
+        const local = localData || replayedData;
+        const settledLocal = {
+            ...local,
+            audiobooks: [
+                ...(local.audiobooks || []).filter(book => !editedIds.has(book.id)),
+                ...[...editedIds].filter(id => replayedBooks.has(id)).map(id => replayedBooks.get(id))
+            ]
+        };
+
+        const mergedData = this.mergeData(settledLocal, replayedData, base);
+
+        await this.localCache.saveData(mergedData);
+        const writtenData = await this.writeRemote(mergedData);
+        await this.localCache.saveSyncBase(writtenData.audiobooks);
+
+        const result = {
+            success: true,
+            replayed: operations.length,
+            audiobookCount: writtenData.audiobooks.length
+        };
+
+        this.emit('offlineEditsReplayed', result);
+        return result;
+    }
+
+    /**
+     * Apply queued book edits to a copy of the given data, in the order they were made
+     * Their place in the queue does not matter, so an older edit never overwrites a newer one.
+     * @param {Object} data - Data to apply the edits to
+     * @param {Array} operations - Queued edit operations
+     * @returns {Object} Data with the edits applied
+     */
+    applyEdits(data, operations) {
+        const books = new Map((data.audiobooks || []).map(book => [book.id, this.toPlainBook(book)]));
+        let tombstones = data.metadata?.tombstones || [];
+        let lists = data.lists || [];
+
+        const editTime = operation => new Date(operation.data.editedAt || operation.timestamp).getTime();
+        const orderedOperations = [...operations].sort((a, b) => editTime(a) - editTime(b));
+
+        for (const operation of orderedOperations) {
+            const { bookId, book, changes } = operation.data;
+            const editedAt = operation.data.editedAt || operation.timestamp;
+            const current = books.get(bookId);
+
+            // Deleted elsewhere after this edit was made - the deletion wins
+            const deletedLater = tombstones.some(tombstone =>
+                tombstone.id === bookId && new Date(tombstone.deletedAt) >= new Date(editedAt)
+            );
+
+            switch (operation.type) {
+                case 'add':
+                    if (deletedLater) break;
+                    books.set(bookId, current ? this.toPlainBook(this.mergeBook(null, book, current).book) : { ...book });
+                    tombstones = tombstones.filter(tombstone => tombstone.id !== bookId);
+                    break;
+
+                case 'update':
+                    if (deletedLater) break;
+                    books.set(bookId, current ? this.applyFieldChanges(current, changes, editedAt) : { ...book });
+                    break;
+
+                case 'delete':
+                    tombstones = mergeTombstones(tombstones, [
+                        createTombstone(bookId, operation.data.deviceId || this.localCache.getDeviceId(), editedAt)
+                    ]);
+
+                    if (current && isDeletedByTombstone(current, tombstones)) {
+                        books.delete(bookId);
+                        lists = lists.map(list => (
+                            (list.bookIds || []).includes(bookId)
+                                ? { ...list, bookIds: list.bookIds.filter(id => id !== bookId) }
+                                : list
+                        ));
+                    }
+                    break;
+            }
+        }
+
+        return {
+            ...data,
+            metadata: { ...data.metadata, tombstones },
+            audiobooks: [...books.values()],
+            lists
+        };
+    }
+
+    /**
+     * Apply the fields changed by one edit to the current version of a book
+     * Array fields apply the edit's additions and removals. Other fields take the
+     * edited value unless the book changed that field again after the edit.
+     * @param {Object} book - Current version of the book
+     * @param {Object} changes - Changed fields, each with its value before and after the edit
+     * @param {string} editedAt - When the edit was made
+     * @returns {Object} Updated book
+     * @private
+     */
+    applyFieldChanges(book, changes, editedAt) {
+        const changedLater = new Date(book.lastModified || book.dateAdded || 0) > new Date(editedAt);
+        const updated = { ...book };
+
+        Object.entries(changes || {}).forEach(([field, change]) => {
+            if (Array.isArray(change.before) || Array.isArray(change.after)) {
+                updated[field] = this.mergeArrayField(change.before, change.after, book[field]);
+            } else if (!changedLater || this.fieldValuesEqual(book[field], change.before)) {
+                updated[field] = change.after;
+            }
+        });
+
+        if (!changedLater) {
+            updated.lastModified = editedAt;
+        }
+
+        return updated;
+    }
+
     /**
      * Queue an operation for offline processing
      * @param {string} operationType - Type of operation
@@ -626,6 +1490,26 @@ export class SyncManager {
         this.emit('operationQueued', { operation, queueSize: await this.offlineQueue.size() });
     }
 
+    /**
+     * Queue a book edit made while offline so it can be replayed once back online
+     * Edits made online, or with no sync location set up, are left to the regular sync.
+     * @param {string} operationType - 'add', 'update' or 'delete'
+     * @param {Object} edit - The change
+     * @param {string} edit.bookId - ID of the edited book
+     * @param {string} edit.editedAt - When the edit was made
+     * @param {Object} edit.book - The book after an add or update, or before a delete
+     * @param {Object} edit.changes - Changed fields of an update, each with its before and after value
+     * @returns {Promise<boolean>} True if the edit was queued
+     */
+    async queueEdit(operationType, edit) {
+        if (this.isOnline || !this.storageProvider.isConfigured()) {
+            return false;
+        }
+
+        await this.queueOperation(operationType, edit);
+        return true;
+    }
+
     /**
      * Get offline queue status
      * @returns {Promise<Object>} Queue status
@@ -645,6 +1529,87 @@ export class SyncManager {
         };
     }
 
+    /**
+     * Get the queued operations with when each may next be retried
+     * @returns {Promise<Array>} Queued operations in the order they will be processed
+     */
+    async getOfflineQueueOperations() {
+        const queue = await this.offlineQueue.getQueue();
+
+        return queue.map(operation => ({
+            ...operation,
+            retryCount: operation.retryCount || 0,
+            maxRetries: this.offlineQueue.getMaxRetriesForOperation(operation.type),
+            nextRetryAt: this.offlineQueue.getNextRetryTime(operation)?.toISOString() || null
+        }));
+    }
+
+    /**
+     * Process one queued operation now, without waiting for its retry delay
+     * A book edit is replayed together with the earlier queued edits to the same book,
+     * so it never lands without the changes it was made on top of.
+     * @param {string} operationId - ID of the operation
+     * @returns {Promise<Object>} Processing results
+     */
+    async retryQueuedOperation(operationId) {
+        if (!this.isOnline) {
+            throw new Error('Cannot retry queued operations while offline. Please check your internet connection.');
+        }
+
+        const queue = await this.offlineQueue.getQueue();
+        const target = queue.find(operation => operation.id === operationId);
+        const retryIds = new Set([operationId]);
+
+        if (target && this.isEditOperation(target)) {
+            const editTime = operation => new Date(operation.data.editedAt || operation.timestamp).getTime();
+            queue
+                .filter(operation => this.isEditOperation(operation) &&
+                    operation.data.bookId === target.data.bookId &&
+                    editTime(operation) <= editTime(target))
+                .forEach(operation => retryIds.add(operation.id));
+        }
+
+        for (const id of retryIds) {
+            await this.offlineQueue.clearRetryDelay(id);
+        }
+
+        const results = await this.offlineQueue.processBatch(
+            operation => retryIds.has(operation.id),
+            operations => target && this.isEditOperation(target)
+                ? this.replayEdits(operations)
+                : this.processQueuedOperation(operations[0])
+        );
+
+        if (results.processed > 0) {
+            this.emit('offlineQueueProcessed', results);
+        }
+
+        return results;
+    }
+
+    /**
+     * Remove one operation from the offline queue without processing it
+     * @param {string} operationId - ID of the operation
+     * @returns {Promise<boolean>} True if the operation was removed
+     */
+    async dropQueuedOperation(operationId) {
+        const removed = await this.offlineQueue.removeOperation(operationId);
+
+        if (removed) {
+            this.emit('offlineQueueChanged', { operationId, action: 'dropped' });
+        }
+
+        return removed;
+    }
+
+    /**
+     * Export the offline queue as JSON for debugging
+     * @returns {Promise<string>} JSON string with the queued operations
+     */
+    async exportOfflineQueue() {
+        return await this.offlineQueue.exportQueue();
+    }
+
     /**
      * Clear the offline queue
      * @returns {Promise<void>}
@@ -672,7 +1637,7 @@ export class SyncManager {
             syncStatus: metadata.syncStatus,
             conflictResolution: metadata.conflictResolution,
             deviceId: cacheStats.deviceId,
-            hasGistId: !!this.gistManager.getGistId(),
+            hasGistId: this.storageProvider.isConfigured(),
             isOnline: this.isOnline,
             cacheStats,
             offlineQueue: queueStatus,
@@ -753,8 +1718,8 @@ export class SyncManager {
         this.isOnline = true;
         this.emit('networkStatusChanged', { online: true });
 
-        // Process offline queue when coming back online
-        if (this.isInitialized && !this.isSyncing) {
+        // Process offline queue when coming back online - the leading tab does it for all
+        if (this.isInitialized && !this.isSyncing && this.tabCoordinator.isLeader) {
             setTimeout(async () => {
                 try {
                     // First process any queued operations
@@ -791,7 +1756,8 @@ export class SyncManager {
      */
     handleVisibilityChange() {
         if (typeof document !== 'undefined' && typeof navigator !== 'undefined' &&
-            !document.hidden && this.isInitialized && !this.isSyncing && navigator.onLine) {
+            !document.hidden && this.isInitialized && !this.isSyncing && navigator.onLine &&
+            this.tabCoordinator.isLeader) {
             // Sync when tab becomes visible
             setTimeout(() => {
                 this.sync().catch(error => {
@@ -816,7 +1782,13 @@ export class SyncManager {
                 // Include key fields for comparison, exclude timestamps
                 rating: book.rating,
                 genres: book.genres,
-                moods: book.moods
+                moods: book.moods,
+                status: book.status,
+                position: book.position,
+                startDate: book.startDate,
+                finishDate: book.finishDate,
+                series: book.series,
+                seriesPosition: book.seriesPosition
             }))
             .sort((a, b) => a.id.localeCompare(b.id));
     }
@@ -894,6 +1866,7 @@ export class SyncManager {
      */
     async reinitialize() {
         this.stopAutoSync();
+        this.storageProvider = this.createStorageProvider();
         await this.initialize();
     }
 
@@ -925,6 +1898,12 @@ export class SyncManager {
     destroy() {
         this.stopAutoSync();
 
+        // Hand background syncing over to another tab
+        this.tabCoordinator.off('syncRequested', this.handleSyncRequest);
+        this.tabCoordinator.off('leadershipChanged', this.handleLeadershipChange);
+        this.tabCoordinator.off('storageChanged', this.handleTabStorageChange);
+        this.tabCoordinator.stop();
+
         // Remove event listeners
         if (typeof window !== 'undefined') {
             window.removeEventListener('online', this.handleOnline);
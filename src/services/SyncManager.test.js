@@ -5,6 +5,8 @@ import { LocalCacheService } from './LocalCacheService.js';
 import GistManager from './GistManager.js';
 import { OfflineQueueService } from './OfflineQueueService.js';
 import { NetworkErrorHandler } from './NetworkErrorHandler.js';
+import { TabCoordinator } from './TabCoordinator.js';
+import { DataManagementService } from './DataManagementService.js';
 
 // Mock the dependencies
 vi.mock('./GitHubGistService.js');
@@ -12,6 +14,7 @@ vi.mock('./LocalCacheService.js');
 vi.mock('./GistManager.js');
 vi.mock('./OfflineQueueService.js');
 vi.mock('./NetworkErrorHandler.js');
+vi.mock('./TabCoordinator.js');
 
 // Mock browser APIs
 const mockWindow = {
@@ -50,6 +53,7 @@ describe('SyncManager', () => {
     let mockGistService;
     let mockLocalCache;
     let mockGistManager;
+    let mockTabCoordinator;
 
     const mockLocalData = {
         metadata: {
@@ -110,7 +114,9 @@ describe('SyncManager', () => {
             getSyncMetadata: vi.fn(),
             setLastSyncTime: vi.fn(),
             getDeviceId: vi.fn().mockReturnValue('device-123'),
-            getCacheStats: vi.fn()
+            getCacheStats: vi.fn(),
+            getSyncBase: vi.fn().mockResolvedValue({}),
+            saveSyncBase: vi.fn()
         };
 
         mockGistManager = {
@@ -122,6 +128,7 @@ describe('SyncManager', () => {
             enqueue: vi.fn(),
             dequeue: vi.fn(),
             processQueue: vi.fn().mockResolvedValue({ processed: 0, succeeded: 0, failed: 0, errors: [] }),
+            processBatch: vi.fn().mockResolvedValue({ processed: 0, succeeded: 0, failed: 0, errors: [] }),
             getStats: vi.fn().mockResolvedValue({ totalOperations: 0, operationTypes: {}, oldestOperation: null, newestOperation: null, failedOperations: 0 }),
             size: vi.fn().mockResolvedValue(0),
             isEmpty: vi.fn().mockResolvedValue(true),
@@ -143,12 +150,23 @@ describe('SyncManager', () => {
             clearRetryTracking: vi.fn()
         };
 
+        // Mock TabCoordinator - this tab leads unless a test says otherwise
+        mockTabCoordinator = {
+            isLeader: true,
+            start: vi.fn(),
+            stop: vi.fn(),
+            broadcast: vi.fn(),
+            on: vi.fn(),
+            off: vi.fn()
+        };
+
         // Mock constructors
         GitHubGistService.mockImplementation(() => mockGistService);
         LocalCacheService.mockImplementation(() => mockLocalCache);
         GistManager.mockImplementation(() => mockGistManager);
         OfflineQueueService.mockImplementation(() => mockOfflineQueue);
         NetworkErrorHandler.mockImplementation(() => mockNetworkErrorHandler);
+        TabCoordinator.mockImplementation(() => mockTabCoordinator);
 
         // Mock navigator.onLine
         Object.defineProperty(navigator, 'onLine', {
@@ -243,6 +261,19 @@ describe('SyncManager', () => {
             expect(mockLocalCache.saveData).toHaveBeenCalledWith(mockRemoteData, { updateTimestamp: false });
         });
 
+        it('should push to a remote document without metadata', async () => {
+            mockGistService.gistExists.mockResolvedValue(true);
+            mockLocalCache.loadData.mockResolvedValue(mockLocalData);
+            mockGistService.readGist.mockResolvedValue({ audiobooks: [] });
+            mockGistService.updateGist.mockResolvedValue();
+            mockLocalCache.setLastSyncTime.mockResolvedValue();
+
+            const result = await syncManager.sync();
+
+            expect(result.direction).toBe('push');
+            expect(mockGistService.updateGist).toHaveBeenCalledWith('test-gist-id', mockLocalData);
+        });
+
         it('should handle sync when no gist ID is configured', async () => {
             mockGistManager.getGistId.mockReturnValue(null);
 
@@ -275,6 +306,10 @@ describe('SyncManager', () => {
             await syncManager.initialize();
         });
 
+        it('should not treat a remote document without metadata as a conflict', () => {
+            expect(syncManager.detectConflict(mockLocalData, { audiobooks: [] })).toBeNull();
+        });
+
         it('should detect no conflict when same device', () => {
             const localData = { ...mockLocalData };
             const remoteData = { ...mockRemoteData, metadata: { ...mockRemoteData.metadata, deviceId: 'device-123' } };
@@ -362,6 +397,57 @@ describe('SyncManager', () => {
             expect(mockGistService.updateGist).toHaveBeenCalled();
         });
 
+        it('should resolve conflict with a side chosen per book and field', async () => {
+            mockLocalCache.saveData.mockResolvedValue();
+            mockGistService.updateGist.mockResolvedValue();
+            mockLocalCache.getSyncBase.mockResolvedValue({
+                both: { id: 'both', title: 'Base title', rating: 4, genres: [], lastModified: '2024-01-01T00:00:00Z' }
+            });
+
+            const local = {
+                metadata: { lastModified: '2024-01-02T00:00:00Z', deviceId: 'device-123', tombstones: [] },
+                audiobooks: [
+                    { id: 'both', title: 'Local title', rating: 5, genres: ['fantasy'], lastModified: '2024-01-02T00:00:00Z' },
+                    { id: 'local-only', title: 'Only here', lastModified: '2024-01-01T00:00:00Z' }
+                ]
+            };
+            const remote = {
+                metadata: { lastModified: '2024-01-02T00:00:10Z', deviceId: 'device-456', tombstones: [] },
+                audiobooks: [
+                    { id: 'both', title: 'Remote title', rating: 3, genres: ['sci-fi'], lastModified: '2024-01-02T00:00:10Z' },
+                    { id: 'remote-only', title: 'Only there', lastModified: '2024-01-01T00:00:00Z' }
+                ]
+            };
+
+            const result = await syncManager.resolveConflict('custom', local, remote, {
+                both: { side: 'local', fields: { rating: 'remote', genres: 'merged' } },
+                'remote-only': { side: 'local' }
+            });
+
+            expect(result.resolution).toBe('custom');
+            const saved = mockLocalCache.saveData.mock.calls[0][0];
+            const books = new Map(saved.audiobooks.map(book => [book.id, book]));
+
+            expect(books.get('both')).toMatchObject({ title: 'Local title', rating: 3, genres: ['fantasy', 'sci-fi'] });
+            expect(new Date(books.get('both').lastModified) > new Date('2024-01-02T00:00:10Z')).toBe(true);
+            expect(books.has('local-only')).toBe(true);
+            expect(books.has('remote-only')).toBe(false);
+            expect(saved.metadata.tombstones.map(tombstone => tombstone.id)).toEqual(['remote-only']);
+            expect(mockGistService.updateGist).toHaveBeenCalledWith('test-gist-id', saved);
+        });
+
+        it('should include the merge preview when asking the user to resolve a conflict', async () => {
+            mockLocalCache.getSyncMetadata.mockResolvedValue({ conflictResolution: 'manual' });
+            const listener = vi.fn();
+            syncManager.on('conflictDetected', listener);
+
+            const result = await syncManager.handleConflict(mockLocalData, mockRemoteData, { type: 'concurrent_modification' });
+
+            expect(result.requiresManualResolution).toBe(true);
+            expect(listener.mock.calls[0][0].mergedData.audiobooks).toBeDefined();
+            expect(listener.mock.calls[0][0].resolutionOptions).toContain('custom');
+        });
+
         it('should handle unknown resolution strategy', async () => {
             await expect(syncManager.resolveConflict('unknown', mockLocalData, mockRemoteData))
                 .rejects.toThrow('Unknown conflict resolution strategy: unknown');
@@ -429,6 +515,786 @@ describe('SyncManager', () => {
             const book1 = merged.audiobooks.find(b => b.id === '1');
             expect(book1.title).toBe('Book 1'); // Local is newer
         });
+
+    });
+
+    describe('secret gist migration', () => {
+        beforeEach(async () => {
+            mockLocalCache.updateSyncMetadata.mockResolvedValue();
+            mockGistService.createGist = vi.fn().mockResolvedValue('secret-gist-id');
+            mockGistService.deleteGist = vi.fn().mockResolvedValue();
+            mockGistManager.saveGistId = vi.fn();
+            await syncManager.initialize();
+        });
+
+        it('should copy merged data into a new secret gist and switch to it', async () => {
+            mockLocalCache.loadData.mockResolvedValue(mockLocalData);
+            mockGistService.readGist.mockResolvedValue({ ...mockRemoteData, version: '1.0' });
+
+            const result = await syncManager.migrateToSecretGist();
+
+            const [gistData, , options] = mockGistService.createGist.mock.calls[0];
+            expect(options).toEqual({ isPublic: false });
+            expect(gistData.audiobooks.map(book => book.id).sort()).toEqual(['1', '2', '3']);
+            expect(gistData.lastUpdated).toBeDefined();
+            expect(mockGistManager.saveGistId).toHaveBeenCalledWith('secret-gist-id');
+            expect(mockGistService.deleteGist).not.toHaveBeenCalled();
+            expect(result).toMatchObject({
+                success: true,
+                gistId: 'secret-gist-id',
+                previousGistId: 'test-gist-id',
+                originalDeleted: false
+            });
+        });
+
+        it('should delete the original gist when asked', async () => {
+            mockLocalCache.loadData.mockResolvedValue(null);
+            mockGistService.readGist.mockResolvedValue(mockRemoteData);
+
+            const result = await syncManager.migrateToSecretGist({ deleteOriginal: true });
+
+            expect(mockGistService.deleteGist).toHaveBeenCalledWith('test-gist-id');
+            expect(result.originalDeleted).toBe(true);
+        });
+    });
+
+    describe('revision history', () => {
+        beforeEach(async () => {
+            mockLocalCache.updateSyncMetadata.mockResolvedValue();
+            mockGistService.listGistCommits = vi.fn().mockResolvedValue([
+                { revision: 'sha-2', committedAt: '2024-01-16T10:00:00Z', additions: 1, deletions: 0 }
+            ]);
+            mockGistService.readGistRevision = vi.fn().mockResolvedValue(mockRemoteData);
+            await syncManager.initialize();
+        });
+
+        it('should list and read revisions of the configured gist', async () => {
+            const revisions = await syncManager.listRevisions({ perPage: 10 });
+            const data = await syncManager.getRevisionData('sha-2');
+
+            expect(revisions[0].revision).toBe('sha-2');
+            expect(mockGistService.listGistCommits).toHaveBeenCalledWith('test-gist-id', { perPage: 10 });
+            expect(mockGistService.readGistRevision).toHaveBeenCalledWith('test-gist-id', 'sha-2');
+            expect(data).toEqual(mockRemoteData);
+        });
+
+        it('should restore a revision locally and to the gist as a new edit', async () => {
+            const restoredSpy = vi.fn();
+            syncManager.on('revisionRestored', restoredSpy);
+            mockLocalCache.loadData.mockResolvedValue(mockLocalData);
+            mockGistService.updateGist.mockResolvedValue({ revision: 'sha-3' });
+
+            const result = await syncManager.restoreRevision('sha-1');
+
+            const [gistId, written] = mockGistService.updateGist.mock.calls[0];
+            expect(gistId).toBe('test-gist-id');
+            expect(written.audiobooks.map(book => book.id)).toEqual(['1', '3']);
+            expect(written.audiobooks.every(book => book.lastModified === written.metadata.lastModified)).toBe(true);
+            expect(written.metadata.tombstones.map(tombstone => tombstone.id)).toEqual(['2']);
+            expect(mockLocalCache.saveData).toHaveBeenCalledWith(written);
+            expect(mockLocalCache.saveSyncBase).toHaveBeenCalledWith(written.audiobooks);
+            expect(result).toMatchObject({ success: true, revision: 'sha-1', audiobookCount: 2, removedCount: 1 });
+            expect(restoredSpy).toHaveBeenCalledWith(result);
+        });
+
+        it('should drop tombstones for books the revision brings back', async () => {
+            mockLocalCache.loadData.mockResolvedValue({
+                ...mockLocalData,
+                metadata: {
+                    ...mockLocalData.metadata,
+                    tombstones: [{ id: '3', deletedAt: '2024-01-20T00:00:00Z', deviceId: 'device-123' }]
+                }
+            });
+            mockGistService.updateGist.mockResolvedValue({ revision: 'sha-3' });
+
+            await syncManager.restoreRevision('sha-1');
+
+            const [, written] = mockGistService.updateGist.mock.calls[0];
+            expect(written.metadata.tombstones.map(tombstone => tombstone.id)).not.toContain('3');
+            expect(syncManager.mergeData(written, mockLocalData).audiobooks.map(book => book.id).sort()).toEqual(['1', '3']);
+        });
+
+        it('should refuse history for other storage providers or while offline', async () => {
+            syncManager.storageProvider = { type: 'webdav' };
+            await expect(syncManager.listRevisions()).rejects.toThrow('only available when syncing with GitHub Gist');
+
+            syncManager.isOnline = false;
+            await expect(syncManager.restoreRevision('sha-1')).rejects.toThrow('offline');
+        });
+    });
+
+    describe('optimistic concurrency', () => {
+        const syncedAt = revision => ({ remoteRevision: { location: 'test-gist-id', revision } });
+
+        beforeEach(async () => {
+            mockLocalCache.updateSyncMetadata.mockResolvedValue();
+            mockGistService.getGistMetadata = vi.fn();
+            mockGistService.getKnownRevision = vi.fn().mockReturnValue('rev-2');
+            await syncManager.initialize();
+        });
+
+        it('should write and record the new revision when the remote is unchanged', async () => {
+            mockLocalCache.loadData.mockResolvedValue(mockLocalData);
+            mockLocalCache.getSyncMetadata.mockResolvedValue(syncedAt('rev-1'));
+            mockGistService.getGistMetadata.mockResolvedValue({ revision: 'rev-1' });
+            mockGistService.updateGist.mockResolvedValue({ revision: 'rev-2' });
+
+            await syncManager.syncToCloud();
+
+            expect(mockGistService.updateGist).toHaveBeenCalledWith('test-gist-id', mockLocalData);
+            expect(mockLocalCache.updateSyncMetadata).toHaveBeenCalledWith(syncedAt('rev-2'));
+        });
+
+        it('should pull and merge instead of overwriting a remote that moved on', async () => {
+            const mergedSpy = vi.fn();
+            syncManager.on('remoteChangesMerged', mergedSpy);
+
+            mockLocalCache.loadData.mockResolvedValue(mockLocalData);
+            mockLocalCache.getSyncMetadata
+                .mockResolvedValueOnce(syncedAt('rev-1'))
+                .mockResolvedValue(syncedAt('rev-2'));
+            mockGistService.getGistMetadata.mockResolvedValue({ revision: 'rev-2' });
+            mockGistService.readGist.mockResolvedValue(mockRemoteData);
+            mockGistService.updateGist.mockResolvedValue({ revision: 'rev-3' });
+
+            const result = await syncManager.syncToCloud();
+
+            expect(mockGistService.updateGist).toHaveBeenCalledTimes(1);
+            const [, writtenData] = mockGistService.updateGist.mock.calls[0];
+            expect(writtenData.audiobooks.map(book => book.id).sort()).toEqual(['1', '2', '3']);
+            expect(mockLocalCache.saveData).toHaveBeenCalledWith(writtenData);
+            expect(mockLocalCache.saveSyncBase).toHaveBeenCalledWith(writtenData.audiobooks);
+            expect(mergedSpy).toHaveBeenCalledWith({ attempt: 1, audiobookCount: 3 });
+            expect(result.audiobookCount).toBe(3);
+        });
+
+        it('should give up after repeated concurrent writes', async () => {
+            let revision = 1;
+            mockLocalCache.loadData.mockResolvedValue(mockLocalData);
+            mockLocalCache.getSyncMetadata.mockImplementation(async () => syncedAt(`rev-${revision}`));
+            mockGistService.getGistMetadata.mockImplementation(async () => ({ revision: `rev-${++revision}` }));
+            mockGistService.readGist.mockResolvedValue(mockRemoteData);
+
+            await expect(syncManager.syncToCloud()).rejects.toMatchObject({ code: 'REMOTE_CHANGED' });
+            expect(mockGistService.updateGist).not.toHaveBeenCalled();
+            expect(mockGistService.readGist).toHaveBeenCalledTimes(syncManager.maxWriteAttempts - 1);
+        });
+
+        it('should ignore revisions recorded for a different gist', async () => {
+            mockLocalCache.loadData.mockResolvedValue(mockLocalData);
+            mockLocalCache.getSyncMetadata.mockResolvedValue({ remoteRevision: { location: 'old-gist', revision: 'rev-1' } });
+
+            await syncManager.syncToCloud();
+
+            expect(mockGistService.getGistMetadata).not.toHaveBeenCalled();
+            expect(mockGistService.updateGist).toHaveBeenCalledWith('test-gist-id', mockLocalData);
+        });
+
+        it('should overwrite without checking when the user keeps the local version', async () => {
+            mockLocalCache.getSyncMetadata.mockResolvedValue(syncedAt('rev-1'));
+            mockGistService.updateGist.mockResolvedValue({ revision: 'rev-3' });
+
+            await syncManager.resolveConflict('keep-local', mockLocalData, mockRemoteData);
+
+            expect(mockGistService.getGistMetadata).not.toHaveBeenCalled();
+            expect(mockGistService.updateGist).toHaveBeenCalledWith('test-gist-id', mockLocalData);
+        });
+
+        it('should record the pulled revision', async () => {
+            mockGistService.readGist.mockResolvedValue(mockRemoteData);
+
+            await syncManager.syncFromCloud();
+
+            expect(mockLocalCache.updateSyncMetadata).toHaveBeenCalledWith(syncedAt('rev-2'));
+        });
+    });
+
+    describe('three-way merge', () => {
+        const baseBooks = {
+            '1': {
+                id: '1',
+                title: 'Book 1',
+                author: 'Author 1',
+                rating: 3,
+                genres: ['fantasy', 'action'],
+                moods: ['epic'],
+                lastModified: '2024-01-15T09:00:00Z'
+            }
+        };
+
+        beforeEach(async () => {
+            mockLocalCache.updateSyncMetadata.mockResolvedValue();
+            await syncManager.initialize();
+        });
+
+        it('should keep edits made to different fields on each side', () => {
+            const localData = {
+                ...mockLocalData,
+                audiobooks: [{ ...baseBooks['1'], rating: 5, lastModified: '2024-01-15T10:00:00Z' }]
+            };
+            const remoteData = {
+                ...mockRemoteData,
+                audiobooks: [{ ...baseBooks['1'], moods: ['epic', 'funny'], lastModified: '2024-01-15T10:05:00Z' }]
+            };
+
+            const { data, conflicts } = syncManager.threeWayMerge(localData, remoteData, baseBooks);
+
+            expect(conflicts).toHaveLength(0);
+            expect(data.audiobooks[0].rating).toBe(5);
+            expect(data.audiobooks[0].moods).toEqual(['epic', 'funny']);
+            expect(data.audiobooks[0].lastModified).toBe('2024-01-15T10:05:00Z');
+        });
+
+        it('should merge array fields as set additions and removals', () => {
+            const localData = {
+                ...mockLocalData,
+                audiobooks: [{ ...baseBooks['1'], genres: ['fantasy', 'action', 'sci-fi'] }]
+            };
+            const remoteData = {
+                ...mockRemoteData,
+                audiobooks: [{ ...baseBooks['1'], genres: ['fantasy'] }]
+            };
+
+            const merged = syncManager.mergeData(localData, remoteData, baseBooks);
+
+            expect(merged.audiobooks[0].genres).toEqual(['fantasy', 'sci-fi']);
+        });
+
+        it('should report a conflict only when the same field changed on both sides', () => {
+            const localData = {
+                ...mockLocalData,
+                audiobooks: [{ ...baseBooks['1'], rating: 5, lastModified: '2024-01-15T10:10:00Z' }]
+            };
+            const remoteData = {
+                ...mockRemoteData,
+                audiobooks: [{ ...baseBooks['1'], rating: 2, title: 'Book One', lastModified: '2024-01-15T10:00:00Z' }]
+            };
+
+            const { data, conflicts } = syncManager.threeWayMerge(localData, remoteData, baseBooks);
+
+            expect(conflicts).toEqual([{
+                id: '1',
+                title: 'Book 1',
+                field: 'rating',
+                base: 3,
+                local: 5,
+                remote: 2
+            }]);
+            expect(data.audiobooks[0].rating).toBe(5); // Local edit is newer
+            expect(data.audiobooks[0].title).toBe('Book One');
+        });
+
+        it('should merge progress edits like any other field', () => {
+            const localData = {
+                ...mockLocalData,
+                audiobooks: [{ ...baseBooks['1'], position: '3:20', lastModified: '2024-01-15T10:00:00Z' }]
+            };
+            const remoteData = {
+                ...mockRemoteData,
+                audiobooks: [{ ...baseBooks['1'], startDate: '2024-01-10', lastModified: '2024-01-15T10:05:00Z' }]
+            };
+
+            const { data, conflicts } = syncManager.threeWayMerge(localData, remoteData, baseBooks);
+
+            expect(conflicts).toHaveLength(0);
+            expect(data.audiobooks[0].position).toBe('3:20');
+            expect(data.audiobooks[0].startDate).toBe('2024-01-10');
+        });
+
+        it('should detect a field conflict regardless of timestamps when a base exists', () => {
+            const localData = {
+                ...mockLocalData,
+                audiobooks: [{ ...baseBooks['1'], rating: 5 }]
+            };
+            const remoteData = {
+                ...mockRemoteData,
+                metadata: { ...mockRemoteData.metadata, lastModified: '2024-01-16T10:00:00Z' },
+                audiobooks: [{ ...baseBooks['1'], rating: 1 }]
+            };
+
+            const conflict = syncManager.detectConflict(localData, remoteData, baseBooks);
+
+            expect(conflict.type).toBe('field_conflict');
+            expect(conflict.fieldConflicts).toHaveLength(1);
+            expect(conflict.fieldConflicts[0].field).toBe('rating');
+        });
+
+        it('should not detect a conflict when edits can be merged', () => {
+            const localData = {
+                ...mockLocalData,
+                audiobooks: [{ ...baseBooks['1'], rating: 5 }]
+            };
+            const remoteData = {
+                ...mockRemoteData,
+                metadata: { ...mockRemoteData.metadata, lastModified: '2024-01-15T10:00:30Z' },
+                audiobooks: [{ ...baseBooks['1'], moods: [] }]
+            };
+
+            expect(syncManager.detectConflict(localData, remoteData, baseBooks)).toBeNull();
+        });
+
+        it('should merge and write both sides when both changed since the last sync', async () => {
+            mockGistService.gistExists.mockResolvedValue(true);
+            mockLocalCache.getSyncBase.mockResolvedValue(baseBooks);
+            mockLocalCache.loadData.mockResolvedValue({
+                ...mockLocalData,
+                audiobooks: [{ ...baseBooks['1'], rating: 5 }]
+            });
+            mockGistService.readGist.mockResolvedValue({
+                ...mockRemoteData,
+                audiobooks: [{ ...baseBooks['1'], moods: ['epic', 'heavy'] }]
+            });
+
+            const result = await syncManager.sync();
+
+            expect(result.direction).toBe('merge');
+            const pushed = mockGistService.updateGist.mock.calls[0][1];
+            expect(pushed.audiobooks[0].rating).toBe(5);
+            expect(pushed.audiobooks[0].moods).toEqual(['epic', 'heavy']);
+            expect(mockLocalCache.saveData).toHaveBeenCalledWith(pushed);
+            expect(mockLocalCache.saveSyncBase).toHaveBeenCalledWith(pushed.audiobooks);
+        });
+
+        it('should not resurrect books deleted on the other device', () => {
+            const localData = {
+                ...mockLocalData,
+                metadata: {
+                    ...mockLocalData.metadata,
+                    tombstones: [{ id: '2', deletedAt: '2024-01-15T10:00:00Z', deviceId: 'device-123' }]
+                },
+                audiobooks: [{ id: '1', title: 'Book 1', lastModified: '2024-01-15T09:00:00Z' }]
+            };
+            const remoteData = {
+                ...mockRemoteData,
+                audiobooks: [
+                    { id: '1', title: 'Book 1', lastModified: '2024-01-15T09:00:00Z' },
+                    { id: '2', title: 'Book 2', lastModified: '2024-01-15T09:00:00Z' }
+                ]
+            };
+
+            const merged = syncManager.mergeData(localData, remoteData);
+
+            expect(merged.audiobooks.map(book => book.id)).toEqual(['1']);
+            expect(merged.metadata.tombstones).toEqual(localData.metadata.tombstones);
+        });
+
+        it('should keep a deleted book that was edited after the deletion', () => {
+            const localData = {
+                ...mockLocalData,
+                metadata: {
+                    ...mockLocalData.metadata,
+                    tombstones: [{ id: '2', deletedAt: '2024-01-15T10:00:00Z', deviceId: 'device-123' }]
+                },
+                audiobooks: []
+            };
+            const remoteData = {
+                ...mockRemoteData,
+                audiobooks: [{ id: '2', title: 'Book 2', lastModified: '2024-01-15T10:30:00Z' }]
+            };
+
+            const merged = syncManager.mergeData(localData, remoteData);
+
+            expect(merged.audiobooks.map(book => book.id)).toEqual(['2']);
+        });
+
+        it('should record the synced books as the new base after a push', async () => {
+            mockGistService.gistExists.mockResolvedValue(true);
+            mockLocalCache.loadData.mockResolvedValue(mockLocalData);
+            mockGistService.readGist.mockResolvedValue({
+                ...mockRemoteData,
+                metadata: { ...mockRemoteData.metadata, lastModified: '2024-01-15T09:00:00Z' }
+            });
+
+            await syncManager.sync();
+
+            expect(mockLocalCache.saveSyncBase).toHaveBeenCalledWith(mockLocalData.audiobooks);
+        });
+
+        it('should merge smart collections by their own edit times', () => {
+            const localData = {
+                ...mockLocalData,
+                metadata: {
+                    ...mockLocalData.metadata,
+                    tombstones: [{ id: 'sc-3', deletedAt: '2024-01-15T10:00:00Z', deviceId: 'device-123' }]
+                },
+                smartCollections: [
+                    { id: 'sc-1', name: 'Renamed here', order: 0, lastModified: '2024-01-15T10:00:00Z' }
+                ]
+            };
+            const remoteData = {
+                ...mockRemoteData,
+                smartCollections: [
+                    { id: 'sc-1', name: 'Original', order: 0, lastModified: '2024-01-15T09:00:00Z' },
+                    { id: 'sc-2', name: 'Added there', order: 1, lastModified: '2024-01-15T09:30:00Z' },
+                    { id: 'sc-3', name: 'Deleted here', order: 2, lastModified: '2024-01-15T09:00:00Z' }
+                ]
+            };
+
+            const merged = syncManager.mergeData(localData, remoteData);
+
+            expect(merged.smartCollections.map(sc => sc.name)).toEqual(['Renamed here', 'Added there']);
+        });
+
+        it('should merge instead of overwriting when only the smart collections differ', async () => {
+            mockGistService.gistExists.mockResolvedValue(true);
+            mockLocalCache.loadData.mockResolvedValue({
+                ...mockLocalData,
+                smartCollections: [{ id: 'sc-1', name: 'Local', order: 0, lastModified: '2024-01-15T10:00:00Z' }]
+            });
+            mockGistService.readGist.mockResolvedValue({
+                ...mockRemoteData,
+                smartCollections: [{ id: 'sc-2', name: 'Remote', order: 0, lastModified: '2024-01-15T09:00:00Z' }]
+            });
+
+            const result = await syncManager.sync();
+
+            expect(result.direction).toBe('merge');
+            const pushed = mockGistService.updateGist.mock.calls[0][1];
+            expect(pushed.smartCollections.map(sc => sc.id).sort()).toEqual(['sc-1', 'sc-2']);
+        });
+
+        it('should not bring back tombstones removed by cleanup on the next sync', async () => {
+            const expired = { id: '4', deletedAt: '2020-01-01T00:00:00Z', deviceId: 'device-456' };
+            const recent = { id: '5', deletedAt: new Date().toISOString(), deviceId: 'device-123' };
+            const syncedData = {
+                ...mockLocalData,
+                metadata: { ...mockLocalData.metadata, tombstones: [expired, recent] }
+            };
+            mockLocalCache.loadData.mockResolvedValue(syncedData);
+            mockLocalCache.saveData.mockImplementation(async data => mockLocalCache.loadData.mockResolvedValue(data));
+            mockLocalCache.getLastSyncTime = vi.fn().mockResolvedValue(new Date().toISOString());
+
+            const cleanup = await new DataManagementService(null, syncManager, mockLocalCache).cleanupTombstones();
+            expect(cleanup.tombstonesRemoved).toBe(1);
+
+            // The remote still holds both tombstones and the same modification time
+            mockGistService.gistExists.mockResolvedValue(true);
+            mockGistService.readGist.mockResolvedValue(syncedData);
+
+            const result = await syncManager.sync();
+
+            expect(result.direction).toBe('merge');
+            const pushed = mockGistService.updateGist.mock.calls[0][1];
+            expect(pushed.metadata.tombstones).toEqual([recent]);
+            expect((await mockLocalCache.loadData()).metadata.tombstones).toEqual([recent]);
+        });
+    });
+
+    describe('offline edit replay', () => {
+        const remoteBook = {
+            id: '1',
+            title: 'Book 1',
+            author: 'Author 1',
+            rating: 3,
+            genres: ['fantasy'],
+            lastModified: '2024-01-15T09:00:00Z'
+        };
+
+        const editOperation = (type, data) => ({ type, id: `${type}-${data.bookId}`, data, timestamp: data.editedAt });
+
+        beforeEach(async () => {
+            mockLocalCache.updateSyncMetadata.mockResolvedValue();
+            mockLocalCache.getSyncMetadata.mockResolvedValue({});
+            mockGistService.updateGist.mockResolvedValue({ revision: 'rev-2' });
+            await syncManager.initialize();
+        });
+
+        it('should apply edits in the order they were made, whatever their queue order', () => {
+            const data = { ...mockRemoteData, audiobooks: [remoteBook] };
+            const older = editOperation('update', {
+                bookId: '1',
+                editedAt: '2024-01-15T10:00:00Z',
+                changes: { genres: { before: ['fantasy'], after: ['fantasy', 'sci-fi'] } }
+            });
+            const newer = { ...editOperation('update', {
+                bookId: '1',
+                editedAt: '2024-01-15T11:00:00Z',
+                changes: { genres: { before: ['fantasy', 'sci-fi'], after: ['fantasy'] } }
+            }), id: 'update-1-later' };
+
+            const replayed = syncManager.applyEdits(data, [newer, older]);
+
+            expect(replayed.audiobooks[0].genres).toEqual(['fantasy']);
+        });
+
+        it('should apply only the changed fields on top of a newer remote copy', async () => {
+            const remoteData = {
+                ...mockRemoteData,
+                audiobooks: [{ ...remoteBook, title: 'Book One', lastModified: '2024-01-15T11:00:00Z' }]
+            };
+            mockLocalCache.loadData.mockResolvedValue({
+                ...mockLocalData,
+                audiobooks: [{ ...remoteBook, rating: 5, genres: ['fantasy', 'sci-fi'], lastModified: '2024-01-15T10:00:00Z' }]
+            });
+            mockGistService.readGist.mockResolvedValue(remoteData);
+
+            await syncManager.replayEdits([editOperation('update', {
+                bookId: '1',
+                editedAt: '2024-01-15T10:00:00Z',
+                changes: {
+                    rating: { before: 3, after: 5 },
+                    genres: { before: ['fantasy'], after: ['fantasy', 'sci-fi'] }
+                }
+            })]);
+
+            const [, writtenData] = mockGistService.updateGist.mock.calls[0];
+            expect(writtenData.audiobooks).toEqual([expect.objectContaining({
+                title: 'Book One',
+                rating: 5,
+                genres: ['fantasy', 'sci-fi']
+            })]);
+            expect(mockLocalCache.saveData).toHaveBeenCalledWith(writtenData);
+            expect(mockLocalCache.saveSyncBase).toHaveBeenCalledWith(writtenData.audiobooks);
+        });
+
+        it('should keep a field that was changed again elsewhere after the offline edit', () => {
+            const data = { ...mockRemoteData, audiobooks: [{ ...remoteBook, rating: 1, lastModified: '2024-01-15T11:00:00Z' }] };
+
+            const result = syncManager.applyEdits(data, [editOperation('update', {
+                bookId: '1',
+                editedAt: '2024-01-15T10:00:00Z',
+                changes: { rating: { before: 3, after: 5 } }
+            })]);
+
+            expect(result.audiobooks[0].rating).toBe(1);
+            expect(result.audiobooks[0].lastModified).toBe('2024-01-15T11:00:00Z');
+        });
+
+        it('should replay adds and deletes in order with a tombstone for each deletion', () => {
+            const data = { ...mockRemoteData, audiobooks: [remoteBook], lists: [{ id: 'list-1', bookIds: ['1'] }] };
+            const newBook = { id: '9', title: 'Offline Book', author: 'Someone', lastModified: '2024-01-15T10:00:00Z' };
+
+            const result = syncManager.applyEdits(data, [
+                editOperation('add', { bookId: '9', editedAt: '2024-01-15T10:00:00Z', book: newBook }),
+                editOperation('delete', { bookId: '1', editedAt: '2024-01-15T10:05:00Z', book: remoteBook })
+            ]);
+
+            expect(result.audiobooks).toEqual([newBook]);
+            expect(result.metadata.tombstones).toEqual([{ id: '1', deletedAt: '2024-01-15T10:05:00Z', deviceId: 'device-123' }]);
+            expect(result.lists[0].bookIds).toEqual([]);
+        });
+
+        it('should not bring back a book deleted elsewhere after the offline edit', () => {
+            const data = {
+                ...mockRemoteData,
+                metadata: { ...mockRemoteData.metadata, tombstones: [{ id: '1', deletedAt: '2024-01-15T11:00:00Z', deviceId: 'device-456' }] },
+                audiobooks: []
+            };
+
+            const result = syncManager.applyEdits(data, [editOperation('update', {
+                bookId: '1',
+                editedAt: '2024-01-15T10:00:00Z',
+                book: { ...remoteBook, rating: 5 },
+                changes: { rating: { before: 3, after: 5 } }
+            })]);
+
+            expect(result.audiobooks).toEqual([]);
+        });
+
+        it('should replay queued edits as one batch before other queued operations', async () => {
+            const replaySpy = vi.spyOn(syncManager, 'replayEdits').mockResolvedValue({ success: true });
+            const operations = [editOperation('update', { bookId: '1', editedAt: '2024-01-15T10:00:00Z', changes: {} })];
+            syncManager.offlineQueue.processBatch.mockImplementation(async (filter, processor) => {
+                await processor(operations.filter(filter));
+                return { processed: 1, succeeded: 1, failed: 0, errors: [] };
+            });
+
+            const results = await syncManager.processOfflineQueue();
+
+            expect(replaySpy).toHaveBeenCalledWith(operations);
+            expect(syncManager.offlineQueue.processQueue).toHaveBeenCalled();
+            expect(results.succeeded).toBe(1);
+        });
+
+        it('should only queue edits made offline with a sync location set up', async () => {
+            expect(await syncManager.queueEdit('update', { bookId: '1' })).toBe(false);
+
+            syncManager.isOnline = false;
+            expect(await syncManager.queueEdit('update', { bookId: '1' })).toBe(true);
+            expect(syncManager.offlineQueue.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'update',
+                data: { bookId: '1' }
+            }));
+        });
+    });
+
+    describe('offline queue inspector', () => {
+        beforeEach(async () => {
+            mockLocalCache.updateSyncMetadata.mockResolvedValue();
+            await syncManager.initialize();
+            Object.assign(syncManager.offlineQueue, {
+                getQueue: vi.fn().mockResolvedValue([
+                    { type: 'sync', id: 'sync-1', data: {}, retryCount: 1, lastRetryAt: '2024-01-01T00:00:00.000Z' }
+                ]),
+                getMaxRetriesForOperation: vi.fn().mockReturnValue(5),
+                getNextRetryTime: vi.fn().mockReturnValue(new Date('2024-01-01T00:00:02.000Z')),
+                clearRetryDelay: vi.fn().mockResolvedValue(true),
+                removeOperation: vi.fn().mockResolvedValue(true)
+            });
+        });
+
+        it('should list queued operations with their retry details', async () => {
+            const operations = await syncManager.getOfflineQueueOperations();
+
+            expect(operations).toEqual([expect.objectContaining({
+                id: 'sync-1',
+                retryCount: 1,
+                maxRetries: 5,
+                nextRetryAt: '2024-01-01T00:00:02.000Z'
+            })]);
+        });
+
+        it('should retry a single operation straight away', async () => {
+            const processSpy = vi.spyOn(syncManager, 'processQueuedOperation').mockResolvedValue();
+            const operation = { type: 'sync', id: 'sync-1', data: {} };
+            syncManager.offlineQueue.processBatch.mockImplementation(async (filter, processor) => {
+                await processor([operation].filter(filter));
+                return { processed: 1, succeeded: 1, failed: 0, errors: [] };
+            });
+
+            const results = await syncManager.retryQueuedOperation('sync-1');
+
+            expect(syncManager.offlineQueue.clearRetryDelay).toHaveBeenCalledWith('sync-1');
+            expect(processSpy).toHaveBeenCalledWith(operation);
+            expect(results.succeeded).toBe(1);
+        });
+
+        it('should refuse to retry while offline', async () => {
+            syncManager.isOnline = false;
+
+            await expect(syncManager.retryQueuedOperation('sync-1')).rejects.toThrow('while offline');
+            expect(syncManager.offlineQueue.processBatch).not.toHaveBeenCalled();
+        });
+
+        it('should announce dropped operations', async () => {
+            const changedSpy = vi.fn();
+            syncManager.on('offlineQueueChanged', changedSpy);
+
+            await syncManager.dropQueuedOperation('sync-1');
+
+            expect(changedSpy).toHaveBeenCalledWith({ operationId: 'sync-1', action: 'dropped' });
+        });
+
+        describe('queued book edits', () => {
+            const edit = (id, bookId, editedAt) => ({ type: 'update', id, data: { bookId, editedAt, changes: {} } });
+            const queue = [
+                edit('edit-a', '1', '2024-01-15T10:00:00Z'),
+                edit('edit-b', '2', '2024-01-15T10:30:00Z'),
+                edit('edit-c', '1', '2024-01-15T11:00:00Z'),
+                edit('edit-d', '1', '2024-01-15T12:00:00Z')
+            ];
+
+            beforeEach(() => {
+                syncManager.offlineQueue.getQueue.mockResolvedValue(queue);
+            });
+
+            it('should replay earlier edits to the same book along with the retried one', async () => {
+                const replaySpy = vi.spyOn(syncManager, 'replayEdits').mockResolvedValue({});
+                syncManager.offlineQueue.processBatch.mockImplementation(async (filter, processor) => {
+                    const operations = queue.filter(filter);
+                    await processor(operations);
+                    return { processed: operations.length, succeeded: operations.length, failed: 0, errors: [] };
+                });
+
+                const results = await syncManager.retryQueuedOperation('edit-c');
+
+                expect(replaySpy).toHaveBeenCalledWith([queue[0], queue[2]]);
+                expect(syncManager.offlineQueue.clearRetryDelay).toHaveBeenCalledWith('edit-a');
+                expect(syncManager.offlineQueue.clearRetryDelay).toHaveBeenCalledWith('edit-c');
+                expect(results.succeeded).toBe(2);
+            });
+        });
+    });
+
+    describe('tab coordination', () => {
+        beforeEach(async () => {
+            mockLocalCache.updateSyncMetadata.mockResolvedValue();
+            mockLocalCache.storageKey = 'audiobook-library-cache';
+            mockLocalCache.changeKey = 'audiobook-library-cache-changed';
+            await syncManager.initialize();
+        });
+
+        const handlerFor = event => mockTabCoordinator.on.mock.calls.find(([name]) => name === event)[1];
+
+        it('should take part in leader election once initialized', () => {
+            expect(mockTabCoordinator.start).toHaveBeenCalled();
+        });
+
+        it('should sync directly when this tab leads', async () => {
+            const syncSpy = vi.spyOn(syncManager, 'sync').mockResolvedValue({ success: true });
+
+            const result = await syncManager.requestSync();
+
+            expect(syncSpy).toHaveBeenCalled();
+            expect(result).toEqual({ success: true });
+            expect(mockTabCoordinator.broadcast).not.toHaveBeenCalled();
+        });
+
+        it('should ask the leading tab to sync instead of syncing itself', async () => {
+            mockTabCoordinator.isLeader = false;
+            const syncSpy = vi.spyOn(syncManager, 'sync');
+
+            const result = await syncManager.requestSync();
+
+            expect(syncSpy).not.toHaveBeenCalled();
+            expect(mockTabCoordinator.broadcast).toHaveBeenCalledWith('syncRequested');
+            expect(result.delegated).toBe(true);
+        });
+
+        it('should hold a sync requested during another sync until the tab is idle', async () => {
+            vi.useFakeTimers();
+            const syncSpy = vi.spyOn(syncManager, 'sync').mockResolvedValue({ success: true });
+
+            syncManager.isSyncing = true;
+            handlerFor('syncRequested')();
+            expect(syncSpy).not.toHaveBeenCalled();
+            expect(syncManager.hasPendingSyncRequest).toBe(true);
+
+            syncManager.isSyncing = false;
+            handlerFor('syncRequested')();
+            expect(syncSpy).toHaveBeenCalledTimes(1);
+
+            vi.useRealTimers();
+        });
+
+        it('should leave background syncs to the leading tab', () => {
+            vi.useFakeTimers();
+            mockTabCoordinator.isLeader = false;
+            const syncSpy = vi.spyOn(syncManager, 'sync').mockResolvedValue({ success: true });
+
+            syncManager.startAutoSync(100);
+            vi.advanceTimersByTime(300);
+            syncManager.stopAutoSync();
+
+            expect(syncSpy).not.toHaveBeenCalled();
+            vi.useRealTimers();
+        });
+
+        it('should announce when another tab changed the cached library', () => {
+            const changedSpy = vi.fn();
+            syncManager.on('collectionChangedElsewhere', changedSpy);
+
+            handlerFor('storageChanged')({ key: 'audiobook-sync-metadata' });
+            handlerFor('storageChanged')({ key: 'audiobook-library-cache' });
+
+            expect(changedSpy).toHaveBeenCalledTimes(1);
+            expect(changedSpy).toHaveBeenCalledWith({ key: 'audiobook-library-cache' });
+        });
+
+        it('should announce changes to a library cached in IndexedDB', () => {
+            const changedSpy = vi.fn();
+            syncManager.on('collectionChangedElsewhere', changedSpy);
+
+            handlerFor('storageChanged')({ key: 'audiobook-library-cache-changed' });
+
+            expect(changedSpy).toHaveBeenCalledWith({ key: 'audiobook-library-cache-changed' });
+        });
+
+        it('should stop coordinating when destroyed', () => {
+            syncManager.destroy();
+
+            expect(mockTabCoordinator.stop).toHaveBeenCalled();
+        });
     });
 
     describe('auto sync', () => {
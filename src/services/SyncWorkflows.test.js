@@ -1,6 +1,9 @@
-import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
 import { SyncManager } from './SyncManager.js';
+import WebDAVStorageProvider from './WebDAVStorageProvider.js';
+import HttpJsonStorageProvider from './HttpJsonStorageProvider.js';
 import { Audiobook } from '../models/Audiobook.js';
+import { MockStorageServer } from './__mocks__/MockStorageServer.js';
 
 // Mock browser APIs
 global.window = { addEventListener: vi.fn(), removeEventListener: vi.fn() };
@@ -239,6 +242,84 @@ describe('Sync Workflow Integration Tests', () => {
         });
     });
 
+    describe('Self-hosted Storage Providers', () => {
+        const server = new MockStorageServer();
+        let baseUrl;
+
+        beforeAll(async () => {
+            baseUrl = await server.start();
+        });
+
+        afterAll(async () => {
+            await server.stop();
+        });
+
+        beforeEach(() => {
+            server.reset();
+            vi.spyOn(syncManager.localCache, 'saveData').mockResolvedValue();
+            vi.spyOn(syncManager.localCache, 'saveSyncBase').mockResolvedValue();
+            vi.spyOn(syncManager.localCache, 'getSyncBase').mockResolvedValue({});
+            vi.spyOn(syncManager.localCache, 'setLastSyncTime').mockResolvedValue();
+        });
+
+        it('should push local changes to a WebDAV server', async () => {
+            syncManager.storageProvider = new WebDAVStorageProvider({ url: `${baseUrl}/dav/library.json` });
+            server.setFile('/dav/library.json', {
+                metadata: createMockSyncMetadata({ lastModified: '2024-01-15T10:00:00Z' }),
+                audiobooks: []
+            });
+
+            const localData = {
+                metadata: createMockSyncMetadata({ lastModified: '2024-01-15T11:00:00Z' }),
+                audiobooks: [sampleAudiobook.toJSON()]
+            };
+            vi.spyOn(syncManager.localCache, 'loadData').mockResolvedValue(localData);
+
+            const result = await syncManager.sync();
+
+            expect(result.direction).toBe('push');
+            expect(server.getFile('/dav/library.json').audiobooks).toEqual([sampleAudiobook.toJSON()]);
+        });
+
+        it('should pull remote changes from a JSON HTTP endpoint', async () => {
+            syncManager.storageProvider = new HttpJsonStorageProvider({ url: `${baseUrl}/library` });
+            const remoteData = {
+                metadata: createMockSyncMetadata({ lastModified: '2024-01-15T11:00:00Z' }),
+                audiobooks: [sampleAudiobook.toJSON()]
+            };
+            server.setFile('/library', remoteData);
+
+            vi.spyOn(syncManager.localCache, 'loadData').mockResolvedValue({
+                metadata: createMockSyncMetadata({ lastModified: '2024-01-15T10:00:00Z' }),
+                audiobooks: []
+            });
+
+            const result = await syncManager.sync();
+
+            expect(result.direction).toBe('pull');
+            expect(syncManager.localCache.saveData).toHaveBeenCalledWith(remoteData, { updateTimestamp: false });
+        });
+
+        it('should write conflict resolutions to the selected provider', async () => {
+            syncManager.storageProvider = new HttpJsonStorageProvider({ url: `${baseUrl}/library` });
+            const localData = { metadata: createMockSyncMetadata(), audiobooks: [sampleAudiobook.toJSON()] };
+            const remoteData = { metadata: createMockSyncMetadata(), audiobooks: [] };
+
+            await syncManager.resolveConflict('keep-local', localData, remoteData);
+
+            expect(server.getFile('/library')).toEqual(localData);
+        });
+
+        it('should report a missing remote file by provider name', async () => {
+            syncManager.storageProvider = new WebDAVStorageProvider({ url: `${baseUrl}/dav/missing.json` });
+            vi.spyOn(syncManager.localCache, 'loadData').mockResolvedValue({ metadata: createMockSyncMetadata(), audiobooks: [] });
+
+            await expect(syncManager.sync()).rejects.toMatchObject({
+                originalError: expect.objectContaining({ message: 'Configured WebDAV server not found or not accessible' })
+            });
+        });
+    });
+
     describe('Offline/Online Transitions', () => {
         it('should handle network state changes', () => {
             const eventSpy = vi.fn();
@@ -0,0 +1,306 @@
+/**
+ * TabCoordinator - Coordinates app instances open in several tabs of the same browser
+ * One tab at a time holds a leadership lease in localStorage, renewing it while open,
+ * and is the only one that syncs in the background. Another tab takes over when the
+ * lease runs out or the leader closes. Tabs message each other over a BroadcastChannel,
+ * falling back to storage events where BroadcastChannel is not available.
+ */
+export class TabCoordinator {
+    constructor(options = {}) {
+        this.leaderKey = 'audiobook-tab-leader';
+        this.messageKey = 'audiobook-tab-message';
+        this.channelName = 'audiobook-tabs';
+        this.leaseMs = options.leaseMs || 10000;
+        this.tabId = `tab-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+
+        // State management
+        this.isLeader = false;
+        this.isStarted = false;
+        this.channel = null;
+        this.heartbeatTimer = null;
+
+        // Event listeners for leadership changes and messages
+        this.eventListeners = new Map();
+
+        // Bind methods to preserve context
+        this.handleStorage = this.handleStorage.bind(this);
+        this.handleChannelMessage = this.handleChannelMessage.bind(this);
+        this.resign = this.resign.bind(this);
+    }
+
+    /**
+     * Start taking part in leader election and messaging
+     * Without localStorage there is nobody to coordinate with, so the tab leads.
+     */
+    start() {
+        if (this.isStarted) {
+            return;
+        }
+
+        this.isStarted = true;
+
+        if (!this.hasStorage()) {
+            this.setLeader(true);
+            return;
+        }
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.addEventListener('message', this.handleChannelMessage);
+        }
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('storage', this.handleStorage);
+            window.addEventListener('pagehide', this.resign);
+        }
+
+        this.claimLeadership();
+
+        // Renew the lease while leading, or take over once it runs out
+        this.heartbeatTimer = setInterval(() => this.claimLeadership(), Math.floor(this.leaseMs / 3));
+    }
+
+    /**
+     * Stop coordinating, handing leadership over to another tab straight away
+     */
+    stop() {
+        if (!this.isStarted) {
+            return;
+        }
+
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+
+        this.resign();
+        this.isStarted = false;
+
+        if (this.channel) {
+            this.channel.removeEventListener('message', this.handleChannelMessage);
+            this.channel.close();
+            this.channel = null;
+        }
+
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('storage', this.handleStorage);
+            window.removeEventListener('pagehide', this.resign);
+        }
+    }
+
+    /**
+     * Give up leadership so another tab can take over without waiting for the lease
+     * A tab that keeps running (e.g. restored from the back-forward cache) claims the
+     * lease again on its next heartbeat if nobody else has.
+     */
+    resign() {
+        if (!this.isLeader) {
+            return;
+        }
+
+        if (this.hasStorage() && this.readLease()?.tabId === this.tabId) {
+            localStorage.removeItem(this.leaderKey);
+        }
+
+        this.setLeader(false);
+        this.broadcast('leaderResigned');
+    }
+
+    /**
+     * Take or renew the leadership lease unless another tab holds a live one
+     * @returns {boolean} True if this tab leads
+     */
+    claimLeadership() {
+        if (!this.isStarted) {
+            return this.isLeader;
+        }
+
+        const lease = this.readLease();
+        const now = Date.now();
+
+        if (!lease || lease.tabId === this.tabId || lease.expiresAt <= now) {
+            this.writeLease({ tabId: this.tabId, expiresAt: now + this.leaseMs });
+        }
+
+        // Read back - when two tabs claim at once, the last write wins
+        this.setLeader(this.readLease()?.tabId === this.tabId);
+        return this.isLeader;
+    }
+
+    /**
+     * Send a message to the other tabs
+     * @param {string} type - Message type, emitted as an event in the receiving tabs
+     * @param {*} payload - Message data
+     */
+    broadcast(type, payload = null) {
+        const message = { type, payload, from: this.tabId, sentAt: Date.now() };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else if (this.hasStorage()) {
+                // Storage events reach every other tab; removing the key again keeps it clean
+                localStorage.setItem(this.messageKey, JSON.stringify(message));
+                localStorage.removeItem(this.messageKey);
+            }
+        } catch (error) {
+            console.error('Failed to message other tabs:', error);
+        }
+    }
+
+    /**
+     * Handle a localStorage change made by another tab
+     * @private
+     * @param {StorageEvent} event - Storage event
+     */
+    handleStorage(event) {
+        if (event.key === this.leaderKey) {
+            // The lease was released or taken - settle who leads now
+            this.claimLeadership();
+        } else if (event.key === this.messageKey) {
+            if (event.newValue) {
+                this.receive(this.parse(event.newValue));
+            }
+        } else if (event.key) {
+            this.emit('storageChanged', { key: event.key });
+        }
+    }
+
+    /**
+     * Handle a BroadcastChannel message
+     * @private
+     * @param {MessageEvent} event - Message event
+     */
+    handleChannelMessage(event) {
+        this.receive(event.data);
+    }
+
+    /**
+     * Handle a message from another tab
+     * @private
+     * @param {Object|null} message - Received message
+     */
+    receive(message) {
+        if (!message || !message.type || message.from === this.tabId) {
+            return;
+        }
+
+        if (message.type === 'leaderResigned') {
+            this.claimLeadership();
+        }
+
+        this.emit(message.type, message.payload);
+    }
+
+    /**
+     * Update leadership and announce changes
+     * @private
+     * @param {boolean} isLeader - Whether this tab leads
+     */
+    setLeader(isLeader) {
+        if (this.isLeader === isLeader) {
+            return;
+        }
+
+        this.isLeader = isLeader;
+        this.emit('leadershipChanged', { isLeader, tabId: this.tabId });
+    }
+
+    /**
+     * Read the current leadership lease
+     * @private
+     * @returns {Object|null} Lease with tabId and expiresAt
+     */
+    readLease() {
+        try {
+            return this.parse(localStorage.getItem(this.leaderKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Store the leadership lease
+     * @private
+     * @param {Object} lease - Lease with tabId and expiresAt
+     */
+    writeLease(lease) {
+        try {
+            localStorage.setItem(this.leaderKey, JSON.stringify(lease));
+        } catch (error) {
+            console.error('Failed to store tab leadership lease:', error);
+        }
+    }
+
+    /**
+     * Parse a JSON string, ignoring malformed values
+     * @private
+     * @param {string|null} value - JSON string
+     * @returns {*} Parsed value or null
+     */
+    parse(value) {
+        try {
+            return value ? JSON.parse(value) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether localStorage can be used
+     * @private
+     * @returns {boolean} True if localStorage is available
+     */
+    hasStorage() {
+        return typeof localStorage !== 'undefined' && localStorage !== null;
+    }
+
+    // Event handling methods
+
+    /**
+     * Add event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Event callback
+     */
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    /**
+     * Remove event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Event callback
+     */
+    off(event, callback) {
+        const listeners = this.eventListeners.get(event);
+        if (listeners) {
+            const index = listeners.indexOf(callback);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Emit event to listeners
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    emit(event, data = null) {
+        const listeners = this.eventListeners.get(event);
+        if (listeners) {
+            listeners.forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in event listener for ${event}:`, error);
+                }
+            });
+        }
+    }
+}
+
+export default TabCoordinator;
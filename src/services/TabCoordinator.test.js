@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TabCoordinator } from './TabCoordinator.js';
+
+describe('TabCoordinator', () => {
+    let store;
+    let tabs;
+
+    // localStorage shared by every tab; storage events are delivered by hand
+    const localStorageMock = {
+        getItem: vi.fn(key => (store.has(key) ? store.get(key) : null)),
+        setItem: vi.fn((key, value) => store.set(key, String(value))),
+        removeItem: vi.fn(key => store.delete(key))
+    };
+
+    const openTab = () => {
+        const tab = new TabCoordinator({ leaseMs: 3000 });
+        tabs.push(tab);
+        tab.start();
+        return tab;
+    };
+
+    const lastMessage = () => localStorageMock.setItem.mock.calls
+        .filter(([key]) => key === 'audiobook-tab-message')
+        .at(-1)[1];
+
+    beforeEach(() => {
+        store = new Map();
+        tabs = [];
+        vi.clearAllMocks();
+        vi.stubGlobal('localStorage', localStorageMock);
+        vi.stubGlobal('BroadcastChannel', undefined);
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        tabs.forEach(tab => tab.stop());
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+    });
+
+    describe('leader election', () => {
+        it('should make the first tab the leader and the next one a follower', () => {
+            const first = openTab();
+            const second = openTab();
+
+            expect(first.isLeader).toBe(true);
+            expect(second.isLeader).toBe(false);
+        });
+
+        it('should keep the lease while the leader is running', () => {
+            const leader = openTab();
+            const follower = openTab();
+
+            vi.advanceTimersByTime(10000);
+
+            expect(leader.isLeader).toBe(true);
+            expect(follower.isLeader).toBe(false);
+        });
+
+        it('should take over once the leader stops renewing its lease', () => {
+            const leader = openTab();
+            const follower = openTab();
+            const changedSpy = vi.fn();
+            follower.on('leadershipChanged', changedSpy);
+
+            // A frozen tab stops its heartbeat without resigning
+            clearInterval(leader.heartbeatTimer);
+            vi.advanceTimersByTime(4000);
+
+            expect(follower.isLeader).toBe(true);
+            expect(changedSpy).toHaveBeenCalledWith({ isLeader: true, tabId: follower.tabId });
+        });
+
+        it('should hand over straight away when the leader closes', () => {
+            const leader = openTab();
+            const follower = openTab();
+
+            leader.stop();
+            follower.handleStorage({ key: 'audiobook-tab-message', newValue: lastMessage() });
+
+            expect(leader.isLeader).toBe(false);
+            expect(follower.isLeader).toBe(true);
+        });
+
+        it('should lead alone without localStorage', () => {
+            vi.stubGlobal('localStorage', undefined);
+
+            expect(openTab().isLeader).toBe(true);
+        });
+    });
+
+    describe('messaging', () => {
+        it('should emit messages from other tabs as events', () => {
+            const sender = openTab();
+            const receiver = openTab();
+            const requestSpy = vi.fn();
+            receiver.on('syncRequested', requestSpy);
+
+            sender.broadcast('syncRequested', { reason: 'edit' });
+            receiver.handleStorage({ key: 'audiobook-tab-message', newValue: lastMessage() });
+
+            expect(requestSpy).toHaveBeenCalledWith({ reason: 'edit' });
+            expect(store.has('audiobook-tab-message')).toBe(false);
+        });
+
+        it('should ignore its own messages', () => {
+            const tab = openTab();
+            const requestSpy = vi.fn();
+            tab.on('syncRequested', requestSpy);
+
+            tab.broadcast('syncRequested');
+            tab.handleStorage({ key: 'audiobook-tab-message', newValue: lastMessage() });
+
+            expect(requestSpy).not.toHaveBeenCalled();
+        });
+
+        it('should report other localStorage changes', () => {
+            const tab = openTab();
+            const changedSpy = vi.fn();
+            tab.on('storageChanged', changedSpy);
+
+            tab.handleStorage({ key: 'audiobook-library-cache', newValue: '{}' });
+
+            expect(changedSpy).toHaveBeenCalledWith({ key: 'audiobook-library-cache' });
+        });
+
+        it('should use a BroadcastChannel where available', async () => {
+            vi.useRealTimers();
+            vi.unstubAllGlobals();
+            vi.stubGlobal('localStorage', localStorageMock);
+
+            const sender = openTab();
+            const receiver = openTab();
+            const received = new Promise(resolve => receiver.on('syncRequested', resolve));
+
+            sender.broadcast('syncRequested', { reason: 'edit' });
+
+            await expect(received).resolves.toEqual({ reason: 'edit' });
+        });
+    });
+});
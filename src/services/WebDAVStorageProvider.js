@@ -0,0 +1,98 @@
+import HttpJsonStorageProvider from './HttpJsonStorageProvider.js';
+
+/**
+ * WebDAVStorageProvider - StorageProvider adapter for a JSON file on a WebDAV server
+ * (Nextcloud, ownCloud, Apache mod_dav and similar). Uses HTTP Basic auth,
+ * GET/PUT for content and PROPFIND for metadata.
+ */
+class WebDAVStorageProvider extends HttpJsonStorageProvider {
+    /**
+     * @param {Object} config - Server configuration
+     * @param {string} config.url - Full URL of the library file, e.g. https://dav.example.com/audiobooks.json
+     * @param {string} config.username - WebDAV username
+     * @param {string} config.password - WebDAV password or app password
+     */
+    constructor(config = {}) {
+        super({ url: config.url }, 'webdav', 'WebDAV server');
+        this.username = config.username || '';
+        this.password = config.password || '';
+    }
+
+    async getMetadata() {
+        this.assertConfigured();
+
+        const response = await this._propfind();
+
+        if (!response.ok) {
+            throw this._createHttpError(response.status, 'Failed to get metadata');
+        }
+
+        const properties = this._parsePropfind(await response.text());
+        const updatedAt = properties.getlastmodified ? new Date(properties.getlastmodified).toISOString() : null;
+
+        return {
+            provider: this.type,
+            location: this.url,
+            etag: properties.getetag,
+            revision: properties.getetag || updatedAt,
+            updatedAt,
+            size: properties.getcontentlength ? parseInt(properties.getcontentlength, 10) : null
+        };
+    }
+
+    async exists() {
+        if (!this.isConfigured()) {
+            return false;
+        }
+
+        try {
+            const response = await this._propfind();
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    _getAuthHeaders() {
+        if (!this.username) {
+            return {};
+        }
+
+        const credentials = `${this.username}:${this.password}`;
+        const encoded = btoa(String.fromCharCode(...new TextEncoder().encode(credentials)));
+        return { 'Authorization': `Basic ${encoded}` };
+    }
+
+    /**
+     * Request the file's properties (WebDAV answers 207 Multi-Status)
+     * @returns {Promise<Response>} Fetch response
+     * @private
+     */
+    async _propfind() {
+        return await this._request('PROPFIND', {
+            headers: { 'Depth': '0', 'Content-Type': 'application/xml' },
+            body: '<?xml version="1.0" encoding="utf-8"?>' +
+                '<d:propfind xmlns:d="DAV:"><d:prop><d:getetag/><d:getlastmodified/><d:getcontentlength/></d:prop></d:propfind>'
+        });
+    }
+
+    /**
+     * Extract DAV: properties from a PROPFIND response body
+     * @param {string} xml - Multi-Status XML
+     * @returns {Object} Property values keyed by local name
+     * @private
+     */
+    _parsePropfind(xml) {
+        const properties = {};
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+
+        ['getetag', 'getlastmodified', 'getcontentlength'].forEach(name => {
+            const element = doc.getElementsByTagNameNS('DAV:', name)[0];
+            properties[name] = element ? element.textContent.trim() : null;
+        });
+
+        return properties;
+    }
+}
+
+export default WebDAVStorageProvider;
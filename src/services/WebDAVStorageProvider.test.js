@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import WebDAVStorageProvider from './WebDAVStorageProvider.js';
+import { MockStorageServer } from './__mocks__/MockStorageServer.js';
+
+describe('WebDAVStorageProvider', () => {
+    const expectedAuth = `Basic ${Buffer.from('reader:pässword', 'utf8').toString('base64')}`;
+    const server = new MockStorageServer({ requiredAuth: expectedAuth });
+    let baseUrl;
+    let provider;
+
+    const library = {
+        metadata: { version: '1.0', lastModified: '2024-01-15T10:00:00Z' },
+        audiobooks: [{ id: '1', title: 'Book 1', author: 'Author 1' }]
+    };
+
+    beforeAll(async () => {
+        baseUrl = await server.start();
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    beforeEach(() => {
+        server.reset();
+        provider = new WebDAVStorageProvider({
+            url: `${baseUrl}/dav/audiobooks.json`,
+            username: 'reader',
+            password: 'pässword'
+        });
+    });
+
+    it('should send UTF-8 credentials as HTTP Basic auth', async () => {
+        await provider.write(library);
+
+        const [request] = server.requests;
+        expect(request.method).toBe('PUT');
+        expect(request.headers.authorization).toBe(expectedAuth);
+    });
+
+    it('should round-trip the library through the server', async () => {
+        await provider.write(library);
+
+        expect(await provider.read()).toEqual(library);
+    });
+
+    it('should use PROPFIND for existence and metadata', async () => {
+        expect(await provider.exists()).toBe(false);
+
+        server.setFile('/dav/audiobooks.json', library, new Date('2024-03-05T08:30:00Z'));
+
+        expect(await provider.exists()).toBe(true);
+
+        const metadata = await provider.getMetadata();
+        expect(metadata).toMatchObject({
+            provider: 'webdav',
+            location: `${baseUrl}/dav/audiobooks.json`,
+            updatedAt: '2024-03-05T08:30:00.000Z',
+            size: JSON.stringify(library).length
+        });
+        expect(metadata.etag).toBeTruthy();
+        expect(server.requests.every(request => request.method === 'PROPFIND')).toBe(true);
+        expect(server.requests[0].headers.depth).toBe('0');
+    });
+
+    it('should report a missing file as a 404 error on read', async () => {
+        await expect(provider.read()).rejects.toMatchObject({ status: 404 });
+    });
+});
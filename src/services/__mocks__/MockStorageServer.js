@@ -0,0 +1,121 @@
+import { createServer } from 'node:http';
+
+/**
+ * Minimal in-memory HTTP/WebDAV server for storage provider tests
+ * Supports GET, HEAD, PUT and PROPFIND (Depth: 0) on any path, with optional
+ * Authorization checking. Every request is recorded for assertions.
+ */
+export class MockStorageServer {
+    constructor(options = {}) {
+        this.requiredAuth = options.requiredAuth || null;
+        this.files = new Map();
+        this.requests = [];
+        this.revision = 0;
+        this.server = null;
+        this.baseUrl = null;
+    }
+
+    async start() {
+        this.server = createServer((req, res) => this.handle(req, res));
+
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+        return this.baseUrl;
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    reset() {
+        this.files.clear();
+        this.requests = [];
+        this.revision = 0;
+    }
+
+    setFile(path, data, lastModified = new Date()) {
+        const body = typeof data === 'string' ? data : JSON.stringify(data);
+        this.revision++;
+        this.files.set(path, { body, lastModified, etag: `"rev-${this.revision}"` });
+    }
+
+    getFile(path) {
+        const file = this.files.get(path);
+        return file ? JSON.parse(file.body) : null;
+    }
+
+    handle(req, res) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            this.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+            if (this.requiredAuth && req.headers.authorization !== this.requiredAuth) {
+                res.writeHead(401);
+                res.end();
+                return;
+            }
+
+            const file = this.files.get(req.url);
+
+            switch (req.method) {
+                case 'GET':
+                case 'HEAD':
+                    if (!file) {
+                        res.writeHead(404);
+                        res.end();
+                        return;
+                    }
+                    res.writeHead(200, {
+                        'Content-Type': 'application/json',
+                        'Content-Length': Buffer.byteLength(file.body),
+                        'Last-Modified': file.lastModified.toUTCString(),
+                        'ETag': file.etag
+                    });
+                    res.end(req.method === 'GET' ? file.body : undefined);
+                    return;
+
+                case 'PUT':
+                    if (req.headers['if-match'] && req.headers['if-match'] !== file?.etag) {
+                        res.writeHead(412);
+                        res.end();
+                        return;
+                    }
+                    this.setFile(req.url, body);
+                    res.writeHead(file ? 204 : 201, { 'ETag': this.files.get(req.url).etag });
+                    res.end();
+                    return;
+
+                case 'PROPFIND':
+                    if (!file) {
+                        res.writeHead(404);
+                        res.end();
+                        return;
+                    }
+                    res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' });
+                    res.end(`<?xml version="1.0" encoding="utf-8"?>
+<d:multistatus xmlns:d="DAV:">
+  <d:response>
+    <d:href>${req.url}</d:href>
+    <d:propstat>
+      <d:prop>
+        <d:getetag>${file.etag}</d:getetag>
+        <d:getlastmodified>${file.lastModified.toUTCString()}</d:getlastmodified>
+        <d:getcontentlength>${Buffer.byteLength(file.body)}</d:getcontentlength>
+      </d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+  </d:response>
+</d:multistatus>`);
+                    return;
+
+                default:
+                    res.writeHead(405);
+                    res.end();
+            }
+        });
+    }
+}
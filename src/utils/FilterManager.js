@@ -1,3 +1,24 @@
+import { SearchIndex } from './SearchIndex.js';
+import { parseDuration } from './helpers.js';
+
+/**
+ * How the selected genres or moods combine: books with any, all or none of them
+ */
+export const MATCH_MODES = ['any', 'all', 'none'];
+
+/**
+ * Numeric fields that can be filtered by range, with their slider step
+ * Length is measured in hours and the release date by year.
+ */
+export const RANGE_FIELDS = {
+    rating: { label: 'Rating', step: 0.5 },
+    price: { label: 'Price', step: 1 },
+    length: { label: 'Length', step: 1 },
+    year: { label: 'Release Year', step: 1 }
+};
+
+const HISTOGRAM_BUCKETS = 10;
+
 /**
  * FilterManager - Combines search and filter functionality
  * Handles the coordination between SearchBar and Filters components
@@ -8,9 +29,17 @@ export class FilterManager {
         this.searchTerm = '';
         this.filters = {
             genres: [],
-            moods: []
+            moods: [],
+            statuses: [],
+            genreMode: 'any',
+            moodMode: 'any',
+            ranges: {},
+            lists: []
         };
         this.allAudiobooks = [];
+        this.lists = []; // Manual lists, for filtering by list ID
+        this.searchIndex = new SearchIndex();
+        this.highlights = new Map(); // Map of audiobook ID to matched words per field
     }
 
     /**
@@ -19,6 +48,16 @@ export class FilterManager {
      */
     setAudiobooks(audiobooks) {
         this.allAudiobooks = audiobooks;
+        this.searchIndex.build(audiobooks);
+        this.applyFilters();
+    }
+
+    /**
+     * Set the manual lists that the list filter refers to
+     * @param {Array} lists - Lists with their ordered book IDs
+     */
+    setLists(lists) {
+        this.lists = lists || [];
         this.applyFilters();
     }
 
@@ -36,12 +75,14 @@ export class FilterManager {
      * @param {Object} filters - Filter criteria
      * @param {Array} filters.genres - Selected genres
      * @param {Array} filters.moods - Selected moods
+     * @param {Array} filters.statuses - Selected listening statuses
+     * @param {string} filters.genreMode - Genre match mode: 'any', 'all' or 'none' (default 'any')
+     * @param {string} filters.moodMode - Mood match mode: 'any', 'all' or 'none' (default 'any')
+     * @param {Object} filters.ranges - Numeric ranges keyed by RANGE_FIELDS name, e.g. { rating: { min: 4, max: 5 } }
+     * @param {Array} filters.lists - IDs of manual lists the books must be in (any of them)
      */
     updateFilters(filters) {
-        this.filters = {
-            genres: filters.genres || [],
-            moods: filters.moods || []
-        };
+        this.filters = FilterManager.normalizeFilters(filters);
         this.applyFilters();
     }
 
@@ -49,85 +90,107 @@ export class FilterManager {
      * Apply all filters and search criteria
      */
     applyFilters() {
+        this.highlights = new Map();
+        const filteredBooks = this.getMatchingBooks(this.searchTerm, this.filters, this.highlights);
+
+        // Notify listeners of the filtered results
+        if (this.onFilterChange) {
+            this.onFilterChange(filteredBooks, this.highlights);
+        }
+    }
+
+    /**
+     * Find the books matching a search and filters without changing the current state
+     * Used for the current view and to count the books in saved smart collections.
+     * @param {string} searchTerm - Search term
+     * @param {Object} filters - Filter criteria, as accepted by updateFilters
+     * @param {Map} highlights - Map to record search matches in (optional)
+     * @returns {Array} Matching audiobooks, best search matches first
+     */
+    getMatchingBooks(searchTerm, filters, highlights = new Map()) {
+        const criteria = FilterManager.normalizeFilters(filters || {});
         let filteredBooks = [...this.allAudiobooks];
 
         // Apply search filter
-        if (this.searchTerm && this.searchTerm.trim() !== '') {
-            filteredBooks = this.filterBySearch(filteredBooks, this.searchTerm);
+        if (searchTerm && searchTerm.trim() !== '') {
+            filteredBooks = this.filterBySearch(filteredBooks, searchTerm, highlights);
         }
 
         // Apply category filters
-        if (this.filters.genres.length > 0 || this.filters.moods.length > 0) {
-            filteredBooks = this.filterByCategories(filteredBooks, this.filters);
+        if (criteria.genres.length > 0 || criteria.moods.length > 0 || criteria.statuses.length > 0) {
+            filteredBooks = this.filterByCategories(filteredBooks, criteria);
         }
 
-        // Notify listeners of the filtered results
-        if (this.onFilterChange) {
-            this.onFilterChange(filteredBooks);
+        // Apply numeric range filters
+        if (Object.keys(criteria.ranges).length > 0) {
+            filteredBooks = this.filterByRanges(filteredBooks, criteria.ranges);
         }
+
+        // Apply list filter, showing a single list in its own order unless searching
+        if (criteria.lists.length > 0) {
+            filteredBooks = this.filterByLists(filteredBooks, criteria.lists, !(searchTerm && searchTerm.trim()));
+        }
+
+        return filteredBooks;
     }
 
     /**
-     * Filter audiobooks by search term
+     * Filter audiobooks by search term, best matches first
+     * Searches title, author, narrator, genres and moods, tolerating typos and
+     * accents, and understands the QueryParser syntax (author:, rating:>=4, -mood:, OR).
+     * Matched words are recorded in the highlights map for the gallery.
      * @param {Array} audiobooks - Audiobooks to filter
      * @param {string} searchTerm - Search term
-     * @returns {Array} Filtered audiobooks
+     * @param {Map} highlights - Map to record matches in (defaults to this.highlights)
+     * @returns {Array} Matching audiobooks ranked by relevance
      */
-    filterBySearch(audiobooks, searchTerm) {
+    filterBySearch(audiobooks, searchTerm, highlights = this.highlights) {
         if (!searchTerm || searchTerm.trim() === '') {
             return audiobooks;
         }
 
-        const term = searchTerm.toLowerCase().trim();
-
-        return audiobooks.filter(audiobook => {
-            // Search in title
-            if (audiobook.title && audiobook.title.toLowerCase().includes(term)) {
-                return true;
-            }
+        // Books outside the indexed collection get a throwaway index
+        const index = audiobooks.every(audiobook => this.searchIndex.has(audiobook))
+            ? this.searchIndex
+            : new SearchIndex(audiobooks);
 
-            // Search in author
-            if (audiobook.author && audiobook.author.toLowerCase().includes(term)) {
-                return true;
-            }
+        const candidates = new Set(audiobooks);
+        const results = index.search(searchTerm).filter(result => candidates.has(result.audiobook));
 
-            // Search in narrator
-            if (audiobook.narrator && audiobook.narrator.toLowerCase().includes(term)) {
-                return true;
-            }
+        results.forEach(result => highlights.set(result.audiobook.id, result.matches));
 
-            return false;
-        });
+        return results.map(result => result.audiobook);
     }
 
     /**
-     * Filter audiobooks by genre and mood categories
+     * Filter audiobooks by status, genre and mood categories
      * @param {Array} audiobooks - Audiobooks to filter
      * @param {Object} filters - Filter criteria
      * @returns {Array} Filtered audiobooks
      */
     filterByCategories(audiobooks, filters) {
-        if (!filters || (!filters.genres?.length && !filters.moods?.length)) {
+        if (!filters || (!filters.genres?.length && !filters.moods?.length && !filters.statuses?.length)) {
             return audiobooks;
         }
 
         return audiobooks.filter(audiobook => {
-            // Check genre filters (AND logic - book must have ALL selected genres)
+            // Check status filters (book must have one of the selected statuses)
+            if (filters.statuses && filters.statuses.length > 0) {
+                if (!filters.statuses.includes(audiobook.status)) {
+                    return false;
+                }
+            }
+
+            // Check genre filters (any, all or none of the selected genres)
             if (filters.genres && filters.genres.length > 0) {
-                const hasMatchingGenre = filters.genres.some(genre =>
-                    audiobook.genres && audiobook.genres.includes(genre)
-                );
-                if (!hasMatchingGenre) {
+                if (!FilterManager.matchesMode(audiobook.genres, filters.genres, filters.genreMode)) {
                     return false;
                 }
             }
 
-            // Check mood filters (AND logic - book must have ALL selected moods)
+            // Check mood filters (any, all or none of the selected moods)
             if (filters.moods && filters.moods.length > 0) {
-                const hasMatchingMood = filters.moods.some(mood =>
-                    audiobook.moods && audiobook.moods.includes(mood)
-                );
-                if (!hasMatchingMood) {
+                if (!FilterManager.matchesMode(audiobook.moods, filters.moods, filters.moodMode)) {
                     return false;
                 }
             }
@@ -136,6 +199,177 @@ export class FilterManager {
         });
     }
 
+    /**
+     * Filter audiobooks by manual list membership
+     * @param {Array} audiobooks - Audiobooks to filter
+     * @param {Array} listIds - IDs of the lists (books in any of them pass)
+     * @param {boolean} useListOrder - Order the books as in the list when only one is selected
+     * @returns {Array} Filtered audiobooks
+     */
+    filterByLists(audiobooks, listIds, useListOrder = true) {
+        const positions = new Map();
+        this.lists
+            .filter(list => listIds.includes(list.id))
+            .forEach(list => (list.bookIds || []).forEach((id, index) => {
+                if (!positions.has(id)) {
+                    positions.set(id, index);
+                }
+            }));
+
+        const filtered = audiobooks.filter(audiobook => positions.has(audiobook.id));
+        if (useListOrder && listIds.length === 1) {
+            filtered.sort((a, b) => positions.get(a.id) - positions.get(b.id));
+        }
+        return filtered;
+    }
+
+    /**
+     * Filter audiobooks by numeric ranges (inclusive)
+     * Books without a value for a filtered field are left out.
+     * @param {Array} audiobooks - Audiobooks to filter
+     * @param {Object} ranges - Ranges keyed by RANGE_FIELDS name
+     * @returns {Array} Filtered audiobooks
+     */
+    filterByRanges(audiobooks, ranges) {
+        const activeRanges = Object.entries(ranges || {});
+        if (activeRanges.length === 0) {
+            return audiobooks;
+        }
+
+        return audiobooks.filter(audiobook => activeRanges.every(([field, range]) => {
+            const value = FilterManager.getRangeValue(audiobook, field);
+            return value !== null && value >= range.min && value <= range.max;
+        }));
+    }
+
+    /**
+     * Get the numeric value of a range field for a book
+     * @param {Object} audiobook - Audiobook
+     * @param {string} field - RANGE_FIELDS name
+     * @returns {number|null} Value, or null when the book has none (unrated, no price, ...)
+     */
+    static getRangeValue(audiobook, field) {
+        let value = null;
+
+        if (field === 'rating' || field === 'price') {
+            value = parseFloat(String(audiobook[field] ?? '').replace(/^\$/, ''));
+
+            // Ratings run from 1 to 5, so 0 means unrated; a price of 0 is a free book
+            if (field === 'rating' && value === 0) {
+                value = null;
+            }
+        } else if (field === 'length') {
+            value = audiobook.length ? parseDuration(String(audiobook.length)) / 60 : null;
+        } else if (field === 'year') {
+            value = audiobook.releaseDate ? new Date(audiobook.releaseDate).getUTCFullYear() : null;
+        }
+
+        return Number.isFinite(value) ? value : null;
+    }
+
+    /**
+     * Count books per value bucket for a range field, for the filter histograms
+     * @param {Array} audiobooks - Audiobooks to count
+     * @param {string} field - RANGE_FIELDS name
+     * @returns {Object|null} { min, max, buckets: [{ from, to, count }] }, or null if no book has a value
+     */
+    static buildHistogram(audiobooks, field) {
+        const { step } = RANGE_FIELDS[field];
+        const values = audiobooks
+            .map(audiobook => FilterManager.getRangeValue(audiobook, field))
+            .filter(value => value !== null);
+
+        if (values.length === 0) {
+            return null;
+        }
+
+        const min = Math.floor(Math.min(...values) / step) * step;
+        const max = Math.max(Math.ceil(Math.max(...values) / step) * step, min + step);
+        const bucketCount = Math.min(HISTOGRAM_BUCKETS, Math.round((max - min) / step));
+        const width = (max - min) / bucketCount;
+
+        const buckets = Array.from({ length: bucketCount }, (_, index) => ({
+            from: min + index * width,
+            to: min + (index + 1) * width,
+            count: 0
+        }));
+
+        values.forEach(value => {
+            const index = Math.min(bucketCount - 1, Math.floor((value - min) / width));
+            buckets[index].count++;
+        });
+
+        return { min, max, buckets };
+    }
+
+    /**
+     * Fill in and validate filter criteria
+     * @param {Object} filters - Possibly partial filter criteria
+     * @returns {Object} Complete filter criteria
+     */
+    static normalizeFilters(filters) {
+        return {
+            genres: filters.genres || [],
+            moods: filters.moods || [],
+            statuses: filters.statuses || [],
+            genreMode: MATCH_MODES.includes(filters.genreMode) ? filters.genreMode : 'any',
+            moodMode: MATCH_MODES.includes(filters.moodMode) ? filters.moodMode : 'any',
+            ranges: FilterManager.sanitizeRanges(filters.ranges),
+            lists: filters.lists || []
+        };
+    }
+
+    /**
+     * Keep only well-formed ranges for known fields
+     * @param {Object} ranges - Ranges keyed by field name
+     * @returns {Object} Valid ranges with min <= max
+     */
+    static sanitizeRanges(ranges) {
+        const valid = {};
+
+        Object.entries(ranges || {}).forEach(([field, range]) => {
+            const min = Number(range?.min);
+            const max = Number(range?.max);
+            if (RANGE_FIELDS[field] && !isNaN(min) && !isNaN(max) && min <= max) {
+                valid[field] = { min, max };
+            }
+        });
+
+        return valid;
+    }
+
+    /**
+     * Format a range field value for display
+     * @param {string} field - RANGE_FIELDS name
+     * @param {number} value - Value
+     * @returns {string} e.g. "$15", "12h", "2020"
+     */
+    static formatRangeValue(field, value) {
+        const rounded = Math.round(value * 100) / 100;
+        if (field === 'price') return `$${rounded}`;
+        if (field === 'length') return `${rounded}h`;
+        return String(rounded);
+    }
+
+    /**
+     * Check a book's genres or moods against the selected ones
+     * @param {Array} values - The book's genres or moods
+     * @param {Array} selected - Selected genres or moods
+     * @param {string} mode - 'any' (default), 'all' or 'none'
+     * @returns {boolean} True if the book passes
+     */
+    static matchesMode(values, selected, mode = 'any') {
+        const matchCount = selected.filter(value => values && values.includes(value)).length;
+
+        if (mode === 'all') {
+            return matchCount === selected.length;
+        }
+        if (mode === 'none') {
+            return matchCount === 0;
+        }
+        return matchCount > 0;
+    }
+
     /**
      * Clear all filters and search
      */
@@ -143,11 +377,25 @@ export class FilterManager {
         this.searchTerm = '';
         this.filters = {
             genres: [],
-            moods: []
+            moods: [],
+            statuses: [],
+            genreMode: 'any',
+            moodMode: 'any',
+            ranges: {},
+            lists: []
         };
         this.applyFilters();
     }
 
+    /**
+     * Get the words that matched the current search in each field of a book
+     * @param {string} audiobookId - Audiobook ID
+     * @returns {Object|null} Matched words keyed by field, or null if the book did not match a search
+     */
+    getHighlights(audiobookId) {
+        return this.highlights.get(audiobookId) || null;
+    }
+
     /**
      * Get current filter state
      * @returns {Object} Current filter and search state
@@ -157,7 +405,12 @@ export class FilterManager {
             searchTerm: this.searchTerm,
             filters: {
                 genres: [...this.filters.genres],
-                moods: [...this.filters.moods]
+                moods: [...this.filters.moods],
+                statuses: [...this.filters.statuses],
+                genreMode: this.filters.genreMode,
+                moodMode: this.filters.moodMode,
+                ranges: Object.fromEntries(Object.entries(this.filters.ranges).map(([field, range]) => [field, { ...range }])),
+                lists: [...this.filters.lists]
             }
         };
     }
@@ -169,7 +422,10 @@ export class FilterManager {
     hasActiveFilters() {
         return this.searchTerm.trim() !== '' ||
             this.filters.genres.length > 0 ||
-            this.filters.moods.length > 0;
+            this.filters.moods.length > 0 ||
+            this.filters.statuses.length > 0 ||
+            Object.keys(this.filters.ranges).length > 0 ||
+            this.filters.lists.length > 0;
     }
 
     /**
@@ -183,14 +439,38 @@ export class FilterManager {
             parts.push(`Search: "${this.searchTerm}"`);
         }
 
+        if (this.filters.statuses.length > 0) {
+            parts.push(`Status: ${this.filters.statuses.join(', ')}`);
+        }
+
         if (this.filters.genres.length > 0) {
-            parts.push(`Genres: ${this.filters.genres.join(', ')}`);
+            parts.push(`Genres${this.describeMode(this.filters.genreMode)}: ${this.filters.genres.join(', ')}`);
         }
 
         if (this.filters.moods.length > 0) {
-            parts.push(`Moods: ${this.filters.moods.join(', ')}`);
+            parts.push(`Moods${this.describeMode(this.filters.moodMode)}: ${this.filters.moods.join(', ')}`);
+        }
+
+        Object.entries(this.filters.ranges).forEach(([field, range]) => {
+            parts.push(`${RANGE_FIELDS[field].label}: ${FilterManager.formatRangeValue(field, range.min)}–${FilterManager.formatRangeValue(field, range.max)}`);
+        });
+
+        if (this.filters.lists.length > 0) {
+            const names = this.filters.lists.map(id => this.lists.find(list => list.id === id)?.name || id);
+            parts.push(`Lists: ${names.join(', ')}`);
         }
 
         return parts.length > 0 ? parts.join(' | ') : 'No filters applied';
     }
+
+    /**
+     * Label for a non-default match mode in the filter summary
+     * @param {string} mode - Match mode
+     * @returns {string} e.g. " (all of)", or '' for the default 'any'
+     */
+    describeMode(mode) {
+        if (mode === 'all') return ' (all of)';
+        if (mode === 'none') return ' (none of)';
+        return '';
+    }
 }
\ No newline at end of file
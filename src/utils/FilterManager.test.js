@@ -20,7 +20,8 @@ describe('FilterManager', () => {
                 author: 'Andy Weir',
                 narrator: 'R.C. Bray',
                 genres: ['sci-fi', 'next'],
-                moods: ['fast-paced', 'technical']
+                moods: ['fast-paced', 'technical'],
+                status: 'queued'
             },
             {
                 id: '2',
@@ -28,7 +29,8 @@ describe('FilterManager', () => {
                 author: 'Jerome K. Jerome',
                 narrator: 'Steven Crossley',
                 genres: ['done', 'classic'],
-                moods: ['funny', 'light']
+                moods: ['funny', 'light'],
+                status: 'finished'
             },
             {
                 id: '3',
@@ -36,7 +38,8 @@ describe('FilterManager', () => {
                 author: 'Gillian Flynn',
                 narrator: 'Julia Whelan',
                 genres: ['thriller', 'done'],
-                moods: ['dark', 'psychological']
+                moods: ['dark', 'psychological'],
+                status: 'listening'
             }
         ];
 
@@ -77,6 +80,35 @@ describe('FilterManager', () => {
             const result = filterManager.filterBySearch(sampleBooks, 'nonexistent');
             expect(result).toHaveLength(0);
         });
+
+        it('should tolerate typos and search genres and moods', () => {
+            expect(filterManager.filterBySearch(sampleBooks, 'Marshian')[0].id).toBe('1');
+            expect(filterManager.filterBySearch(sampleBooks, 'psychological').map(book => book.id)).toEqual(['3']);
+        });
+
+        it('should rank results by relevance', () => {
+            sampleBooks.push({ id: '4', title: 'Readings', author: 'Someone', narrator: 'The Martian Players', genres: [], moods: [] });
+            filterManager.setAudiobooks(sampleBooks);
+
+            const result = filterManager.filterBySearch(sampleBooks, 'martian');
+            expect(result.map(book => book.id)).toEqual(['1', '4']);
+        });
+
+        it('should pass matched words to the change callback', () => {
+            let highlights = null;
+            filterManager = new FilterManager((filteredBooks, matches) => {
+                highlights = matches;
+            });
+            filterManager.setAudiobooks(sampleBooks);
+
+            filterManager.updateSearch('weir');
+
+            expect(highlights.get('1')).toEqual({ author: ['weir'] });
+            expect(filterManager.getHighlights('2')).toBeNull();
+
+            filterManager.updateSearch('');
+            expect(highlights.size).toBe(0);
+        });
     });
 
     describe('category filtering', () => {
@@ -109,6 +141,42 @@ describe('FilterManager', () => {
             expect(result[0].title).toBe('Gone Girl');
         });
 
+        it('should filter by status', () => {
+            const filters = { genres: [], moods: [], statuses: ['queued', 'listening'] };
+            const result = filterManager.filterByCategories(sampleBooks, filters);
+            expect(result.map(b => b.title)).toEqual(['The Martian', 'Gone Girl']);
+        });
+
+        it('should combine status and mood filters', () => {
+            const filters = { genres: [], moods: ['dark'], statuses: ['finished'] };
+            const result = filterManager.filterByCategories(sampleBooks, filters);
+            expect(result).toHaveLength(0);
+        });
+
+        it('should match any selected genre by default', () => {
+            const filters = { genres: ['sci-fi', 'thriller'], moods: [] };
+            const result = filterManager.filterByCategories(sampleBooks, filters);
+            expect(result.map(b => b.id)).toEqual(['1', '3']);
+        });
+
+        it('should require all selected genres in all mode', () => {
+            const filters = { genres: ['thriller', 'done'], moods: [], genreMode: 'all' };
+            const result = filterManager.filterByCategories(sampleBooks, filters);
+            expect(result.map(b => b.id)).toEqual(['3']);
+        });
+
+        it('should exclude books with any selected mood in none mode', () => {
+            const filters = { genres: [], moods: ['dark', 'funny'], moodMode: 'none' };
+            const result = filterManager.filterByCategories(sampleBooks, filters);
+            expect(result.map(b => b.id)).toEqual(['1']);
+        });
+
+        it('should apply genre and mood modes independently', () => {
+            const filters = { genres: ['done'], moods: ['dark'], genreMode: 'any', moodMode: 'none' };
+            const result = filterManager.filterByCategories(sampleBooks, filters);
+            expect(result.map(b => b.id)).toEqual(['2']);
+        });
+
         it('should return all books for empty filters', () => {
             const filters = { genres: [], moods: [] };
             const result = filterManager.filterByCategories(sampleBooks, filters);
@@ -116,6 +184,132 @@ describe('FilterManager', () => {
         });
     });
 
+    describe('range filtering', () => {
+        const rangedBooks = [
+            { id: 'a', title: 'A', rating: 4.5, price: '$12.99', length: '10 hrs and 30 mins', releaseDate: '2019-06-01' },
+            { id: 'b', title: 'B', rating: 3, price: 25, length: '2 hrs', releaseDate: '2021-01-15' },
+            { id: 'c', title: 'C', rating: 0, price: 0, length: '', releaseDate: '' }
+        ];
+
+        it('should read numeric values from each field', () => {
+            expect(FilterManager.getRangeValue(rangedBooks[0], 'rating')).toBe(4.5);
+            expect(FilterManager.getRangeValue(rangedBooks[0], 'price')).toBe(12.99);
+            expect(FilterManager.getRangeValue(rangedBooks[0], 'length')).toBe(10.5);
+            expect(FilterManager.getRangeValue(rangedBooks[0], 'year')).toBe(2019);
+        });
+
+        it('should treat unrated, unpriced and undated books as having no value', () => {
+            ['rating', 'length', 'year'].forEach(field => {
+                expect(FilterManager.getRangeValue(rangedBooks[2], field)).toBeNull();
+            });
+            expect(FilterManager.getRangeValue({ id: 'd', price: '' }, 'price')).toBeNull();
+            expect(FilterManager.getRangeValue({ id: 'e' }, 'price')).toBeNull();
+        });
+
+        it('should keep free books in price ranges and histograms', () => {
+            expect(FilterManager.getRangeValue(rangedBooks[2], 'price')).toBe(0);
+            expect(FilterManager.getRangeValue({ id: 'f', price: '$0.00' }, 'price')).toBe(0);
+
+            const cheap = filterManager.filterByRanges(rangedBooks, { price: { min: 0, max: 15 } });
+            expect(cheap.map(b => b.id)).toEqual(['a', 'c']);
+
+            const histogram = FilterManager.buildHistogram(rangedBooks, 'price');
+            expect(histogram.min).toBe(0);
+            expect(histogram.buckets.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(3);
+        });
+
+        it('should keep books inside every range, inclusive', () => {
+            const byRating = filterManager.filterByRanges(rangedBooks, { rating: { min: 3, max: 4.5 } });
+            expect(byRating.map(b => b.id)).toEqual(['a', 'b']);
+
+            const combined = filterManager.filterByRanges(rangedBooks, {
+                rating: { min: 3, max: 5 },
+                length: { min: 5, max: 20 }
+            });
+            expect(combined.map(b => b.id)).toEqual(['a']);
+        });
+
+        it('should apply ranges alongside search and categories', () => {
+            let lastResult;
+            filterManager.onFilterChange = (books) => { lastResult = books; };
+            filterManager.setAudiobooks(rangedBooks);
+
+            filterManager.updateFilters({ ranges: { year: { min: 2020, max: 2021 } } });
+            expect(lastResult.map(b => b.id)).toEqual(['b']);
+            expect(filterManager.hasActiveFilters()).toBe(true);
+        });
+
+        it('should drop malformed and unknown ranges', () => {
+            expect(FilterManager.sanitizeRanges({
+                rating: { min: '4', max: 5 },
+                price: { min: 30, max: 10 },
+                pages: { min: 1, max: 2 },
+                length: null
+            })).toEqual({ rating: { min: 4, max: 5 } });
+        });
+
+        it('should count books per histogram bucket', () => {
+            const histogram = FilterManager.buildHistogram(rangedBooks, 'year');
+            expect(histogram.min).toBe(2019);
+            expect(histogram.max).toBe(2021);
+            expect(histogram.buckets).toHaveLength(2);
+            expect(histogram.buckets.map(bucket => bucket.count)).toEqual([1, 1]);
+            expect(histogram.buckets.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(2);
+        });
+
+        it('should cap the number of histogram buckets', () => {
+            const books = Array.from({ length: 40 }, (_, i) => ({ price: i + 1 }));
+            const histogram = FilterManager.buildHistogram(books, 'price');
+            expect(histogram.buckets).toHaveLength(10);
+            expect(histogram.buckets.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(40);
+        });
+
+        it('should return no histogram when no book has a value', () => {
+            expect(FilterManager.buildHistogram([rangedBooks[2]], 'rating')).toBeNull();
+        });
+
+        it('should show ranges in summary', () => {
+            filterManager.updateFilters({ ranges: { price: { min: 5, max: 20 }, length: { min: 8, max: 12 } } });
+            const summary = filterManager.getFilterSummary();
+            expect(summary).toContain('Price: $5–$20');
+            expect(summary).toContain('Length: 8h–12h');
+        });
+    });
+
+    describe('list filtering', () => {
+        const lists = [
+            { id: 'road', name: 'Road trip', bookIds: ['3', '1'] },
+            { id: 'club', name: 'Book club', bookIds: ['2', '3'] }
+        ];
+
+        beforeEach(() => {
+            filterManager.setAudiobooks(sampleBooks);
+            filterManager.setLists(lists);
+        });
+
+        it('should show a single list in its own order', () => {
+            const matches = filterManager.getMatchingBooks('', { lists: ['road'] });
+            expect(matches.map(book => book.id)).toEqual(['3', '1']);
+        });
+
+        it('should include books in any of several selected lists', () => {
+            const matches = filterManager.getMatchingBooks('', { lists: ['road', 'club'] });
+            expect(matches.map(book => book.id).sort()).toEqual(['1', '2', '3']);
+        });
+
+        it('should combine lists with other filters and search', () => {
+            expect(filterManager.getMatchingBooks('', { lists: ['club'], statuses: ['finished'] }).map(book => book.id))
+                .toEqual(['2']);
+            expect(filterManager.getMatchingBooks('Martian', { lists: ['road'] }).map(book => book.id)).toEqual(['1']);
+        });
+
+        it('should show list names in summary and count as active', () => {
+            filterManager.updateFilters({ lists: ['club'] });
+            expect(filterManager.hasActiveFilters()).toBe(true);
+            expect(filterManager.getFilterSummary()).toContain('Lists: Book club');
+        });
+    });
+
     describe('state management', () => {
         it('should track search term', () => {
             filterManager.updateSearch('test search');
@@ -142,6 +336,13 @@ describe('FilterManager', () => {
             expect(filterManager.hasActiveFilters()).toBe(true);
         });
 
+        it('should track match modes and fall back to any', () => {
+            filterManager.updateFilters({ genres: ['sci-fi'], moods: [], genreMode: 'all', moodMode: 'bogus' });
+            const state = filterManager.getState();
+            expect(state.filters.genreMode).toBe('all');
+            expect(state.filters.moodMode).toBe('any');
+        });
+
         it('should clear all filters', () => {
             filterManager.updateSearch('test');
             filterManager.updateFilters({ genres: ['sci-fi'], moods: ['funny'] });
@@ -154,6 +355,17 @@ describe('FilterManager', () => {
             expect(state.filters.moods).toEqual([]);
             expect(filterManager.hasActiveFilters()).toBe(false);
         });
+
+        it('should find matching books without changing the current state', () => {
+            filterManager.setAudiobooks(sampleBooks);
+            filterManager.updateSearch('Martian');
+
+            const matches = filterManager.getMatchingBooks('', { genres: ['done'], statuses: ['finished'] });
+
+            expect(matches.map(book => book.id)).toEqual(['2']);
+            expect(filterManager.getState().searchTerm).toBe('Martian');
+            expect(filterManager.getState().filters.genres).toEqual([]);
+        });
     });
 
     describe('filter summary', () => {
@@ -180,6 +392,20 @@ describe('FilterManager', () => {
             expect(summary).toContain('Moods: funny, dark');
         });
 
+        it('should show statuses in summary', () => {
+            filterManager.updateFilters({ genres: [], moods: [], statuses: ['listening'] });
+            const summary = filterManager.getFilterSummary();
+            expect(summary).toContain('Status: listening');
+            expect(filterManager.hasActiveFilters()).toBe(true);
+        });
+
+        it('should show non-default match modes in summary', () => {
+            filterManager.updateFilters({ genres: ['sci-fi', 'fantasy'], moods: ['heavy'], genreMode: 'all', moodMode: 'none' });
+            const summary = filterManager.getFilterSummary();
+            expect(summary).toContain('Genres (all of): sci-fi, fantasy');
+            expect(summary).toContain('Moods (none of): heavy');
+        });
+
         it('should combine multiple filter types in summary', () => {
             filterManager.updateSearch('test');
             filterManager.updateFilters({ genres: ['sci-fi'], moods: ['funny'] });
@@ -0,0 +1,406 @@
+/**
+ * QueryParser - Parses the search bar's query syntax into a tree for SearchIndex
+ *
+ * Supported syntax:
+ *   word "quoted phrase"        free text (all terms must match)
+ *   author:sanderson            field qualifier
+ *   author:"Brandon Sanderson"  quoted phrase in a field
+ *   rating:>=4 length:<10h      comparisons on rating, price, length and released
+ *   -mood:heavy                 negation
+ *   fantasy OR sci-fi           alternatives (binds looser than the implicit AND)
+ *   (a OR b) c                  grouping
+ *
+ * Parsing never throws: syntax errors are collected with their position and the
+ * parser recovers, so the rest of the query still filters while the user types.
+ */
+
+/**
+ * Query field names, their aliases and how their values are compared
+ * Keys are lowercase; field names in queries are matched case-insensitively.
+ */
+const QUERY_FIELDS = {
+    title: { field: 'title', kind: 'text' },
+    author: { field: 'author', kind: 'text' },
+    narrator: { field: 'narrator', kind: 'text' },
+    genre: { field: 'genres', kind: 'tag' },
+    genres: { field: 'genres', kind: 'tag' },
+    mood: { field: 'moods', kind: 'tag' },
+    moods: { field: 'moods', kind: 'tag' },
+    status: { field: 'status', kind: 'tag' },
+    rating: { field: 'rating', kind: 'number' },
+    price: { field: 'price', kind: 'number' },
+    length: { field: 'length', kind: 'duration' },
+    released: { field: 'releaseDate', kind: 'date' },
+    releasedate: { field: 'releaseDate', kind: 'date' },
+    release: { field: 'releaseDate', kind: 'date' },
+    year: { field: 'releaseDate', kind: 'date' }
+};
+
+const COMPARISON_KINDS = ['number', 'duration', 'date'];
+const OPERATOR_PATTERN = /^(>=|<=|>|<|=)/;
+const HAS_WORD_PATTERN = /[\p{L}\p{N}]/u;
+
+/**
+ * Parse a search query
+ * @param {string} input - Raw search bar text
+ * @returns {Object} { ast, errors } where ast is null for an empty query and each
+ *   error is { message, position } with a 0-based character offset
+ */
+export function parseQuery(input) {
+    const errors = [];
+    const tokens = tokenizeQuery(String(input || ''), errors);
+    const parser = new Parser(tokens, errors);
+
+    return { ast: parser.parse(), errors };
+}
+
+/**
+ * Split a query into tokens: parentheses, OR, negation and (qualified) terms
+ * @param {string} input - Raw query
+ * @param {Array} errors - Collected syntax errors
+ * @returns {Array} Tokens
+ */
+function tokenizeQuery(input, errors) {
+    const tokens = [];
+    let i = 0;
+
+    const readPhrase = (start) => {
+        const end = input.indexOf('"', start + 1);
+        if (end === -1) {
+            errors.push({ message: 'Missing closing quote', position: start });
+            i = input.length;
+            return input.slice(start + 1);
+        }
+        i = end + 1;
+        return input.slice(start + 1, end);
+    };
+
+    while (i < input.length) {
+        const char = input[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'lparen' : 'rparen', position: i });
+            i++;
+        } else if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+            tokens.push({ type: 'not', position: i });
+            i++;
+        } else if (char === '"') {
+            const position = i;
+            tokens.push({ type: 'term', value: readPhrase(i), phrase: true, position });
+        } else {
+            const position = i;
+            while (i < input.length && !/[\s()"]/.test(input[i])) {
+                i++;
+            }
+            const chunk = input.slice(position, i);
+
+            if (chunk === 'OR') {
+                tokens.push({ type: 'or', position });
+            } else if (chunk === 'AND') {
+                // Terms are ANDed anyway
+            } else {
+                tokens.push(createTermToken(chunk, position, input[i] === '"' ? () => readPhrase(i) : null, errors));
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Build a term token, splitting off a field qualifier and comparison operator
+ * @param {string} chunk - Unquoted text up to the next space, parenthesis or quote
+ * @param {number} position - Offset of the chunk in the query
+ * @param {Function|null} readPhrase - Reads a quoted value directly after the chunk
+ * @param {Array} errors - Collected syntax errors
+ * @returns {Object} Term token
+ */
+function createTermToken(chunk, position, readPhrase, errors) {
+    const qualified = chunk.match(/^([a-zA-Z]+):(.*)$/);
+    if (!qualified) {
+        return { type: 'term', value: chunk, phrase: false, position };
+    }
+
+    const name = qualified[1].toLowerCase();
+    const definition = QUERY_FIELDS[name];
+
+    if (!definition) {
+        errors.push({ message: `Unknown field "${qualified[1]}"`, position });
+        return { type: 'term', value: chunk, phrase: false, position };
+    }
+
+    let rest = qualified[2];
+    const operatorMatch = rest.match(OPERATOR_PATTERN);
+    const operator = operatorMatch ? operatorMatch[1] : '=';
+    rest = rest.slice(operatorMatch ? operatorMatch[1].length : 0);
+
+    let value = rest;
+    let phrase = false;
+    if (value === '' && readPhrase) {
+        value = readPhrase();
+        phrase = true;
+    }
+
+    return { type: 'term', name, ...definition, operator, value, phrase, position };
+}
+
+/**
+ * Recursive descent parser over the token list
+ *
+ *   query  := or
+ *   or     := and ('OR' and)*
+ *   and    := unary+
+ *   unary  := '-' unary | '(' or ')' | term
+ */
+class Parser {
+    constructor(tokens, errors) {
+        this.tokens = tokens;
+        this.errors = errors;
+        this.index = 0;
+    }
+
+    parse() {
+        const parts = [];
+
+        while (this.peek()) {
+            const node = this.parseOr();
+            if (node) {
+                parts.push(node);
+            }
+
+            // parseOr only stops early at a closing parenthesis without an opening one
+            const stray = this.peek();
+            if (stray && stray.type === 'rparen') {
+                this.errors.push({ message: 'Unexpected ")"', position: stray.position });
+                this.index++;
+            }
+        }
+
+        return combine('and', parts);
+    }
+
+    parseOr() {
+        const options = [];
+        const first = this.parseAnd();
+        if (first) {
+            options.push(first);
+        }
+
+        while (this.peek()?.type === 'or') {
+            const orToken = this.next();
+            const option = this.parseAnd();
+
+            if (!option || options.length === 0) {
+                this.errors.push({ message: 'OR needs a term on both sides', position: orToken.position });
+            }
+            if (option) {
+                options.push(option);
+            }
+        }
+
+        return combine('or', options);
+    }
+
+    parseAnd() {
+        const children = [];
+
+        while (this.peek() && !['or', 'rparen'].includes(this.peek().type)) {
+            const node = this.parseUnary();
+            if (node) {
+                children.push(node);
+            }
+        }
+
+        return combine('and', children);
+    }
+
+    parseUnary() {
+        const token = this.next();
+
+        if (token.type === 'not') {
+            const next = this.peek();
+            const child = next && !['or', 'rparen'].includes(next.type) ? this.parseUnary() : null;
+            if (!child) {
+                this.errors.push({ message: 'Nothing to exclude after "-"', position: token.position });
+                return null;
+            }
+            return { type: 'not', child };
+        }
+
+        if (token.type === 'lparen') {
+            const inner = this.parseOr();
+            if (this.peek()?.type === 'rparen') {
+                this.next();
+            } else {
+                this.errors.push({ message: 'Missing closing parenthesis', position: token.position });
+            }
+            if (!inner) {
+                this.errors.push({ message: 'Empty parentheses', position: token.position });
+            }
+            return inner;
+        }
+
+        return this.createTermNode(token);
+    }
+
+    /**
+     * Turn a term token into a tree node, validating its value
+     * @param {Object} token - Term token
+     * @returns {Object|null} Node, or null when the term cannot be used
+     */
+    createTermNode(token) {
+        // Punctuation on its own can't match anything
+        if (!token.field) {
+            return HAS_WORD_PATTERN.test(token.value)
+                ? { type: 'text', value: token.value, phrase: token.phrase }
+                : null;
+        }
+
+        if (token.value.trim() === '') {
+            this.errors.push({ message: `Missing value after "${token.name}:"`, position: token.position });
+            return null;
+        }
+
+        const node = {
+            type: 'field',
+            field: token.field,
+            kind: token.kind,
+            operator: token.operator,
+            value: token.value,
+            phrase: token.phrase
+        };
+
+        if (!COMPARISON_KINDS.includes(token.kind)) {
+            if (token.operator !== '=') {
+                this.errors.push({
+                    message: `"${token.name}" can't be compared with ${token.operator}; comparisons work on rating, price, length and released`,
+                    position: token.position
+                });
+                node.operator = '=';
+            }
+            return node;
+        }
+
+        const range = parseComparisonValue(token.kind, token.value);
+        if (!range) {
+            this.errors.push({ message: describeExpectedValue(token.name, token.kind, token.value), position: token.position });
+            return null;
+        }
+
+        return { ...node, range };
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+}
+
+/**
+ * Combine nodes under an and/or node, collapsing trivial cases
+ * @param {string} type - 'and' or 'or'
+ * @param {Array} children - Child nodes
+ * @returns {Object|null} Combined node
+ */
+function combine(type, children) {
+    if (children.length === 0) {
+        return null;
+    }
+    return children.length === 1 ? children[0] : { type, children };
+}
+
+/**
+ * Parse a comparison value into the half-open range [start, end) it stands for
+ * "2020" covers the whole year and "10h" exactly ten hours, so released:2020 and
+ * released:<2021 both work as expected.
+ * @param {string} kind - number, duration or date
+ * @param {string} value - Raw value
+ * @returns {Object|null} { start, end }, or null if the value is malformed
+ */
+function parseComparisonValue(kind, value) {
+    const trimmed = value.trim();
+
+    if (kind === 'number') {
+        const number = trimmed.replace(/^\$/, '');
+        if (!/^\d+(\.\d+)?$/.test(number)) {
+            return null;
+        }
+        return { start: parseFloat(number), end: parseFloat(number) };
+    }
+
+    if (kind === 'duration') {
+        const match = trimmed.toLowerCase().match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+)m)?$/);
+        let minutes;
+        if (/^\d+(\.\d+)?$/.test(trimmed)) {
+            minutes = parseFloat(trimmed) * 60; // Bare numbers are hours
+        } else if (match && (match[1] || match[2])) {
+            minutes = (match[1] ? parseFloat(match[1]) * 60 : 0) + (match[2] ? parseInt(match[2], 10) : 0);
+        } else {
+            return null;
+        }
+        return { start: minutes, end: minutes };
+    }
+
+    const match = trimmed.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day] = match.map(part => (part === undefined ? undefined : parseInt(part, 10)));
+    const start = new Date(Date.UTC(year, month ? month - 1 : 0, day || 1));
+    const end = day
+        ? new Date(Date.UTC(year, month - 1, day + 1))
+        : month
+            ? new Date(Date.UTC(year, month, 1))
+            : new Date(Date.UTC(year + 1, 0, 1));
+
+    if (isNaN(start.getTime()) || (month && (month < 1 || month > 12))) {
+        return null;
+    }
+
+    return { start: start.getTime(), end: end.getTime() };
+}
+
+/**
+ * Explain what a comparison field expects
+ * @param {string} name - Field name as typed
+ * @param {string} kind - Field kind
+ * @param {string} value - The rejected value
+ * @returns {string} Error message
+ */
+function describeExpectedValue(name, kind, value) {
+    const examples = {
+        number: 'a number like 4 or 4.5',
+        duration: 'a length like 10h, 90m or 1h30m',
+        date: 'a date like 2020, 2020-05 or 2020-05-01'
+    };
+    return `"${value}" is not valid for ${name}: use ${examples[kind]}`;
+}
+
+/**
+ * Check a numeric value against a comparison node's operator and range
+ * @param {Object} node - Field node with operator and range
+ * @param {number|null} value - Book value (null when the book has none)
+ * @returns {boolean} True if the comparison holds
+ */
+export function compareQueryValue(node, value) {
+    if (value === null || value === undefined || isNaN(value)) {
+        return false;
+    }
+
+    const { start, end } = node.range;
+    const isRange = end > start;
+
+    switch (node.operator) {
+        case '>': return isRange ? value >= end : value > start;
+        case '>=': return value >= start;
+        case '<': return value < start;
+        case '<=': return isRange ? value < end : value <= start;
+        default: return isRange ? value >= start && value < end : value === start;
+    }
+}
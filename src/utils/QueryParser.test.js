@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuery, compareQueryValue } from './QueryParser.js';
+
+describe('QueryParser', () => {
+    describe('parseQuery', () => {
+        it('should return no tree for an empty query', () => {
+            expect(parseQuery('')).toEqual({ ast: null, errors: [] });
+            expect(parseQuery('   ').ast).toBeNull();
+        });
+
+        it('should AND free-text words and quoted phrases', () => {
+            const { ast, errors } = parseQuery('dune "god emperor"');
+
+            expect(errors).toEqual([]);
+            expect(ast).toEqual({
+                type: 'and',
+                children: [
+                    { type: 'text', value: 'dune', phrase: false },
+                    { type: 'text', value: 'god emperor', phrase: true }
+                ]
+            });
+        });
+
+        it('should parse field qualifiers with quoted values', () => {
+            const { ast } = parseQuery('author:"Brandon Sanderson"');
+
+            expect(ast).toMatchObject({ type: 'field', field: 'author', kind: 'text', operator: '=', value: 'Brandon Sanderson', phrase: true });
+        });
+
+        it('should map field aliases', () => {
+            expect(parseQuery('genre:fantasy').ast).toMatchObject({ field: 'genres', kind: 'tag' });
+            expect(parseQuery('Mood:dark').ast).toMatchObject({ field: 'moods', kind: 'tag' });
+            expect(parseQuery('released:2020').ast).toMatchObject({ field: 'releaseDate', kind: 'date' });
+            expect(parseQuery('releaseDate:>2020').ast).toMatchObject({ field: 'releaseDate', kind: 'date', operator: '>' });
+            expect(parseQuery('RELEASEDATE:2020').errors).toEqual([]);
+        });
+
+        it('should parse comparisons into ranges', () => {
+            expect(parseQuery('rating:>=4').ast).toMatchObject({ operator: '>=', range: { start: 4, end: 4 } });
+            expect(parseQuery('price:<$15.50').ast).toMatchObject({ operator: '<', range: { start: 15.5 } });
+            expect(parseQuery('length:<10h').ast).toMatchObject({ range: { start: 600 } });
+            expect(parseQuery('length:1h30m').ast).toMatchObject({ range: { start: 90 } });
+            expect(parseQuery('length:>=90m').ast).toMatchObject({ range: { start: 90 } });
+            expect(parseQuery('released:2020-05').ast.range).toEqual({
+                start: Date.UTC(2020, 4, 1),
+                end: Date.UTC(2020, 5, 1)
+            });
+        });
+
+        it('should parse negation, OR and grouping', () => {
+            const { ast, errors } = parseQuery('(genre:fantasy OR genre:sci-fi) -mood:heavy');
+
+            expect(errors).toEqual([]);
+            expect(ast.type).toBe('and');
+            expect(ast.children[0].type).toBe('or');
+            expect(ast.children[0].children.map(child => child.value)).toEqual(['fantasy', 'sci-fi']);
+            expect(ast.children[1]).toMatchObject({ type: 'not', child: { field: 'moods', value: 'heavy' } });
+        });
+
+        it('should bind OR looser than the implicit AND', () => {
+            const { ast } = parseQuery('a b OR c');
+
+            expect(ast.type).toBe('or');
+            expect(ast.children[0].type).toBe('and');
+        });
+
+        it('should keep hyphens inside words', () => {
+            expect(parseQuery('sci-fi').ast).toEqual({ type: 'text', value: 'sci-fi', phrase: false });
+        });
+
+        it('should report errors with positions and keep the rest of the query', () => {
+            const { ast, errors } = parseQuery('dune author:"Frank');
+
+            expect(errors).toEqual([{ message: 'Missing closing quote', position: 12 }]);
+            expect(ast.children[1]).toMatchObject({ field: 'author', value: 'Frank' });
+        });
+
+        it('should reject malformed queries', () => {
+            const messages = query => parseQuery(query).errors.map(error => error.message);
+
+            expect(messages('rating:high')[0]).toContain('is not valid for rating');
+            expect(messages('length:ten')[0]).toContain('10h, 90m or 1h30m');
+            expect(messages('released:May')[0]).toContain('2020-05-01');
+            expect(messages('author:>b')[0]).toContain('comparisons work on rating, price, length and released');
+            expect(messages('colour:red')).toEqual(['Unknown field "colour"']);
+            expect(messages('author:')).toEqual(['Missing value after "author:"']);
+            expect(messages('dune OR')).toEqual(['OR needs a term on both sides']);
+            expect(messages('(dune')).toEqual(['Missing closing parenthesis']);
+            expect(messages('dune)')).toEqual(['Unexpected ")"']);
+            expect(messages('dune -')).toEqual([]);
+            expect(messages('-(')).toContain('Nothing to exclude after "-"');
+        });
+    });
+
+    describe('compareQueryValue', () => {
+        const yearNode = operator => ({ operator, range: { start: Date.UTC(2020, 0, 1), end: Date.UTC(2021, 0, 1) } });
+        const midYear = Date.UTC(2020, 6, 1);
+
+        it('should compare plain numbers', () => {
+            const node = { operator: '>=', range: { start: 4, end: 4 } };
+
+            expect(compareQueryValue(node, 4)).toBe(true);
+            expect(compareQueryValue(node, 3.9)).toBe(false);
+            expect(compareQueryValue(node, null)).toBe(false);
+        });
+
+        it('should treat dates as covering their whole period', () => {
+            expect(compareQueryValue(yearNode('='), midYear)).toBe(true);
+            expect(compareQueryValue(yearNode('>'), midYear)).toBe(false);
+            expect(compareQueryValue(yearNode('<='), midYear)).toBe(true);
+            expect(compareQueryValue(yearNode('<'), midYear)).toBe(false);
+            expect(compareQueryValue(yearNode('>='), Date.UTC(2019, 11, 31))).toBe(false);
+        });
+    });
+});
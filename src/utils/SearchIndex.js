@@ -0,0 +1,370 @@
+import { normalizeSearchText, parseDuration } from './helpers.js';
+import { parseQuery, compareQueryValue } from './QueryParser.js';
+
+/**
+ * Relative importance of each searchable field when ranking results
+ */
+const FIELD_WEIGHTS = {
+    title: 5,
+    author: 4,
+    narrator: 3,
+    genres: 2,
+    moods: 2
+};
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const NO_MATCH = { matched: false, score: 0, matches: {} };
+
+/**
+ * Combine the results of several matching sub-queries
+ * @param {Array} results - Matching evaluation results
+ * @returns {Object} Result with summed score and merged matches
+ */
+function mergeResults(results) {
+    const matches = {};
+
+    for (const result of results) {
+        for (const [field, words] of Object.entries(result.matches)) {
+            if (!matches[field]) {
+                matches[field] = new Set();
+            }
+            words.forEach(word => matches[field].add(word));
+        }
+    }
+
+    return {
+        matched: true,
+        score: results.reduce((sum, result) => sum + result.score, 0),
+        matches
+    };
+}
+
+/**
+ * SearchIndex - Typo- and accent-tolerant full-text index over an audiobook collection
+ * Each book's searchable fields are tokenized once when the index is built. Free-text
+ * words match whole words, word prefixes, substrings and near misses ("tolkein" for
+ * "Tolkien"), and results are ranked by how well and where they matched. Queries may
+ * use the QueryParser syntax (field qualifiers, comparisons, negation, OR).
+ */
+export class SearchIndex {
+    /**
+     * @param {Array} audiobooks - Audiobooks to index
+     */
+    constructor(audiobooks = []) {
+        this.entries = [];
+        this.entriesByBook = new Map();
+        this.build(audiobooks);
+    }
+
+    /**
+     * Rebuild the index for a collection
+     * @param {Array} audiobooks - Audiobooks to index
+     */
+    build(audiobooks) {
+        this.entries = (audiobooks || []).map((audiobook, position) => ({
+            audiobook,
+            position,
+            fields: Object.fromEntries(Object.keys(FIELD_WEIGHTS).map(field => [
+                field,
+                SearchIndex.tokenize(Array.isArray(audiobook[field]) ? audiobook[field].join(' ') : audiobook[field])
+            ]))
+        }));
+        this.entriesByBook = new Map(this.entries.map(entry => [entry.audiobook, entry]));
+    }
+
+    /**
+     * Check whether a book object is part of the index
+     * @param {Object} audiobook - Audiobook
+     * @returns {boolean} True if the book was indexed
+     */
+    has(audiobook) {
+        return this.entriesByBook.has(audiobook);
+    }
+
+    /**
+     * Find books matching a query, best matches first
+     * @param {string} query - Search text, optionally using the QueryParser syntax
+     * @returns {Array} [{ audiobook, score, matches }] where matches maps each field to
+     *   the normalized words that matched, for highlighting
+     */
+    search(query) {
+        const { ast } = parseQuery(query);
+        if (!ast) {
+            return [];
+        }
+
+        const results = [];
+
+        for (const entry of this.entries) {
+            const result = this.evaluate(ast, entry);
+            if (result.matched) {
+                results.push({ entry, score: result.score, matches: result.matches });
+            }
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score || a.entry.position - b.entry.position)
+            .map(({ entry, score, matches }) => ({
+                audiobook: entry.audiobook,
+                score,
+                matches: Object.fromEntries(Object.entries(matches).map(([field, words]) => [field, [...words]]))
+            }));
+    }
+
+    /**
+     * Evaluate a query tree node against one book
+     * @param {Object} node - Node from parseQuery
+     * @param {Object} entry - Index entry
+     * @returns {Object} { matched, score, matches } with matches as field -> Set of words
+     * @private
+     */
+    evaluate(node, entry) {
+        switch (node.type) {
+            case 'and': {
+                const results = node.children.map(child => this.evaluate(child, entry));
+                if (!results.every(result => result.matched)) {
+                    return NO_MATCH;
+                }
+
+                const combined = mergeResults(results);
+                combined.score += this.phraseBonus(node, entry);
+                return combined;
+            }
+
+            case 'or': {
+                const results = node.children.map(child => this.evaluate(child, entry))
+                    .filter(result => result.matched);
+                return results.length > 0 ? mergeResults(results) : NO_MATCH;
+            }
+
+            case 'not':
+                // Excluded terms neither score nor highlight
+                return this.evaluate(node.child, entry).matched ? NO_MATCH : { matched: true, score: 0, matches: {} };
+
+            case 'text':
+                return this.evaluateText(node, entry, Object.keys(FIELD_WEIGHTS));
+
+            case 'field':
+                return this.evaluateField(node, entry);
+
+            default:
+                return NO_MATCH;
+        }
+    }
+
+    /**
+     * Match free text (or a text field qualifier) against the given fields
+     * Every word must match; a quoted phrase must appear with its words in order.
+     * @param {Object} node - text or field node
+     * @param {Object} entry - Index entry
+     * @param {string[]} fields - Fields to search
+     * @returns {Object} Evaluation result
+     * @private
+     */
+    evaluateText(node, entry, fields) {
+        const terms = SearchIndex.tokenize(node.value);
+        if (terms.length === 0) {
+            return { matched: true, score: 0, matches: {} };
+        }
+
+        const matches = {};
+
+        if (node.phrase) {
+            const phrase = terms.join(' ');
+            let best = 0;
+
+            for (const field of fields) {
+                const words = entry.fields[field];
+                if (` ${words.join(' ')} `.includes(` ${phrase} `)) {
+                    best = Math.max(best, FIELD_WEIGHTS[field] * terms.length);
+                    matches[field] = new Set(terms);
+                }
+            }
+
+            return best > 0 ? { matched: true, score: best, matches } : NO_MATCH;
+        }
+
+        let score = 0;
+
+        for (const term of terms) {
+            let bestTermScore = 0;
+
+            for (const field of fields) {
+                let bestFieldScore = 0;
+
+                for (const word of entry.fields[field]) {
+                    const wordScore = SearchIndex.matchWord(term, word);
+                    if (wordScore > 0) {
+                        bestFieldScore = Math.max(bestFieldScore, wordScore);
+                        if (!matches[field]) {
+                            matches[field] = new Set();
+                        }
+                        matches[field].add(word);
+                    }
+                }
+
+                bestTermScore = Math.max(bestTermScore, bestFieldScore * FIELD_WEIGHTS[field]);
+            }
+
+            if (bestTermScore === 0) {
+                return NO_MATCH;
+            }
+            score += bestTermScore;
+        }
+
+        return { matched: true, score, matches };
+    }
+
+    /**
+     * Match a field qualifier such as author:, genre: or rating:>=4
+     * @param {Object} node - field node
+     * @param {Object} entry - Index entry
+     * @returns {Object} Evaluation result
+     * @private
+     */
+    evaluateField(node, entry) {
+        const value = entry.audiobook[node.field];
+
+        switch (node.kind) {
+            case 'text':
+                return this.evaluateText(node, entry, [node.field]);
+
+            case 'tag': {
+                const wanted = normalizeSearchText(node.value.trim());
+                const tags = Array.isArray(value) ? value : [value];
+                const matched = tags.some(tag => normalizeSearchText(tag) === wanted);
+
+                return matched
+                    ? { matched: true, score: 1, matches: { [node.field]: new Set(SearchIndex.tokenize(wanted)) } }
+                    : NO_MATCH;
+            }
+
+            default:
+                return compareQueryValue(node, SearchIndex.comparableValue(node.kind, value))
+                    ? { matched: true, score: 1, matches: {} }
+                    : NO_MATCH;
+        }
+    }
+
+    /**
+     * Bonus for free-text words that appear in order in the title
+     * @param {Object} node - and node
+     * @param {Object} entry - Index entry
+     * @returns {number} Bonus score
+     * @private
+     */
+    phraseBonus(node, entry) {
+        const words = node.children
+            .filter(child => child.type === 'text' && !child.phrase)
+            .flatMap(child => SearchIndex.tokenize(child.value));
+
+        if (words.length < 2) {
+            return 0;
+        }
+
+        return entry.fields.title.join(' ').includes(words.join(' ')) ? FIELD_WEIGHTS.title : 0;
+    }
+
+    /**
+     * Convert a book value to a number for comparisons
+     * @param {string} kind - number, duration or date
+     * @param {*} value - Book field value
+     * @returns {number|null} Comparable number, or null when the book has no value
+     */
+    static comparableValue(kind, value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+
+        if (kind === 'duration') {
+            return parseDuration(String(value)) || null;
+        }
+
+        if (kind === 'date') {
+            const time = new Date(value).getTime();
+            return isNaN(time) ? null : time;
+        }
+
+        const number = parseFloat(String(value).replace(/^\$/, ''));
+        return isNaN(number) ? null : number;
+    }
+
+    /**
+     * How well a query word matches an indexed word (0 = no match, 1 = exact)
+     * @param {string} term - Normalized query word
+     * @param {string} word - Normalized indexed word
+     * @returns {number} Match quality
+     */
+    static matchWord(term, word) {
+        if (word === term) {
+            return 1;
+        }
+
+        if (word.startsWith(term)) {
+            return 0.8;
+        }
+
+        if (term.length >= 3 && word.includes(term)) {
+            return 0.5;
+        }
+
+        const maxEdits = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+        if (maxEdits > 0 && Math.abs(word.length - term.length) <= maxEdits) {
+            const distance = SearchIndex.editDistance(term, word, maxEdits);
+            if (distance <= maxEdits) {
+                return 0.6 - (distance - 1) * 0.15;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Edit distance counting insertions, deletions, substitutions and swaps of
+     * adjacent letters, giving up once it exceeds a limit
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} limit - Largest distance of interest
+     * @returns {number} Distance, or limit + 1 when it is larger than the limit
+     */
+    static editDistance(a, b, limit = Infinity) {
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+
+                nextRow[j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > limit) {
+                return limit + 1;
+            }
+
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return Math.min(row[b.length], limit + 1);
+    }
+
+    /**
+     * Split text into normalized words
+     * @param {string} text - Text to split
+     * @returns {string[]} Lowercase, accent-free words
+     */
+    static tokenize(text) {
+        return normalizeSearchText(text).match(WORD_PATTERN) || [];
+    }
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { SearchIndex } from './SearchIndex.js';
+
+describe('SearchIndex', () => {
+    const books = [
+        { id: '1', title: 'The Hobbit', author: 'J.R.R. Tolkien', narrator: 'Andy Serkis', genres: ['fantasy'], moods: ['adventurous'], rating: 4.7, price: 19.99, length: '11 hrs and 5 mins', releaseDate: '2020-09-21' },
+        { id: '2', title: 'Jane Eyre', author: 'Charlotte Brontë', narrator: 'Thandiwe Newton', genres: ['classic'], moods: ['dark'], rating: 4.2, price: '$9.99', length: '19 hrs', releaseDate: '2016-03-10' },
+        { id: '3', title: 'Fantasy Writing Guide', author: 'Brandon Sanderson', narrator: 'Hobbit Book Club', genres: ['non-fiction'], moods: [], rating: 0, length: '' }
+    ];
+
+    const index = new SearchIndex(books);
+    const ids = query => index.search(query).map(result => result.audiobook.id);
+
+    it('should tolerate typos', () => {
+        expect(ids('Tolkein')).toEqual(['1']);
+        expect(ids('sandersen')).toEqual(['3']);
+    });
+
+    it('should ignore accents in either direction', () => {
+        expect(ids('bronte')).toEqual(['2']);
+        expect(new SearchIndex([{ id: 'x', title: 'Bronte Sisters' }]).search('Brontë')).toHaveLength(1);
+    });
+
+    it('should search narrators, genres and moods', () => {
+        expect(ids('classic')).toEqual(['2']);
+        expect(ids('adventurous')).toEqual(['1']);
+        expect(ids('club')).toEqual(['3']);
+    });
+
+    it('should require every query word to match', () => {
+        expect(ids('jane eyre')).toEqual(['2']);
+        expect(ids('jane tolkien')).toEqual([]);
+    });
+
+    it('should rank title matches above matches in less important fields', () => {
+        expect(ids('hobbit')).toEqual(['1', '3']);
+        expect(ids('fantasy')).toEqual(['3', '1']);
+    });
+
+    it('should match word prefixes while typing', () => {
+        expect(ids('hob')).toEqual(['1', '3']);
+    });
+
+    it('should report the matched words per field for highlighting', () => {
+        const [result] = index.search('tolkein hobbit');
+
+        expect(result.matches.author).toEqual(['tolkien']);
+        expect(result.matches.title).toEqual(['hobbit']);
+    });
+
+    it('should return nothing for empty queries', () => {
+        expect(index.search('')).toEqual([]);
+        expect(index.search('  !! ')).toEqual([]);
+    });
+
+    describe('query syntax', () => {
+        it('should restrict words to a qualified field', () => {
+            expect(ids('title:hobbit')).toEqual(['1']);
+            expect(ids('author:"Brandon Sanderson"')).toEqual(['3']);
+            expect(ids('author:"Sanderson Brandon"')).toEqual([]);
+            expect(ids('author:tolkein')).toEqual(['1']);
+        });
+
+        it('should match genre, mood and status tags exactly', () => {
+            expect(ids('genre:fantasy')).toEqual(['1']);
+            expect(ids('genre:fanta')).toEqual([]);
+        });
+
+        it('should compare ratings, prices, lengths and release dates', () => {
+            expect(ids('rating:>=4.5')).toEqual(['1']);
+            expect(ids('price:<15')).toEqual(['2']);
+            expect(ids('length:<12h')).toEqual(['1']);
+            expect(ids('released:2020')).toEqual(['1']);
+            expect(ids('released:<2020')).toEqual(['2']);
+            expect(ids('releaseDate:<2020')).toEqual(['2']);
+        });
+
+        it('should support negation and OR', () => {
+            expect(ids('-genre:fantasy')).toEqual(['2', '3']);
+            expect(ids('genre:classic OR genre:fantasy')).toEqual(['1', '2']);
+            expect(ids('hobbit -club')).toEqual(['1']);
+        });
+
+        it('should highlight qualified matches but not excluded ones', () => {
+            const [result] = index.search('author:tolkien -mood:dark');
+
+            expect(result.matches).toEqual({ author: ['tolkien'] });
+        });
+    });
+
+    it('should not treat short words as typos', () => {
+        expect(SearchIndex.matchWord('cat', 'cut')).toBe(0);
+        expect(SearchIndex.editDistance('tolkein', 'tolkien')).toBe(1);
+        expect(SearchIndex.editDistance('kitten', 'sitting', 1)).toBe(2);
+    });
+});
@@ -0,0 +1,223 @@
+import { FilterManager } from './FilterManager.js';
+import { AUDIOBOOK_STATUSES } from '../models/Audiobook.js';
+
+/**
+ * Fields the gallery can be sorted by
+ * "default" keeps the order the books arrive in: storage order, or relevance while
+ * searching. Each field starts in the direction people usually want it in.
+ */
+export const SORT_FIELDS = {
+    default: { label: 'Default order', direction: 'asc' },
+    title: { label: 'Title', direction: 'asc' },
+    author: { label: 'Author', direction: 'asc' },
+    rating: { label: 'Rating', direction: 'desc' },
+    price: { label: 'Price', direction: 'asc' },
+    length: { label: 'Length', direction: 'asc' },
+    releaseDate: { label: 'Release date', direction: 'desc' },
+    dateAdded: { label: 'Date added', direction: 'desc' },
+    lastModified: { label: 'Recently modified', direction: 'desc' },
+    status: { label: 'Listening status', direction: 'asc' },
+    series: { label: 'Series', direction: 'asc' }
+};
+
+export const SORT_DIRECTIONS = ['asc', 'desc'];
+
+const DEFAULT_SORT = {
+    field: 'default',
+    direction: 'asc',
+    secondaryField: 'default'
+};
+
+const LEADING_ARTICLE_PATTERN = /^(the|a|an)\s+/i;
+
+/**
+ * SortManager - Orders the gallery's (filtered) audiobooks and remembers the choice
+ * A sort has a primary field and direction plus an optional secondary field that
+ * breaks ties in its own natural direction. Books without a value for a field
+ * (unrated, no price, unknown date) always go last. Books of the same series
+ * always stay in reading order, whichever way the series names run.
+ */
+export class SortManager {
+    constructor() {
+        this.storageKey = 'audiobook-sort-preferences';
+        this.sort = this.loadSort();
+    }
+
+    /**
+     * Get the current sort
+     * @returns {Object} { field, direction, secondaryField }
+     */
+    getSort() {
+        return { ...this.sort };
+    }
+
+    /**
+     * Change the sort and remember it
+     * Changing the primary field without a direction switches to that field's
+     * natural direction.
+     * @param {Object} sort - Partial sort: field, direction and/or secondaryField
+     * @returns {Object} The sort now in effect
+     */
+    setSort(sort) {
+        const next = { ...this.sort, ...sort };
+        if (sort.field && sort.field !== this.sort.field && !sort.direction) {
+            next.direction = SORT_FIELDS[sort.field]?.direction || 'asc';
+        }
+
+        this.sort = SortManager.sanitizeSort(next);
+        this.saveSort();
+        return this.getSort();
+    }
+
+    /**
+     * Check whether books are sorted by anything other than the default order
+     * @returns {boolean} True if a sort field is selected
+     */
+    isSorted() {
+        return this.sort.field !== 'default';
+    }
+
+    /**
+     * Sort audiobooks by the current sort
+     * @param {Array} audiobooks - Audiobooks in their incoming order
+     * @returns {Array} New sorted array; ties keep their incoming order
+     */
+    apply(audiobooks) {
+        return SortManager.sortAudiobooks(audiobooks, this.sort);
+    }
+
+    /**
+     * Load the saved sort, falling back to the default order
+     * @returns {Object} Sort
+     */
+    loadSort() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            return SortManager.sanitizeSort(saved || {});
+        } catch (error) {
+            console.warn('Failed to load sort preferences:', error);
+            return { ...DEFAULT_SORT };
+        }
+    }
+
+    /**
+     * Save the current sort
+     */
+    saveSort() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.sort));
+        } catch (error) {
+            console.warn('Failed to save sort preferences:', error);
+        }
+    }
+
+    /**
+     * Sort audiobooks
+     * @param {Array} audiobooks - Audiobooks to sort
+     * @param {Object} sort - { field, direction, secondaryField }
+     * @returns {Array} New sorted array
+     */
+    static sortAudiobooks(audiobooks, sort) {
+        const { field, direction, secondaryField } = SortManager.sanitizeSort(sort || {});
+        if (field === 'default') {
+            return [...audiobooks];
+        }
+
+        const keyed = audiobooks.map((audiobook, position) => ({
+            audiobook,
+            position,
+            primary: SortManager.getSortValue(audiobook, field),
+            secondary: SortManager.getSortValue(audiobook, secondaryField)
+        }));
+
+        keyed.sort((a, b) =>
+            SortManager.compareValues(a.primary, b.primary, direction) ||
+            (field === 'series' && SortManager.compareValues(
+                SortManager.getSeriesPosition(a.audiobook), SortManager.getSeriesPosition(b.audiobook), 'asc')) ||
+            SortManager.compareValues(a.secondary, b.secondary, SORT_FIELDS[secondaryField].direction) ||
+            a.position - b.position
+        );
+
+        return keyed.map(entry => entry.audiobook);
+    }
+
+    /**
+     * Get the value a book is sorted by
+     * @param {Object} audiobook - Audiobook
+     * @param {string} field - SORT_FIELDS name
+     * @returns {string|number|null} Sort key, or null when the book has no value
+     */
+    static getSortValue(audiobook, field) {
+        switch (field) {
+            case 'title':
+                return String(audiobook.title || '').trim().replace(LEADING_ARTICLE_PATTERN, '') || null;
+
+            case 'author':
+                return String(audiobook.author || '').trim() || null;
+
+            case 'rating':
+            case 'price':
+            case 'length':
+                return FilterManager.getRangeValue(audiobook, field);
+
+            case 'releaseDate':
+            case 'dateAdded':
+            case 'lastModified': {
+                const time = audiobook[field] ? new Date(audiobook[field]).getTime() : NaN;
+                return isNaN(time) ? null : time;
+            }
+
+            case 'series':
+                return String(audiobook.series || '').trim().replace(LEADING_ARTICLE_PATTERN, '') || null;
+
+            case 'status': {
+                const index = AUDIOBOOK_STATUSES.indexOf(audiobook.status);
+                return index === -1 ? null : index;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Get a book's place in its series
+     * @param {Object} audiobook - Audiobook
+     * @returns {number|null} Series position, or null when unnumbered
+     */
+    static getSeriesPosition(audiobook) {
+        return typeof audiobook.seriesPosition === 'number' ? audiobook.seriesPosition : null;
+    }
+
+    /**
+     * Compare two sort keys, putting missing values last in either direction
+     * @param {string|number|null} a - First key
+     * @param {string|number|null} b - Second key
+     * @param {string} direction - 'asc' or 'desc'
+     * @returns {number} Comparison result
+     */
+    static compareValues(a, b, direction) {
+        if (a === null || b === null) {
+            return (a === null) - (b === null);
+        }
+
+        const result = typeof a === 'string'
+            ? a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true })
+            : a - b;
+
+        return direction === 'desc' ? -result : result;
+    }
+
+    /**
+     * Fill in and validate a sort
+     * @param {Object} sort - Possibly partial or stale sort
+     * @returns {Object} Valid sort
+     */
+    static sanitizeSort(sort) {
+        return {
+            field: SORT_FIELDS[sort.field] ? sort.field : DEFAULT_SORT.field,
+            direction: SORT_DIRECTIONS.includes(sort.direction) ? sort.direction : DEFAULT_SORT.direction,
+            secondaryField: SORT_FIELDS[sort.secondaryField] ? sort.secondaryField : DEFAULT_SORT.secondaryField
+        };
+    }
+}
@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SortManager } from './SortManager.js';
+
+describe('SortManager', () => {
+    let sortManager;
+    let books;
+
+    const ids = (list) => list.map(book => book.id);
+
+    beforeEach(() => {
+        localStorage.clear();
+        sortManager = new SortManager();
+
+        books = [
+            {
+                id: '1',
+                title: 'The Way of Kings',
+                author: 'Brandon Sanderson',
+                rating: 5,
+                price: 30,
+                length: '45 hrs and 30 mins',
+                releaseDate: '2010-08-31',
+                dateAdded: '2024-01-10T10:00:00Z',
+                lastModified: '2024-03-01T10:00:00Z',
+                status: 'listening'
+            },
+            {
+                id: '2',
+                title: 'Project Hail Mary',
+                author: 'Andy Weir',
+                rating: 5,
+                price: 25,
+                length: '16 hrs and 10 mins',
+                releaseDate: '2021-05-04',
+                dateAdded: '2024-02-10T10:00:00Z',
+                lastModified: '2024-02-15T10:00:00Z',
+                status: 'finished'
+            },
+            {
+                id: '3',
+                title: 'A Memory Called Empire',
+                author: 'Arkady Martine',
+                rating: 0,
+                price: 0,
+                length: '',
+                releaseDate: '',
+                dateAdded: '2023-12-01T10:00:00Z',
+                lastModified: null,
+                status: ''
+            },
+            {
+                id: '4',
+                title: 'Dune',
+                author: 'Frank Herbert',
+                rating: 4,
+                price: '$9.99',
+                length: '21 hrs and 2 mins',
+                releaseDate: '1965-08-01',
+                dateAdded: '2024-03-05T10:00:00Z',
+                lastModified: '2024-03-05T10:00:00Z',
+                status: 'wishlist'
+            }
+        ];
+    });
+
+    it('should keep the incoming order by default', () => {
+        expect(sortManager.getSort()).toEqual({ field: 'default', direction: 'asc', secondaryField: 'default' });
+        expect(sortManager.isSorted()).toBe(false);
+        expect(ids(sortManager.apply(books))).toEqual(['1', '2', '3', '4']);
+    });
+
+    it('should sort titles ignoring leading articles', () => {
+        sortManager.setSort({ field: 'title' });
+        expect(ids(sortManager.apply(books))).toEqual(['4', '3', '2', '1']);
+    });
+
+    it('should switch to the natural direction of a newly chosen field', () => {
+        expect(sortManager.setSort({ field: 'lastModified' }).direction).toBe('desc');
+        expect(ids(sortManager.apply(books))).toEqual(['4', '1', '2', '3']);
+
+        // A price of 0 is a free book, the cheapest rather than unpriced
+        expect(sortManager.setSort({ field: 'price' }).direction).toBe('asc');
+        expect(ids(sortManager.apply(books))).toEqual(['3', '4', '2', '1']);
+    });
+
+    it('should put books without a value last in either direction', () => {
+        sortManager.setSort({ field: 'length', direction: 'asc' });
+        expect(ids(sortManager.apply(books))).toEqual(['2', '4', '1', '3']);
+
+        sortManager.setSort({ direction: 'desc' });
+        expect(ids(sortManager.apply(books))).toEqual(['1', '4', '2', '3']);
+    });
+
+    it('should sort by release date and listening status order', () => {
+        sortManager.setSort({ field: 'releaseDate', direction: 'asc' });
+        expect(ids(sortManager.apply(books))).toEqual(['4', '1', '2', '3']);
+
+        sortManager.setSort({ field: 'status' });
+        expect(ids(sortManager.apply(books))).toEqual(['4', '1', '2', '3']);
+    });
+
+    it('should break ties with the secondary field', () => {
+        sortManager.setSort({ field: 'rating' });
+        expect(ids(sortManager.apply(books))).toEqual(['1', '2', '4', '3']);
+
+        sortManager.setSort({ secondaryField: 'title' });
+        expect(ids(sortManager.apply(books))).toEqual(['2', '1', '4', '3']);
+    });
+
+    it('should sort by series and keep each series in reading order', () => {
+        const seriesBooks = [
+            { id: 'w2', title: 'Words of Radiance', series: 'The Stormlight Archive', seriesPosition: 2 },
+            { id: 'none', title: 'Project Hail Mary', series: '' },
+            { id: 'd1', title: 'Dune', series: 'Dune', seriesPosition: 1 },
+            { id: 'w1', title: 'The Way of Kings', series: 'The Stormlight Archive', seriesPosition: 1 },
+            { id: 'd2', title: 'Dune Messiah', series: 'Dune', seriesPosition: 2 }
+        ];
+
+        sortManager.setSort({ field: 'series' });
+        expect(ids(sortManager.apply(seriesBooks))).toEqual(['d1', 'd2', 'w1', 'w2', 'none']);
+
+        sortManager.setSort({ direction: 'desc' });
+        expect(ids(sortManager.apply(seriesBooks))).toEqual(['w1', 'w2', 'd1', 'd2', 'none']);
+    });
+
+    it('should not modify the array it is given', () => {
+        sortManager.setSort({ field: 'author' });
+        const sorted = sortManager.apply(books);
+
+        expect(ids(sorted)).toEqual(['2', '3', '1', '4']);
+        expect(ids(books)).toEqual(['1', '2', '3', '4']);
+    });
+
+    it('should remember the sort across sessions', () => {
+        sortManager.setSort({ field: 'rating', secondaryField: 'author' });
+
+        const restored = new SortManager();
+        expect(restored.getSort()).toEqual({ field: 'rating', direction: 'desc', secondaryField: 'author' });
+    });
+
+    it('should fall back to the default for stale or corrupt preferences', () => {
+        localStorage.setItem('audiobook-sort-preferences', JSON.stringify({ field: 'pages', direction: 'up' }));
+        expect(new SortManager().getSort()).toEqual({ field: 'default', direction: 'asc', secondaryField: 'default' });
+
+        localStorage.setItem('audiobook-sort-preferences', '{not json');
+        expect(new SortManager().getSort().field).toBe('default');
+    });
+});
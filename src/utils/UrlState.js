@@ -0,0 +1,105 @@
+import { FilterManager, MATCH_MODES, RANGE_FIELDS } from './FilterManager.js';
+import { SortManager, SORT_FIELDS } from './SortManager.js';
+
+/**
+ * UrlState - Encodes what the gallery shows (search, filters, sort, open book) in
+ * the URL query string, so a view can be bookmarked, shared and navigated with the
+ * browser's back and forward buttons.
+ *
+ *   ?q=dragon&status=queued&status=listening&genre=fantasy&genreMode=all
+ *    &list=abc456&length=0-10&sort=rating.desc&then=title&book=abc123
+ *
+ * Lists repeat their parameter so values may contain commas. Defaults are left out.
+ */
+
+const RANGE_PATTERN = /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/;
+
+/**
+ * Build the query string for a view
+ * @param {Object} state - View state
+ * @param {string} state.searchTerm - Search bar text
+ * @param {Object} state.filters - Filters as returned by FilterManager.getState
+ * @param {Object} state.sort - Sort as returned by SortManager.getSort
+ * @param {string|null} state.bookId - ID of the book open in the detail view
+ * @returns {string} Query string without the leading "?", empty for the default view
+ */
+export function serializeUrlState({ searchTerm = '', filters = {}, sort = null, bookId = null }) {
+    const params = new URLSearchParams();
+
+    if (searchTerm.trim()) {
+        params.set('q', searchTerm.trim());
+    }
+
+    (filters.statuses || []).forEach(status => params.append('status', status));
+    (filters.genres || []).forEach(genre => params.append('genre', genre));
+    if (filters.genres?.length && filters.genreMode && filters.genreMode !== 'any') {
+        params.set('genreMode', filters.genreMode);
+    }
+    (filters.moods || []).forEach(mood => params.append('mood', mood));
+    if (filters.moods?.length && filters.moodMode && filters.moodMode !== 'any') {
+        params.set('moodMode', filters.moodMode);
+    }
+    (filters.lists || []).forEach(listId => params.append('list', listId));
+
+    Object.entries(FilterManager.sanitizeRanges(filters.ranges)).forEach(([field, range]) => {
+        params.set(field, `${range.min}-${range.max}`);
+    });
+
+    if (sort && sort.field !== 'default') {
+        params.set('sort', `${sort.field}.${sort.direction}`);
+        if (sort.secondaryField !== 'default') {
+            params.set('then', sort.secondaryField);
+        }
+    }
+
+    if (bookId) {
+        params.set('book', bookId);
+    }
+
+    return params.toString();
+}
+
+/**
+ * Read a view from a query string
+ * Unknown parameters and malformed values are ignored.
+ * @param {string} search - Query string, with or without the leading "?"
+ * @returns {Object} { searchTerm, filters, sort, bookId } where sort is null when
+ *   the URL doesn't specify one
+ */
+export function parseUrlState(search) {
+    const params = new URLSearchParams(search || '');
+    const mode = (name) => (MATCH_MODES.includes(params.get(name)) ? params.get(name) : 'any');
+
+    const ranges = {};
+    Object.keys(RANGE_FIELDS).forEach(field => {
+        const match = (params.get(field) || '').match(RANGE_PATTERN);
+        if (match) {
+            ranges[field] = { min: parseFloat(match[1]), max: parseFloat(match[2]) };
+        }
+    });
+
+    let sort = null;
+    if (params.has('sort')) {
+        const [field, direction] = params.get('sort').split('.');
+        sort = SortManager.sanitizeSort({
+            field,
+            direction: direction || SORT_FIELDS[field]?.direction,
+            secondaryField: params.get('then')
+        });
+    }
+
+    return {
+        searchTerm: params.get('q') || '',
+        filters: {
+            genres: params.getAll('genre'),
+            moods: params.getAll('mood'),
+            statuses: params.getAll('status'),
+            genreMode: mode('genreMode'),
+            moodMode: mode('moodMode'),
+            ranges: FilterManager.sanitizeRanges(ranges),
+            lists: params.getAll('list')
+        },
+        sort,
+        bookId: params.get('book') || null
+    };
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { serializeUrlState, parseUrlState } from './UrlState.js';
+
+describe('UrlState', () => {
+    const emptyFilters = { genres: [], moods: [], statuses: [], genreMode: 'any', moodMode: 'any', ranges: {}, lists: [] };
+    const defaultSort = { field: 'default', direction: 'asc', secondaryField: 'default' };
+
+    it('should leave the default view out of the URL', () => {
+        expect(serializeUrlState({ searchTerm: '  ', filters: emptyFilters, sort: defaultSort, bookId: null })).toBe('');
+    });
+
+    it('should round-trip search, filters, sort and open book', () => {
+        const state = {
+            searchTerm: 'author:"Brandon Sanderson" -mood:dark',
+            filters: {
+                genres: ['fantasy', 'sci-fi, space'],
+                moods: ['epic'],
+                statuses: ['queued', 'listening'],
+                genreMode: 'all',
+                moodMode: 'none',
+                ranges: { length: { min: 0, max: 10 }, rating: { min: 4, max: 4.5 } },
+                lists: ['list_1', 'list_2']
+            },
+            sort: { field: 'rating', direction: 'desc', secondaryField: 'title' },
+            bookId: 'abc123'
+        };
+
+        const query = serializeUrlState(state);
+        expect(query).toContain('length=0-10');
+        expect(query).toContain('list=list_1&list=list_2');
+        expect(query).toContain('sort=rating.desc');
+        expect(parseUrlState(`?${query}`)).toEqual(state);
+    });
+
+    it('should repeat list parameters so values can contain commas', () => {
+        const query = serializeUrlState({ filters: { ...emptyFilters, genres: ['a, b', 'c'] } });
+        expect(query).toBe('genre=a%2C+b&genre=c');
+    });
+
+    it('should only include match modes for sections with selections', () => {
+        const query = serializeUrlState({ filters: { ...emptyFilters, genreMode: 'all', moodMode: 'none' } });
+        expect(query).toBe('');
+    });
+
+    it('should parse an empty query to the default view without a sort', () => {
+        expect(parseUrlState('')).toEqual({ searchTerm: '', filters: emptyFilters, sort: null, bookId: null });
+    });
+
+    it('should ignore malformed values', () => {
+        const state = parseUrlState('?genreMode=some&rating=high&price=20-5&year=2020-2024&sort=pages.up&then=nope');
+
+        expect(state.filters.genreMode).toBe('any');
+        expect(state.filters.ranges).toEqual({ year: { min: 2020, max: 2024 } });
+        expect(state.sort).toEqual(defaultSort);
+    });
+
+    it('should use the natural direction when the sort has none', () => {
+        expect(parseUrlState('?sort=dateAdded').sort).toEqual({ field: 'dateAdded', direction: 'desc', secondaryField: 'default' });
+    });
+});
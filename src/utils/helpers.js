@@ -58,6 +58,26 @@ export function parseDuration(durationString) {
     return hours * 60 + mins;
 }
 
+// Parse an hh:mm listening position to minutes (null when malformed)
+export function parsePosition(position) {
+    if (!position) return 0;
+
+    const match = String(position).trim().match(/^(\d+):([0-5]\d)$/);
+    if (!match) return null;
+
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+// Percent of a book listened to, from its position and length strings
+export function calculateProgress(position, length) {
+    const total = parseDuration(length);
+    const listened = parsePosition(position);
+
+    if (!total || !listened) return 0;
+
+    return Math.min(100, Math.round((listened / total) * 100));
+}
+
 // Sanitize string for safe HTML output
 export function sanitizeString(str) {
     if (!str) return '';
@@ -73,6 +93,12 @@ export function sanitizeString(str) {
     });
 }
 
+// Lowercase and strip accents so "Brontë" and "bronte" compare equal
+export function normalizeSearchText(text) {
+    if (!text) return '';
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
 // Debounce function for search input
 export function debounce(func, wait) {
     let timeout;
@@ -84,4 +110,167 @@ export function debounce(func, wait) {
         clearTimeout(timeout);
         timeout = setTimeout(later, wait);
     };
-}
\ No newline at end of file
+}
+
+// Create a deletion tombstone so the removal survives sync merges
+export function createTombstone(id, deviceId, deletedAt = new Date().toISOString()) {
+    return { id, deletedAt, deviceId };
+}
+
+// Merge tombstone lists, keeping the latest deletion per book ID
+export function mergeTombstones(...tombstoneLists) {
+    const merged = new Map();
+
+    tombstoneLists.forEach(list => {
+        (Array.isArray(list) ? list : []).forEach(tombstone => {
+            if (!tombstone || !tombstone.id) return;
+
+            const existing = merged.get(tombstone.id);
+            if (!existing || new Date(tombstone.deletedAt) > new Date(existing.deletedAt)) {
+                merged.set(tombstone.id, tombstone);
+            }
+        });
+    });
+
+    return Array.from(merged.values());
+}
+
+// Latest time before which any of the collections garbage-collected its tombstones
+export function getTombstoneCleanupTime(...metadataList) {
+    const times = metadataList
+        .map(metadata => metadata?.tombstonesPrunedBefore)
+        .filter(time => time && !isNaN(new Date(time).getTime()));
+
+    if (times.length === 0) return null;
+    return times.reduce((latest, time) => (new Date(time) > new Date(latest) ? time : latest));
+}
+
+// Drop tombstones garbage-collected on any device, so merges don't bring them back
+export function pruneTombstones(tombstones, prunedBefore) {
+    const list = Array.isArray(tombstones) ? tombstones : [];
+    if (!prunedBefore) return list;
+
+    const cutoff = new Date(prunedBefore);
+    return list.filter(tombstone => !(new Date(tombstone.deletedAt) < cutoff));
+}
+
+// Check whether a book was deleted after its last edit
+export function isDeletedByTombstone(book, tombstones) {
+    const tombstone = (Array.isArray(tombstones) ? tombstones : []).find(t => t.id === book.id);
+    if (!tombstone) return false;
+
+    const bookModified = new Date(book.lastModified || book.dateAdded || 0);
+    return new Date(tombstone.deletedAt) >= bookModified;
+}
+
+// Merge two arrays of ordered, separately edited items, keeping the latest edit
+// of each and dropping deleted ones, in their saved order
+function mergeLatestById(localItems, remoteItems, tombstones) {
+    const merged = new Map();
+
+    [localItems, remoteItems].forEach(items => {
+        (Array.isArray(items) ? items : []).forEach(item => {
+            if (!item || !item.id) return;
+
+            const existing = merged.get(item.id);
+            if (!existing || new Date(item.lastModified || 0) > new Date(existing.lastModified || 0)) {
+                merged.set(item.id, item);
+            }
+        });
+    });
+
+    return Array.from(merged.values())
+        .filter(item => !isDeletedByTombstone(item, tombstones))
+        .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+// Merge smart collection lists from two copies of the library
+export function mergeSmartCollections(localList, remoteList, tombstones = []) {
+    return mergeLatestById(localList, remoteList, tombstones);
+}
+
+// Merge manual lists from two copies of the library. A list's books and their
+// order are edited as a whole, so the latest edit of each list wins.
+export function mergeLists(localLists, remoteLists, tombstones = []) {
+    return mergeLatestById(localLists, remoteLists, tombstones);
+}
+
+// Summarize how replacing one book list with another would change it
+export function summarizeCollectionDiff(currentBooks, otherBooks) {
+    const isEmpty = value => value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+    const contentKey = book => JSON.stringify(Object.keys(book).sort()
+        .filter(key => key !== 'lastModified' && key !== 'dateAdded' && !isEmpty(book[key]))
+        .map(key => [key, book[key]]));
+
+    const current = new Map((currentBooks || []).map(book => [book.id, book]));
+    const other = new Map((otherBooks || []).map(book => [book.id, book]));
+
+    return {
+        added: [...other.values()].filter(book => !current.has(book.id)),
+        removed: [...current.values()].filter(book => !other.has(book.id)),
+        changed: [...other.values()].filter(book =>
+            current.has(book.id) && contentKey(book) !== contentKey(current.get(book.id)))
+    };
+}
+
+// Series names are compared ignoring case and surrounding spaces
+function seriesKey(series) {
+    return String(series || '').trim().toLowerCase();
+}
+
+// Label a book's place in its series, e.g. "Mistborn #2", or '' if it has none
+export function formatSeriesLabel(book) {
+    const series = String(book?.series || '').trim();
+    if (!series) return '';
+
+    return book.seriesPosition === null || book.seriesPosition === undefined
+        ? series
+        : `${series} #${book.seriesPosition}`;
+}
+
+// Get the books of a series in reading order; unnumbered books go last
+export function getSeriesBooks(audiobooks, series) {
+    const key = seriesKey(series);
+    if (!key) return [];
+
+    const position = book => typeof book.seriesPosition === 'number' ? book.seriesPosition : Infinity;
+    return (audiobooks || [])
+        .filter(book => seriesKey(book.series) === key)
+        .map((book, index) => ({ book, index }))
+        .sort((a, b) => (position(a.book) - position(b.book)) || (a.index - b.index))
+        .map(entry => entry.book);
+}
+
+// Find the book that follows this one in its series, or null
+export function getNextInSeries(book, audiobooks) {
+    if (!book || typeof book.seriesPosition !== 'number') return null;
+
+    return getSeriesBooks(audiobooks, book.series)
+        .find(other => other.id !== book.id &&
+            typeof other.seriesPosition === 'number' && other.seriesPosition > book.seriesPosition) || null;
+}
+
+// Collapse every series with more than one book into a single entry at the
+// place of its first book. Returns { audiobook } and { series, books } entries.
+export function groupBySeries(audiobooks) {
+    const counts = new Map();
+    (audiobooks || []).forEach(book => {
+        const key = seriesKey(book.series);
+        if (key) counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    const seen = new Set();
+    const entries = [];
+    (audiobooks || []).forEach(book => {
+        const key = seriesKey(book.series);
+        if (!key || counts.get(key) < 2) {
+            entries.push({ audiobook: book });
+        } else if (!seen.has(key)) {
+            seen.add(key);
+            entries.push({ series: book.series.trim(), books: getSeriesBooks(audiobooks, book.series) });
+        }
+    });
+
+    return entries;
+}
@@ -6,8 +6,22 @@ import {
     validatePrice,
     formatDuration,
     parseDuration,
+    parsePosition,
+    calculateProgress,
     sanitizeString,
-    debounce
+    debounce,
+    createTombstone,
+    mergeTombstones,
+    getTombstoneCleanupTime,
+    pruneTombstones,
+    isDeletedByTombstone,
+    mergeSmartCollections,
+    mergeLists,
+    summarizeCollectionDiff,
+    formatSeriesLabel,
+    getSeriesBooks,
+    getNextInSeries,
+    groupBySeries
 } from './helpers.js';
 
 describe('Helper Functions', () => {
@@ -136,6 +150,26 @@ describe('Helper Functions', () => {
         });
     });
 
+    describe('listening progress', () => {
+        it('should parse hh:mm positions to minutes', () => {
+            expect(parsePosition('4:15')).toBe(255);
+            expect(parsePosition('0:05')).toBe(5);
+            expect(parsePosition('')).toBe(0);
+        });
+
+        it('should reject malformed positions', () => {
+            expect(parsePosition('4:75')).toBe(null);
+            expect(parsePosition('4h15')).toBe(null);
+        });
+
+        it('should compute percent complete from position and length', () => {
+            expect(calculateProgress('5:00', '10 hrs')).toBe(50);
+            expect(calculateProgress('2:00', '1 hr and 30 mins')).toBe(100);
+            expect(calculateProgress('1:00', '')).toBe(0);
+            expect(calculateProgress('', '10 hrs')).toBe(0);
+        });
+    });
+
     describe('sanitizeString', () => {
         it('should escape HTML characters', () => {
             expect(sanitizeString('<script>alert("xss")</script>')).toBe('&lt;script&gt;alert(&quot;xss&quot;)&lt;/script&gt;');
@@ -190,4 +224,173 @@ describe('Helper Functions', () => {
             }, 60);
         });
     });
+
+    describe('tombstones', () => {
+        it('should create a tombstone with deletion details', () => {
+            const tombstone = createTombstone('book-1', 'device-1', '2024-01-01T00:00:00Z');
+            expect(tombstone).toEqual({ id: 'book-1', deletedAt: '2024-01-01T00:00:00Z', deviceId: 'device-1' });
+        });
+
+        it('should keep the latest deletion per book when merging', () => {
+            const merged = mergeTombstones(
+                [{ id: 'book-1', deletedAt: '2024-01-01T00:00:00Z', deviceId: 'a' }],
+                [
+                    { id: 'book-1', deletedAt: '2024-02-01T00:00:00Z', deviceId: 'b' },
+                    { id: 'book-2', deletedAt: '2024-01-15T00:00:00Z', deviceId: 'b' }
+                ],
+                undefined
+            );
+
+            expect(merged).toHaveLength(2);
+            expect(merged.find(t => t.id === 'book-1').deviceId).toBe('b');
+        });
+
+        it('should treat a book as deleted unless edited after the deletion', () => {
+            const tombstones = [{ id: 'book-1', deletedAt: '2024-01-10T00:00:00Z', deviceId: 'a' }];
+
+            expect(isDeletedByTombstone({ id: 'book-1', lastModified: '2024-01-05T00:00:00Z' }, tombstones)).toBe(true);
+            expect(isDeletedByTombstone({ id: 'book-1' }, tombstones)).toBe(true);
+            expect(isDeletedByTombstone({ id: 'book-1', lastModified: '2024-01-20T00:00:00Z' }, tombstones)).toBe(false);
+            expect(isDeletedByTombstone({ id: 'book-2' }, tombstones)).toBe(false);
+        });
+
+        it('should use the latest tombstone cleanup of any collection', () => {
+            expect(getTombstoneCleanupTime(
+                { tombstonesPrunedBefore: '2024-01-01T00:00:00Z' },
+                undefined,
+                { tombstonesPrunedBefore: '2024-03-01T00:00:00Z' },
+                {}
+            )).toBe('2024-03-01T00:00:00Z');
+            expect(getTombstoneCleanupTime({}, null)).toBeNull();
+        });
+
+        it('should drop tombstones older than the last cleanup', () => {
+            const tombstones = [
+                { id: 'book-1', deletedAt: '2024-01-01T00:00:00Z', deviceId: 'a' },
+                { id: 'book-2', deletedAt: '2024-02-01T00:00:00Z', deviceId: 'a' }
+            ];
+
+            expect(pruneTombstones(tombstones, '2024-01-15T00:00:00Z')).toEqual([tombstones[1]]);
+            expect(pruneTombstones(tombstones, null)).toEqual(tombstones);
+            expect(pruneTombstones(undefined, '2024-01-15T00:00:00Z')).toEqual([]);
+        });
+    });
+
+    describe('mergeSmartCollections', () => {
+        it('should keep the latest edit of each smart collection in saved order', () => {
+            const merged = mergeSmartCollections(
+                [
+                    { id: 'a', name: 'Short fantasy', order: 1, lastModified: '2024-01-05T00:00:00Z' },
+                    { id: 'b', name: 'Local only', order: 2, lastModified: '2024-01-01T00:00:00Z' }
+                ],
+                [
+                    { id: 'a', name: 'Short fantasy reads', order: 1, lastModified: '2024-01-06T00:00:00Z' },
+                    { id: 'c', name: 'Remote only', order: 0, lastModified: '2024-01-02T00:00:00Z' }
+                ],
+                []
+            );
+
+            expect(merged.map(sc => sc.id)).toEqual(['c', 'a', 'b']);
+            expect(merged.find(sc => sc.id === 'a').name).toBe('Short fantasy reads');
+        });
+
+        it('should drop smart collections deleted on either side', () => {
+            const tombstones = [{ id: 'a', deletedAt: '2024-01-10T00:00:00Z', deviceId: 'x' }];
+            const merged = mergeSmartCollections(
+                [],
+                [{ id: 'a', name: 'Deleted elsewhere', order: 0, lastModified: '2024-01-05T00:00:00Z' }],
+                tombstones
+            );
+
+            expect(merged).toEqual([]);
+            expect(mergeSmartCollections(undefined, null)).toEqual([]);
+        });
+    });
+
+    describe('mergeLists', () => {
+        it('should keep the latest edit of each list with its own book order', () => {
+            const merged = mergeLists(
+                [
+                    { id: 'road', name: 'Road trip', bookIds: ['1', '2'], order: 0, lastModified: '2024-01-05T00:00:00Z' },
+                    { id: 'club', name: 'Book club', bookIds: ['3'], order: 1, lastModified: '2024-01-07T00:00:00Z' }
+                ],
+                [
+                    { id: 'road', name: 'Road trip', bookIds: ['2', '1', '4'], order: 0, lastModified: '2024-01-06T00:00:00Z' },
+                    { id: 'club', name: 'Book club', bookIds: [], order: 1, lastModified: '2024-01-01T00:00:00Z' },
+                    { id: 'gone', name: 'Deleted here', bookIds: ['1'], order: 2, lastModified: '2024-01-01T00:00:00Z' }
+                ],
+                [{ id: 'gone', deletedAt: '2024-01-02T00:00:00Z', deviceId: 'x' }]
+            );
+
+            expect(merged.map(list => list.id)).toEqual(['road', 'club']);
+            expect(merged[0].bookIds).toEqual(['2', '1', '4']);
+            expect(merged[1].bookIds).toEqual(['3']);
+        });
+    });
+
+    describe('summarizeCollectionDiff', () => {
+        it('should report books added, removed and changed by the other list', () => {
+            const current = [
+                { id: '1', title: 'Kept', rating: 4, lastModified: '2024-01-01T00:00:00Z' },
+                { id: '2', title: 'Edited', rating: 3 },
+                { id: '3', title: 'Only current' }
+            ];
+            const other = [
+                { id: '1', title: 'Kept', rating: 4, lastModified: '2023-06-01T00:00:00Z', notes: '' },
+                { id: '2', title: 'Edited', rating: 5 },
+                { id: '4', title: 'Only other' }
+            ];
+
+            const diff = summarizeCollectionDiff(current, other);
+
+            expect(diff.added.map(book => book.id)).toEqual(['4']);
+            expect(diff.removed.map(book => book.id)).toEqual(['3']);
+            expect(diff.changed.map(book => book.id)).toEqual(['2']);
+        });
+
+        it('should handle missing lists', () => {
+            expect(summarizeCollectionDiff(undefined, [{ id: '1' }]).added).toHaveLength(1);
+            expect(summarizeCollectionDiff([{ id: '1' }], null).removed).toHaveLength(1);
+        });
+    });
+
+    describe('series', () => {
+        const books = [
+            { id: 'b3', title: 'Third', series: 'Saga', seriesPosition: 3 },
+            { id: 'x', title: 'Standalone', series: '' },
+            { id: 'b1', title: 'First', series: 'saga ', seriesPosition: 1 },
+            { id: 'extra', title: 'Side story', series: 'Saga', seriesPosition: null },
+            { id: 'b2', title: 'Second', series: 'Saga', seriesPosition: 2 },
+            { id: 'o1', title: 'Only one', series: 'Solo', seriesPosition: 1 }
+        ];
+
+        it('should label a book with its series and position', () => {
+            expect(formatSeriesLabel({ series: 'Saga', seriesPosition: 2 })).toBe('Saga #2');
+            expect(formatSeriesLabel({ series: 'Saga', seriesPosition: 0 })).toBe('Saga #0');
+            expect(formatSeriesLabel({ series: 'Saga', seriesPosition: null })).toBe('Saga');
+            expect(formatSeriesLabel({ series: '' })).toBe('');
+        });
+
+        it('should list a series in reading order with unnumbered books last', () => {
+            expect(getSeriesBooks(books, 'SAGA').map(book => book.id)).toEqual(['b1', 'b2', 'b3', 'extra']);
+            expect(getSeriesBooks(books, '')).toEqual([]);
+        });
+
+        it('should find the next book in a series', () => {
+            expect(getNextInSeries(books[2], books).id).toBe('b2');
+            expect(getNextInSeries(books[0], books)).toBeNull();
+            expect(getNextInSeries(books[3], books)).toBeNull();
+            expect(getNextInSeries(books[1], books)).toBeNull();
+        });
+
+        it('should collapse series of several books at their first book', () => {
+            const entries = groupBySeries(books);
+
+            expect(entries).toHaveLength(3);
+            expect(entries[0].series).toBe('Saga');
+            expect(entries[0].books.map(book => book.id)).toEqual(['b1', 'b2', 'b3', 'extra']);
+            expect(entries[1].audiobook.id).toBe('x');
+            expect(entries[2].audiobook.id).toBe('o1');
+        });
+    });
 });
\ No newline at end of file